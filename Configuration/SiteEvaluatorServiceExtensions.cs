@@ -108,11 +108,16 @@ public class SiteEvaluatorOptions
     public LinzOptions Linz { get; set; } = new();
     public NzgdOptions Nzgd { get; set; } = new();
     public StripeOptions Stripe { get; set; } = new();
+    public MapOptions Map { get; set; } = new();
 }
 
 public class LinzOptions
 {
     public string BaseUrl { get; set; } = "https://data.linz.govt.nz";
+
+    /// <summary>
+    /// LINZ API key. Also enables the LINZ Basemaps aerial and topographic base layers on the maps.
+    /// </summary>
     public string ApiKey { get; set; } = string.Empty;
 }
 
@@ -127,3 +132,42 @@ public class StripeOptions
     public string SecretKey { get; set; } = string.Empty;
     public string WebhookSecret { get; set; } = string.Empty;
 }
+
+public class MapOptions
+{
+    /// <summary>
+    /// GeoJSON sources for hazard overlays, keyed by hazard type (flood, liquefaction, coastal, slope).
+    /// A {bbox} placeholder in the URL is replaced with the visible map extent.
+    /// Types without a source are shown on the map as not configured.
+    /// </summary>
+    public Dictionary<string, string> HazardLayers { get; set; } = [];
+
+    /// <summary>
+    /// GeoJSON source for active fault traces (e.g. the GNS Active Faults Database).
+    /// A {bbox} placeholder in the URL is replaced with an extent around the property.
+    /// </summary>
+    public string? FaultTraces { get; set; }
+
+    /// <summary>
+    /// Basemap shown until the user picks one (osm, linz-aerial, linz-topo or a custom provider ID).
+    /// </summary>
+    public string DefaultBasemap { get; set; } = "osm";
+
+    /// <summary>
+    /// Additional tile providers offered in the basemap switcher.
+    /// </summary>
+    public List<BasemapOptions> Basemaps { get; set; } = [];
+}
+
+public class BasemapOptions
+{
+    public string Id { get; set; } = string.Empty;
+    public string Name { get; set; } = string.Empty;
+
+    /// <summary>
+    /// XYZ tile URL template, e.g. https://{s}.example.com/{z}/{x}/{y}.png
+    /// </summary>
+    public string Url { get; set; } = string.Empty;
+    public string? Attribution { get; set; }
+    public int MaxZoom { get; set; } = 19;
+}
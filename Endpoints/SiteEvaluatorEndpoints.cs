@@ -30,6 +30,11 @@ public static class SiteEvaluatorEndpoints
             .WithName("SearchByCoordinates")
             .WithDescription("Search for a site by coordinates");
 
+        // Parcel endpoints (LINZ Data Service)
+        group.MapGet("/parcels/at", GetParcelAt)
+            .WithName("GetParcelAt")
+            .WithDescription("Identify the parcel at a point, with its boundary and nearest address");
+
         // Title/Property endpoints (LINZ Landonline)
         group.MapGet("/titles/search", SearchTitles)
             .WithName("SearchTitles")
@@ -43,6 +48,11 @@ public static class SiteEvaluatorEndpoints
             .WithName("GetOwnershipHistory")
             .WithDescription("Get ownership transfer history for a title (requires Landonline subscription)");
 
+        // Geotechnical endpoints (NZGD)
+        group.MapGet("/geotech/investigations", GetInvestigationsInBounds)
+            .WithName("GetInvestigationsInBounds")
+            .WithDescription("Get NZGD boreholes and CPTs within a map extent, with distances from the site");
+
         // Evaluation endpoints
         group.MapGet("/evaluations/{id}", GetEvaluation)
             .WithName("GetEvaluation")
@@ -63,6 +73,38 @@ public static class SiteEvaluatorEndpoints
             .WithDescription("Refresh data for an evaluation")
             .RequireAuthorization();
 
+        // Job evaluation endpoints
+        group.MapGet("/jobs/{jobId}/evaluation", GetJobEvaluation)
+            .WithName("GetJobEvaluation")
+            .WithDescription("Get the site evaluation for one of the current user's jobs")
+            .RequireAuthorization();
+
+        // Job data source endpoints
+        group.MapPost("/jobs/{jobId}/sources/{source}/refresh", RefreshJobDataSource)
+            .WithName("RefreshJobDataSource")
+            .WithDescription("Retrieve one external data source (linz, council, gns, niwa, nzgd) for one of the current user's jobs")
+            .RequireAuthorization();
+
+        // Job report endpoints
+        group.MapPost("/jobs/{jobId}/reports", GenerateJobReport)
+            .WithName("GenerateJobReport")
+            .WithDescription("Generate a report for one of the current user's jobs from the chosen type and options, and save it with the job")
+            .RequireAuthorization();
+            
+        group.MapGet("/jobs/{jobId}/reports/{reportId}", DownloadJobReport)
+            .WithName("DownloadJobReport")
+            .WithDescription("Download a report generated for one of the current user's jobs")
+            .RequireAuthorization();
+
+        // Help endpoints (Docs/user-guides)
+        group.MapGet("/help/guides", GetHelpGuides)
+            .WithName("GetHelpGuides")
+            .WithDescription("List the user guides available to the help panel");
+            
+        group.MapGet("/help/guides/{name}", GetHelpGuide)
+            .WithName("GetHelpGuide")
+            .WithDescription("Get a user guide as markdown");
+
         // Report endpoints
         group.MapGet("/reports/{evaluationId}/full", GenerateFullReport)
             .WithName("GenerateFullReport")
@@ -76,6 +118,21 @@ public static class SiteEvaluatorEndpoints
         group.MapGet("/reports/{evaluationId}/geotech", GenerateGeotechBrief)
             .WithName("GenerateGeotechBrief")
             .WithDescription("Generate a geotechnical brief PDF");
+            
+        group.MapPost("/reports/{evaluationId}/custom", GenerateCustomReport)
+            .WithName("GenerateCustomReport")
+            .WithDescription("Generate a PDF report with the chosen sections, order and notes")
+            .RequireAuthorization();
+            
+        group.MapPost("/reports/{evaluationId}/map-snapshot", UploadMapSnapshot)
+            .WithName("UploadMapSnapshot")
+            .WithDescription("Upload a PNG map snapshot (request body, image/png) to use as the site location figure in reports")
+            .RequireAuthorization();
+            
+        group.MapGet("/reports/{evaluationId}/map-snapshot", GetMapSnapshot)
+            .WithName("GetMapSnapshot")
+            .WithDescription("Get the map snapshot uploaded for an evaluation or one of the current user's jobs")
+            .RequireAuthorization();
 
         return group;
     }
@@ -126,6 +183,63 @@ public static class SiteEvaluatorEndpoints
         return Results.Ok(evaluation);
     }
 
+    // === Parcel Handlers (LINZ Data Service) ===
+
+    private static async Task<IResult> GetParcelAt(
+        [FromQuery] double lat,
+        [FromQuery] double lng,
+        ILinzDataService linzService,
+        CancellationToken ct)
+    {
+        if (!Services.GeoUtils.IsInNewZealand(lat, lng))
+            return Results.BadRequest("Coordinates within New Zealand are required");
+
+        var location = await linzService.LookupLocationAtAsync(lat, lng, ct);
+        
+        if (location == null)
+            return Results.NotFound(new { Message = $"No parcel found at {lat}, {lng}" });
+
+        return Results.Ok(location);
+    }
+
+    // === Geotechnical Handlers (NZGD) ===
+
+    private const double MaxInvestigationExtentMeters = 30000;
+
+    private static async Task<IResult> GetInvestigationsInBounds(
+        [FromQuery] double south,
+        [FromQuery] double west,
+        [FromQuery] double north,
+        [FromQuery] double east,
+        [FromQuery] double? siteLat,
+        [FromQuery] double? siteLng,
+        INzgdDataService nzgdService,
+        CancellationToken ct)
+    {
+        if (south >= north || west >= east)
+            return Results.BadRequest("Valid map bounds are required");
+
+        // The map only loads investigations when zoomed in - a larger extent is a runaway query
+        if (Services.GeoUtils.CalculateDistance(south, west, north, east) > MaxInvestigationExtentMeters)
+            return Results.BadRequest("Map extent is too large - zoom in to load investigations");
+
+        // Distances are from the site when one is given, otherwise from the centre of the extent
+        var fromLat = siteLat ?? (south + north) / 2;
+        var fromLon = siteLng ?? (west + east) / 2;
+
+        var boreholes = await nzgdService.GetBoreholesInBoundsAsync(south, west, north, east, fromLat, fromLon, ct);
+        var cpts = await nzgdService.GetCptsInBoundsAsync(south, west, north, east, fromLat, fromLon, ct);
+
+        bool InBounds(double lat, double lon) =>
+            lat >= south && lat <= north && lon >= west && lon <= east;
+
+        return Results.Ok(new
+        {
+            Boreholes = boreholes.Where(b => InBounds(b.Latitude, b.Longitude)).ToList(),
+            Cpts = cpts.Where(c => InBounds(c.Latitude, c.Longitude)).ToList()
+        });
+    }
+
     // === Title/Property Handlers (LINZ Landonline) ===
 
     private static async Task<IResult> SearchTitles(
@@ -190,9 +304,10 @@ public static class SiteEvaluatorEndpoints
 
     private static async Task<IResult> GetEvaluation(
         string id,
-        ISiteSearchService searchService)
+        ISiteSearchService searchService,
+        CancellationToken ct)
     {
-        var evaluation = await searchService.GetEvaluationAsync(id);
+        var evaluation = await searchService.GetEvaluationAsync(id, ct);
         
         if (evaluation == null)
             return Results.NotFound();
@@ -237,6 +352,139 @@ public static class SiteEvaluatorEndpoints
         }
     }
 
+    // === Job Evaluation Handlers ===
+
+    private static async Task<IResult> GetJobEvaluation(
+        string jobId,
+        HttpContext httpContext,
+        IJobService jobService,
+        CancellationToken ct)
+    {
+        // Jobs aren't stored as evaluations - theirs is built from the location's cached data
+        var evaluation = await jobService.GetJobEvaluationAsync(jobId, ct);
+        
+        if (evaluation == null || !IsCurrentUser(httpContext, evaluation.UserId))
+            return Results.NotFound();
+
+        return Results.Ok(evaluation);
+    }
+
+    // === Ownership Helpers ===
+    // Someone else's job is reported as missing rather than confirming it exists
+
+    private static bool IsCurrentUser(HttpContext httpContext, string userId)
+    {
+        return userId == (httpContext.User.Identity?.Name ?? "");
+    }
+
+    private static async Task<bool> IsJobOwnerAsync(
+        string jobId,
+        HttpContext httpContext,
+        IJobService jobService,
+        CancellationToken ct)
+    {
+        var job = await jobService.GetJobAsync(jobId, ct);
+        return job != null && IsCurrentUser(httpContext, job.CreatedByUserId);
+    }
+
+    private static async Task<bool> IsEvaluationOrJobOwnerAsync(
+        string id,
+        HttpContext httpContext,
+        ISiteSearchService searchService,
+        IJobService jobService,
+        CancellationToken ct)
+    {
+        // Job reports are built from an evaluation with the job's ID, so either can own a snapshot.
+        // Quick searches aren't saved with a user, and are readable by anyone through GetEvaluation.
+        var evaluation = await searchService.GetEvaluationAsync(id, ct);
+        if (evaluation != null)
+            return string.IsNullOrEmpty(evaluation.UserId) || IsCurrentUser(httpContext, evaluation.UserId);
+
+        return await IsJobOwnerAsync(id, httpContext, jobService, ct);
+    }
+
+    // === Job Data Source Handlers ===
+
+    private static async Task<IResult> RefreshJobDataSource(
+        string jobId,
+        string source,
+        HttpContext httpContext,
+        IJobService jobService,
+        CancellationToken ct)
+    {
+        if (!await IsJobOwnerAsync(jobId, httpContext, jobService, ct))
+            return Results.NotFound();
+
+        try
+        {
+            var result = await jobService.RefreshDataSourceAsync(jobId, source, ct);
+            return Results.Ok(result);
+        }
+        catch (ArgumentException ex)
+        {
+            return Results.NotFound(ex.Message);
+        }
+    }
+
+    private static async Task<IResult> GenerateJobReport(
+        string jobId,
+        [FromBody] JobReportRequest request,
+        HttpContext httpContext,
+        IJobService jobService,
+        CancellationToken ct)
+    {
+        if (!await IsJobOwnerAsync(jobId, httpContext, jobService, ct))
+            return Results.NotFound();
+
+        try
+        {
+            var report = await jobService.GenerateReportAsync(jobId, request.Type, request.Options ?? new ReportOptions(), ct);
+            return Results.Ok(report);
+        }
+        catch (ArgumentException ex)
+        {
+            return Results.NotFound(ex.Message);
+        }
+    }
+
+    private static async Task<IResult> DownloadJobReport(
+        string jobId,
+        string reportId,
+        HttpContext httpContext,
+        IJobService jobService,
+        CancellationToken ct)
+    {
+        var job = await jobService.GetJobAsync(jobId, ct);
+        if (job == null || !IsCurrentUser(httpContext, job.CreatedByUserId))
+            return Results.NotFound();
+
+        var content = await jobService.GetReportContentAsync(jobId, reportId, ct);
+        
+        if (content == null)
+            return Results.NotFound();
+
+        var fileName = job.Reports.FirstOrDefault(r => r.Id == reportId)?.FileName ?? $"report-{reportId}.pdf";
+
+        return Results.File(content, "application/pdf", fileName);
+    }
+
+    // === Help Handlers ===
+
+    private static IResult GetHelpGuides()
+    {
+        return Results.Ok(UserGuides.List());
+    }
+
+    private static async Task<IResult> GetHelpGuide(string name, CancellationToken ct)
+    {
+        var markdown = await UserGuides.ReadAsync(name, ct);
+        
+        if (markdown == null)
+            return Results.NotFound(new { Message = $"Guide not found: {name}" });
+
+        return Results.Text(markdown, "text/markdown; charset=utf-8");
+    }
+
     // === Report Handlers ===
 
     private static async Task<IResult> GenerateFullReport(
@@ -292,6 +540,80 @@ public static class SiteEvaluatorEndpoints
             "application/pdf",
             $"GeotechBrief_{evaluation.Location.Address.Replace(" ", "_")}.pdf");
     }
+
+    // Each snapshot is stored as one LiteDB document, and documents are limited to 16 MB
+    private const int MaxMapSnapshotBytes = 15 * 1024 * 1024;
+    private static readonly byte[] PngSignature = [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A];
+
+    private static async Task<IResult> UploadMapSnapshot(
+        string evaluationId,
+        HttpRequest request,
+        HttpContext httpContext,
+        ISiteSearchService searchService,
+        IJobService jobService,
+        ISiteEvaluatorRepository repository,
+        CancellationToken ct)
+    {
+        if (!await IsEvaluationOrJobOwnerAsync(evaluationId, httpContext, searchService, jobService, ct))
+            return Results.NotFound();
+
+        if (request.ContentType?.StartsWith("image/png", StringComparison.OrdinalIgnoreCase) != true)
+            return Results.BadRequest("Map snapshots must be uploaded as image/png");
+
+        if (request.ContentLength > MaxMapSnapshotBytes)
+            return Results.BadRequest($"Map snapshots are limited to {MaxMapSnapshotBytes / 1024 / 1024} MB");
+
+        using var buffer = new MemoryStream();
+        await request.Body.CopyToAsync(buffer, ct);
+        var content = buffer.ToArray();
+
+        if (content.Length > MaxMapSnapshotBytes)
+            return Results.BadRequest($"Map snapshots are limited to {MaxMapSnapshotBytes / 1024 / 1024} MB");
+
+        if (!content.AsSpan().StartsWith(PngSignature))
+            return Results.BadRequest("The uploaded file is not a PNG image");
+
+        await repository.StoreMapSnapshotAsync(evaluationId, content);
+        return Results.Ok(new { EvaluationId = evaluationId, Size = content.Length });
+    }
+
+    private static async Task<IResult> GetMapSnapshot(
+        string evaluationId,
+        HttpContext httpContext,
+        ISiteSearchService searchService,
+        IJobService jobService,
+        ISiteEvaluatorRepository repository,
+        CancellationToken ct)
+    {
+        if (!await IsEvaluationOrJobOwnerAsync(evaluationId, httpContext, searchService, jobService, ct))
+            return Results.NotFound();
+
+        var content = await repository.GetMapSnapshotAsync(evaluationId);
+        
+        if (content == null)
+            return Results.NotFound();
+
+        return Results.File(content, "image/png", $"SiteMap_{evaluationId}.png");
+    }
+
+    private static async Task<IResult> GenerateCustomReport(
+        string evaluationId,
+        [FromBody] ReportOptions options,
+        ISiteSearchService searchService,
+        IReportService reportService)
+    {
+        var evaluation = await searchService.GetEvaluationAsync(evaluationId);
+        
+        if (evaluation == null)
+            return Results.NotFound();
+
+        var pdfBytes = await reportService.GenerateFullReportAsync(evaluation, options);
+        
+        return Results.File(
+            pdfBytes,
+            "application/pdf",
+            $"SiteReport_{evaluation.Location.Address.Replace(" ", "_")}.pdf");
+    }
 }
 
 // Request DTOs
@@ -299,3 +621,4 @@ public record AddressSearchRequest(string Address);
 public record TitleSearchRequest(string TitleReference);
 public record CoordinateSearchRequest(double Latitude, double Longitude);
 public record RefreshRequest(List<string> Sections);
+public record JobReportRequest(ReportType Type, ReportOptions? Options);
@@ -0,0 +1,62 @@
+using MaxPayroll.SiteEvaluator.Services;
+
+namespace MaxPayroll.SiteEvaluator.Tests;
+
+public class GeoUtilsTests
+{
+    [Theory]
+    [InlineData(-41.2865, 174.7762, 1748735.55, 5427916.48)] // Wellington
+    [InlineData(-43.5310, 172.6366, 1570636.20, 5180151.67)] // Christchurch
+    public void ToNztm_KnownPoint_ReturnsNztmCoordinates(double lat, double lon, double easting, double northing)
+    {
+        // Act
+        var result = GeoUtils.ToNztm(lat, lon);
+
+        // Assert
+        Assert.Equal(easting, result.Easting, 1.0);
+        Assert.Equal(northing, result.Northing, 1.0);
+    }
+
+    [Fact]
+    public void ToNztm_CentralMeridian_ReturnsFalseEasting()
+    {
+        // Act
+        var result = GeoUtils.ToNztm(-41, 173);
+
+        // Assert
+        Assert.Equal(1600000, result.Easting, 1e-6);
+    }
+
+    [Theory]
+    [InlineData(-36.8485, 174.7633)] // Auckland
+    [InlineData(-45.8788, 170.5028)] // Dunedin
+    public void FromNztm_ConvertedPoint_ReturnsOriginalCoordinates(double lat, double lon)
+    {
+        // Arrange
+        var nztm = GeoUtils.ToNztm(lat, lon);
+
+        // Act
+        var result = GeoUtils.FromNztm(nztm.Easting, nztm.Northing);
+
+        // Assert
+        Assert.Equal(lat, result.Latitude, 1e-7);
+        Assert.Equal(lon, result.Longitude, 1e-7);
+    }
+
+    [Fact]
+    public void IsValidNztm_ConvertedNewZealandPoint_ReturnsTrue()
+    {
+        // Arrange
+        var nztm = GeoUtils.ToNztm(-43.5310, 172.6366);
+
+        // Act & Assert
+        Assert.True(GeoUtils.IsValidNztm(nztm.Easting, nztm.Northing));
+    }
+
+    [Fact]
+    public void IsValidNztm_LatitudeLongitudePair_ReturnsFalse()
+    {
+        // Act & Assert
+        Assert.False(GeoUtils.IsValidNztm(172.6366, -43.5310));
+    }
+}
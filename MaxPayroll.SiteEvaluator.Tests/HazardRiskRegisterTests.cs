@@ -0,0 +1,195 @@
+using MaxPayroll.SiteEvaluator.Models;
+
+namespace MaxPayroll.SiteEvaluator.Tests;
+
+public class HazardRiskRegisterTests
+{
+    [Theory]
+    [InlineData(25, "Extreme")]
+    [InlineData(15, "Extreme")]
+    [InlineData(14, "High")]
+    [InlineData(10, "High")]
+    [InlineData(9, "Medium")]
+    [InlineData(5, "Medium")]
+    [InlineData(4, "Low")]
+    [InlineData(1, "Low")]
+    public void GetRating_Score_ReturnsRating(int score, string expected)
+    {
+        // Act & Assert
+        Assert.Equal(expected, HazardRiskRegister.GetRating(score));
+    }
+
+    [Fact]
+    public void Build_NoHazardData_ReturnsEmptyRegister()
+    {
+        // Act & Assert
+        Assert.Empty(HazardRiskRegister.Build(null));
+        Assert.Empty(HazardRiskRegister.Build(new HazardData()));
+    }
+
+    [Fact]
+    public void Build_HighFloodZoneWithFloorLevel_ReturnsExtremeFloodRisk()
+    {
+        // Arrange
+        var hazards = new HazardData
+        {
+            Flooding = new FloodHazard { Zone = "High Flood Hazard", FloorLevelRequirement = 11.2 }
+        };
+
+        // Act
+        var result = HazardRiskRegister.Build(hazards);
+
+        // Assert
+        var flood = Assert.Single(result);
+        Assert.Equal("flood", flood.Key);
+        Assert.Equal(4, flood.Likelihood);
+        Assert.Equal(4, flood.Consequence);
+        Assert.Equal("Extreme", flood.Rating);
+        Assert.Equal("Flood zone: High Flood Hazard", flood.Description);
+        Assert.Contains(flood.Actions, a => a.StartsWith("Floor level requirement"));
+    }
+
+    [Theory]
+    [InlineData("None")]
+    [InlineData("nil")]
+    [InlineData("")]
+    public void Build_NoFloodZone_OmitsFlooding(string zone)
+    {
+        // Arrange
+        var hazards = new HazardData { Flooding = new FloodHazard { Zone = zone } };
+
+        // Act & Assert
+        Assert.Empty(HazardRiskRegister.Build(hazards));
+    }
+
+    [Theory]
+    [InlineData("TC1", 2, 2)]
+    [InlineData("TC2", 3, 3)]
+    [InlineData("tc 3", 4, 4)]
+    public void Build_LiquefactionCategory_PlacesRiskOnMatrix(string category, int likelihood, int consequence)
+    {
+        // Arrange
+        var hazards = new HazardData { Liquefaction = new LiquefactionHazard { Category = category } };
+
+        // Act
+        var result = Assert.Single(HazardRiskRegister.Build(hazards));
+
+        // Assert
+        Assert.Equal(likelihood, result.Likelihood);
+        Assert.Equal(consequence, result.Consequence);
+    }
+
+    [Fact]
+    public void Build_SiteNearActiveFault_ReturnsSevereSeismicRisk()
+    {
+        // Arrange
+        var hazards = new HazardData
+        {
+            Seismic = new SeismicHazard
+            {
+                Zone = "Zone 3",
+                ZoneFactor = 0.3,
+                SiteClass = "D",
+                NearbyFaults =
+                [
+                    new ActiveFault { Name = "Port Hills Fault", DistanceKm = 8 },
+                    new ActiveFault { Name = "Greendale Fault", DistanceKm = 1.2 }
+                ]
+            }
+        };
+
+        // Act
+        var result = Assert.Single(HazardRiskRegister.Build(hazards));
+
+        // Assert
+        Assert.Equal("seismic", result.Key);
+        Assert.Equal(3, result.Likelihood);
+        Assert.Equal(5, result.Consequence);
+        Assert.Contains("Greendale Fault", result.Description);
+        Assert.Contains(result.Actions, a => a.StartsWith("Check fault avoidance setbacks (Greendale Fault"));
+        Assert.DoesNotContain(result.Actions, a => a == "Confirm the site subsoil class");
+    }
+
+    [Fact]
+    public void Build_ContaminationNotOnHailOrLlur_OmitsContamination()
+    {
+        // Arrange
+        var hazards = new HazardData { Contamination = new ContaminationStatus() };
+
+        // Act & Assert
+        Assert.Empty(HazardRiskRegister.Build(hazards));
+    }
+
+    [Fact]
+    public void Build_SeveralHazards_OrdersHighestRiskFirst()
+    {
+        // Arrange
+        var hazards = new HazardData
+        {
+            Liquefaction = new LiquefactionHazard { Category = "TC1" },
+            Subsidence = true,
+            CoastalErosion = true
+        };
+
+        // Act
+        var result = HazardRiskRegister.Build(hazards);
+
+        // Assert
+        Assert.Equal(new[] { "coastal-erosion", "subsidence", "liquefaction" }, result.Select(r => r.Key));
+    }
+
+    [Fact]
+    public void Build_CouncilReportedHazard_AddsItOnce()
+    {
+        // Arrange
+        var hazards = new HazardData
+        {
+            AllHazards =
+            [
+                new HazardSummary { HazardType = "Tsunami Evacuation Zone", Severity = "High", Action = "Plan evacuation routes" },
+                new HazardSummary { HazardType = "Tsunami Evacuation Zone", Severity = "Low" }
+            ]
+        };
+
+        // Act
+        var result = Assert.Single(HazardRiskRegister.Build(hazards));
+
+        // Assert
+        Assert.Equal("other-tsunami-evacuation-zone", result.Key);
+        Assert.Equal(4, result.Likelihood);
+        Assert.Equal(4, result.Consequence);
+        Assert.Equal(new[] { "Plan evacuation routes" }, result.Actions);
+        Assert.Equal("coastal", result.MapLayer);
+    }
+
+    [Fact]
+    public void GetOutstanding_ReviewedHazard_ExcludesItIgnoringCase()
+    {
+        // Arrange
+        var hazards = new HazardData
+        {
+            Flooding = new FloodHazard { Zone = "Medium" },
+            Wildfire = true
+        };
+
+        // Act
+        var result = HazardRiskRegister.GetOutstanding(hazards, ["FLOOD"]);
+
+        // Assert
+        var outstanding = Assert.Single(result);
+        Assert.Equal("wildfire", outstanding.Key);
+    }
+
+    [Fact]
+    public void GetOutstanding_NothingReviewed_ReturnsWholeRegister()
+    {
+        // Arrange
+        var hazards = new HazardData { Subsidence = true, Wildfire = true };
+
+        // Act
+        var result = HazardRiskRegister.GetOutstanding(hazards, null);
+
+        // Assert
+        Assert.Equal(2, result.Count);
+    }
+}
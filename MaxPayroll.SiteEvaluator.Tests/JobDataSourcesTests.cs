@@ -0,0 +1,110 @@
+using MaxPayroll.SiteEvaluator.Models;
+
+namespace MaxPayroll.SiteEvaluator.Tests;
+
+public class JobDataSourcesTests
+{
+    [Fact]
+    public void Combine_NoSections_ReturnsNotAvailable()
+    {
+        // Act
+        var result = JobDataSources.Combine([]);
+
+        // Assert
+        Assert.Equal(DataSectionStatus.NotAvailable, result);
+    }
+
+    [Theory]
+    [InlineData(DataSectionStatus.Failed, new[] { DataSectionStatus.Complete, DataSectionStatus.Failed, DataSectionStatus.InProgress })]
+    [InlineData(DataSectionStatus.InProgress, new[] { DataSectionStatus.Complete, DataSectionStatus.InProgress, DataSectionStatus.Pending })]
+    [InlineData(DataSectionStatus.Complete, new[] { DataSectionStatus.Complete, DataSectionStatus.Complete })]
+    [InlineData(DataSectionStatus.Pending, new[] { DataSectionStatus.Pending, DataSectionStatus.Pending })]
+    [InlineData(DataSectionStatus.Partial, new[] { DataSectionStatus.Complete, DataSectionStatus.Pending })]
+    [InlineData(DataSectionStatus.Partial, new[] { DataSectionStatus.Complete, DataSectionStatus.NotAvailable })]
+    [InlineData(DataSectionStatus.Partial, new[] { DataSectionStatus.Partial, DataSectionStatus.Partial })]
+    [InlineData(DataSectionStatus.NotAvailable, new[] { DataSectionStatus.Pending, DataSectionStatus.NotAvailable })]
+    public void Combine_SectionStatuses_ReturnsSourceStatus(DataSectionStatus expected, DataSectionStatus[] statuses)
+    {
+        // Act
+        var result = JobDataSources.Combine(statuses);
+
+        // Assert
+        Assert.Equal(expected, result);
+    }
+
+    [Fact]
+    public void GetStatus_CouncilWithOneSectionFailed_ReturnsFailed()
+    {
+        // Arrange
+        var status = new JobDataStatus
+        {
+            Zoning = DataSectionStatus.Complete,
+            Hazards = DataSectionStatus.Failed,
+            Infrastructure = DataSectionStatus.Complete
+        };
+
+        // Act
+        var result = JobDataSources.GetStatus(status, JobDataSources.Find("council")!);
+
+        // Assert
+        Assert.Equal(DataSectionStatus.Failed, result);
+    }
+
+    [Fact]
+    public void GetStatus_GnsSeismicComplete_IgnoresCouncilHazards()
+    {
+        // Arrange
+        var status = new JobDataStatus
+        {
+            Hazards = DataSectionStatus.Failed,
+            Seismic = DataSectionStatus.Complete
+        };
+
+        // Act
+        var result = JobDataSources.GetStatus(status, JobDataSources.Find("gns")!);
+
+        // Assert
+        Assert.Equal(DataSectionStatus.Complete, result);
+    }
+
+    [Fact]
+    public void GetUpdated_SourceWithSeveralSections_ReturnsLatest()
+    {
+        // Arrange
+        var latest = new DateTime(2025, 3, 2, 9, 30, 0, DateTimeKind.Utc);
+        var status = new JobDataStatus
+        {
+            ZoningUpdated = latest.AddHours(-1),
+            HazardsUpdated = latest
+        };
+
+        // Act
+        var result = JobDataSources.GetUpdated(status, JobDataSources.Find("council")!);
+
+        // Assert
+        Assert.Equal(latest, result);
+    }
+
+    [Theory]
+    [InlineData("gns", "GNS Science")]
+    [InlineData("NIWA", "NIWA")]
+    public void Find_KnownKeyInAnyCase_ReturnsSource(string key, string name)
+    {
+        // Act
+        var result = JobDataSources.Find(key);
+
+        // Assert
+        Assert.NotNull(result);
+        Assert.Equal(name, result.Name);
+    }
+
+    [Theory]
+    [InlineData(null)]
+    [InlineData("")]
+    [InlineData("metservice")]
+    public void Find_UnknownKey_ReturnsNull(string? key)
+    {
+        // Act & Assert
+        Assert.Null(JobDataSources.Find(key));
+    }
+}
@@ -0,0 +1,76 @@
+using MaxPayroll.SiteEvaluator.Services;
+
+namespace MaxPayroll.SiteEvaluator.Tests;
+
+public class PropertyIdentifiersTests
+{
+    [Theory]
+    [InlineData("cb45a / 123", "CB45A/123")]
+    [InlineData(" NA789/123 ", "NA789/123")]
+    public void NormaliseTitleReference_MixedCaseAndSpaces_ReturnsUpperCaseWithoutSpaces(string input, string expected)
+    {
+        // Act
+        var result = PropertyIdentifiers.NormaliseTitleReference(input);
+
+        // Assert
+        Assert.Equal(expected, result);
+    }
+
+    [Theory]
+    [InlineData("CB45A/123")]
+    [InlineData("na789 / 123")]
+    [InlineData("123456")]
+    public void IsValidTitleReference_RegisterOrUniqueIdentifier_ReturnsTrue(string input)
+    {
+        // Act & Assert
+        Assert.True(PropertyIdentifiers.IsValidTitleReference(input));
+    }
+
+    [Theory]
+    [InlineData(null)]
+    [InlineData("")]
+    [InlineData("CB45A")]
+    [InlineData("1234")]
+    [InlineData("Lot 2 DP 12345")]
+    public void IsValidTitleReference_NotATitleReference_ReturnsFalse(string? input)
+    {
+        // Act & Assert
+        Assert.False(PropertyIdentifiers.IsValidTitleReference(input));
+    }
+
+    [Theory]
+    [InlineData("lot2 dp12345", "Lot 2 DP 12345")]
+    [InlineData("  pt   LOT 1  dp 2345 ", "Pt Lot 1 DP 2345")]
+    [InlineData("section 12 so4567", "Section 12 SO 4567")]
+    public void NormaliseLegalDescription_LooseFormatting_ReturnsCanonicalForm(string input, string expected)
+    {
+        // Act
+        var result = PropertyIdentifiers.NormaliseLegalDescription(input);
+
+        // Assert
+        Assert.Equal(expected, result);
+    }
+
+    [Theory]
+    [InlineData("Lot 2 DP 12345")]
+    [InlineData("pt lot 1 dp2345")]
+    [InlineData("Section 12 SO 4567")]
+    [InlineData("Pt Sec 509 Christchurch Town")]
+    public void IsValidLegalDescription_ParcelDescription_ReturnsTrue(string input)
+    {
+        // Act & Assert
+        Assert.True(PropertyIdentifiers.IsValidLegalDescription(input));
+    }
+
+    [Theory]
+    [InlineData(null)]
+    [InlineData("")]
+    [InlineData("Lot 2")]
+    [InlineData("CB45A/123")]
+    [InlineData("353 Barbadoes Street")]
+    public void IsValidLegalDescription_NotAParcelDescription_ReturnsFalse(string? input)
+    {
+        // Act & Assert
+        Assert.False(PropertyIdentifiers.IsValidLegalDescription(input));
+    }
+}
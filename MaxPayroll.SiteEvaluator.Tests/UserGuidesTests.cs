@@ -0,0 +1,54 @@
+using MaxPayroll.SiteEvaluator.Services;
+
+namespace MaxPayroll.SiteEvaluator.Tests;
+
+public class UserGuidesTests
+{
+    [Fact]
+    public void List_EmbeddedGuides_ReturnsGuidesWithoutReadme()
+    {
+        // Act
+        var result = UserGuides.List();
+
+        // Assert
+        Assert.Contains("Site-Evaluation-Wizard-Guide", result);
+        Assert.DoesNotContain("README", result);
+    }
+
+    [Fact]
+    public async Task ReadAsync_GuideName_ReturnsMarkdown()
+    {
+        // Act
+        var result = await UserGuides.ReadAsync("Site-Evaluation-Wizard-Guide");
+
+        // Assert
+        Assert.NotNull(result);
+        Assert.StartsWith("# Site Evaluation Wizard Guide", result);
+    }
+
+    [Theory]
+    [InlineData("")]
+    [InlineData("../README")]
+    [InlineData("..%2FREADME")]
+    [InlineData("user-guides/README")]
+    [InlineData("Site-Evaluation-Wizard-Guide.md")]
+    [InlineData("Site Evaluation Wizard Guide")]
+    public async Task ReadAsync_NotAPlainName_ReturnsNull(string name)
+    {
+        // Act
+        var result = await UserGuides.ReadAsync(name);
+
+        // Assert
+        Assert.Null(result);
+    }
+
+    [Fact]
+    public async Task ReadAsync_UnknownGuide_ReturnsNull()
+    {
+        // Act
+        var result = await UserGuides.ReadAsync("Missing-Guide");
+
+        // Assert
+        Assert.Null(result);
+    }
+}
@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScript } = require('./load-script');
+
+const SiteEvaluatorIdfChart = loadScript('site-evaluator-idf-chart.js', 'SiteEvaluatorIdfChart');
+
+const POINTS = [
+    { minutes: 10, depth: 10 },
+    { minutes: 60, depth: 30 },
+    { minutes: 1440, depth: 120 }
+];
+
+test('interpolate returns a tabulated depth as is', () => {
+    const result = SiteEvaluatorIdfChart.interpolate(POINTS, 60);
+
+    assert.equal(result.depth, 30);
+    assert.equal(result.interpolated, false);
+});
+
+test('interpolate between tabulated durations is linear on log-log axes', () => {
+    const result = SiteEvaluatorIdfChart.interpolate(POINTS, 30);
+
+    // log(depth) is linear in log(minutes): 10 * 3^(ln 3 / ln 6)
+    const expected = 10 * Math.pow(3, Math.log(3) / Math.log(6));
+    assert.equal(result.interpolated, true);
+    assert.ok(Math.abs(result.depth - expected) < 1e-9);
+    assert.ok(Math.abs(result.depth - 19.613) < 0.001);
+});
+
+test('interpolate at the geometric mean of two durations gives the geometric mean depth', () => {
+    const result = SiteEvaluatorIdfChart.interpolate(POINTS, Math.sqrt(60 * 1440));
+
+    assert.ok(Math.abs(result.depth - Math.sqrt(30 * 120)) < 1e-9);
+});
+
+test('interpolate outside the tabulated durations returns null', () => {
+    assert.equal(SiteEvaluatorIdfChart.interpolate(POINTS, 5), null);
+    assert.equal(SiteEvaluatorIdfChart.interpolate(POINTS, 2880), null);
+});
+
+test('interpolate rejects durations that are not positive', () => {
+    assert.equal(SiteEvaluatorIdfChart.interpolate(POINTS, 0), null);
+    assert.equal(SiteEvaluatorIdfChart.interpolate(POINTS, -10), null);
+    assert.equal(SiteEvaluatorIdfChart.interpolate(POINTS, NaN), null);
+});
+
+test('formatScenario names RCP and SSP pathways', () => {
+    assert.equal(SiteEvaluatorIdfChart.formatScenario('2090_RCP85'), '2090 RCP8.5');
+    assert.equal(SiteEvaluatorIdfChart.formatScenario('2090_SSP245'), '2090 SSP2-4.5');
+    assert.equal(SiteEvaluatorIdfChart.formatScenario('historical'), 'historical');
+});
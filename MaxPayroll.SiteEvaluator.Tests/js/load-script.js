@@ -0,0 +1,30 @@
+/**
+ * Script tests run on Node's built-in test runner, from the repository root:
+ * node --test MaxPayroll.SiteEvaluator.Tests/js/
+ */
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+const SCRIPTS = path.join(__dirname, '..', '..', 'wwwroot', 'js');
+
+/**
+ * Run one of the browser scripts in a sandbox and return the global it defines.
+ * Only what the scripts touch while loading is stubbed - tests call their pure functions.
+ */
+function loadScript(file, globalName) {
+    const context = vm.createContext({
+        console,
+        setTimeout,
+        clearTimeout,
+        document: {},
+        localStorage: { getItem: () => null, setItem: () => {} }
+    });
+    context.window = context;
+
+    const source = fs.readFileSync(path.join(SCRIPTS, file), 'utf8');
+    vm.runInContext(`${source}\nthis.${globalName} = ${globalName};`, context, { filename: file });
+    return context[globalName];
+}
+
+module.exports = { loadScript };
@@ -0,0 +1,84 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScript } = require('./load-script');
+
+const SiteEvaluatorMap = loadScript('site-evaluator-map.js', 'SiteEvaluatorMap');
+
+// Points given in metres east/north of a Christchurch origin
+const ORIGIN = { lat: -43.53, lng: 172.63 };
+const R = 6371000;
+const toRad = Math.PI / 180;
+
+function at(x, y) {
+    return {
+        lat: ORIGIN.lat + y / R / toRad,
+        lng: ORIGIN.lng + x / (R * Math.cos(ORIGIN.lat * toRad)) / toRad
+    };
+}
+
+// A 20 x 30 m parcel: front along the south edge, then east side, rear, west side
+const PARCEL = [at(0, 0), at(20, 0), at(20, 30), at(0, 30)];
+const EDGE_TYPES = ['front', 'side', 'rear', 'side'];
+const REQUIRED = { front: 4, side: 1, rear: 3 };
+
+function footprint(x1, y1, x2, y2) {
+    return [at(x1, y1), at(x2, y1), at(x2, y2), at(x1, y2)];
+}
+
+test('footprint inside the setbacks complies on every edge', () => {
+    const result = SiteEvaluatorMap.measureSetbacks(PARCEL, footprint(2, 5, 18, 25), REQUIRED, EDGE_TYPES);
+
+    assert.equal(result.outside, false);
+    assert.deepEqual(result.edges.map(e => e.compliant), [true, true, true, true]);
+    assert.ok(Math.abs(result.edges[0].distance - 5) < 0.01);
+    assert.ok(Math.abs(result.edges[1].distance - 2) < 0.01);
+    assert.ok(Math.abs(result.edges[2].distance - 5) < 0.01);
+});
+
+test('footprint too close to an edge breaches only that edge', () => {
+    const result = SiteEvaluatorMap.measureSetbacks(PARCEL, footprint(2, 2, 18, 25), REQUIRED, EDGE_TYPES);
+
+    assert.equal(result.edges[0].compliant, false);
+    assert.equal(result.edges[0].overrun, false);
+    assert.ok(Math.abs(result.edges[0].distance - 2) < 0.01);
+    assert.deepEqual(result.edges.slice(1).map(e => e.compliant), [true, true, true]);
+});
+
+test('footprint crossing the boundary overruns the crossed edge', () => {
+    // Corners inside the parcel, but the footprint pokes out through the east side
+    const result = SiteEvaluatorMap.measureSetbacks(PARCEL, footprint(5, 5, 25, 10), REQUIRED, EDGE_TYPES);
+    const east = result.edges[1];
+
+    assert.equal(result.outside, true);
+    assert.equal(east.overrun, true);
+    assert.equal(east.compliant, false);
+    assert.equal(east.distance, 0);
+});
+
+test('footprint edge crossing the boundary with every vertex inside is still an overrun', () => {
+    // An L-shaped parcel: the notch cuts into the footprint's top edge
+    const parcel = [at(0, 0), at(20, 0), at(20, 30), at(12, 30), at(12, 20), at(8, 20), at(8, 30), at(0, 30)];
+    const types = ['front', 'side', 'rear', 'side', 'rear', 'side', 'rear', 'side'];
+    const result = SiteEvaluatorMap.measureSetbacks(parcel, [at(5, 25), at(15, 25), at(15, 28), at(5, 28)], REQUIRED, types);
+
+    assert.equal(result.outside, false);
+    assert.ok(result.edges.some(e => e.overrun));
+    assert.ok(result.edges.filter(e => e.overrun).every(e => e.compliant === false && e.distance === 0));
+});
+
+test('point outside the parcel overruns its nearest edge', () => {
+    const result = SiteEvaluatorMap.measureSetbacks(PARCEL, [at(10, -3)], REQUIRED, EDGE_TYPES);
+
+    assert.equal(result.outside, true);
+    assert.equal(result.edges[0].overrun, true);
+    assert.equal(result.edges[0].compliant, false);
+    assert.equal(result.edges[2].overrun, false);
+});
+
+test('edge without a required setback has no compliance result', () => {
+    const result = SiteEvaluatorMap.measureSetbacks(PARCEL, footprint(2, 5, 18, 25), { front: 4 }, EDGE_TYPES);
+
+    assert.equal(result.edges[0].compliant, true);
+    assert.equal(result.edges[1].required, null);
+    assert.equal(result.edges[1].compliant, null);
+});
@@ -0,0 +1,39 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScript } = require('./load-script');
+
+const SiteEvaluatorMap = loadScript('site-evaluator-map.js', 'SiteEvaluatorMap');
+
+function assertNear(actual, expected, tolerance) {
+    assert.ok(Math.abs(actual - expected) <= tolerance, `expected ${expected} ± ${tolerance}, got ${actual}`);
+}
+
+test('toNztm converts Wellington to its NZTM2000 coordinates', () => {
+    const p = SiteEvaluatorMap.toNztm(-41.2865, 174.7762);
+
+    assertNear(p.easting, 1748735.55, 1);
+    assertNear(p.northing, 5427916.48, 1);
+});
+
+test('toNztm converts Christchurch to its NZTM2000 coordinates', () => {
+    const p = SiteEvaluatorMap.toNztm(-43.5310, 172.6366);
+
+    assertNear(p.easting, 1570636.20, 1);
+    assertNear(p.northing, 5180151.67, 1);
+});
+
+test('toNztm puts the central meridian on the false easting', () => {
+    const p = SiteEvaluatorMap.toNztm(-41, 173);
+
+    assertNear(p.easting, 1600000, 1e-6);
+});
+
+test('fromNztm reverses toNztm', () => {
+    for (const [lat, lng] of [[-36.8485, 174.7633], [-45.8788, 170.5028], [-41.2865, 174.7762]]) {
+        const p = SiteEvaluatorMap.toNztm(lat, lng);
+        const back = SiteEvaluatorMap.fromNztm(p.easting, p.northing);
+
+        assertNear(back.lat, lat, 1e-7);
+        assertNear(back.lng, lng, 1e-7);
+    }
+});
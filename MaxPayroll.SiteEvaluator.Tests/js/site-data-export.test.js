@@ -0,0 +1,98 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScript } = require('./load-script');
+
+const SiteEvaluatorMap = loadScript('site-evaluator-map.js', 'SiteEvaluatorMap');
+
+// Features in the shape getSiteFeatures builds them
+const RING = [[172.6360, -43.5310], [172.6364, -43.5310], [172.6364, -43.5313], [172.6360, -43.5313]];
+const PROPERTY = SiteEvaluatorMap.toNztm(-43.53115, 172.6362);
+const FEATURES = [
+    {
+        type: 'Feature',
+        geometry: { type: 'Polygon', coordinates: [[...RING, RING[0]]] },
+        properties: { type: 'parcel', name: '353 Barbadoes St' }
+    },
+    {
+        type: 'Feature',
+        geometry: { type: 'Point', coordinates: [172.6362, -43.53115] },
+        properties: { type: 'property', name: '353 Barbadoes St', easting: PROPERTY.easting, northing: PROPERTY.northing }
+    },
+    {
+        type: 'Feature',
+        geometry: { type: 'Point', coordinates: [172.6370, -43.5320] },
+        properties: {
+            type: 'borehole', name: 'Borehole BH_123', id: '123', nzgdId: 'BH_123',
+            depth: 12.5, distance: 123.4, easting: 1570700.123, northing: 5180050.5
+        }
+    }
+];
+
+test('writeSiteData returns null for an unknown format', () => {
+    assert.equal(SiteEvaluatorMap.writeSiteData('shp', FEATURES, 'Site'), null);
+});
+
+test('GeoJSON is a named FeatureCollection of the features', () => {
+    const collection = JSON.parse(SiteEvaluatorMap.writeSiteData('geojson', FEATURES, '353 Barbadoes St'));
+
+    assert.equal(collection.type, 'FeatureCollection');
+    assert.equal(collection.name, '353 Barbadoes St');
+    assert.equal(collection.features.length, 3);
+    assert.deepEqual(collection.features[2].geometry.coordinates, [172.6370, -43.5320]);
+});
+
+test('GeoJSON without a site name is called Site data', () => {
+    assert.equal(JSON.parse(SiteEvaluatorMap.writeSiteData('geojson', FEATURES)).name, 'Site data');
+});
+
+test('KML has a styled placemark per feature with attributes in ExtendedData', () => {
+    const kml = SiteEvaluatorMap.writeSiteData('kml', FEATURES, 'Site');
+
+    assert.ok(kml.startsWith('<?xml version="1.0" encoding="UTF-8"?>'));
+    assert.equal(kml.match(/<Placemark>/g).length, 3);
+    assert.ok(kml.includes('<Style id="parcel">'));
+    assert.ok(kml.includes('<Style id="borehole">'));
+    assert.ok(kml.includes('<styleUrl>#borehole</styleUrl>'));
+    assert.ok(kml.includes('<Data name="nzgdId"><value>BH_123</value></Data>'));
+    assert.ok(kml.includes('<Data name="depth"><value>12.5</value></Data>'));
+    assert.ok(kml.includes('<Point><coordinates>172.637,-43.532,0</coordinates></Point>'));
+    assert.ok(kml.includes(`<LinearRing><coordinates>${[...RING, RING[0]].map(c => `${c[0]},${c[1]},0`).join(' ')}</coordinates></LinearRing>`));
+});
+
+test('KML escapes names and omits empty attributes', () => {
+    const feature = {
+        type: 'Feature',
+        geometry: { type: 'Point', coordinates: [172.6362, -43.53115] },
+        properties: { type: 'property', name: 'Lot 2 & "3" <rear>', id: null }
+    };
+    const kml = SiteEvaluatorMap.writeSiteData('kml', [feature], "O'Brien's site");
+
+    assert.ok(kml.includes('<name>O&apos;Brien&apos;s site</name>'));
+    assert.ok(kml.includes('<name>Lot 2 &amp; &quot;3&quot; &lt;rear&gt;</name>'));
+    assert.ok(!kml.includes('<ExtendedData>'));
+});
+
+test('CSV has a header, a row per parcel vertex without the closing one, and a row per point', () => {
+    const csv = SiteEvaluatorMap.writeSiteData('csv', FEATURES, 'Site');
+    const lines = csv.split('\r\n');
+
+    assert.ok(csv.endsWith('\r\n'));
+    assert.equal(lines[0], 'Type,Name,ID,NZGD ID,Easting (NZTM),Northing (NZTM),Latitude,Longitude,Depth (m),Distance (m)');
+    assert.equal(lines.length, 1 + RING.length + 2 + 1);
+    assert.deepEqual(lines.slice(1, 5).map(line => line.split(',')[2]), ['1', '2', '3', '4']);
+
+    const vertex = SiteEvaluatorMap.toNztm(RING[0][1], RING[0][0]);
+    assert.equal(lines[1], `parcel vertex,353 Barbadoes St,1,,${vertex.easting.toFixed(2)},${vertex.northing.toFixed(2)},-43.5310000,172.6360000,,`);
+    assert.equal(lines[6], 'borehole,Borehole BH_123,123,BH_123,1570700.12,5180050.50,-43.5320000,172.6370000,12.5,123.4');
+});
+
+test('CSV quotes values containing commas, quotes or line breaks', () => {
+    const feature = {
+        type: 'Feature',
+        geometry: { type: 'Point', coordinates: [172.6362, -43.53115] },
+        properties: { type: 'property', name: 'Unit 1, "The Mews"', easting: 1570650, northing: 5180100 }
+    };
+    const lines = SiteEvaluatorMap.writeSiteData('csv', [feature]).split('\r\n');
+
+    assert.ok(lines[1].startsWith('property,"Unit 1, ""The Mews""",,,1570650.00,5180100.00,'));
+});
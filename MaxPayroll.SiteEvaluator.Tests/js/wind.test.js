@@ -0,0 +1,40 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScript } = require('./load-script');
+
+const SiteEvaluatorWizard = loadScript('site-evaluator-wizard.js', 'SiteEvaluatorWizard');
+
+function assertNear(actual, expected) {
+    assert.ok(Math.abs(actual - expected) < 1e-9, `expected ${expected}, got ${actual}`);
+}
+
+test('getTerrainHeightMultiplier returns the tabulated M_z,cat at a tabulated height', () => {
+    assert.equal(SiteEvaluatorWizard.getTerrainHeightMultiplier('TC2', 10), 1.00);
+    assert.equal(SiteEvaluatorWizard.getTerrainHeightMultiplier('TC3', 20), 0.94);
+});
+
+test('getTerrainHeightMultiplier interpolates linearly between tabulated heights', () => {
+    assertNear(SiteEvaluatorWizard.getTerrainHeightMultiplier('TC2', 7.5), 0.955);
+    assertNear(SiteEvaluatorWizard.getTerrainHeightMultiplier('TC1', 12.5), 1.14);
+});
+
+test('getTerrainHeightMultiplier clamps heights outside the table', () => {
+    assert.equal(SiteEvaluatorWizard.getTerrainHeightMultiplier('TC2', 1), 0.91);
+    assert.equal(SiteEvaluatorWizard.getTerrainHeightMultiplier('TC2', 80), 1.18);
+});
+
+test('getTerrainHeightMultiplier falls back to TC2.5 for an unknown terrain category', () => {
+    assert.equal(SiteEvaluatorWizard.getTerrainHeightMultiplier('TC9', 10), 0.92);
+});
+
+test('getWindZoneForSpeed returns the lowest NZS 3604 zone covering the speed', () => {
+    assert.equal(SiteEvaluatorWizard.getWindZoneForSpeed(30), 'Low');
+    assert.equal(SiteEvaluatorWizard.getWindZoneForSpeed(32), 'Low');
+    assert.equal(SiteEvaluatorWizard.getWindZoneForSpeed(36.9), 'Medium');
+    assert.equal(SiteEvaluatorWizard.getWindZoneForSpeed(44.02), 'High');
+    assert.equal(SiteEvaluatorWizard.getWindZoneForSpeed(55), 'Extra High');
+});
+
+test('getWindZoneForSpeed needs specific design above Extra High', () => {
+    assert.equal(SiteEvaluatorWizard.getWindZoneForSpeed(55.1), 'SED');
+});
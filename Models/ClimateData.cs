@@ -32,7 +32,10 @@ public class WindData
     /// <summary>NZS 3604 Wind Zone (Low, Medium, High, Very High, Extra High)</summary>
     public string WindZone { get; set; } = "Medium";
     
-    /// <summary>V_R - Regional wind speed for the wind zone (m/s)</summary>
+    /// <summary>AS/NZS 1170.2 wind region (A6, A7 or W)</summary>
+    public string? WindRegion { get; set; }
+    
+    /// <summary>V_R - AS/NZS 1170.2 regional wind speed for the wind region (m/s)</summary>
     public double BasicWindSpeed { get; set; }
     
     /// <summary>V_u - Ultimate limit state design wind speed (m/s)</summary>
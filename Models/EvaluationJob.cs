@@ -142,6 +142,11 @@ public class EvaluationJob
     /// </summary>
     public List<string> Warnings { get; set; } = [];
     
+    /// <summary>
+    /// Keys of the hazards marked as reviewed in the wizard (see HazardRiskRegister)
+    /// </summary>
+    public List<string> ReviewedHazards { get; set; } = [];
+    
     // === Reports Generated ===
     
     /// <summary>
@@ -191,6 +196,11 @@ public class JobDataStatus
     public DataSectionStatus Location { get; set; } = DataSectionStatus.Pending;
     public DataSectionStatus Zoning { get; set; } = DataSectionStatus.Pending;
     public DataSectionStatus Hazards { get; set; } = DataSectionStatus.Pending;
+
+    /// <summary>
+    /// GNS seismic hazard and active faults, retrieved separately from the council hazards
+    /// </summary>
+    public DataSectionStatus Seismic { get; set; } = DataSectionStatus.Pending;
     public DataSectionStatus Geotech { get; set; } = DataSectionStatus.Pending;
     public DataSectionStatus Infrastructure { get; set; } = DataSectionStatus.Pending;
     public DataSectionStatus Climate { get; set; } = DataSectionStatus.Pending;
@@ -199,10 +209,58 @@ public class JobDataStatus
     public DateTime? LocationUpdated { get; set; }
     public DateTime? ZoningUpdated { get; set; }
     public DateTime? HazardsUpdated { get; set; }
+    public DateTime? SeismicUpdated { get; set; }
     public DateTime? GeotechUpdated { get; set; }
     public DateTime? InfrastructureUpdated { get; set; }
     public DateTime? ClimateUpdated { get; set; }
     public DateTime? LandUpdated { get; set; }
+
+    /// <summary>
+    /// Status of a section by name (e.g. "Zoning").
+    /// </summary>
+    public DataSectionStatus Get(string section) => section.ToLowerInvariant() switch
+    {
+        "location" => Location,
+        "zoning" => Zoning,
+        "hazards" => Hazards,
+        "seismic" => Seismic,
+        "geotech" => Geotech,
+        "infrastructure" => Infrastructure,
+        "climate" => Climate,
+        "land" => Land,
+        _ => DataSectionStatus.NotAvailable
+    };
+
+    public DateTime? GetUpdated(string section) => section.ToLowerInvariant() switch
+    {
+        "location" => LocationUpdated,
+        "zoning" => ZoningUpdated,
+        "hazards" => HazardsUpdated,
+        "seismic" => SeismicUpdated,
+        "geotech" => GeotechUpdated,
+        "infrastructure" => InfrastructureUpdated,
+        "climate" => ClimateUpdated,
+        "land" => LandUpdated,
+        _ => null
+    };
+
+    /// <summary>
+    /// Record the outcome of retrieving a section.
+    /// </summary>
+    public void Set(string section, DataSectionStatus status, DateTime updated)
+    {
+        switch (section.ToLowerInvariant())
+        {
+            case "location": Location = status; LocationUpdated = updated; break;
+            case "zoning": Zoning = status; ZoningUpdated = updated; break;
+            case "hazards": Hazards = status; HazardsUpdated = updated; break;
+            case "seismic": Seismic = status; SeismicUpdated = updated; break;
+            case "geotech": Geotech = status; GeotechUpdated = updated; break;
+            case "infrastructure": Infrastructure = status; InfrastructureUpdated = updated; break;
+            case "climate": Climate = status; ClimateUpdated = updated; break;
+            case "land": Land = status; LandUpdated = updated; break;
+        }
+    }
 }
 
 public enum DataSectionStatus
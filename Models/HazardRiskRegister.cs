@@ -0,0 +1,246 @@
+namespace MaxPayroll.SiteEvaluator.Models;
+
+/// <summary>
+/// A hazard placed on the likelihood/consequence matrix, with the actions it requires.
+/// </summary>
+public record HazardRisk(
+    string Key,
+    string Name,
+    string Icon,
+    int Likelihood,
+    int Consequence,
+    string Description,
+    IReadOnlyList<string> Actions,
+    string? MapLayer)
+{
+    public int Score => Likelihood * Consequence;
+
+    public string Rating => HazardRiskRegister.GetRating(Score);
+}
+
+/// <summary>
+/// Builds the hazard risk register from a site's hazard data.
+/// Likelihood and consequence are on 1-5 scales; their product gives the rating.
+/// </summary>
+public static class HazardRiskRegister
+{
+    public static readonly IReadOnlyList<string> LikelihoodLabels = ["Rare", "Unlikely", "Possible", "Likely", "Almost Certain"];
+    public static readonly IReadOnlyList<string> ConsequenceLabels = ["Insignificant", "Minor", "Moderate", "Major", "Severe"];
+    public static readonly IReadOnlyList<string> Ratings = ["Extreme", "High", "Medium", "Low"];
+
+    public static string GetRating(int score) => score switch
+    {
+        >= 15 => "Extreme",
+        >= 10 => "High",
+        >= 5 => "Medium",
+        _ => "Low"
+    };
+
+    /// <summary>
+    /// Every hazard identified for the site, highest risk first.
+    /// </summary>
+    public static List<HazardRisk> Build(HazardData? hazards)
+    {
+        var risks = new List<HazardRisk>();
+        if (hazards == null) return risks;
+
+        AddFlooding(risks, hazards.Flooding);
+        AddLiquefaction(risks, hazards.Liquefaction);
+        AddSeismic(risks, hazards.Seismic);
+        AddContamination(risks, hazards.Contamination);
+
+        if (hazards.CoastalErosion)
+        {
+            risks.Add(new HazardRisk("coastal-erosion", "Coastal Erosion", "fa-water", 3, 4,
+                "Site is within a mapped coastal erosion hazard area",
+                ["Coastal hazard assessment required", "Check setbacks from the coastal hazard line"], "coastal"));
+        }
+        if (hazards.CoastalInundation)
+        {
+            risks.Add(new HazardRisk("coastal-inundation", "Coastal Inundation", "fa-water", 3, 4,
+                "Site is within a mapped coastal inundation area",
+                ["Set floor levels above the inundation level including sea level rise"], "coastal"));
+        }
+        if (hazards.SlopeInstability)
+        {
+            risks.Add(new HazardRisk("slope-instability", "Slope Instability", "fa-mountain", 3, 4,
+                "Site is within a mapped slope instability area",
+                ["Requires geotech assessment of slope stability"], "slope"));
+        }
+        if (hazards.Subsidence)
+        {
+            risks.Add(new HazardRisk("subsidence", "Subsidence", "fa-arrow-down", 2, 3,
+                "Site is within a mapped subsidence area",
+                ["Requires geotech assessment", "Consider specific foundation design"], null));
+        }
+        if (hazards.Wildfire)
+        {
+            risks.Add(new HazardRisk("wildfire", "Wildfire", "fa-fire", 2, 4,
+                "Site is within a wildfire risk area",
+                ["Maintain a defensible space around buildings", "Use fire-resistant cladding and roofing"], null));
+        }
+
+        // Council-reported hazards not covered above (e.g. tsunami zones)
+        foreach (var summary in hazards.AllHazards ?? [])
+        {
+            var key = "other-" + ToKey(summary.HazardType);
+            if (risks.Any(r => r.Key == key)) continue;
+
+            var level = GetSeverityLevel(summary.Severity);
+            risks.Add(new HazardRisk(key, summary.HazardType, "fa-exclamation-circle", level + 1, level + 1,
+                summary.Description,
+                string.IsNullOrEmpty(summary.Action) ? [] : [summary.Action],
+                summary.HazardType.Contains("tsunami", StringComparison.OrdinalIgnoreCase) ? "coastal" : null));
+        }
+
+        return risks
+            .OrderByDescending(r => r.Score)
+            .ThenByDescending(r => r.Consequence)
+            .ToList();
+    }
+
+    /// <summary>
+    /// Hazards that have not been marked as reviewed.
+    /// </summary>
+    public static List<HazardRisk> GetOutstanding(HazardData? hazards, IEnumerable<string>? reviewed)
+    {
+        var reviewedKeys = new HashSet<string>(reviewed ?? [], StringComparer.OrdinalIgnoreCase);
+        return Build(hazards).Where(r => !reviewedKeys.Contains(r.Key)).ToList();
+    }
+
+    private static void AddFlooding(List<HazardRisk> risks, FloodHazard? flood)
+    {
+        if (flood == null || string.IsNullOrEmpty(flood.Zone) || IsNone(flood.Zone)) return;
+
+        var level = GetSeverityLevel(flood.Zone);
+        var actions = new List<string>();
+        if (flood.FloorLevelRequirement != null)
+        {
+            actions.Add($"Floor level requirement: {flood.FloorLevelRequirement:0.00} m");
+        }
+        if (flood.RequiresFloodAssessment)
+        {
+            actions.Add("Flood assessment required");
+        }
+        if (!string.IsNullOrEmpty(flood.FloodLevel))
+        {
+            actions.Add($"Design for the {flood.FloodLevel} flood event");
+        }
+
+        risks.Add(new HazardRisk("flood", "Flooding", "fa-water", level + 1,
+            flood.RequiresFloodAssessment || flood.FloorLevelRequirement != null ? 4 : 3,
+            string.IsNullOrEmpty(flood.Description) ? $"Flood zone: {flood.Zone}" : flood.Description,
+            actions, "flood"));
+    }
+
+    private static void AddLiquefaction(List<HazardRisk> risks, LiquefactionHazard? liquefaction)
+    {
+        if (liquefaction == null || string.IsNullOrEmpty(liquefaction.Category) || IsNone(liquefaction.Category)) return;
+
+        var (likelihood, consequence) = liquefaction.Category.ToUpperInvariant().Replace(" ", "") switch
+        {
+            "TC1" => (2, 2),
+            "TC2" => (3, 3),
+            "TC3" => (4, 4),
+            _ => (GetSeverityLevel(liquefaction.Category) + 1, 3)
+        };
+
+        var actions = new List<string>();
+        if (liquefaction.RequiresGeotechAssessment)
+        {
+            actions.Add("Requires geotech assessment");
+        }
+        if (!string.IsNullOrEmpty(liquefaction.FoundationGuidance))
+        {
+            actions.Add(liquefaction.FoundationGuidance);
+        }
+
+        risks.Add(new HazardRisk("liquefaction", "Liquefaction", "fa-layer-group", likelihood, consequence,
+            string.IsNullOrEmpty(liquefaction.Description) ? $"Technical category {liquefaction.Category}" : liquefaction.Description,
+            actions, "liquefaction"));
+    }
+
+    private static void AddSeismic(List<HazardRisk> risks, SeismicHazard? seismic)
+    {
+        if (seismic == null) return;
+
+        var likelihood = seismic.ZoneFactor switch
+        {
+            null => 3,
+            < 0.2 => 2,
+            < 0.35 => 3,
+            _ => 4
+        };
+        var nearestFault = seismic.NearbyFaults?.OrderBy(f => f.DistanceKm).FirstOrDefault();
+        var onFault = nearestFault != null && nearestFault.DistanceKm < 2;
+        var consequence = onFault ? 5 : seismic.NearFaultFactor > 1.0 ? 4 : 3;
+
+        var actions = new List<string>
+        {
+            $"Structural design to {seismic.DesignStandard ?? "NZS 1170.5"}" +
+                (seismic.ZoneFactor != null ? $" (Z = {seismic.ZoneFactor:0.00})" : "")
+        };
+        if (seismic.NearFaultFactor > 1.0)
+        {
+            actions.Add($"Near-fault factor N = {seismic.NearFaultFactor:0.00} applies");
+        }
+        if (string.IsNullOrEmpty(seismic.SiteClass))
+        {
+            actions.Add("Confirm the site subsoil class");
+        }
+        if (onFault)
+        {
+            actions.Add($"Check fault avoidance setbacks ({nearestFault!.Name} {nearestFault.DistanceKm:0.0} km)");
+        }
+
+        risks.Add(new HazardRisk("seismic", "Earthquake", "fa-bolt", likelihood, consequence,
+            nearestFault != null
+                ? $"{seismic.Zone}. Nearest active fault: {nearestFault.Name} ({nearestFault.DistanceKm:0.0} km)"
+                : seismic.Zone,
+            actions, "faults"));
+    }
+
+    private static void AddContamination(List<HazardRisk> risks, ContaminationStatus? contamination)
+    {
+        if (contamination == null || !(contamination.OnHail || contamination.OnLlur)) return;
+
+        var actions = new List<string>
+        {
+            "Preliminary site investigation (NES-CS) before subdivision, change of use or soil disturbance"
+        };
+        if (contamination.OnLlur)
+        {
+            actions.Add("Obtain the LLUR statement from the regional council");
+        }
+
+        risks.Add(new HazardRisk("contamination", "Contamination", "fa-biohazard",
+            contamination.OnLlur ? 4 : 3, 4,
+            !string.IsNullOrEmpty(contamination.Description) ? contamination.Description
+                : contamination.OnLlur ? "Site is on the Listed Land Use Register"
+                : "Site has had a HAIL activity",
+            actions, null));
+    }
+
+    /// <summary>
+    /// Low/Medium/High as 1-3 (unknown ratings count as Medium).
+    /// </summary>
+    private static int GetSeverityLevel(string? severity)
+    {
+        var value = severity?.ToLowerInvariant() ?? "";
+
+        if (value.Contains("very high") || value.Contains("extreme") || value.Contains("severe") || value.Contains("high")) return 3;
+        if (value.Contains("low") && !value.Contains("moderate") && !value.Contains("medium")) return 1;
+        return 2;
+    }
+
+    private static bool IsNone(string value)
+    {
+        return value.Equals("None", StringComparison.OrdinalIgnoreCase) || value.Equals("Nil", StringComparison.OrdinalIgnoreCase);
+    }
+
+    private static string ToKey(string value)
+    {
+        var chars = value.ToLowerInvariant().Select(c => char.IsLetterOrDigit(c) ? c : '-').ToArray();
+        return string.Join("-", new string(chars).Split('-', StringSplitOptions.RemoveEmptyEntries));
+    }
+}
@@ -0,0 +1,82 @@
+namespace MaxPayroll.SiteEvaluator.Models;
+
+/// <summary>
+/// An external data source and the job data sections it supplies.
+/// </summary>
+public record JobDataSource(string Key, string Name, string Description, IReadOnlyList<string> Sections);
+
+/// <summary>
+/// The external data sources behind a job, in the order the wizard retrieves them.
+/// </summary>
+public static class JobDataSources
+{
+    public static readonly IReadOnlyList<JobDataSource> All =
+    [
+        new("linz", "LINZ", "Title and land records", ["Land"]),
+        new("council", "Council GIS", "Zoning, hazards and infrastructure", ["Zoning", "Hazards", "Infrastructure"]),
+        new("gns", "GNS Science", "Seismic hazard and active faults", ["Seismic"]),
+        new("niwa", "NIWA", "Wind zone and rainfall", ["Climate"]),
+        new("nzgd", "NZGD", "Boreholes, CPTs and geotechnical reports", ["Geotech"])
+    ];
+
+    public static JobDataSource? Find(string? key)
+    {
+        return All.FirstOrDefault(s => s.Key.Equals(key, StringComparison.OrdinalIgnoreCase));
+    }
+
+    /// <summary>
+    /// Overall status of a source from its sections' statuses.
+    /// </summary>
+    public static DataSectionStatus GetStatus(JobDataStatus status, JobDataSource source)
+    {
+        return Combine(source.Sections.Select(status.Get));
+    }
+
+    /// <summary>
+    /// When a source's data was last retrieved (the latest of its sections).
+    /// </summary>
+    public static DateTime? GetUpdated(JobDataStatus status, JobDataSource source)
+    {
+        return source.Sections.Select(status.GetUpdated).Max();
+    }
+
+    /// <summary>
+    /// Any failure fails the source; otherwise it's complete only if every section is.
+    /// </summary>
+    public static DataSectionStatus Combine(IEnumerable<DataSectionStatus> statuses)
+    {
+        var list = statuses.ToList();
+
+        if (list.Count == 0) return DataSectionStatus.NotAvailable;
+        if (list.Contains(DataSectionStatus.Failed)) return DataSectionStatus.Failed;
+        if (list.Contains(DataSectionStatus.InProgress)) return DataSectionStatus.InProgress;
+        if (list.All(s => s == DataSectionStatus.Complete)) return DataSectionStatus.Complete;
+        if (list.All(s => s == DataSectionStatus.Pending)) return DataSectionStatus.Pending;
+        if (list.Any(s => s is DataSectionStatus.Complete or DataSectionStatus.Partial)) return DataSectionStatus.Partial;
+
+        return DataSectionStatus.NotAvailable;
+    }
+}
+
+/// <summary>
+/// Outcome of retrieving one data source for a job.
+/// </summary>
+public class DataSourceRefreshResult
+{
+    public string Source { get; set; } = string.Empty;
+    public string Name { get; set; } = string.Empty;
+    public DataSectionStatus Status { get; set; }
+    public DateTime? Updated { get; set; }
+
+    /// <summary>
+    /// How long the source took to respond, in milliseconds
+    /// </summary>
+    public long DurationMs { get; set; }
+
+    /// <summary>
+    /// Status of each section the source supplies
+    /// </summary>
+    public Dictionary<string, DataSectionStatus> Sections { get; set; } = [];
+
+    public int CompletenessPercent { get; set; }
+}
@@ -44,6 +44,11 @@ public class SiteEvaluatorWizardState
     /// </summary>
     public SiteEvaluation? Evaluation { get; set; }
 
+    /// <summary>
+    /// Step 4: Keys of the hazards the user has marked as reviewed (see HazardRiskRegister).
+    /// </summary>
+    public List<string> ReviewedHazards { get; set; } = [];
+
     /// <summary>
     /// Whether the wizard has been completed.
     /// </summary>
@@ -91,6 +96,11 @@ public class AddressInput
     /// </summary>
     public string? TitleReference { get; set; }
 
+    /// <summary>
+    /// Legal description (optional, for parcel-based search, e.g. "Lot 2 DP 12345").
+    /// </summary>
+    public string? LegalDescription { get; set; }
+
     /// <summary>
     /// Coordinates (optional, for coordinate-based search).
     /// </summary>
@@ -233,7 +243,8 @@ public enum SearchType
     Address,
     Title,
     Coordinates,
-    ExistingEvaluation
+    ExistingEvaluation,
+    LegalDescription
 }
 
 /// <summary>
@@ -298,6 +309,12 @@ public class ExistingJobMatch
     public DateTime? LastUpdated { get; set; }
     public int CompletenessPercent { get; set; }
     public int ReportCount { get; set; }
+
+    /// <summary>
+    /// Location of the job's property, for the step 2 map.
+    /// </summary>
+    public double? Latitude { get; set; }
+    public double? Longitude { get; set; }
 }
 
 /// <summary>
@@ -0,0 +1,100 @@
+using MaxPayroll.SiteEvaluator.Services;
+using Microsoft.AspNetCore.Mvc;
+using Microsoft.AspNetCore.Mvc.RazorPages;
+
+namespace MaxPayroll.SiteEvaluator.Pages.SiteEvaluator;
+
+/// <summary>
+/// Side-by-side comparison of two to four shortlisted sites.
+/// The evaluations themselves are loaded in the browser from the evaluations and job evaluation APIs.
+/// </summary>
+public class CompareModel : PageModel
+{
+    public const int MinSites = 2;
+    public const int MaxSites = 4;
+
+    private readonly IJobService _jobService;
+    private readonly ILogger<CompareModel> _logger;
+
+    public CompareModel(IJobService jobService, ILogger<CompareModel> logger)
+    {
+        _jobService = jobService;
+        _logger = logger;
+    }
+
+    // === View Data ===
+
+    public List<CompareSite> Sites { get; set; } = [];
+
+    // === Query Properties ===
+
+    /// <summary>
+    /// Job or evaluation IDs, in column order.
+    /// </summary>
+    [BindProperty(SupportsGet = true)]
+    public List<string> Ids { get; set; } = [];
+
+    // === Messages ===
+    public string? ErrorMessage { get; set; }
+
+    public async Task<IActionResult> OnGetAsync()
+    {
+        ViewData["Title"] = "Compare Sites";
+        ViewData["NoIndex"] = true;
+
+        var ids = Ids.Where(id => !string.IsNullOrWhiteSpace(id)).Distinct().ToList();
+        if (ids.Count < MinSites || ids.Count > MaxSites)
+        {
+            ErrorMessage = $"Select {MinSites} to {MaxSites} sites to compare.";
+            return Page();
+        }
+
+        foreach (var id in ids)
+        {
+            var site = new CompareSite
+            {
+                Id = id,
+                Url = Url.Page("/SiteEvaluator/EvaluationWizard", new { id }) ?? ""
+            };
+
+            try
+            {
+                var job = await _jobService.GetJobAsync(id);
+                if (job != null)
+                {
+                    site.IsJob = true;
+                    site.Reference = job.JobReference;
+                    site.Url = Url.Page("/SiteEvaluator/JobDetails", new { jobId = job.Id }) ?? "";
+                }
+            }
+            catch (Exception ex)
+            {
+                // The column still loads - it is just labelled by address
+                _logger.LogWarning(ex, "Failed to load job {JobId} for comparison", id);
+            }
+
+            Sites.Add(site);
+        }
+
+        return Page();
+    }
+}
+
+/// <summary>
+/// A column in the site comparison.
+/// </summary>
+public class CompareSite
+{
+    public string Id { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Whether the ID is a job's, whose evaluation is loaded from the job evaluation API.
+    /// </summary>
+    public bool IsJob { get; set; }
+
+    /// <summary>
+    /// Job reference; null for a quick search.
+    /// </summary>
+    public string? Reference { get; set; }
+    public string Url { get; set; } = string.Empty;
+}
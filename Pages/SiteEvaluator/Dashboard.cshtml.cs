@@ -1,7 +1,9 @@
 using MaxPayroll.SiteEvaluator.Models;
+using MaxPayroll.SiteEvaluator.Models.Wizard;
 using MaxPayroll.SiteEvaluator.Services;
 using Microsoft.AspNetCore.Mvc;
 using Microsoft.AspNetCore.Mvc.RazorPages;
+using System.Globalization;
 
 namespace MaxPayroll.SiteEvaluator.Pages.SiteEvaluator;
 
@@ -12,17 +14,20 @@ public class DashboardModel : PageModel
 {
     private readonly IJobService _jobService;
     private readonly ILocationService _locationService;
+    private readonly ISiteSearchService _searchService;
     private readonly ISubscriptionService _subscriptionService;
     private readonly ILogger<DashboardModel> _logger;
 
     public DashboardModel(
         IJobService jobService,
         ILocationService locationService,
+        ISiteSearchService searchService,
         ISubscriptionService subscriptionService,
         ILogger<DashboardModel> logger)
     {
         _jobService = jobService;
         _locationService = locationService;
+        _searchService = searchService;
         _subscriptionService = subscriptionService;
         _logger = logger;
     }
@@ -31,6 +36,7 @@ public class DashboardModel : PageModel
     
     public List<EvaluationJob> RecentJobs { get; set; } = [];
     public List<LocationSummary> RecentLocations { get; set; } = [];
+    public List<PortfolioSite> Portfolio { get; set; } = [];
     public DashboardStats Stats { get; set; } = new();
     public UsageSummary? Usage { get; set; }
 
@@ -42,6 +48,27 @@ public class DashboardModel : PageModel
     [BindProperty(SupportsGet = true)]
     public string? SearchQuery { get; set; }
 
+    [BindProperty(SupportsGet = true)]
+    public JobPurpose? PurposeFilter { get; set; }
+
+    [BindProperty(SupportsGet = true)]
+    public PropertyUseCategory? UseFilter { get; set; }
+
+    [BindProperty(SupportsGet = true)]
+    public DateTime? FromDate { get; set; }
+
+    [BindProperty(SupportsGet = true)]
+    public DateTime? ToDate { get; set; }
+
+    [BindProperty(SupportsGet = true)]
+    public int? MinCompleteness { get; set; }
+
+    /// <summary>
+    /// Map area the job list is limited to, as "south,west,north,east".
+    /// </summary>
+    [BindProperty(SupportsGet = true)]
+    public string? Area { get; set; }
+
     [BindProperty(SupportsGet = true)]
     public int PageNumber { get; set; } = 1;
 
@@ -49,6 +76,30 @@ public class DashboardModel : PageModel
     public int TotalJobs { get; set; }
     public int TotalPages => (int)Math.Ceiling((double)TotalJobs / PageSize);
 
+    public bool HasPortfolioFilters => PurposeFilter != null || UseFilter != null || FromDate != null || ToDate != null
+        || MinCompleteness != null || !string.IsNullOrEmpty(Area);
+
+    /// <summary>
+    /// The current filters as route values, for links that change page or drop a filter.
+    /// </summary>
+    public Dictionary<string, string> GetFilterRouteValues(params string[] without)
+    {
+        var values = new Dictionary<string, string>
+        {
+            ["StatusFilter"] = StatusFilter ?? "",
+            ["SearchQuery"] = SearchQuery ?? "",
+            ["PurposeFilter"] = PurposeFilter?.ToString() ?? "",
+            ["UseFilter"] = UseFilter?.ToString() ?? "",
+            ["FromDate"] = FromDate?.ToString("yyyy-MM-dd") ?? "",
+            ["ToDate"] = ToDate?.ToString("yyyy-MM-dd") ?? "",
+            ["MinCompleteness"] = MinCompleteness?.ToString() ?? "",
+            ["Area"] = Area ?? ""
+        };
+        return values
+            .Where(v => v.Value != "" && !without.Contains(v.Key))
+            .ToDictionary(v => v.Key, v => v.Value);
+    }
+
     // === Messages ===
     public string? SuccessMessage { get; set; }
     public string? ErrorMessage { get; set; }
@@ -63,13 +114,17 @@ public class DashboardModel : PageModel
             // Get user ID (in a real app, from claims)
             var userId = User.Identity?.Name ?? "anonymous";
 
-            // Build filter
+            // Build filter - every match is plotted on the map, so the list is paged below
             var filter = new JobListFilter
             {
-                Skip = (PageNumber - 1) * PageSize,
-                Take = PageSize,
+                Take = int.MaxValue,
                 SortBy = "CreatedDate",
-                SortDescending = true
+                SortDescending = true,
+                Purpose = PurposeFilter,
+                IntendedUse = UseFilter,
+                FromDate = FromDate?.Date,
+                ToDate = ToDate?.Date.AddDays(1).AddTicks(-1),
+                MinCompleteness = MinCompleteness
             };
 
             if (!string.IsNullOrEmpty(StatusFilter) && Enum.TryParse<JobStatus>(StatusFilter, out var status))
@@ -83,19 +138,27 @@ public class DashboardModel : PageModel
             }
 
             // Get jobs
-            var allJobs = await _jobService.GetUserJobsAsync(userId, filter);
-            RecentJobs = allJobs.ToList();
+            var matchingJobs = (await _jobService.GetUserJobsAsync(userId, filter)).ToList();
+            Portfolio = await BuildPortfolioAsync(userId, matchingJobs);
+
+            // Limit the list to the area selected on the map
+            var area = ParseArea(Area);
+            if (area != null)
+            {
+                var inArea = Portfolio.Where(s => s.IsJob && IsInArea(s, area)).Select(s => s.Id).ToHashSet();
+                matchingJobs = matchingJobs.Where(j => inArea.Contains(j.Id)).ToList();
+            }
 
             // Get total count for pagination
-            var allJobsUnfiltered = await _jobService.GetUserJobsAsync(userId);
-            TotalJobs = allJobsUnfiltered.Count();
+            TotalJobs = matchingJobs.Count;
+            RecentJobs = matchingJobs.Skip((PageNumber - 1) * PageSize).Take(PageSize).ToList();
 
             // Get recent locations
             var locations = await _locationService.GetLocationSummariesAsync(0, 5);
             RecentLocations = locations.ToList();
 
-            // Calculate stats
-            var allJobsList = allJobsUnfiltered.ToList();
+            // Calculate stats - across every job, whatever the filters
+            var allJobsList = (await _jobService.GetUserJobsAsync(userId)).ToList();
             Stats = new DashboardStats
             {
                 TotalJobs = allJobsList.Count,
@@ -150,6 +213,111 @@ public class DashboardModel : PageModel
         return RedirectToPage();
     }
 
+    /// <summary>
+    /// Map points for the matching jobs plus the user's quick searches, which have no job.
+    /// Quick searches carry no status, purpose or intended use, so those filters leave them out.
+    /// </summary>
+    private async Task<List<PortfolioSite>> BuildPortfolioAsync(string userId, List<EvaluationJob> jobs)
+    {
+        var sites = new List<PortfolioSite>();
+        var locations = new Dictionary<string, PropertyLocation?>();
+
+        foreach (var job in jobs)
+        {
+            if (!locations.TryGetValue(job.LocationId, out var location))
+            {
+                location = await _locationService.GetLocationAsync(job.LocationId);
+                locations[job.LocationId] = location;
+            }
+            if (location == null || location.Latitude == 0) continue;
+
+            sites.Add(new PortfolioSite
+            {
+                Id = job.Id,
+                Reference = job.JobReference,
+                Address = job.Address,
+                Latitude = location.Latitude,
+                Longitude = location.Longitude,
+                Status = job.Status.ToString(),
+                Purpose = job.Purpose.ToString(),
+                IntendedUse = job.IntendedUse.ToString(),
+                CreatedDate = job.CreatedDate,
+                Completeness = job.CompletenessPercent,
+                WorstHazard = GetWorstHazard(location.CachedHazards),
+                Url = Url.Page("/SiteEvaluator/JobDetails", new { jobId = job.Id }) ?? "",
+                IsJob = true
+            });
+        }
+
+        if (!string.IsNullOrEmpty(StatusFilter) || !string.IsNullOrEmpty(SearchQuery) || PurposeFilter != null || UseFilter != null)
+        {
+            return sites;
+        }
+
+        try
+        {
+            var jobIds = jobs.Select(j => j.Id).ToHashSet();
+            var evaluations = await _searchService.GetUserEvaluationsAsync(userId);
+            foreach (var evaluation in evaluations)
+            {
+                var completeness = (int)evaluation.Completeness.CompletionPercentage;
+                if (jobIds.Contains(evaluation.Id) || evaluation.Location.Latitude == 0) continue;
+                if (FromDate != null && evaluation.CreatedDate < FromDate.Value.Date) continue;
+                if (ToDate != null && evaluation.CreatedDate >= ToDate.Value.Date.AddDays(1)) continue;
+                if (MinCompleteness != null && completeness < MinCompleteness) continue;
+
+                sites.Add(new PortfolioSite
+                {
+                    Id = evaluation.Id,
+                    Address = evaluation.Location.Address,
+                    Latitude = evaluation.Location.Latitude,
+                    Longitude = evaluation.Location.Longitude,
+                    Status = PortfolioSite.QuickSearchStatus,
+                    CreatedDate = evaluation.CreatedDate,
+                    Completeness = completeness,
+                    WorstHazard = GetWorstHazard(evaluation.Hazards),
+                    Url = Url.Page("/SiteEvaluator/EvaluationWizard", new { id = evaluation.Id }) ?? ""
+                });
+            }
+        }
+        catch (Exception ex)
+        {
+            _logger.LogWarning(ex, "Failed to load quick searches for user {UserId}", userId);
+        }
+
+        return sites;
+    }
+
+    /// <summary>
+    /// The highest hazard rating, "None" when no hazards were identified, or null before hazards are retrieved.
+    /// </summary>
+    private static string? GetWorstHazard(HazardData? hazards)
+    {
+        if (hazards == null) return null;
+        return HazardRiskRegister.Build(hazards).FirstOrDefault()?.Rating ?? "None";
+    }
+
+    /// <summary>
+    /// Parse "south,west,north,east"; null when missing or malformed.
+    /// </summary>
+    private static double[]? ParseArea(string? area)
+    {
+        var parts = area?.Split(',');
+        if (parts == null || parts.Length != 4) return null;
+
+        var values = new double[4];
+        for (var i = 0; i < 4; i++)
+        {
+            if (!double.TryParse(parts[i], NumberStyles.Float, CultureInfo.InvariantCulture, out values[i])) return null;
+        }
+        return values[0] < values[2] && values[1] < values[3] ? values : null;
+    }
+
+    private static bool IsInArea(PortfolioSite site, double[] area)
+    {
+        return site.Latitude >= area[0] && site.Longitude >= area[1] && site.Latitude <= area[2] && site.Longitude <= area[3];
+    }
+
     private async Task<UsageSummary?> GetUsageSummaryAsync(string userId)
     {
         try
@@ -184,6 +352,36 @@ public class DashboardStats
     public int UniqueLocations { get; set; }
 }
 
+/// <summary>
+/// An evaluation plotted on the dashboard portfolio map.
+/// </summary>
+public class PortfolioSite
+{
+    public const string QuickSearchStatus = "QuickSearch";
+
+    public string Id { get; set; } = string.Empty;
+    public string? Reference { get; set; }
+    public string Address { get; set; } = string.Empty;
+    public double Latitude { get; set; }
+    public double Longitude { get; set; }
+
+    /// <summary>
+    /// Job status, or QuickSearch for an evaluation without a job.
+    /// </summary>
+    public string Status { get; set; } = string.Empty;
+    public string? Purpose { get; set; }
+    public string? IntendedUse { get; set; }
+    public DateTime CreatedDate { get; set; }
+    public int Completeness { get; set; }
+
+    /// <summary>
+    /// Extreme, High, Medium, Low or None; null when hazards have not been retrieved.
+    /// </summary>
+    public string? WorstHazard { get; set; }
+    public string Url { get; set; } = string.Empty;
+    public bool IsJob { get; set; }
+}
+
 public class UsageSummary
 {
     public SubscriptionTier Tier { get; set; }
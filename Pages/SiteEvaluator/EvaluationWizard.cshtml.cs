@@ -67,12 +67,27 @@ public class EvaluationWizardModel : PageModel
     [BindProperty]
     public string? TitleReference { get; set; }
 
+    [BindProperty]
+    public string? LegalDescription { get; set; }
+
     [BindProperty]
     public double? Latitude { get; set; }
 
     [BindProperty]
     public double? Longitude { get; set; }
 
+    /// <summary>
+    /// Coordinate system for coordinate search: "wgs84" (Latitude/Longitude) or "nztm" (Easting/Northing).
+    /// </summary>
+    [BindProperty]
+    public string CoordinateSystem { get; set; } = "wgs84";
+
+    [BindProperty]
+    public double? Easting { get; set; }
+
+    [BindProperty]
+    public double? Northing { get; set; }
+
     [BindProperty]
     public string SearchType { get; set; } = "address";
 
@@ -152,6 +167,7 @@ public class EvaluationWizardModel : PageModel
             if (existingJob != null)
             {
                 WizardState.Job = existingJob;
+                WizardState.ReviewedHazards = [.. existingJob.ReviewedHazards];
                 WizardState.Address = new AddressInput
                 {
                     FullAddress = existingJob.Address,
@@ -210,6 +226,7 @@ public class EvaluationWizardModel : PageModel
         {
             Address = WizardState.Address.FullAddress;
             TitleReference = WizardState.Address.TitleReference;
+            LegalDescription = WizardState.Address.LegalDescription;
             Latitude = WizardState.Address.Latitude;
             Longitude = WizardState.Address.Longitude;
             SearchType = WizardState.Address.SearchType.ToString().ToLowerInvariant();
@@ -269,24 +286,107 @@ public class EvaluationWizardModel : PageModel
     /// </summary>
     public async Task<IActionResult> OnPostSearchAddressAsync()
     {
-        // Clear model state - we only care about Address being present
+        // Clear model state - each search type validates its own input below
         ModelState.Clear();
         
         WizardState = TempData.GetSiteEvaluatorWizardState();
         
         try
         {
-            // Validate input
-            if (string.IsNullOrWhiteSpace(Address))
+            var searchType = SearchType.ToLowerInvariant() switch
+            {
+                "title" => Models.Wizard.SearchType.Title,
+                "coordinates" => Models.Wizard.SearchType.Coordinates,
+                "legaldescription" => Models.Wizard.SearchType.LegalDescription,
+                _ => Models.Wizard.SearchType.Address
+            };
+
+            // Title, coordinate and legal description searches identify a single parcel up front
+            SiteLocation? identified = null;
+            string? validationError = null;
+
+            switch (searchType)
+            {
+                case Models.Wizard.SearchType.Title:
+                    if (!PropertyIdentifiers.IsValidTitleReference(TitleReference))
+                    {
+                        validationError = $"Please enter a title reference such as {PropertyIdentifiers.TitleReferenceExample}.";
+                        break;
+                    }
+                    TitleReference = PropertyIdentifiers.NormaliseTitleReference(TitleReference!);
+                    Address = $"Title: {TitleReference}";
+                    break;
+
+                case Models.Wizard.SearchType.Coordinates:
+                    // NZTM2000 coordinates are stored as WGS84 like every other location
+                    if (CoordinateSystem == "nztm" && Easting.HasValue && Northing.HasValue)
+                    {
+                        if (!Services.GeoUtils.IsValidNztm(Easting.Value, Northing.Value))
+                        {
+                            validationError = "NZTM coordinates must be within New Zealand (easting 1000000-2200000, northing 4700000-6300000).";
+                            break;
+                        }
+
+                        var converted = Services.GeoUtils.FromNztm(Easting.Value, Northing.Value);
+                        Latitude = converted.Latitude;
+                        Longitude = converted.Longitude;
+                    }
+
+                    if (!Latitude.HasValue || !Longitude.HasValue)
+                    {
+                        validationError = "Please enter coordinates or pick a point on the map.";
+                        break;
+                    }
+                    if (!Services.GeoUtils.IsInNewZealand(Latitude.Value, Longitude.Value))
+                    {
+                        validationError = "Coordinates must be within New Zealand.";
+                        break;
+                    }
+
+                    identified = await _linzService.LookupLocationAtAsync(Latitude.Value, Longitude.Value);
+                    Address = !string.IsNullOrEmpty(identified?.Address)
+                        ? identified.Address
+                        : $"Location at {Latitude:F6}, {Longitude:F6}";
+                    break;
+
+                case Models.Wizard.SearchType.LegalDescription:
+                    if (!PropertyIdentifiers.IsValidLegalDescription(LegalDescription))
+                    {
+                        validationError = $"Please enter a legal description such as {PropertyIdentifiers.LegalDescriptionExample}.";
+                        break;
+                    }
+                    LegalDescription = PropertyIdentifiers.NormaliseLegalDescription(LegalDescription!);
+
+                    identified = await _linzService.LookupParcelAsync(LegalDescription);
+                    if (identified == null)
+                    {
+                        validationError = $"No parcel found for {LegalDescription}. Check the lot and plan numbers on the title.";
+                        break;
+                    }
+
+                    Latitude = identified.Latitude;
+                    Longitude = identified.Longitude;
+                    Address = !string.IsNullOrEmpty(identified.Address) ? identified.Address : LegalDescription;
+                    break;
+
+                default:
+                    if (string.IsNullOrWhiteSpace(Address))
+                    {
+                        validationError = "Please enter an address to search.";
+                    }
+                    break;
+            }
+
+            if (validationError != null)
             {
-                ErrorMessage = "Please enter an address to search.";
+                ErrorMessage = validationError;
                 CurrentStep = 1;
                 InitializeStepConfigs();
                 TempData.SetSiteEvaluatorWizardState(WizardState);
                 return Page();
             }
 
-            _logger.LogInformation("Searching for address: {Address}", Address);
+            _logger.LogInformation("Searching for {SearchType}: {Address}", searchType, Address);
 
             // Parse intended use category
             var useCategory = IntendedUseCategory switch
@@ -320,14 +420,10 @@ public class EvaluationWizardModel : PageModel
             {
                 FullAddress = Address.Trim(),
                 TitleReference = TitleReference?.Trim(),
+                LegalDescription = searchType == Models.Wizard.SearchType.LegalDescription ? LegalDescription : null,
                 Latitude = Latitude,
                 Longitude = Longitude,
-                SearchType = SearchType.ToLowerInvariant() switch
-                {
-                    "title" => Models.Wizard.SearchType.Title,
-                    "coordinates" => Models.Wizard.SearchType.Coordinates,
-                    _ => Models.Wizard.SearchType.Address
-                },
+                SearchType = searchType,
                 IntendedUse = new IntendedPropertyUse
                 {
                     Category = useCategory,
@@ -354,83 +450,52 @@ public class EvaluationWizardModel : PageModel
             // Step 2: Search for property matches
             var matchResult = new PropertyMatchResult();
 
-            // Search for existing jobs at this address
-            try
+            // Existing work is matched on the title reference for a title search, otherwise on the
+            // street address; sites identified without an address have none to match
+            if (searchType == Models.Wizard.SearchType.Title)
             {
-                var existingJobs = await _jobService.SearchJobsAsync(Address.Split(',')[0]);
-                foreach (var job in existingJobs.Take(10))
-                {
-                    matchResult.ExistingJobs.Add(new ExistingJobMatch
-                    {
-                        Id = job.Id,
-                        JobReference = job.JobReference,
-                        Address = job.Address,
-                        CustomerName = job.CustomerName,
-                        CustomerCompany = job.CustomerCompany,
-                        Purpose = job.Purpose,
-                        Status = job.Status,
-                        CreatedDate = job.CreatedDate,
-                        LastUpdated = job.LastUpdated,
-                        CompletenessPercent = job.CompletenessPercent,
-                        ReportCount = job.Reports.Count
-                    });
-                }
+                await AddExistingMatchesAsync(matchResult, Address, TitleReference);
             }
-            catch (Exception ex)
+            else if (searchType == Models.Wizard.SearchType.Address || !string.IsNullOrEmpty(identified?.Address))
             {
-                _logger.LogWarning(ex, "Error searching for existing jobs");
-                // Continue without existing jobs - not critical
+                await AddExistingMatchesAsync(matchResult, Address.Split(',')[0]);
             }
 
-            // Check for existing evaluations (legacy support)
-            try
+            if (searchType == Models.Wizard.SearchType.Address)
             {
-                var searchTerm = Address.Split(',')[0];
-                var existingEvaluations = await _repository.FindAsync<SiteEvaluation>(e => 
-                    e.Location != null && 
-                    e.Location.Address != null && 
-                    e.Location.Address.Contains(searchTerm));
-
-                foreach (var existing in existingEvaluations.Take(5))
+                // Get LINZ address suggestions
+                try
                 {
-                    matchResult.ExistingEvaluations.Add(new ExistingEvaluationMatch
+                    var linzSuggestions = await _linzService.GetAddressSuggestionsAsync(Address);
+                    foreach (var suggestion in linzSuggestions.Take(10))
                     {
-                        Id = existing.Id,
-                        Address = existing.Location.Address,
-                        CreatedDate = existing.CreatedDate,
-                        LastUpdated = existing.LastUpdated,
-                        CompletenessPercent = (int)(existing.Completeness?.CompletionPercentage ?? 0),
-                        Status = existing.Status
-                    });
+                        matchResult.LinzMatches.Add(new LinzPropertyMatch
+                        {
+                            FullAddress = suggestion.FullAddress,
+                            Suburb = suggestion.Suburb,
+                            City = suggestion.City,
+                            Latitude = suggestion.Latitude ?? 0,
+                            Longitude = suggestion.Longitude ?? 0,
+                            MatchConfidence = 100 - (matchResult.LinzMatches.Count * 5) // Simple confidence scoring
+                        });
+                    }
                 }
-            }
-            catch (Exception ex)
-            {
-                _logger.LogWarning(ex, "Error searching for existing evaluations");
-                // Continue without existing evaluations - not critical
-            }
-
-            // Get LINZ address suggestions
-            try
-            {
-                var linzSuggestions = await _linzService.GetAddressSuggestionsAsync(Address);
-                foreach (var suggestion in linzSuggestions.Take(10))
+                catch (Exception ex)
                 {
-                    matchResult.LinzMatches.Add(new LinzPropertyMatch
-                    {
-                        FullAddress = suggestion.FullAddress,
-                        Suburb = suggestion.Suburb,
-                        City = suggestion.City,
-                        Latitude = suggestion.Latitude ?? 0,
-                        Longitude = suggestion.Longitude ?? 0,
-                        MatchConfidence = 100 - (matchResult.LinzMatches.Count * 5) // Simple confidence scoring
-                    });
+                    _logger.LogWarning(ex, "Error getting LINZ address suggestions");
+                    // Continue without LINZ suggestions - user can still proceed
                 }
             }
-            catch (Exception ex)
+            else
             {
-                _logger.LogWarning(ex, "Error getting LINZ address suggestions");
-                // Continue without LINZ suggestions - user can still proceed
+                // The identified parcel is the only candidate
+                var parcel = BuildParcelMatch(identified, Address, Latitude ?? 0, Longitude ?? 0);
+                parcel.TitleReference ??= TitleReference;
+                parcel.LegalDescription ??= WizardState.Address.LegalDescription;
+
+                matchResult.LinzMatches.Add(parcel);
+                matchResult.SelectedProperty = parcel;
+                matchResult.CreateNew = true;
             }
 
             // Auto-select if only one high-confidence match and no existing jobs
@@ -478,6 +543,172 @@ public class EvaluationWizardModel : PageModel
         }
     }
 
+    /// <summary>
+    /// Start a new evaluation at a point picked on the map (rural/greenfield sites without a
+    /// searchable address). Identifies the parcel and goes straight to step 2 with it preselected.
+    /// </summary>
+    public async Task<IActionResult> OnPostStartAtLocationAsync(double lat, double lng)
+    {
+        WizardState = new SiteEvaluatorWizardState();
+
+        if (!Services.GeoUtils.IsInNewZealand(lat, lng))
+        {
+            ErrorMessage = "Coordinates must be within New Zealand.";
+            CurrentStep = 1;
+            InitializeStepConfigs();
+            TempData.SetSiteEvaluatorWizardState(WizardState);
+            return Page();
+        }
+
+        try
+        {
+            var location = await _linzService.LookupLocationAtAsync(lat, lng);
+            var address = !string.IsNullOrEmpty(location?.Address)
+                ? location.Address
+                : $"Location at {lat:F6}, {lng:F6}";
+
+            WizardState.Address = new AddressInput
+            {
+                FullAddress = address,
+                TitleReference = location?.TitleReference,
+                Latitude = lat,
+                Longitude = lng,
+                SearchType = Models.Wizard.SearchType.Coordinates,
+                IntendedUse = new IntendedPropertyUse()
+            };
+
+            var parcel = BuildParcelMatch(location, address, lat, lng);
+
+            var matchResult = new PropertyMatchResult
+            {
+                SelectedProperty = parcel,
+                CreateNew = true
+            };
+            matchResult.LinzMatches.Add(parcel);
+
+            // Surface existing jobs at the identified address
+            if (!string.IsNullOrEmpty(location?.Address))
+            {
+                await AddExistingMatchesAsync(matchResult, location.Address.Split(',')[0]);
+            }
+
+            WizardState.PropertyMatch = matchResult;
+            WizardState.CurrentStep = 2;
+            TempData.SetSiteEvaluatorWizardState(WizardState);
+
+            _logger.LogInformation("Starting evaluation at {Lat}, {Lng}: {Address}", lat, lng, address);
+
+            return RedirectToPage(new { step = 2 });
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error starting evaluation at {Lat}, {Lng}", lat, lng);
+            ErrorMessage = $"Error identifying property: {ex.Message}";
+            CurrentStep = 1;
+            InitializeStepConfigs();
+            TempData.SetSiteEvaluatorWizardState(WizardState);
+            return Page();
+        }
+    }
+
+    /// <summary>
+    /// Add existing jobs and legacy evaluations whose address contains the search term,
+    /// or at the title reference for a title search.
+    /// Failures are logged and skipped - the user can still create a new job.
+    /// </summary>
+    private async Task AddExistingMatchesAsync(PropertyMatchResult matchResult, string searchTerm, string? titleReference = null)
+    {
+        try
+        {
+            var existingJobs = titleReference != null
+                ? await _jobService.SearchJobsByTitleAsync(titleReference)
+                : await _jobService.SearchJobsAsync(searchTerm);
+
+            // Jobs at the same property share a location - look each one up once
+            var locations = new Dictionary<string, PropertyLocation?>();
+            foreach (var job in existingJobs.Take(10))
+            {
+                if (!locations.TryGetValue(job.LocationId, out var location))
+                {
+                    location = await _locationService.GetLocationAsync(job.LocationId);
+                    locations[job.LocationId] = location;
+                }
+                
+                matchResult.ExistingJobs.Add(new ExistingJobMatch
+                {
+                    Id = job.Id,
+                    JobReference = job.JobReference,
+                    Address = job.Address,
+                    CustomerName = job.CustomerName,
+                    CustomerCompany = job.CustomerCompany,
+                    Purpose = job.Purpose,
+                    Status = job.Status,
+                    CreatedDate = job.CreatedDate,
+                    LastUpdated = job.LastUpdated,
+                    CompletenessPercent = job.CompletenessPercent,
+                    ReportCount = job.Reports.Count,
+                    Latitude = location?.Latitude,
+                    Longitude = location?.Longitude
+                });
+            }
+        }
+        catch (Exception ex)
+        {
+            _logger.LogWarning(ex, "Error searching for existing jobs");
+            // Continue without existing jobs - not critical
+        }
+
+        // Check for existing evaluations (legacy support)
+        try
+        {
+            var existingEvaluations = titleReference != null
+                ? await _repository.FindAsync<SiteEvaluation>(e =>
+                    e.Location != null &&
+                    e.Location.TitleReference == titleReference)
+                : await _repository.FindAsync<SiteEvaluation>(e => 
+                    e.Location != null && 
+                    e.Location.Address != null && 
+                    e.Location.Address.Contains(searchTerm));
+
+            foreach (var existing in existingEvaluations.Take(5))
+            {
+                matchResult.ExistingEvaluations.Add(new ExistingEvaluationMatch
+                {
+                    Id = existing.Id,
+                    Address = existing.Location.Address,
+                    CreatedDate = existing.CreatedDate,
+                    LastUpdated = existing.LastUpdated,
+                    CompletenessPercent = (int)(existing.Completeness?.CompletionPercentage ?? 0),
+                    Status = existing.Status
+                });
+            }
+        }
+        catch (Exception ex)
+        {
+            _logger.LogWarning(ex, "Error searching for existing evaluations");
+            // Continue without existing evaluations - not critical
+        }
+    }
+
+    /// <summary>
+    /// Build the step 2 candidate for a parcel identified by title, coordinates or legal description.
+    /// </summary>
+    private static LinzPropertyMatch BuildParcelMatch(SiteLocation? location, string address, double lat, double lng)
+    {
+        return new LinzPropertyMatch
+        {
+            FullAddress = address,
+            TitleReference = location?.TitleReference,
+            LegalDescription = location?.LegalDescription,
+            TerritorialAuthority = location?.TerritorialAuthority,
+            Latitude = lat,
+            Longitude = lng,
+            Suburb = location?.Suburb,
+            City = location?.City,
+            MatchConfidence = 100
+        };
+    }
+
     /// <summary>
     /// Step 2: Select property and start evaluation
     /// </summary>
@@ -498,6 +729,9 @@ public class EvaluationWizardModel : PageModel
                 return RedirectToPage(new { step = 1 });
             }
             
+            // Hazard reviews belong to the property being evaluated
+            WizardState.ReviewedHazards.Clear();
+            
             // Check if continuing an existing job
             if (!CreateNew && !string.IsNullOrEmpty(SelectedJobId))
             {
@@ -505,6 +739,7 @@ public class EvaluationWizardModel : PageModel
                 if (existingJob != null)
                 {
                     WizardState.Job = existingJob;
+                    WizardState.ReviewedHazards = [.. existingJob.ReviewedHazards];
                     WizardState.PropertyMatch!.CreateNew = false;
                     WizardState.PropertyMatch.SelectedJobId = SelectedJobId;
                     
@@ -573,9 +808,21 @@ public class EvaluationWizardModel : PageModel
             };
 
             // Create the job
+            // Map-picked and legal description sites are created from their coordinates so the
+            // identified parcel is kept; title searches go through Landonline
+            var searchType = WizardState.Address?.SearchType;
+            var fromCoordinates = (searchType == Models.Wizard.SearchType.Coordinates ||
+                    searchType == Models.Wizard.SearchType.LegalDescription) &&
+                WizardState.Address!.Latitude.HasValue && WizardState.Address.Longitude.HasValue;
+            var fromTitle = searchType == Models.Wizard.SearchType.Title &&
+                !string.IsNullOrEmpty(WizardState.Address!.TitleReference);
+
             var createRequest = new CreateJobRequest
             {
-                Address = selectedAddress,
+                Address = fromCoordinates || fromTitle ? null : selectedAddress,
+                TitleReference = fromTitle ? WizardState.Address!.TitleReference : null,
+                Latitude = fromCoordinates ? WizardState.Address!.Latitude : null,
+                Longitude = fromCoordinates ? WizardState.Address!.Longitude : null,
                 Title = $"Evaluation - {selectedAddress}",
                 CustomerName = WizardState.CustomerInfo?.CustomerName,
                 CustomerCompany = WizardState.CustomerInfo?.CustomerCompany,
@@ -590,6 +837,8 @@ public class EvaluationWizardModel : PageModel
                 ProposedUnits = WizardState.Address?.IntendedUse?.ProposedUnits,
                 ProposedGfa = WizardState.Address?.IntendedUse?.ProposedGfa,
                 InternalNotes = WizardState.Address?.IntendedUse?.Notes,
+                CreatedByUserId = User.Identity?.Name ?? "anonymous",
+                CreatedByUserName = User.Identity?.Name ?? string.Empty,
                 AutoStartDataCollection = true
             };
 
@@ -632,6 +881,12 @@ public class EvaluationWizardModel : PageModel
         ModelState.Clear();
         WizardState = TempData.GetSiteEvaluatorWizardState();
         
+        // Step 3's development check posts the proposed parameters with Next
+        if (currentStep == 3)
+        {
+            await SaveProposedDevelopmentAsync();
+        }
+        
         var nextStep = Math.Min(currentStep + 1, TotalSteps);
         WizardState.CurrentStep = nextStep;
         TempData.SetSiteEvaluatorWizardState(WizardState);
@@ -639,6 +894,38 @@ public class EvaluationWizardModel : PageModel
         return RedirectToPage(new { step = nextStep });
     }
 
+    /// <summary>
+    /// Keep the proposed height, coverage, units and GFA from the step 3 check in the wizard state and on the job
+    /// </summary>
+    private async Task SaveProposedDevelopmentAsync()
+    {
+        if (WizardState.Address != null)
+        {
+            WizardState.Address.IntendedUse.ProposedHeight = ProposedHeight;
+            WizardState.Address.IntendedUse.ProposedCoverage = ProposedCoverage;
+            WizardState.Address.IntendedUse.ProposedUnits = ProposedUnits;
+            WizardState.Address.IntendedUse.ProposedGfa = ProposedGfa;
+        }
+
+        if (WizardState.Job == null) return;
+
+        try
+        {
+            WizardState.Job = await _jobService.UpdateJobAsync(WizardState.Job.Id, new UpdateJobRequest
+            {
+                ProposedHeight = ProposedHeight,
+                ProposedCoverage = ProposedCoverage,
+                ProposedUnits = ProposedUnits,
+                ProposedGfa = ProposedGfa
+            });
+        }
+        catch (Exception ex)
+        {
+            // The values are still in the wizard state - carry on to the next step
+            _logger.LogWarning(ex, "Failed to save proposed development for job {JobId}", WizardState.Job.Id);
+        }
+    }
+
     /// <summary>
     /// Navigate to previous step
     /// </summary>
@@ -740,6 +1027,71 @@ public class EvaluationWizardModel : PageModel
         }
     }
 
+    /// <summary>
+    /// Reload the job's data after its sources were retrieved from the data source panel
+    /// </summary>
+    public async Task<IActionResult> OnPostReloadJobDataAsync(int currentStep)
+    {
+        ModelState.Clear();
+        WizardState = TempData.GetSiteEvaluatorWizardState();
+
+        if (WizardState.Job != null)
+        {
+            var job = await _jobService.GetJobAsync(WizardState.Job.Id);
+            var location = job == null ? null : await _locationService.GetLocationAsync(job.LocationId);
+            if (job != null && location != null)
+            {
+                WizardState.Job = job;
+                WizardState.Location = location;
+                WizardState.Evaluation = BuildEvaluationFromLocation(location, job);
+            }
+        }
+
+        TempData.SetSiteEvaluatorWizardState(WizardState);
+        return RedirectToPage(new { step = currentStep });
+    }
+
+    /// <summary>
+    /// Step 4: Mark a hazard as reviewed (or outstanding again).
+    /// Job reviews are saved with the job; the wizard state keeps a copy for the summary step.
+    /// Returns the outstanding count as JSON for script requests, otherwise redisplays the step.
+    /// </summary>
+    public async Task<IActionResult> OnPostReviewHazardAsync(string hazard, bool reviewed, int currentStep)
+    {
+        ModelState.Clear();
+        WizardState = TempData.GetSiteEvaluatorWizardState();
+
+        WizardState.ReviewedHazards.RemoveAll(k => k.Equals(hazard, StringComparison.OrdinalIgnoreCase));
+        if (reviewed && !string.IsNullOrEmpty(hazard))
+        {
+            WizardState.ReviewedHazards.Add(hazard);
+        }
+
+        if (WizardState.Job != null && !string.IsNullOrEmpty(hazard))
+        {
+            try
+            {
+                var job = await _jobService.SetHazardReviewedAsync(WizardState.Job.Id, hazard, reviewed);
+                WizardState.Job = job;
+                WizardState.ReviewedHazards = [.. job.ReviewedHazards];
+            }
+            catch (Exception ex)
+            {
+                _logger.LogWarning(ex, "Failed to save hazard review for job {JobId}", WizardState.Job.Id);
+            }
+        }
+
+        TempData.SetSiteEvaluatorWizardState(WizardState);
+
+        if (Request.Headers.Accept.ToString().Contains("application/json"))
+        {
+            var outstanding = HazardRiskRegister.GetOutstanding(WizardState.Evaluation?.Hazards, WizardState.ReviewedHazards);
+            return new JsonResult(new { hazard, reviewed, outstanding = outstanding.Count });
+        }
+
+        return RedirectToPage(new { step = currentStep });
+    }
+
     /// <summary>
     /// Start fresh - clear wizard state
     /// </summary>
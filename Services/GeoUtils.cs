@@ -1,7 +1,7 @@
 namespace MaxPayroll.SiteEvaluator.Services;
 
 /// <summary>
-/// Geographic utility methods for distance calculations.
+/// Geographic utility methods for distance calculations and NZTM2000 conversion.
 /// </summary>
 public static class GeoUtils
 {
@@ -10,6 +10,14 @@ public static class GeoUtils
     /// </summary>
     private const double EarthRadiusMeters = 6371000;
 
+    // NZTM2000 (EPSG:2193) - transverse Mercator on the GRS80 ellipsoid
+    private const double Grs80SemiMajorAxis = 6378137;
+    private const double Grs80Flattening = 1 / 298.257222101;
+    private const double NztmCentralMeridian = 173;
+    private const double NztmScaleFactor = 0.9996;
+    private const double NztmFalseEasting = 1600000;
+    private const double NztmFalseNorthing = 10000000;
+
     /// <summary>
     /// Calculate the distance between two points using the Haversine formula.
     /// </summary>
@@ -169,6 +177,100 @@ public static class GeoUtils
         return lat >= -47.5 && lat <= -34.0 && lon >= 166.0 && lon <= 179.0;
     }
 
+    /// <summary>
+    /// Convert WGS84 latitude/longitude to NZTM2000 (EPSG:2193) easting/northing,
+    /// using the LINZ transverse Mercator formulae.
+    /// </summary>
+    /// <returns>Easting and northing in meters</returns>
+    public static (double Easting, double Northing) ToNztm(double lat, double lon)
+    {
+        var e2 = Grs80Flattening * (2 - Grs80Flattening);
+        var phi = DegreesToRadians(lat);
+        var dLon = DegreesToRadians(lon - NztmCentralMeridian);
+
+        var m = MeridianArc(phi);
+        var sinLat = Math.Sin(phi);
+        var cosLat = Math.Cos(phi);
+        var eSinLat = 1 - e2 * sinLat * sinLat;
+        var eta = Grs80SemiMajorAxis / Math.Sqrt(eSinLat);
+        var rho = eta * (1 - e2) / eSinLat;
+        var psi = eta / rho;
+
+        var wc = cosLat * dLon;
+        var wc2 = wc * wc;
+        var t = sinLat / cosLat;
+        var t2 = t * t;
+        var t4 = t2 * t2;
+        var t6 = t4 * t2;
+
+        var trm1 = (psi - t2) / 6;
+        var trm2 = (((4 * (1 - 6 * t2) * psi + (1 + 8 * t2)) * psi - 2 * t2) * psi + t4) / 120;
+        var trm3 = (61 - 479 * t2 + 179 * t4 - t6) / 5040;
+        var easting = NztmScaleFactor * eta * dLon * cosLat * (((trm3 * wc2 + trm2) * wc2 + trm1) * wc2 + 1);
+
+        trm1 = 0.5;
+        trm2 = ((4 * psi + 1) * psi - t2) / 24;
+        trm3 = ((((8 * (11 - 24 * t2) * psi - 28 * (1 - 6 * t2)) * psi + (1 - 32 * t2)) * psi - 2 * t2) * psi + t4) / 720;
+        var trm4 = (1385 - 3111 * t2 + 543 * t4 - t6) / 40320;
+        var northing = eta * t * ((((trm4 * wc2 + trm3) * wc2 + trm2) * wc2 + trm1) * wc2);
+
+        return (
+            Easting: easting + NztmFalseEasting,
+            Northing: (northing + m) * NztmScaleFactor + NztmFalseNorthing
+        );
+    }
+
+    /// <summary>
+    /// Convert NZTM2000 (EPSG:2193) easting/northing to WGS84 latitude/longitude.
+    /// </summary>
+    /// <param name="easting">Easting in meters</param>
+    /// <param name="northing">Northing in meters</param>
+    public static Models.Coordinate FromNztm(double easting, double northing)
+    {
+        var e2 = Grs80Flattening * (2 - Grs80Flattening);
+        var phd = FootPointLatitude((northing - NztmFalseNorthing) / NztmScaleFactor);
+
+        var sinLat = Math.Sin(phd);
+        var cosLat = Math.Cos(phd);
+        var eSinLat = 1 - e2 * sinLat * sinLat;
+        var eta = Grs80SemiMajorAxis / Math.Sqrt(eSinLat);
+        var rho = eta * (1 - e2) / eSinLat;
+        var psi = eta / rho;
+
+        var e = easting - NztmFalseEasting;
+        var x = e / (eta * NztmScaleFactor);
+        var x2 = x * x;
+        var t = sinLat / cosLat;
+        var t2 = t * t;
+        var t4 = t2 * t2;
+
+        var trm1 = 0.5;
+        var trm2 = ((-4 * psi + 9 * (1 - t2)) * psi + 12 * t2) / 24;
+        var trm3 = ((((8 * (11 - 24 * t2) * psi - 12 * (21 - 71 * t2)) * psi + 15 * ((15 * t2 - 98) * t2 + 15)) * psi + 180 * ((-3 * t2 + 5) * t2)) * psi + 360 * t4) / 720;
+        var trm4 = (((1575 * t2 + 4095) * t2 + 3633) * t2 + 1385) / 40320;
+        var lat = phd + (t * x * e / (NztmScaleFactor * rho)) * (((trm4 * x2 - trm3) * x2 + trm2) * x2 - trm1);
+
+        trm1 = 1;
+        trm2 = (psi + 2 * t2) / 6;
+        trm3 = (((-4 * (1 - 6 * t2) * psi + (9 - 68 * t2)) * psi + 72 * t2) * psi + 24 * t4) / 120;
+        trm4 = (((720 * t2 + 1320) * t2 + 662) * t2 + 61) / 5040;
+        var dLon = -(x / cosLat) * (((trm4 * x2 - trm3) * x2 + trm2) * x2 - trm1);
+
+        return new Models.Coordinate
+        {
+            Latitude = lat * 180.0 / Math.PI,
+            Longitude = NztmCentralMeridian + dLon * 180.0 / Math.PI
+        };
+    }
+
+    /// <summary>
+    /// Check if an easting/northing pair is within the NZTM2000 extent of mainland New Zealand.
+    /// </summary>
+    public static bool IsValidNztm(double easting, double northing)
+    {
+        return easting >= 1000000 && easting <= 2200000 && northing >= 4700000 && northing <= 6300000;
+    }
+
     // === Private helpers ===
 
     private static double DegreesToRadians(double degrees)
@@ -187,4 +289,40 @@ public static class GeoUtils
 
         return (x, y);
     }
+
+    /// <summary>
+    /// Length of the meridian arc from the equator to a latitude (radians) on GRS80.
+    /// </summary>
+    private static double MeridianArc(double lat)
+    {
+        var e2 = Grs80Flattening * (2 - Grs80Flattening);
+        var e4 = e2 * e2;
+        var e6 = e4 * e2;
+
+        var a0 = 1 - e2 / 4 - 3 * e4 / 64 - 5 * e6 / 256;
+        var a2 = 3.0 / 8 * (e2 + e4 / 4 + 15 * e6 / 128);
+        var a4 = 15.0 / 256 * (e4 + 3 * e6 / 4);
+        var a6 = 35 * e6 / 3072;
+
+        return Grs80SemiMajorAxis * (a0 * lat - a2 * Math.Sin(2 * lat) + a4 * Math.Sin(4 * lat) - a6 * Math.Sin(6 * lat));
+    }
+
+    /// <summary>
+    /// Latitude (radians) at which the meridian arc has the given length.
+    /// </summary>
+    private static double FootPointLatitude(double m)
+    {
+        var n = Grs80Flattening / (2 - Grs80Flattening);
+        var n2 = n * n;
+        var n3 = n2 * n;
+        var n4 = n2 * n2;
+
+        var g = Grs80SemiMajorAxis * (1 - n) * (1 - n2) * (1 + 9 * n2 / 4 + 225 * n4 / 64);
+        var sig = m / g;
+
+        return sig + (3 * n / 2 - 27 * n3 / 32) * Math.Sin(2 * sig)
+            + (21 * n2 / 16 - 55 * n4 / 32) * Math.Sin(4 * sig)
+            + 151 * n3 / 96 * Math.Sin(6 * sig)
+            + 1097 * n4 / 512 * Math.Sin(8 * sig);
+    }
 }
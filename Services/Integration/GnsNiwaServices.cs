@@ -382,14 +382,13 @@ public class NiwaDataService : INiwaDataService
         ["Invercargill"] = 1600
     };
     
-    // NZS 3604:2011 Basic Wind Speeds (m/s) by Wind Zone
-    private static readonly Dictionary<string, double> WindZoneBasicSpeeds = new()
-    {
-        ["Low"] = 32.0,
-        ["Medium"] = 37.0,
-        ["High"] = 44.0,
-        ["Very High"] = 50.0,
-        ["Extra High"] = 55.0
+    // AS/NZS 1170.2 Table 3.1 regional wind speeds V_R (m/s) by wind region:
+    // 500-year (ultimate) and 25-year (serviceability) return periods
+    private static readonly Dictionary<string, (double Ultimate, double Serviceability)> WindRegionSpeeds = new()
+    {
+        ["A6"] = (45.0, 37.0),
+        ["A7"] = (45.0, 37.0),
+        ["W"] = (51.0, 43.0)
     };
 
     public NiwaDataService(HttpClient httpClient, ILogger<NiwaDataService> logger)
@@ -545,15 +544,16 @@ public class NiwaDataService : INiwaDataService
     public async Task<WindData?> GetWindDataAsync(double lat, double lon, CancellationToken ct = default)
     {
         var windZone = GetStaticWindZone(lat, lon);
-        var basicSpeed = WindZoneBasicSpeeds.GetValueOrDefault(windZone, 37.0);
+        var windRegion = GetWindRegion(lat, lon);
+        var regionalSpeed = WindRegionSpeeds[windRegion];
         var region = GetRegion(lat, lon);
         
-        return await Task.FromResult(new WindData
+        // The NZS 3604 zone speeds are already site speeds, so V_R comes from the AS/NZS 1170.2 region instead
+        var wind = new WindData
         {
             WindZone = windZone,
-            BasicWindSpeed = basicSpeed,
-            UltimateWindSpeed = basicSpeed * 1.0, // V_u for Ultimate limit state
-            ServiceabilityWindSpeed = basicSpeed * 0.75, // V_s for Serviceability
+            WindRegion = windRegion,
+            BasicWindSpeed = regionalSpeed.Ultimate,
             DirectionalMultiplier = GetDirectionalMultiplier(lat, lon),
             TerrainCategory = EstimateTerrainCategory(lat, lon),
             ShieldingFactor = 1.0, // Default - needs site-specific assessment
@@ -568,10 +568,16 @@ public class NiwaDataService : INiwaDataService
                 SourceUrl = "https://www.standards.govt.nz/",
                 DataDate = DateTime.UtcNow,
                 RetrievedDate = DateTime.UtcNow,
-                Notes = $"Wind Zone: {windZone}. Basic wind speed V_R = {basicSpeed} m/s. " +
+                Notes = $"Wind Zone: {windZone}. Wind region {windRegion}, regional wind speed V_R = {regionalSpeed.Ultimate} m/s. " +
                         "Site-specific assessment recommended for exposed or elevated sites."
             }
-        });
+        };
+        
+        // M_z,cat depends on the building height, so the design speeds are at M_z,cat = 1.0
+        wind.UltimateWindSpeed = wind.CalculateSiteWindSpeed();
+        wind.ServiceabilityWindSpeed = wind.UltimateWindSpeed * regionalSpeed.Serviceability / regionalSpeed.Ultimate;
+        
+        return await Task.FromResult<WindData?>(wind);
     }
 
     /// <summary>
@@ -714,6 +720,15 @@ public class NiwaDataService : INiwaDataService
         return "Medium";
     }
 
+    private string GetWindRegion(double lat, double lon)
+    {
+        // AS/NZS 1170.2 Figure 3.1(B) - W around Cook Strait, A6 North Island, A7 South Island
+        if (lat <= -40.6 && lat >= -42.0 && lon >= 173.8 && lon <= 176.0)
+            return "W";
+        
+        return lat > -40.5 || (lat > -41.7 && lon > 174.6) ? "A6" : "A7";
+    }
+
     private bool IsCoastalExposed(double lat, double lon)
     {
         // West coast South Island - very exposed
@@ -25,6 +25,16 @@ public interface ILinzDataService
     /// </summary>
     Task<List<Coordinate>?> GetParcelBoundaryAsync(string parcelId, CancellationToken ct = default);
     
+    /// <summary>
+    /// Identify the parcel at a point, with its boundary and nearest address.
+    /// </summary>
+    Task<SiteLocation?> LookupLocationAtAsync(double lat, double lon, CancellationToken ct = default);
+    
+    /// <summary>
+    /// Find a parcel by legal description (e.g. "Lot 2 DP 12345"), with its boundary and nearest address.
+    /// </summary>
+    Task<SiteLocation?> LookupParcelAsync(string legalDescription, CancellationToken ct = default);
+    
     // === Landonline APIs (requires subscription) ===
     
     /// <summary>
@@ -66,6 +76,18 @@ public interface INzgdDataService
     Task<List<NearbyBorehole>> GetNearbyBoreholesAsync(double lat, double lon, double radiusMeters, CancellationToken ct = default);
     Task<List<NearbyCpt>> GetNearbyCptsAsync(double lat, double lon, double radiusMeters, CancellationToken ct = default);
     Task<List<NearbyGeotechReport>> GetNearbyReportsAsync(double lat, double lon, double radiusMeters, CancellationToken ct = default);
+
+    /// <summary>
+    /// NZGD boreholes within a bounding box, with distances measured from (fromLat, fromLon).
+    /// Only real investigations are returned - there is no estimated fallback.
+    /// </summary>
+    Task<List<NearbyBorehole>> GetBoreholesInBoundsAsync(double south, double west, double north, double east, double fromLat, double fromLon, CancellationToken ct = default);
+
+    /// <summary>
+    /// NZGD CPTs within a bounding box, with distances measured from (fromLat, fromLon).
+    /// Only real investigations are returned - there is no estimated fallback.
+    /// </summary>
+    Task<List<NearbyCpt>> GetCptsInBoundsAsync(double south, double west, double north, double east, double fromLat, double fromLon, CancellationToken ct = default);
 }
 
 /// <summary>
@@ -97,4 +119,5 @@ public interface INiwaDataService
 {
     Task<RainfallData?> GetRainfallDataAsync(double lat, double lon, CancellationToken ct = default);
     Task<string?> GetWindZoneAsync(double lat, double lon, CancellationToken ct = default);
+    Task<WindData?> GetWindDataAsync(double lat, double lon, CancellationToken ct = default);
 }
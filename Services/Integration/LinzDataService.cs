@@ -1,5 +1,7 @@
 using MaxPayroll.SiteEvaluator.Models;
+using System.Globalization;
 using System.Net.Http.Headers;
+using System.Text.Json;
 using System.Text.RegularExpressions;
 
 namespace MaxPayroll.SiteEvaluator.Services.Integration;
@@ -407,6 +409,175 @@ public class LinzDataService : ILinzDataService
         }
     }
 
+    public async Task<SiteLocation?> LookupLocationAtAsync(double lat, double lon, CancellationToken ct = default)
+    {
+        var apiKey = _configuration["SiteEvaluator:Linz:ApiKey"] ?? _configuration["Linz:ApiKey"];
+        
+        if (string.IsNullOrEmpty(apiKey))
+        {
+            _logger.LogDebug("LINZ API key not configured - using mock data for: {Lat}, {Lon}", lat, lon);
+            return MockDataProvider.GetNearestSiteLocation(lat, lon);
+        }
+        
+        try
+        {
+            var point = string.Create(CultureInfo.InvariantCulture, $"POINT({lon} {lat})");
+            
+            // Parcel containing the point
+            using var parcelDoc = await GetWfsFeaturesAsync("layer-51571", $"INTERSECTS(shape,{point})", ct);
+            var parcel = FirstFeature(parcelDoc);
+            
+            return await BuildParcelLocationAsync(parcel, lat, lon, ct);
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error identifying location at: {Lat}, {Lon} - falling back to mock data", lat, lon);
+            return MockDataProvider.GetNearestSiteLocation(lat, lon);
+        }
+    }
+
+    public async Task<SiteLocation?> LookupParcelAsync(string legalDescription, CancellationToken ct = default)
+    {
+        var appellation = PropertyIdentifiers.NormaliseLegalDescription(legalDescription);
+        var apiKey = _configuration["SiteEvaluator:Linz:ApiKey"] ?? _configuration["Linz:ApiKey"];
+        
+        if (string.IsNullOrEmpty(apiKey))
+        {
+            _logger.LogDebug("LINZ API key not configured - using mock data for: {LegalDescription}", appellation);
+            return MockDataProvider.GetSiteLocationByLegalDescription(appellation);
+        }
+        
+        try
+        {
+            using var parcelDoc = await GetWfsFeaturesAsync(
+                "layer-51571", $"appellation ILIKE '{EscapeCqlLike(appellation)}'", ct);
+            var parcel = FirstFeature(parcelDoc);
+            
+            if (parcel?.TryGetProperty("geometry", out var geometry) != true)
+                return null;
+
+            // Locate the parcel by the centre of its boundary
+            var boundary = ReadOuterRing(geometry);
+            if (boundary == null || boundary.Count == 0)
+                return null;
+
+            var centre = Services.GeoUtils.CalculateCentroid(boundary);
+            return await BuildParcelLocationAsync(parcel, centre.Latitude, centre.Longitude, ct);
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error looking up parcel: {LegalDescription} - falling back to mock data", appellation);
+            return MockDataProvider.GetSiteLocationByLegalDescription(appellation);
+        }
+    }
+
+    /// <summary>
+    /// Build a location from a parcel feature and the nearest address point within 100 m
+    /// (rural sites may have none).
+    /// </summary>
+    private async Task<SiteLocation?> BuildParcelLocationAsync(JsonElement? parcel, double lat, double lon, CancellationToken ct)
+    {
+        var point = string.Create(CultureInfo.InvariantCulture, $"POINT({lon} {lat})");
+        
+        using var addressDoc = await GetWfsFeaturesAsync("layer-105689", $"DWITHIN(shape,{point},100,meters)", ct);
+        var address = FirstFeature(addressDoc);
+        
+        if (parcel == null && address == null)
+            return null;
+
+        var location = new SiteLocation
+        {
+            Latitude = lat,
+            Longitude = lon,
+            Address = GetFeatureString(address, "full_address") ?? string.Empty,
+            Suburb = GetFeatureString(address, "suburb_locality"),
+            City = GetFeatureString(address, "town_city"),
+            TerritorialAuthority = GetFeatureString(address, "territorial_authority"),
+            LegalDescription = GetFeatureString(parcel, "appellation") ?? string.Empty,
+            TitleReference = GetFeatureString(parcel, "titles")?.Split(',')[0].Trim()
+        };
+
+        if (parcel?.TryGetProperty("geometry", out var geometry) == true)
+        {
+            location.Boundary = ReadOuterRing(geometry);
+        }
+        
+        return location;
+    }
+
+    /// <summary>
+    /// Query a LINZ WFS layer with a CQL filter, returning GeoJSON in lon/lat order.
+    /// </summary>
+    private async Task<JsonDocument?> GetWfsFeaturesAsync(string typeName, string cqlFilter, CancellationToken ct)
+    {
+        var url = $"/services/api/v1/wfs?service=WFS&version=2.0.0&request=GetFeature&typeName={typeName}" +
+            $"&srsName=CRS:84&count=1&outputFormat=application/json&CQL_FILTER={Uri.EscapeDataString(cqlFilter)}";
+        
+        var response = await _httpClient.GetAsync(url, ct);
+        if (!response.IsSuccessStatusCode)
+        {
+            _logger.LogWarning("LINZ WFS {TypeName} failed: {StatusCode}", typeName, response.StatusCode);
+            return null;
+        }
+
+        return await JsonDocument.ParseAsync(await response.Content.ReadAsStreamAsync(ct), cancellationToken: ct);
+    }
+
+    /// <summary>
+    /// Quote a value for a CQL LIKE/ILIKE pattern so it matches literally: the % and _ wildcards and the
+    /// backslash escape character are escaped, and single quotes are doubled.
+    /// </summary>
+    private static string EscapeCqlLike(string value)
+    {
+        return value
+            .Replace("\\", "\\\\")
+            .Replace("%", "\\%")
+            .Replace("_", "\\_")
+            .Replace("'", "''");
+    }
+
+    private static JsonElement? FirstFeature(JsonDocument? doc)
+    {
+        if (doc == null || 
+            !doc.RootElement.TryGetProperty("features", out var features) || 
+            features.GetArrayLength() == 0)
+            return null;
+
+        return features[0];
+    }
+
+    private static string? GetFeatureString(JsonElement? feature, string property)
+    {
+        if (feature == null || 
+            !feature.Value.TryGetProperty("properties", out var props) ||
+            !props.TryGetProperty(property, out var value) ||
+            value.ValueKind != JsonValueKind.String)
+            return null;
+
+        return value.GetString();
+    }
+
+    /// <summary>
+    /// Read the outer ring of a Polygon or the first polygon of a MultiPolygon.
+    /// </summary>
+    private static List<Coordinate>? ReadOuterRing(JsonElement geometry)
+    {
+        if (!geometry.TryGetProperty("type", out var type) || 
+            !geometry.TryGetProperty("coordinates", out var coordinates))
+            return null;
+
+        JsonElement? ring = type.GetString() switch
+        {
+            "Polygon" => coordinates[0],
+            "MultiPolygon" => coordinates[0][0],
+            _ => null
+        };
+
+        return ring?.EnumerateArray()
+            .Select(c => new Coordinate { Latitude = c[1].GetDouble(), Longitude = c[0].GetDouble() })
+            .ToList();
+    }
+
     public async Task<List<AddressSuggestion>> GetAddressSuggestionsAsync(string query, CancellationToken ct = default)
     {
         // Check if API key is configured
@@ -219,6 +219,59 @@ public static class MockDataProvider
         };
     }
 
+    /// <summary>
+    /// Get the mock address nearest a point, if one is within range.
+    /// </summary>
+    public static SiteLocation? GetNearestSiteLocation(double lat, double lon, double maxDistanceMeters = 150)
+    {
+        var nearest = SampleAddresses
+            .Select(a => new { Address = a, Distance = GeoUtils.CalculateDistance(lat, lon, a.Latitude, a.Longitude) })
+            .Where(a => a.Distance <= maxDistanceMeters)
+            .OrderBy(a => a.Distance)
+            .FirstOrDefault()?.Address;
+
+        if (nearest == null)
+            return null;
+
+        return new SiteLocation
+        {
+            Address = nearest.FullAddress,
+            Latitude = lat,
+            Longitude = lon,
+            LegalDescription = nearest.LegalDescription ?? "Mock Legal Description",
+            TitleReference = nearest.TitleReference,
+            TerritorialAuthority = nearest.TerritorialAuthority,
+            Suburb = nearest.Suburb,
+            City = nearest.City
+        };
+    }
+
+    /// <summary>
+    /// Get the mock address whose legal description matches, e.g. "Lot 2 DP 12345".
+    /// </summary>
+    public static SiteLocation? GetSiteLocationByLegalDescription(string legalDescription)
+    {
+        var match = SampleAddresses.FirstOrDefault(a =>
+            a.LegalDescription != null &&
+            PropertyIdentifiers.NormaliseLegalDescription(a.LegalDescription)
+                .Equals(legalDescription, StringComparison.OrdinalIgnoreCase));
+
+        if (match == null)
+            return null;
+
+        return new SiteLocation
+        {
+            Address = match.FullAddress,
+            Latitude = match.Latitude,
+            Longitude = match.Longitude,
+            LegalDescription = match.LegalDescription ?? string.Empty,
+            TitleReference = match.TitleReference,
+            TerritorialAuthority = match.TerritorialAuthority,
+            Suburb = match.Suburb,
+            City = match.City
+        };
+    }
+
     /// <summary>
     /// Get mock property matches for Step 2.
     /// </summary>
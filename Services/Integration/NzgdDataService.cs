@@ -48,22 +48,29 @@ public class NzgdDataService : INzgdDataService
         
         if (apiResult != null && apiResult.Count > 0)
         {
-            return apiResult.Select(c => new NearbyCpt
-            {
-                Id = c.Id ?? Guid.NewGuid().ToString(),
-                DistanceMeters = GeoUtils.CalculateDistance(lat, lon, c.Latitude ?? 0, c.Longitude ?? 0),
-                Latitude = c.Latitude ?? 0,
-                Longitude = c.Longitude ?? 0,
-                Depth = c.Depth,
-                Date = c.Date,
-                SourceUrl = $"https://www.nzgd.org.nz/cpt/{c.Id}"
-            }).ToList();
+            return apiResult.Select(c => MapCpt(c, lat, lon)).ToList();
         }
         
         // Fall back to estimated data
         return GetEstimatedCpts(lat, lon, radiusMeters);
     }
 
+    public async Task<List<NearbyBorehole>> GetBoreholesInBoundsAsync(double south, double west, double north, double east, double fromLat, double fromLon, CancellationToken ct = default)
+    {
+        var apiResult = await TryNzgdApiAsync<List<NzgdBorehole>>(
+            $"/api/v1/boreholes/search?bbox={FormatBounds(south, west, north, east)}", ct);
+
+        return apiResult?.Select(b => MapBorehole(b, fromLat, fromLon)).ToList() ?? [];
+    }
+
+    public async Task<List<NearbyCpt>> GetCptsInBoundsAsync(double south, double west, double north, double east, double fromLat, double fromLon, CancellationToken ct = default)
+    {
+        var apiResult = await TryNzgdApiAsync<List<NzgdCpt>>(
+            $"/api/v1/cpts/search?bbox={FormatBounds(south, west, north, east)}", ct);
+
+        return apiResult?.Select(c => MapCpt(c, fromLat, fromLon)).ToList() ?? [];
+    }
+
     public async Task<List<NearbyGeotechReport>> GetNearbyReportsAsync(double lat, double lon, double radiusMeters, CancellationToken ct = default)
     {
         // Try NZGD API first
@@ -200,6 +207,26 @@ public class NzgdDataService : INzgdDataService
         };
     }
 
+    private static NearbyCpt MapCpt(NzgdCpt c, double searchLat, double searchLon)
+    {
+        return new NearbyCpt
+        {
+            Id = c.Id ?? Guid.NewGuid().ToString(),
+            DistanceMeters = GeoUtils.CalculateDistance(searchLat, searchLon, c.Latitude ?? 0, c.Longitude ?? 0),
+            Latitude = c.Latitude ?? 0,
+            Longitude = c.Longitude ?? 0,
+            Depth = c.Depth,
+            Date = c.Date,
+            SourceUrl = $"https://www.nzgd.org.nz/cpt/{c.Id}"
+        };
+    }
+
+    /// <summary>
+    /// Bounding box in the API's west,south,east,north order
+    /// </summary>
+    private static string FormatBounds(double south, double west, double north, double east) =>
+        string.Join(",", new[] { west, south, east, north }.Select(v => v.ToString(System.Globalization.CultureInfo.InvariantCulture)));
+
     /// <summary>
     /// Generate estimated borehole data based on regional geology.
     /// This is used when NZGD API is unavailable.
@@ -52,6 +52,16 @@ public interface IJobService
     /// </summary>
     Task<IEnumerable<EvaluationJob>> SearchJobsAsync(string query, CancellationToken ct = default);
     
+    /// <summary>
+    /// Find jobs at the locations with a title reference (normalised, e.g. "CB45A/123").
+    /// </summary>
+    Task<IEnumerable<EvaluationJob>> SearchJobsByTitleAsync(string titleReference, CancellationToken ct = default);
+    
+    /// <summary>
+    /// Build a job's site evaluation from its location's cached data (null when the job or location is missing).
+    /// </summary>
+    Task<SiteEvaluation?> GetJobEvaluationAsync(string jobId, CancellationToken ct = default);
+    
     // === Data Collection ===
     
     /// <summary>
@@ -64,6 +74,11 @@ public interface IJobService
     /// </summary>
     Task<EvaluationJob> RefreshDataSectionsAsync(string jobId, IEnumerable<string> sections, CancellationToken ct = default);
     
+    /// <summary>
+    /// Retrieve one external data source for a job and record its sections' status.
+    /// </summary>
+    Task<DataSourceRefreshResult> RefreshDataSourceAsync(string jobId, string source, CancellationToken ct = default);
+    
     // === Reports ===
     
     /// <summary>
@@ -83,6 +98,11 @@ public interface IJobService
     /// </summary>
     Task<EvaluationJob> UpdateJobStatusAsync(string jobId, JobStatus status, CancellationToken ct = default);
     
+    /// <summary>
+    /// Mark a hazard as reviewed, or outstanding again.
+    /// </summary>
+    Task<EvaluationJob> SetHazardReviewedAsync(string jobId, string hazard, bool reviewed, CancellationToken ct = default);
+    
     /// <summary>
     /// Get next job reference number.
     /// </summary>
@@ -121,6 +141,10 @@ public class CreateJobRequest
     public int? ProposedUnits { get; set; }
     public double? ProposedGfa { get; set; }
     
+    // Created by (the job's owner)
+    public string? CreatedByUserId { get; set; }
+    public string? CreatedByUserName { get; set; }
+    
     // Options
     public bool AutoStartDataCollection { get; set; } = true;
     public bool IsBillable { get; set; } = true;
@@ -157,6 +181,8 @@ public class JobListFilter
 {
     public JobStatus? Status { get; set; }
     public JobPurpose? Purpose { get; set; }
+    public PropertyUseCategory? IntendedUse { get; set; }
+    public int? MinCompleteness { get; set; }
     public DateTime? FromDate { get; set; }
     public DateTime? ToDate { get; set; }
     public string? CustomerName { get; set; }
@@ -201,6 +227,12 @@ public interface ILocationService
     /// </summary>
     Task<PropertyLocation> RefreshLocationDataAsync(string locationId, IEnumerable<string>? sections = null, CancellationToken ct = default);
     
+    /// <summary>
+    /// Retrieve the sections supplied by one external data source (see <see cref="JobDataSources"/>),
+    /// returning each section's outcome.
+    /// </summary>
+    Task<Dictionary<string, DataSectionStatus>> RefreshDataSourceAsync(string locationId, string source, CancellationToken ct = default);
+    
     /// <summary>
     /// Get location summaries (for list views).
     /// </summary>
@@ -280,9 +312,54 @@ public class ReportOptions
     public string? CompanyName { get; set; }
     public string? PreparedBy { get; set; }
     public string? PreparedFor { get; set; }
+    
+    /// <summary>
+    /// Sections to include, in report order (see ReportSections). Empty for the standard full report.
+    /// </summary>
     public List<string> IncludeSections { get; set; } = [];
     public bool IncludeAppendices { get; set; } = true;
+    
+    /// <summary>
+    /// Include the map snapshot uploaded for the evaluation as the site location figure
+    /// </summary>
     public bool IncludeMaps { get; set; } = true;
+    
+    /// <summary>
+    /// Include the logs of nearby boreholes with the geotechnical section
+    /// </summary>
+    public bool IncludeBoreholeLogs { get; set; }
+    
+    /// <summary>
+    /// Consultant notes shown at the end of a section, keyed by section
+    /// </summary>
+    public Dictionary<string, string> SectionNotes { get; set; } = [];
+}
+
+/// <summary>
+/// A section of a site evaluation report.
+/// </summary>
+public record ReportSection(string Key, string Title, string Description);
+
+/// <summary>
+/// The sections a report can be built from, in the standard report order.
+/// </summary>
+public static class ReportSections
+{
+    public static readonly IReadOnlyList<ReportSection> All =
+    [
+        new("location", "Site Location", "Address, legal description and coordinates"),
+        new("zoning", "Zoning & Planning", "Zone, height and coverage limits, overlays"),
+        new("hazards", "Natural Hazards", "Flooding, liquefaction, seismic and other hazards"),
+        new("geotech", "Geotechnical Data", "Site class and nearby investigations"),
+        new("infrastructure", "Infrastructure", "Water, wastewater, stormwater, power and fibre"),
+        new("climate", "Climate Data", "Wind zone and rainfall"),
+        new("land", "Land & Title", "Title, owners, easements and covenants")
+    ];
+
+    /// <summary>
+    /// Sections in the standard full report
+    /// </summary>
+    public static readonly IReadOnlyList<string> Standard = ["location", "zoning", "hazards", "geotech", "infrastructure", "climate"];
 }
 
 /// <summary>
@@ -1,6 +1,7 @@
 using MaxPayroll.SiteEvaluator.Models;
 using MaxPayroll.SiteEvaluator.Models.Wizard;
 using MaxPayroll.SiteEvaluator.Services.Integration;
+using System.Diagnostics;
 
 namespace MaxPayroll.SiteEvaluator.Services;
 
@@ -94,6 +95,8 @@ public class JobService : IJobService
             ProposedGfa = request.ProposedGfa,
             IsBillable = request.IsBillable,
             InternalNotes = request.InternalNotes,
+            CreatedByUserId = request.CreatedByUserId ?? string.Empty,
+            CreatedByUserName = request.CreatedByUserName ?? string.Empty,
             Status = JobStatus.Created
         };
 
@@ -173,6 +176,10 @@ public class JobService : IJobService
                 jobs = jobs.Where(j => j.Status == filter.Status.Value);
             if (filter.Purpose.HasValue)
                 jobs = jobs.Where(j => j.Purpose == filter.Purpose.Value);
+            if (filter.IntendedUse.HasValue)
+                jobs = jobs.Where(j => j.IntendedUse == filter.IntendedUse.Value);
+            if (filter.MinCompleteness.HasValue)
+                jobs = jobs.Where(j => j.CompletenessPercent >= filter.MinCompleteness.Value);
             if (filter.FromDate.HasValue)
                 jobs = jobs.Where(j => j.CreatedDate >= filter.FromDate.Value);
             if (filter.ToDate.HasValue)
@@ -217,6 +224,28 @@ public class JobService : IJobService
         return jobs.OrderByDescending(j => j.CreatedDate).Take(50).ToList();
     }
 
+    public async Task<IEnumerable<EvaluationJob>> SearchJobsByTitleAsync(string titleReference, CancellationToken ct = default)
+    {
+        var locations = await _repository.FindAsync<PropertyLocation>(l => l.TitleReference == titleReference);
+
+        var jobs = new List<EvaluationJob>();
+        foreach (var location in locations)
+        {
+            jobs.AddRange(await GetJobsForLocationAsync(location.Id, ct));
+        }
+
+        return jobs.OrderByDescending(j => j.CreatedDate).Take(50).ToList();
+    }
+
+    public async Task<SiteEvaluation?> GetJobEvaluationAsync(string jobId, CancellationToken ct = default)
+    {
+        var job = await _repository.GetByIdAsync<EvaluationJob>(jobId);
+        if (job == null) return null;
+
+        var location = await _locationService.GetLocationAsync(job.LocationId, ct);
+        return location == null ? null : BuildEvaluationFromLocation(location, job);
+    }
+
     public async Task<EvaluationJob> StartDataCollectionAsync(string jobId, CancellationToken ct = default)
     {
         var job = await _repository.GetByIdAsync<EvaluationJob>(jobId)
@@ -244,6 +273,9 @@ public class JobService : IJobService
         job.DataStatus.Hazards = location.CachedHazards != null ? DataSectionStatus.Complete : DataSectionStatus.NotAvailable;
         job.DataStatus.HazardsUpdated = location.HazardsCachedAt;
 
+        job.DataStatus.Seismic = location.CachedHazards?.Seismic != null ? DataSectionStatus.Complete : DataSectionStatus.NotAvailable;
+        job.DataStatus.SeismicUpdated = location.HazardsCachedAt;
+
         job.DataStatus.Geotech = location.CachedGeotech != null ? DataSectionStatus.Complete : DataSectionStatus.NotAvailable;
         job.DataStatus.GeotechUpdated = location.GeotechCachedAt;
 
@@ -282,6 +314,43 @@ public class JobService : IJobService
         return await StartDataCollectionAsync(jobId, ct);
     }
 
+    public async Task<DataSourceRefreshResult> RefreshDataSourceAsync(string jobId, string source, CancellationToken ct = default)
+    {
+        var dataSource = JobDataSources.Find(source)
+            ?? throw new ArgumentException($"Unknown data source: {source}");
+
+        var job = await _repository.GetByIdAsync<EvaluationJob>(jobId)
+            ?? throw new ArgumentException($"Job not found: {jobId}");
+
+        var stopwatch = Stopwatch.StartNew();
+        var sections = await _locationService.RefreshDataSourceAsync(job.LocationId, dataSource.Key, ct);
+        stopwatch.Stop();
+
+        var now = DateTime.UtcNow;
+        foreach (var (section, status) in sections)
+        {
+            job.DataStatus.Set(section, status, now);
+        }
+
+        job.CompletenessPercent = CalculateCompleteness(job.DataStatus);
+        job.LastUpdated = now;
+        await _repository.UpdateAsync(job);
+
+        _logger.LogInformation("Refreshed {Source} for job {JobReference} in {Duration}ms: {Status}",
+            dataSource.Name, job.JobReference, stopwatch.ElapsedMilliseconds, JobDataSources.Combine(sections.Values));
+
+        return new DataSourceRefreshResult
+        {
+            Source = dataSource.Key,
+            Name = dataSource.Name,
+            Status = JobDataSources.Combine(sections.Values),
+            Updated = now,
+            DurationMs = stopwatch.ElapsedMilliseconds,
+            Sections = sections,
+            CompletenessPercent = job.CompletenessPercent
+        };
+    }
+
     public async Task<JobReport> GenerateReportAsync(string jobId, ReportType type, ReportOptions options, CancellationToken ct = default)
     {
         var job = await _repository.GetByIdAsync<EvaluationJob>(jobId)
@@ -365,6 +434,22 @@ public class JobService : IJobService
         return job;
     }
 
+    public async Task<EvaluationJob> SetHazardReviewedAsync(string jobId, string hazard, bool reviewed, CancellationToken ct = default)
+    {
+        var job = await _repository.GetByIdAsync<EvaluationJob>(jobId)
+            ?? throw new ArgumentException($"Job not found: {jobId}");
+
+        job.ReviewedHazards.RemoveAll(k => k.Equals(hazard, StringComparison.OrdinalIgnoreCase));
+        if (reviewed)
+        {
+            job.ReviewedHazards.Add(hazard);
+        }
+
+        job.LastUpdated = DateTime.UtcNow;
+        await _repository.UpdateAsync(job);
+        return job;
+    }
+
     public async Task<string> GetNextJobReferenceAsync(CancellationToken ct = default)
     {
         // Get the highest job reference for this year
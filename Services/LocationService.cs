@@ -137,14 +137,23 @@ public class LocationService : ILocationService
             return nearest;
         }
 
-        // Reverse geocode to get address
-        // (In a real implementation, we'd call a reverse geocoding API)
+        // Identify the parcel and nearest address at the point
+        var siteLocation = await _linzService.LookupLocationAtAsync(lat, lon, ct);
+        
         var location = new PropertyLocation
         {
-            Address = $"Location at {lat:F6}, {lon:F6}",
+            Address = !string.IsNullOrEmpty(siteLocation?.Address)
+                ? siteLocation.Address
+                : $"Location at {lat:F6}, {lon:F6}",
+            TitleReference = siteLocation?.TitleReference,
+            LegalDescription = siteLocation?.LegalDescription,
             Latitude = lat,
             Longitude = lon,
-            Source = "Coordinates",
+            Suburb = siteLocation?.Suburb,
+            City = siteLocation?.City,
+            TerritorialAuthority = siteLocation?.TerritorialAuthority,
+            Boundary = siteLocation?.Boundary,
+            Source = siteLocation != null ? "LINZ" : "Coordinates",
             GeocodeConfidence = 50 // Lower confidence for coordinate-based entry
         };
 
@@ -191,7 +200,7 @@ public class LocationService : ILocationService
 
         if (sectionsToRefresh.Contains("hazards") && location.IsCacheStale("hazards", CacheMaxAgeHours))
         {
-            tasks.Add(RefreshHazardsAsync(location, ct));
+            tasks.Add(RefreshHazardsAndSeismicAsync(location, ct));
         }
 
         if (sectionsToRefresh.Contains("geotech") && location.IsCacheStale("geotech", CacheMaxAgeHours))
@@ -222,6 +231,47 @@ public class LocationService : ILocationService
         return location;
     }
 
+    public async Task<Dictionary<string, DataSectionStatus>> RefreshDataSourceAsync(string locationId, string source, CancellationToken ct = default)
+    {
+        var location = await _repository.GetByIdAsync<PropertyLocation>(locationId)
+            ?? throw new ArgumentException($"Location not found: {locationId}");
+
+        _logger.LogInformation("Refreshing {Source} data for location {LocationId}", source, locationId);
+
+        // Sources are retried on request, so the cache is bypassed
+        var sections = source.ToLowerInvariant() switch
+        {
+            "linz" => new Dictionary<string, DataSectionStatus>
+            {
+                ["Land"] = await RefreshLandAsync(location, ct)
+            },
+            "council" => new Dictionary<string, DataSectionStatus>
+            {
+                ["Zoning"] = await RefreshZoningAsync(location, ct),
+                ["Hazards"] = await RefreshHazardsAsync(location, ct),
+                ["Infrastructure"] = await RefreshInfrastructureAsync(location, ct)
+            },
+            "gns" => new Dictionary<string, DataSectionStatus>
+            {
+                ["Seismic"] = await RefreshSeismicAsync(location, ct)
+            },
+            "niwa" => new Dictionary<string, DataSectionStatus>
+            {
+                ["Climate"] = await RefreshClimateAsync(location, ct)
+            },
+            "nzgd" => new Dictionary<string, DataSectionStatus>
+            {
+                ["Geotech"] = await RefreshGeotechAsync(location, ct)
+            },
+            _ => throw new ArgumentException($"Unknown data source: {source}")
+        };
+
+        location.LastUpdated = DateTime.UtcNow;
+        await _repository.UpdateAsync(location);
+
+        return sections;
+    }
+
     public async Task<IEnumerable<LocationSummary>> GetLocationSummariesAsync(int skip = 0, int take = 50, CancellationToken ct = default)
     {
         var locations = await _repository.FindAsync<PropertyLocation>(_ => true);
@@ -254,48 +304,79 @@ public class LocationService : ILocationService
     }
 
     // === Private refresh methods ===
+    // Each records what it retrieved and reports the outcome; failures are logged, not thrown
 
-    private async Task RefreshZoningAsync(PropertyLocation location, CancellationToken ct)
+    private async Task<DataSectionStatus> RefreshZoningAsync(PropertyLocation location, CancellationToken ct)
     {
         try
         {
             var council = _councilServices.FirstOrDefault(c => c.SupportsRegion(location.Latitude, location.Longitude));
-            if (council != null)
-            {
-                location.CachedZoning = await council.GetZoningDataAsync(location.Latitude, location.Longitude, ct);
-                location.ZoningCachedAt = DateTime.UtcNow;
-            }
+            if (council == null)
+                return DataSectionStatus.NotAvailable;
+
+            location.CachedZoning = await council.GetZoningDataAsync(location.Latitude, location.Longitude, ct);
+            location.ZoningCachedAt = DateTime.UtcNow;
+            return location.CachedZoning != null ? DataSectionStatus.Complete : DataSectionStatus.NotAvailable;
         }
         catch (Exception ex)
         {
             _logger.LogWarning(ex, "Failed to refresh zoning for location {LocationId}", location.Id);
+            return DataSectionStatus.Failed;
         }
     }
 
-    private async Task RefreshHazardsAsync(PropertyLocation location, CancellationToken ct)
+    private async Task<DataSectionStatus> RefreshHazardsAsync(PropertyLocation location, CancellationToken ct)
     {
         try
         {
             var council = _councilServices.FirstOrDefault(c => c.SupportsRegion(location.Latitude, location.Longitude));
-            if (council != null)
-            {
-                var hazards = await council.GetHazardDataAsync(location.Latitude, location.Longitude, ct);
-                if (hazards != null)
-                {
-                    // Add seismic data from GNS
-                    hazards.Seismic = await _gnsService.GetSeismicHazardAsync(location.Latitude, location.Longitude, ct);
-                }
-                location.CachedHazards = hazards;
-                location.HazardsCachedAt = DateTime.UtcNow;
-            }
+            if (council == null)
+                return DataSectionStatus.NotAvailable;
+
+            // The GNS seismic data is retrieved separately, so keep what was last retrieved
+            var seismic = location.CachedHazards?.Seismic;
+            location.CachedHazards = await council.GetHazardDataAsync(location.Latitude, location.Longitude, ct);
+            location.HazardsCachedAt = DateTime.UtcNow;
+            if (location.CachedHazards == null)
+                return DataSectionStatus.NotAvailable;
+
+            if (seismic != null)
+                location.CachedHazards.Seismic = seismic;
+            return DataSectionStatus.Complete;
         }
         catch (Exception ex)
         {
             _logger.LogWarning(ex, "Failed to refresh hazards for location {LocationId}", location.Id);
+            return DataSectionStatus.Failed;
+        }
+    }
+
+    private async Task RefreshHazardsAndSeismicAsync(PropertyLocation location, CancellationToken ct)
+    {
+        // Seismic data is held on the council hazard data, so GNS follows the council
+        await RefreshHazardsAsync(location, ct);
+        await RefreshSeismicAsync(location, ct);
+    }
+
+    private async Task<DataSectionStatus> RefreshSeismicAsync(PropertyLocation location, CancellationToken ct)
+    {
+        // Seismic data is held on the council hazard data
+        if (location.CachedHazards == null)
+            return DataSectionStatus.NotAvailable;
+
+        try
+        {
+            location.CachedHazards.Seismic = await _gnsService.GetSeismicHazardAsync(location.Latitude, location.Longitude, ct);
+            return location.CachedHazards.Seismic != null ? DataSectionStatus.Complete : DataSectionStatus.NotAvailable;
+        }
+        catch (Exception ex)
+        {
+            _logger.LogWarning(ex, "Failed to refresh seismic hazard for location {LocationId}", location.Id);
+            return DataSectionStatus.Failed;
         }
     }
 
-    private async Task RefreshGeotechAsync(PropertyLocation location, CancellationToken ct)
+    private async Task<DataSectionStatus> RefreshGeotechAsync(PropertyLocation location, CancellationToken ct)
     {
         try
         {
@@ -318,40 +399,47 @@ public class LocationService : ILocationService
                 }
             };
             location.GeotechCachedAt = DateTime.UtcNow;
+            return DataSectionStatus.Complete;
         }
         catch (Exception ex)
         {
             _logger.LogWarning(ex, "Failed to refresh geotech for location {LocationId}", location.Id);
+            return DataSectionStatus.Failed;
         }
     }
 
-    private async Task RefreshInfrastructureAsync(PropertyLocation location, CancellationToken ct)
+    private async Task<DataSectionStatus> RefreshInfrastructureAsync(PropertyLocation location, CancellationToken ct)
     {
         try
         {
             var council = _councilServices.FirstOrDefault(c => c.SupportsRegion(location.Latitude, location.Longitude));
-            if (council != null)
-            {
-                location.CachedInfrastructure = await council.GetInfrastructureDataAsync(location.Latitude, location.Longitude, ct);
-                location.InfrastructureCachedAt = DateTime.UtcNow;
-            }
+            if (council == null)
+                return DataSectionStatus.NotAvailable;
+
+            location.CachedInfrastructure = await council.GetInfrastructureDataAsync(location.Latitude, location.Longitude, ct);
+            location.InfrastructureCachedAt = DateTime.UtcNow;
+            return location.CachedInfrastructure != null ? DataSectionStatus.Complete : DataSectionStatus.NotAvailable;
         }
         catch (Exception ex)
         {
             _logger.LogWarning(ex, "Failed to refresh infrastructure for location {LocationId}", location.Id);
+            return DataSectionStatus.Failed;
         }
     }
 
-    private async Task RefreshClimateAsync(PropertyLocation location, CancellationToken ct)
+    private async Task<DataSectionStatus> RefreshClimateAsync(PropertyLocation location, CancellationToken ct)
     {
         try
         {
             var rainfall = await _niwaService.GetRainfallDataAsync(location.Latitude, location.Longitude, ct);
             var windZone = await _niwaService.GetWindZoneAsync(location.Latitude, location.Longitude, ct);
+            var wind = await _niwaService.GetWindDataAsync(location.Latitude, location.Longitude, ct);
 
             location.CachedClimate = new ClimateData
             {
                 WindZone = windZone,
+                BasicWindSpeed = wind?.BasicWindSpeed,
+                Wind = wind,
                 Rainfall = rainfall,
                 Source = new DataSource
                 {
@@ -361,26 +449,30 @@ public class LocationService : ILocationService
                 }
             };
             location.ClimateCachedAt = DateTime.UtcNow;
+            return DataSectionStatus.Complete;
         }
         catch (Exception ex)
         {
             _logger.LogWarning(ex, "Failed to refresh climate for location {LocationId}", location.Id);
+            return DataSectionStatus.Failed;
         }
     }
 
-    private async Task RefreshLandAsync(PropertyLocation location, CancellationToken ct)
+    private async Task<DataSectionStatus> RefreshLandAsync(PropertyLocation location, CancellationToken ct)
     {
         try
         {
-            if (!string.IsNullOrEmpty(location.TitleReference))
-            {
-                location.CachedLand = await _linzService.GetTitleDataAsync(location.TitleReference, ct);
-                location.LandCachedAt = DateTime.UtcNow;
-            }
+            if (string.IsNullOrEmpty(location.TitleReference))
+                return DataSectionStatus.NotAvailable;
+
+            location.CachedLand = await _linzService.GetTitleDataAsync(location.TitleReference, ct);
+            location.LandCachedAt = DateTime.UtcNow;
+            return location.CachedLand != null ? DataSectionStatus.Complete : DataSectionStatus.NotAvailable;
         }
         catch (Exception ex)
         {
             _logger.LogWarning(ex, "Failed to refresh land data for location {LocationId}", location.Id);
+            return DataSectionStatus.Failed;
         }
     }
 
@@ -0,0 +1,68 @@
+using System.Text.RegularExpressions;
+
+namespace MaxPayroll.SiteEvaluator.Services;
+
+/// <summary>
+/// Validation and normalisation of LINZ title references and parcel legal descriptions.
+/// </summary>
+public static class PropertyIdentifiers
+{
+    /// <summary>
+    /// Format examples shown to users.
+    /// </summary>
+    public const string TitleReferenceExample = "CB45A/123";
+    public const string LegalDescriptionExample = "Lot 2 DP 12345";
+
+    private const string TitleReferencePattern = @"^([A-Z]{2,3}\d{1,4}[A-Z]?/\d{1,4}|\d{5,7})$";
+
+    // Parcels on a survey plan ("Lot 2 DP 12345") or in a town/survey district ("Pt Sec 509 Christchurch Town")
+    private const string LegalDescriptionPattern =
+        @"^((Pt|Part) )?(Lot|Sec|Section|Allot|Allotment|Flat|Unit) [A-Z0-9]+" +
+        @"(( .+)? (DPS|DP|LT|SO|FP|ML|UP|SP) \d+| .+ (Town|Settlement|SD|Survey District)( of .+)?)$";
+
+    /// <summary>
+    /// Normalise a title reference: upper case, no spaces (e.g. "cb45a / 123" to "CB45A/123").
+    /// </summary>
+    public static string NormaliseTitleReference(string titleReference)
+    {
+        return Regex.Replace(titleReference ?? "", @"\s+", "").ToUpperInvariant();
+    }
+
+    /// <summary>
+    /// Check a title reference is either a land district register (CB45A/123, NA789/123)
+    /// or a computer register unique identifier (123456).
+    /// </summary>
+    public static bool IsValidTitleReference(string? titleReference)
+    {
+        return !string.IsNullOrWhiteSpace(titleReference) &&
+            Regex.IsMatch(NormaliseTitleReference(titleReference), TitleReferencePattern);
+    }
+
+    /// <summary>
+    /// Normalise a legal description: single spaces, title-cased parcel type followed by a space and
+    /// upper-case survey plan type (e.g. "lot2 dp12345" to "Lot 2 DP 12345").
+    /// Matches the wizard's client-side normalisation.
+    /// </summary>
+    public static string NormaliseLegalDescription(string legalDescription)
+    {
+        var text = Regex.Replace((legalDescription ?? "").Trim(), @"\s+", " ");
+
+        text = Regex.Replace(text, @"\b(pt|part|lot|sec|section|allot|allotment|flat|unit)(?=\s|\d|$)\s*", m =>
+            char.ToUpperInvariant(m.Groups[1].Value[0]) + m.Groups[1].Value[1..].ToLowerInvariant() + " ", RegexOptions.IgnoreCase);
+
+        text = Regex.Replace(text, @"\b(DPS|DP|LT|SO|FP|ML|UP|SP)\s*(\d+)\b", m =>
+            $"{m.Groups[1].Value.ToUpperInvariant()} {m.Groups[2].Value}", RegexOptions.IgnoreCase);
+
+        return text.Trim();
+    }
+
+    /// <summary>
+    /// Check a legal description identifies a parcel, e.g. "Lot 2 DP 12345",
+    /// "Pt Lot 1 DP 2345", "Section 12 SO 4567" or "Pt Sec 509 Christchurch Town".
+    /// </summary>
+    public static bool IsValidLegalDescription(string? legalDescription)
+    {
+        return !string.IsNullOrWhiteSpace(legalDescription) &&
+            Regex.IsMatch(NormaliseLegalDescription(legalDescription), LegalDescriptionPattern, RegexOptions.IgnoreCase);
+    }
+}
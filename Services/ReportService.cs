@@ -10,20 +10,24 @@ namespace MaxPayroll.SiteEvaluator.Services;
 /// </summary>
 public class ReportService : IReportService
 {
+    private readonly ISiteEvaluatorRepository _repository;
     private readonly ILogger<ReportService> _logger;
 
-    public ReportService(ILogger<ReportService> logger)
+    public ReportService(ISiteEvaluatorRepository repository, ILogger<ReportService> logger)
     {
+        _repository = repository;
         _logger = logger;
         
         // Configure QuestPDF license
         QuestPDF.Settings.License = LicenseType.Community;
     }
 
-    public Task<byte[]> GenerateFullReportAsync(SiteEvaluation evaluation, ReportOptions options, CancellationToken ct = default)
+    public async Task<byte[]> GenerateFullReportAsync(SiteEvaluation evaluation, ReportOptions options, CancellationToken ct = default)
     {
         _logger.LogInformation("Generating full report for evaluation {Id}", evaluation.Id);
         
+        var mapSnapshot = options.IncludeMaps ? await _repository.GetMapSnapshotAsync(evaluation.Id) : null;
+        
         var document = Document.Create(container =>
         {
             container.Page(page =>
@@ -33,19 +37,20 @@ public class ReportService : IReportService
                 page.DefaultTextStyle(x => x.FontSize(10));
 
                 page.Header().Element(c => ComposeHeader(c, evaluation, options));
-                page.Content().Element(c => ComposeFullContent(c, evaluation, options));
+                page.Content().Element(c => ComposeFullContent(c, evaluation, options, mapSnapshot));
                 page.Footer().Element(ComposeFooter);
             });
         });
 
-        var bytes = document.GeneratePdf();
-        return Task.FromResult(bytes);
+        return document.GeneratePdf();
     }
 
-    public Task<byte[]> GenerateSummaryReportAsync(SiteEvaluation evaluation, CancellationToken ct = default)
+    public async Task<byte[]> GenerateSummaryReportAsync(SiteEvaluation evaluation, CancellationToken ct = default)
     {
         _logger.LogInformation("Generating summary report for evaluation {Id}", evaluation.Id);
         
+        var mapSnapshot = await _repository.GetMapSnapshotAsync(evaluation.Id);
+        
         var document = Document.Create(container =>
         {
             container.Page(page =>
@@ -55,19 +60,20 @@ public class ReportService : IReportService
                 page.DefaultTextStyle(x => x.FontSize(10));
 
                 page.Header().Element(c => ComposeHeader(c, evaluation, new ReportOptions()));
-                page.Content().Element(c => ComposeSummaryContent(c, evaluation));
+                page.Content().Element(c => ComposeSummaryContent(c, evaluation, mapSnapshot));
                 page.Footer().Element(ComposeFooter);
             });
         });
 
-        var bytes = document.GeneratePdf();
-        return Task.FromResult(bytes);
+        return document.GeneratePdf();
     }
 
-    public Task<byte[]> GenerateGeotechBriefAsync(SiteEvaluation evaluation, CancellationToken ct = default)
+    public async Task<byte[]> GenerateGeotechBriefAsync(SiteEvaluation evaluation, CancellationToken ct = default)
     {
         _logger.LogInformation("Generating geotech brief for evaluation {Id}", evaluation.Id);
         
+        var mapSnapshot = await _repository.GetMapSnapshotAsync(evaluation.Id);
+        
         var document = Document.Create(container =>
         {
             container.Page(page =>
@@ -77,13 +83,12 @@ public class ReportService : IReportService
                 page.DefaultTextStyle(x => x.FontSize(10));
 
                 page.Header().Element(c => ComposeHeader(c, evaluation, new ReportOptions()));
-                page.Content().Element(c => ComposeGeotechContent(c, evaluation));
+                page.Content().Element(c => ComposeGeotechContent(c, evaluation, mapSnapshot));
                 page.Footer().Element(ComposeFooter);
             });
         });
 
-        var bytes = document.GeneratePdf();
-        return Task.FromResult(bytes);
+        return document.GeneratePdf();
     }
 
     public Task<byte[]> GenerateDueDiligencePackAsync(SiteEvaluation evaluation, CancellationToken ct = default)
@@ -93,8 +98,10 @@ public class ReportService : IReportService
         // Due diligence pack is essentially a full report with all sections
         return GenerateFullReportAsync(evaluation, new ReportOptions
         {
+            IncludeSections = ReportSections.All.Select(s => s.Key).ToList(),
             IncludeAppendices = true,
-            IncludeMaps = true
+            IncludeMaps = true,
+            IncludeBoreholeLogs = true
         }, ct);
     }
 
@@ -109,6 +116,14 @@ public class ReportService : IReportService
                 col.Item().Text("SITE EVALUATION REPORT").Bold().FontSize(16);
                 col.Item().Text(evaluation.Location.Address).FontSize(12);
                 col.Item().Text($"Report Date: {DateTime.Now:d MMMM yyyy}").FontSize(9).FontColor(Colors.Grey.Medium);
+                if (!string.IsNullOrEmpty(options.PreparedFor))
+                {
+                    col.Item().Text($"Prepared for: {options.PreparedFor}").FontSize(9).FontColor(Colors.Grey.Medium);
+                }
+                if (!string.IsNullOrEmpty(options.PreparedBy))
+                {
+                    col.Item().Text($"Prepared by: {options.PreparedBy}").FontSize(9).FontColor(Colors.Grey.Medium);
+                }
             });
 
             if (!string.IsNullOrEmpty(options.CompanyName))
@@ -133,60 +148,67 @@ public class ReportService : IReportService
         });
     }
 
-    private static void ComposeFullContent(IContainer container, SiteEvaluation evaluation, ReportOptions options)
+    private static void ComposeFullContent(IContainer container, SiteEvaluation evaluation, ReportOptions options, byte[]? mapSnapshot)
     {
         container.Column(col =>
         {
             // Executive Summary
             col.Item().PaddingVertical(10).Element(c => ComposeExecutiveSummary(c, evaluation));
 
-            // Site Location
-            col.Item().PaddingVertical(10).Element(c => ComposeSiteLocation(c, evaluation));
-
-            // Zoning
-            if (evaluation.Zoning != null)
-            {
-                col.Item().PaddingVertical(10).Element(c => ComposeZoningSection(c, evaluation.Zoning));
-            }
-
-            // Hazards
-            if (evaluation.Hazards != null)
+            // Sections in the order chosen, or the standard report
+            var sections = options.IncludeSections.Count > 0 ? options.IncludeSections : ReportSections.Standard;
+            foreach (var section in sections.Distinct())
             {
-                col.Item().PaddingVertical(10).Element(c => ComposeHazardsSection(c, evaluation.Hazards));
+                ComposeSection(col, section, evaluation, options, mapSnapshot);
             }
 
-            // Geotechnical
-            if (evaluation.Geotech != null)
-            {
-                col.Item().PaddingVertical(10).Element(c => ComposeGeotechSection(c, evaluation.Geotech));
-            }
-
-            // Infrastructure
-            if (evaluation.Infrastructure != null)
+            // Data Gaps
+            if (evaluation.DataGaps.Count > 0)
             {
-                col.Item().PaddingVertical(10).Element(c => ComposeInfrastructureSection(c, evaluation.Infrastructure));
+                col.Item().PaddingVertical(10).Element(c => ComposeDataGapsSection(c, evaluation.DataGaps));
             }
+        });
+    }
 
-            // Climate
-            if (evaluation.Climate != null)
-            {
-                col.Item().PaddingVertical(10).Element(c => ComposeClimateSection(c, evaluation.Climate));
-            }
+    /// <summary>
+    /// Compose one report section followed by its consultant notes. Sections without data are skipped.
+    /// </summary>
+    private static void ComposeSection(ColumnDescriptor col, string section, SiteEvaluation evaluation, ReportOptions options, byte[]? mapSnapshot)
+    {
+        Action<IContainer>? compose = section switch
+        {
+            "location" => c => ComposeSiteLocation(c, evaluation, mapSnapshot),
+            "zoning" when evaluation.Zoning != null => c => ComposeZoningSection(c, evaluation.Zoning),
+            "hazards" when evaluation.Hazards != null => c => ComposeHazardsSection(c, evaluation.Hazards),
+            "geotech" when evaluation.Geotech != null => c => ComposeGeotechSection(c, evaluation.Geotech, options.IncludeBoreholeLogs),
+            "infrastructure" when evaluation.Infrastructure != null => c => ComposeInfrastructureSection(c, evaluation.Infrastructure),
+            "climate" when evaluation.Climate != null => c => ComposeClimateSection(c, evaluation.Climate),
+            "land" when evaluation.Land != null => c => ComposeLandSection(c, evaluation.Land),
+            _ => null
+        };
+        if (compose == null) return;
+
+        col.Item().PaddingVertical(10).Column(sectionCol =>
+        {
+            sectionCol.Item().Element(compose);
 
-            // Data Gaps
-            if (evaluation.DataGaps.Count > 0)
+            if (options.SectionNotes.TryGetValue(section, out var notes) && !string.IsNullOrWhiteSpace(notes))
             {
-                col.Item().PaddingVertical(10).Element(c => ComposeDataGapsSection(c, evaluation.DataGaps));
+                sectionCol.Item().PaddingTop(5).Background(Colors.Grey.Lighten4).Padding(5).Column(notesCol =>
+                {
+                    notesCol.Item().Text("Consultant Notes").Bold().FontSize(9);
+                    notesCol.Item().Text(notes.Trim());
+                });
             }
         });
     }
 
-    private static void ComposeSummaryContent(IContainer container, SiteEvaluation evaluation)
+    private static void ComposeSummaryContent(IContainer container, SiteEvaluation evaluation, byte[]? mapSnapshot)
     {
         container.Column(col =>
         {
             col.Item().Element(c => ComposeExecutiveSummary(c, evaluation));
-            col.Item().PaddingVertical(10).Element(c => ComposeSiteLocation(c, evaluation));
+            col.Item().PaddingVertical(10).Element(c => ComposeSiteLocation(c, evaluation, mapSnapshot));
             
             // Key findings table
             col.Item().PaddingVertical(10).Text("KEY FINDINGS").Bold().FontSize(12);
@@ -219,13 +241,18 @@ public class ReportService : IReportService
         });
     }
 
-    private static void ComposeGeotechContent(IContainer container, SiteEvaluation evaluation)
+    private static void ComposeGeotechContent(IContainer container, SiteEvaluation evaluation, byte[]? mapSnapshot)
     {
         container.Column(col =>
         {
             col.Item().Text("GEOTECHNICAL BRIEF").Bold().FontSize(14);
             col.Item().PaddingVertical(5).Text(evaluation.Location.Address).FontSize(11);
 
+            if (mapSnapshot != null)
+            {
+                col.Item().PaddingVertical(5).Element(c => ComposeSiteFigure(c, mapSnapshot));
+            }
+
             if (evaluation.Geotech != null)
             {
                 col.Item().PaddingVertical(10).Element(c => ComposeGeotechSection(c, evaluation.Geotech));
@@ -267,7 +294,7 @@ public class ReportService : IReportService
         });
     }
 
-    private static void ComposeSiteLocation(IContainer container, SiteEvaluation evaluation)
+    private static void ComposeSiteLocation(IContainer container, SiteEvaluation evaluation, byte[]? mapSnapshot)
     {
         container.Column(col =>
         {
@@ -286,6 +313,23 @@ public class ReportService : IReportService
                 AddTableRow(table, "Coordinates", $"{evaluation.Location.Latitude:F6}, {evaluation.Location.Longitude:F6}");
                 AddTableRow(table, "Territorial Authority", evaluation.Location.TerritorialAuthority ?? "Not available");
             });
+
+            if (mapSnapshot != null)
+            {
+                col.Item().PaddingTop(10).Element(c => ComposeSiteFigure(c, mapSnapshot));
+            }
+        });
+    }
+
+    /// <summary>
+    /// The site plan exported from the map, scaled to fit within half a page.
+    /// </summary>
+    private static void ComposeSiteFigure(IContainer container, byte[] mapSnapshot)
+    {
+        container.Column(col =>
+        {
+            col.Item().MaxHeight(12, Unit.Centimetre).AlignCenter().Image(mapSnapshot).FitArea();
+            col.Item().PaddingTop(3).AlignCenter().Text("Figure 1: Site location").FontSize(8).FontColor(Colors.Grey.Medium);
         });
     }
 
@@ -352,7 +396,7 @@ public class ReportService : IReportService
         });
     }
 
-    private static void ComposeGeotechSection(IContainer container, GeotechnicalData geotech)
+    private static void ComposeGeotechSection(IContainer container, GeotechnicalData geotech, bool includeBoreholeLogs = false)
     {
         container.Column(col =>
         {
@@ -367,6 +411,43 @@ public class ReportService : IReportService
                 col.Item().PaddingTop(5).Text("? Site-specific geotechnical investigation recommended")
                     .Bold().FontColor(Colors.Orange.Medium);
             }
+
+            if (includeBoreholeLogs)
+            {
+                foreach (var borehole in geotech.NearbyBoreholes.Where(b => b.SoilLayers.Count > 0).OrderBy(b => b.DistanceMeters))
+                {
+                    col.Item().PaddingTop(8).Element(c => ComposeBoreholeLog(c, borehole));
+                }
+            }
+        });
+    }
+
+    private static void ComposeBoreholeLog(IContainer container, NearbyBorehole borehole)
+    {
+        container.Column(col =>
+        {
+            col.Item().Text($"Borehole {borehole.NzgdId ?? borehole.Id} ({borehole.DistanceMeters:F0}m away" +
+                (borehole.Depth.HasValue ? $", {borehole.Depth:F1}m deep)" : ")")).Bold();
+            col.Item().Table(table =>
+            {
+                table.ColumnsDefinition(columns =>
+                {
+                    columns.RelativeColumn(1);
+                    columns.RelativeColumn(1);
+                    columns.RelativeColumn(3);
+                });
+
+                table.Cell().Border(1).Padding(3).Text("Depth (m)").Bold();
+                table.Cell().Border(1).Padding(3).Text("Soil Type").Bold();
+                table.Cell().Border(1).Padding(3).Text("Description").Bold();
+
+                foreach (var layer in borehole.SoilLayers.OrderBy(l => l.TopDepth))
+                {
+                    table.Cell().Border(1).Padding(3).Text($"{layer.TopDepth:F1} - {layer.BottomDepth:F1}");
+                    table.Cell().Border(1).Padding(3).Text(layer.SoilType ?? "-");
+                    table.Cell().Border(1).Padding(3).Text(layer.Description);
+                }
+            });
         });
     }
 
@@ -416,6 +497,47 @@ public class ReportService : IReportService
         });
     }
 
+    private static void ComposeLandSection(IContainer container, LandData land)
+    {
+        container.Column(col =>
+        {
+            col.Item().Text("LAND & TITLE").Bold().FontSize(12);
+            col.Item().Table(table =>
+            {
+                table.ColumnsDefinition(columns =>
+                {
+                    columns.RelativeColumn(1);
+                    columns.RelativeColumn(2);
+                });
+
+                AddTableRow(table, "Title Reference", land.TitleReference ?? "Not available");
+                AddTableRow(table, "Title Type", land.TitleType ?? "Not available");
+                AddTableRow(table, "Legal Description", land.LegalDescription ?? "Not available");
+                AddTableRow(table, "Area", land.AreaSquareMeters.HasValue ? $"{land.AreaSquareMeters:N0}m\u00b2" : "Not available");
+                AddTableRow(table, "Owners", land.Owners.Count > 0 ? string.Join(", ", land.Owners.Select(o => o.Name)) : "Not available");
+            });
+
+            if (land.Easements.Count > 0)
+            {
+                col.Item().PaddingTop(5).Text("Easements:").Bold();
+                foreach (var easement in land.Easements)
+                {
+                    col.Item().Text($" {easement.Type}: {easement.Purpose ?? "-"}" +
+                        (string.IsNullOrEmpty(easement.InFavourOf) ? "" : $" (in favour of {easement.InFavourOf})"));
+                }
+            }
+
+            if (land.Covenants.Count > 0)
+            {
+                col.Item().PaddingTop(5).Text("Covenants:").Bold();
+                foreach (var covenant in land.Covenants)
+                {
+                    col.Item().Text($" {covenant.Type}: {covenant.Description ?? "-"}");
+                }
+            }
+        });
+    }
+
     private static void ComposeDataGapsSection(IContainer container, List<DataGap> gaps)
     {
         container.Column(col =>
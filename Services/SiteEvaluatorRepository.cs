@@ -19,6 +19,10 @@ public interface ISiteEvaluatorRepository
     // Report storage
     Task StoreReportAsync(string reportId, byte[] content);
     Task<byte[]?> GetReportAsync(string reportId);
+    
+    // Map snapshot storage (one PNG per evaluation, embedded in its reports)
+    Task StoreMapSnapshotAsync(string evaluationId, byte[] content);
+    Task<byte[]?> GetMapSnapshotAsync(string evaluationId);
 }
 
 /// <summary>
@@ -35,6 +39,7 @@ public class SiteEvaluatorRepository : ISiteEvaluatorRepository, IDisposable
     private const string JobsCollection = "evaluation_jobs";
     private const string LocationsCollection = "property_locations";
     private const string ReportsCollection = "report_files";
+    private const string MapSnapshotsCollection = "map_snapshots";
 
     public SiteEvaluatorRepository(IConfiguration configuration, ILogger<SiteEvaluatorRepository> logger)
     {
@@ -180,6 +185,25 @@ public class SiteEvaluatorRepository : ISiteEvaluatorRepository, IDisposable
         return Task.FromResult(report?.Content);
     }
 
+    public Task StoreMapSnapshotAsync(string evaluationId, byte[] content)
+    {
+        var collection = _database.GetCollection<ReportFile>(MapSnapshotsCollection);
+        collection.Upsert(new ReportFile
+        {
+            Id = evaluationId,
+            Content = content,
+            CreatedDate = DateTime.UtcNow
+        });
+        return Task.CompletedTask;
+    }
+
+    public Task<byte[]?> GetMapSnapshotAsync(string evaluationId)
+    {
+        var collection = _database.GetCollection<ReportFile>(MapSnapshotsCollection);
+        var snapshot = collection.FindById(evaluationId);
+        return Task.FromResult(snapshot?.Content);
+    }
+
     private static string GetCollectionName<T>()
     {
         return typeof(T).Name switch
@@ -200,7 +224,7 @@ public class SiteEvaluatorRepository : ISiteEvaluatorRepository, IDisposable
 }
 
 /// <summary>
-/// Internal class for storing report binary content.
+/// Internal class for storing report and map snapshot binary content.
 /// </summary>
 internal class ReportFile
 {
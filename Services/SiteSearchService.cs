@@ -129,13 +129,14 @@ public class SiteSearchService : ISiteSearchService
     {
         _logger.LogInformation("Starting site search for coordinates: {Lat}, {Lon}", latitude, longitude);
         
+        // Identify the parcel at the point - keep the searched coordinates as the site location
+        var location = await _linzService.LookupLocationAtAsync(latitude, longitude, ct) ?? new SiteLocation();
+        location.Latitude = latitude;
+        location.Longitude = longitude;
+
         var evaluation = new SiteEvaluation
         {
-            Location = new SiteLocation
-            {
-                Latitude = latitude,
-                Longitude = longitude
-            },
+            Location = location,
             Status = EvaluationStatus.InProgress
         };
 
@@ -298,10 +299,13 @@ public class SiteSearchService : ISiteSearchService
     {
         var rainfall = await _niwaService.GetRainfallDataAsync(location.Latitude, location.Longitude, ct);
         var windZone = await _niwaService.GetWindZoneAsync(location.Latitude, location.Longitude, ct);
+        var wind = await _niwaService.GetWindDataAsync(location.Latitude, location.Longitude, ct);
 
         return new ClimateData
         {
             WindZone = windZone,
+            BasicWindSpeed = wind?.BasicWindSpeed,
+            Wind = wind,
             Rainfall = rainfall,
             Source = new DataSource
             {
@@ -0,0 +1,46 @@
+using System.Reflection;
+using System.Text.RegularExpressions;
+
+namespace MaxPayroll.SiteEvaluator.Services;
+
+/// <summary>
+/// The Docs/user-guides markdown, embedded in the assembly so the in-app help panel
+/// renders the same maintained guidance as the repository docs.
+/// </summary>
+public static class UserGuides
+{
+    private const string ResourcePrefix = "MaxPayroll.SiteEvaluator.Docs.user-guides.";
+    private const string ResourceSuffix = ".md";
+
+    private static readonly Assembly Assembly = typeof(UserGuides).Assembly;
+
+    /// <summary>
+    /// Names of the embedded guides (file names without ".md"), e.g. "Site-Evaluation-Wizard-Guide".
+    /// </summary>
+    public static IReadOnlyList<string> List()
+    {
+        return Assembly.GetManifestResourceNames()
+            .Where(n => n.StartsWith(ResourcePrefix) && n.EndsWith(ResourceSuffix))
+            .Select(n => n[ResourcePrefix.Length..^ResourceSuffix.Length])
+            .Where(n => !n.Equals("README", StringComparison.OrdinalIgnoreCase))
+            .OrderBy(n => n)
+            .ToList();
+    }
+
+    /// <summary>
+    /// Read a guide's markdown, or null if there is no guide with that name.
+    /// </summary>
+    public static async Task<string?> ReadAsync(string name, CancellationToken ct = default)
+    {
+        // Names come from the URL - only plain file names are valid
+        if (!Regex.IsMatch(name ?? "", @"^[A-Za-z0-9-]+$"))
+            return null;
+
+        await using var stream = Assembly.GetManifestResourceStream(ResourcePrefix + name + ResourceSuffix);
+        if (stream == null)
+            return null;
+
+        using var reader = new StreamReader(stream);
+        return await reader.ReadToEndAsync(ct);
+    }
+}
@@ -0,0 +1,292 @@
+/**
+ * Site Evaluator Address Autocomplete
+ * LINZ address suggestions for a text input, following the WAI-ARIA combobox pattern
+ *
+ * SiteEvaluatorAddressAutocomplete.attach(input, options) wires up an input and its
+ * suggestion list. Recent queries are cached across every autocomplete on the page.
+ */
+const SiteEvaluatorAddressAutocomplete = (function () {
+    const DEFAULTS = {
+        url: '/api/siteevaluator/address/autocomplete',
+        minLength: 3,
+        delay: 300,
+        cacheSize: 20,
+        listbox: null,
+        onSelect: null
+    };
+
+    // Recent query -> suggestions, oldest first
+    const cache = new Map();
+
+    /**
+     * Attach autocomplete to an input
+     * @param {HTMLInputElement|string} input - Input element or its ID
+     * @param {Object} options - { url, minLength, delay, cacheSize, listbox: element or ID, onSelect(suggestion) }
+     */
+    function attach(input, options = {}) {
+        input = typeof input === 'string' ? document.getElementById(input) : input;
+        const config = { ...DEFAULTS, ...options };
+        const listbox = typeof config.listbox === 'string'
+            ? document.getElementById(config.listbox)
+            : config.listbox || (input && document.getElementById(input.id + 'Suggestions'));
+
+        if (!input || !listbox) return null;
+
+        let suggestions = [];
+        let activeIndex = -1;
+        let query = '';
+        let timer = null;
+        let controller = null;
+        let latestRequest = 0;
+
+        if (!listbox.id) listbox.id = input.id + 'Suggestions';
+
+        // Combobox roles and the live region that announces result counts
+        input.setAttribute('role', 'combobox');
+        input.setAttribute('aria-autocomplete', 'list');
+        input.setAttribute('aria-expanded', 'false');
+        input.setAttribute('aria-controls', listbox.id);
+        input.setAttribute('autocomplete', 'off');
+        listbox.setAttribute('role', 'listbox');
+        listbox.setAttribute('aria-label', 'Address suggestions');
+
+        const status = document.createElement('div');
+        status.className = 'visually-hidden';
+        status.setAttribute('role', 'status');
+        status.setAttribute('aria-live', 'polite');
+        listbox.insertAdjacentElement('afterend', status);
+
+        function search(text) {
+            query = text;
+
+            if (text.length < config.minLength) {
+                abort();
+                close();
+                return;
+            }
+
+            const key = text.toLowerCase();
+            if (cache.has(key)) {
+                abort();
+                show(remember(key, cache.get(key)));
+                return;
+            }
+
+            fetchSuggestions(text, key);
+        }
+
+        async function fetchSuggestions(text, key) {
+            abort();
+            controller = new AbortController();
+            const requestId = ++latestRequest;
+
+            showMessage('<i class="fa fa-spinner fa-spin"></i> Searching...');
+
+            try {
+                const response = await fetch(config.url + '?q=' + encodeURIComponent(text), {
+                    signal: controller.signal
+                });
+                if (!response.ok) throw new Error('API error');
+
+                const results = await response.json();
+                remember(key, results);
+
+                // A newer query has been sent since - its response wins
+                if (requestId !== latestRequest) return;
+                show(results);
+            } catch (error) {
+                if (error.name === 'AbortError' || requestId !== latestRequest) return;
+                console.error('Autocomplete error:', error);
+                showMessage('Unable to load suggestions');
+            }
+        }
+
+        function remember(key, results) {
+            cache.delete(key);
+            cache.set(key, results);
+            while (cache.size > config.cacheSize) {
+                cache.delete(cache.keys().next().value);
+            }
+            return results;
+        }
+
+        function abort() {
+            clearTimeout(timer);
+            if (controller) {
+                controller.abort();
+                controller = null;
+            }
+            latestRequest++;
+        }
+
+        function show(results) {
+            suggestions = results || [];
+            activeIndex = -1;
+
+            if (suggestions.length === 0) {
+                showMessage('No addresses found');
+                return;
+            }
+
+            listbox.innerHTML = suggestions.map((s, i) => {
+                const secondary = [s.suburb, s.city].filter(Boolean).join(', ');
+                return `
+                    <div class="address-suggestion" role="option" id="${listbox.id}-option-${i}" data-index="${i}" aria-selected="false">
+                        <div class="address-main">${highlight(s.fullAddress, query)}</div>
+                        ${secondary ? `<div class="address-secondary">${highlight(secondary, query)}</div>` : ''}
+                    </div>
+                `;
+            }).join('');
+
+            open();
+            status.textContent = `${suggestions.length} address${suggestions.length === 1 ? '' : 'es'} available. Use the up and down arrows to choose.`;
+        }
+
+        function showMessage(html) {
+            suggestions = [];
+            activeIndex = -1;
+            listbox.innerHTML = `<div class="address-suggestions-message">${html}</div>`;
+            open();
+            status.textContent = listbox.textContent.trim();
+        }
+
+        function open() {
+            listbox.classList.add('show');
+            input.setAttribute('aria-expanded', 'true');
+        }
+
+        function close() {
+            listbox.classList.remove('show');
+            input.setAttribute('aria-expanded', 'false');
+            input.removeAttribute('aria-activedescendant');
+            activeIndex = -1;
+        }
+
+        function isOpen() {
+            return listbox.classList.contains('show');
+        }
+
+        function setActive(index) {
+            const options = listbox.querySelectorAll('[role="option"]');
+            activeIndex = index;
+
+            options.forEach((option, i) => {
+                const active = i === index;
+                option.classList.toggle('active', active);
+                option.setAttribute('aria-selected', active ? 'true' : 'false');
+                if (active) option.scrollIntoView({ block: 'nearest' });
+            });
+
+            if (index >= 0 && options[index]) {
+                input.setAttribute('aria-activedescendant', options[index].id);
+            } else {
+                input.removeAttribute('aria-activedescendant');
+            }
+        }
+
+        function select(index) {
+            const suggestion = suggestions[index];
+            if (!suggestion) return;
+
+            input.value = suggestion.fullAddress;
+            query = suggestion.fullAddress;
+            close();
+            status.textContent = `${suggestion.fullAddress} selected`;
+
+            if (typeof config.onSelect === 'function') {
+                config.onSelect(suggestion);
+            }
+        }
+
+        input.addEventListener('input', function () {
+            const text = input.value.trim();
+            clearTimeout(timer);
+            timer = setTimeout(() => search(text), config.delay);
+        });
+
+        input.addEventListener('keydown', function (e) {
+            switch (e.key) {
+                case 'ArrowDown':
+                    e.preventDefault();
+                    if (!isOpen()) {
+                        if (suggestions.length > 0) open();
+                        return;
+                    }
+                    if (suggestions.length > 0) {
+                        setActive(activeIndex < suggestions.length - 1 ? activeIndex + 1 : 0);
+                    }
+                    break;
+                case 'ArrowUp':
+                    e.preventDefault();
+                    if (isOpen() && suggestions.length > 0) {
+                        setActive(activeIndex > 0 ? activeIndex - 1 : suggestions.length - 1);
+                    }
+                    break;
+                case 'Enter':
+                    if (isOpen() && activeIndex >= 0) {
+                        e.preventDefault();
+                        select(activeIndex);
+                    }
+                    break;
+                case 'Escape':
+                    if (isOpen()) {
+                        e.preventDefault();
+                        close();
+                    }
+                    break;
+                case 'Tab':
+                    close();
+                    break;
+            }
+        });
+
+        input.addEventListener('focus', function () {
+            if (suggestions.length > 0 && input.value.trim() === query) open();
+        });
+
+        input.addEventListener('blur', close);
+
+        // Keep focus in the input while an option is clicked
+        listbox.addEventListener('mousedown', e => e.preventDefault());
+        listbox.addEventListener('click', function (e) {
+            const option = e.target.closest('[role="option"]');
+            if (option) select(parseInt(option.dataset.index, 10));
+        });
+
+        return {
+            close,
+            search
+        };
+    }
+
+    /**
+     * Wrap the parts of text matching the query's words in <mark>, escaping the rest
+     */
+    function highlight(text, query) {
+        const terms = String(query || '')
+            .split(/[\s,]+/)
+            .filter(Boolean)
+            .map(term => term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+
+        if (terms.length === 0) return escapeHtml(text);
+
+        // split() with a capture group puts the matches at odd indexes
+        return String(text || '')
+            .split(new RegExp(`(${terms.join('|')})`, 'gi'))
+            .map((part, i) => i % 2 === 1 ? `<mark>${escapeHtml(part)}</mark>` : escapeHtml(part))
+            .join('');
+    }
+
+    function escapeHtml(text) {
+        if (!text) return '';
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+
+    // Public API
+    return {
+        attach,
+        clearCache: () => cache.clear()
+    };
+})();
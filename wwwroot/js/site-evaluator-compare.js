@@ -0,0 +1,441 @@
+/**
+ * Site Evaluator Site Comparison
+ * Two to four shortlisted sites side by side
+ *
+ * SiteEvaluatorCompare.init({ sites, map }) loads each evaluation from /api/siteevaluator/evaluations/{id}
+ * (or /api/siteevaluator/jobs/{id}/evaluation for a job),
+ * draws a small map per site (linked so they pan and zoom together at the same scale) and fills the
+ * comparison table, highlighting the better and worse value in each row. The table downloads as CSV.
+ */
+const SiteEvaluatorCompare = (function () {
+    const API_URL = '/api/siteevaluator/evaluations/';
+    const JOBS_API_URL = '/api/siteevaluator/jobs/';
+    const MISSING = '-';
+
+    // Ordinal scales - lower is better
+    const SITE_CLASSES = ['A', 'B', 'C', 'D', 'E'];
+    const WIND_ZONES = ['low', 'medium', 'high', 'very high', 'extra high', 'sed'];
+
+    /**
+     * Rows by section. value(evaluation) returns the raw value, format(value) the cell text and
+     * better is 'higher' or 'lower' for rows that can be ranked (rank(value) maps text to a number).
+     */
+    const sections = [
+        {
+            title: 'Site',
+            rows: [
+                { label: 'Address', value: e => e.location.address },
+                { label: 'Suburb', value: e => [e.location.suburb, e.location.city].filter(Boolean).join(', ') },
+                { label: 'Site area', value: e => e.land && e.land.areaSquareMeters, format: v => `${formatNumber(v, 0)} m\u00b2` }
+            ]
+        },
+        {
+            title: 'Zoning & Built Form',
+            rows: [
+                { label: 'Zone', value: e => e.zoning && e.zoning.zone },
+                { label: 'Max height', value: e => e.zoning && e.zoning.maxHeight, format: v => `${formatNumber(v, 1)} m`, better: 'higher' },
+                { label: 'Max site coverage', value: e => e.zoning && e.zoning.maxCoverage, format: v => `${formatNumber(v, 0)}%`, better: 'higher' },
+                { label: 'Max impervious', value: e => e.zoning && e.zoning.maxImpervious, format: v => `${formatNumber(v, 0)}%`, better: 'higher' },
+                { label: 'Front setback', value: e => e.zoning && e.zoning.minFrontSetback, format: v => `${formatNumber(v, 1)} m`, better: 'lower' },
+                { label: 'Side setback', value: e => e.zoning && e.zoning.minSideSetback, format: v => `${formatNumber(v, 1)} m`, better: 'lower' },
+                { label: 'Rear setback', value: e => e.zoning && e.zoning.minRearSetback, format: v => `${formatNumber(v, 1)} m`, better: 'lower' },
+                { label: 'Max units per site', value: e => e.zoning && e.zoning.maxUnitsPerSite, better: 'higher' },
+                { label: 'Min site area', value: e => e.zoning && e.zoning.minSiteArea, format: v => `${formatNumber(v, 0)} m\u00b2`, better: 'lower' },
+                {
+                    label: 'Planning overlays',
+                    value: e => e.zoning && (e.zoning.overlays || []).map(o => o.name || o.type).filter(Boolean),
+                    format: v => v.length === 0 ? 'None' : v.join(', '),
+                    rank: v => v.length,
+                    better: 'lower'
+                }
+            ]
+        },
+        {
+            title: 'Natural Hazards',
+            rows: [
+                {
+                    label: 'Flooding',
+                    value: e => e.hazards && (e.hazards.flooding && e.hazards.flooding.zone || 'None'),
+                    rank: getSeverityLevel,
+                    better: 'lower'
+                },
+                {
+                    label: 'Liquefaction',
+                    value: e => e.hazards && (e.hazards.liquefaction && e.hazards.liquefaction.category || 'None'),
+                    rank: getLiquefactionLevel,
+                    better: 'lower'
+                },
+                hazardFlag('Coastal erosion', 'coastalErosion'),
+                hazardFlag('Coastal inundation', 'coastalInundation'),
+                hazardFlag('Slope instability', 'slopeInstability'),
+                hazardFlag('Subsidence', 'subsidence'),
+                hazardFlag('Wildfire', 'wildfire'),
+                {
+                    label: 'Contamination',
+                    value: e => e.hazards && (!e.hazards.contamination ? 'None'
+                        : e.hazards.contamination.onLlur ? 'On the LLUR'
+                        : e.hazards.contamination.onHail ? 'HAIL activity' : 'None'),
+                    rank: v => ({ 'None': 0, 'HAIL activity': 1, 'On the LLUR': 2 })[v],
+                    better: 'lower'
+                },
+                {
+                    label: 'Nearest active fault',
+                    value: e => {
+                        const faults = e.hazards && e.hazards.seismic && e.hazards.seismic.nearbyFaults;
+                        if (!faults || faults.length === 0) return null;
+                        return faults.reduce((nearest, f) => f.distanceKm < nearest.distanceKm ? f : nearest);
+                    },
+                    format: v => `${escapeHtml(v.name)} (${formatNumber(v.distanceKm, 1)} km)`,
+                    text: v => `${v.name} (${formatNumber(v.distanceKm, 1)} km)`,
+                    rank: v => v.distanceKm,
+                    better: 'higher',
+                    html: true
+                }
+            ]
+        },
+        {
+            title: 'Seismic',
+            rows: [
+                {
+                    label: 'Site class',
+                    value: e => (e.geotech && e.geotech.siteClass) || (e.hazards && e.hazards.seismic && e.hazards.seismic.siteClass),
+                    format: v => `Class ${v}`,
+                    rank: v => indexOrNull(SITE_CLASSES, String(v).trim().toUpperCase().charAt(0)),
+                    better: 'lower'
+                },
+                { label: 'Zone factor Z', value: e => seismic(e).zoneFactor, format: v => formatNumber(v, 2), better: 'lower' },
+                { label: 'PGA (ULS)', value: e => seismic(e).pgaUls != null ? seismic(e).pgaUls : seismic(e).pga, format: v => `${formatNumber(v, 2)} g`, better: 'lower' },
+                { label: 'PGA (SLS)', value: e => seismic(e).pgaSls, format: v => `${formatNumber(v, 2)} g`, better: 'lower' },
+                { label: 'Near-fault factor N', value: e => seismic(e).nearFaultFactor, format: v => formatNumber(v, 2), better: 'lower' }
+            ]
+        },
+        {
+            title: 'Infrastructure',
+            rows: [
+                serviceRow('Water supply', i => i.water),
+                serviceRow('Wastewater', i => i.wastewater),
+                serviceRow('Stormwater', i => i.stormwater),
+                serviceRow('Power', i => i.power),
+                {
+                    label: 'Fibre',
+                    value: e => e.infrastructure && e.infrastructure.communications && e.infrastructure.communications.fibreAvailable,
+                    format: v => v ? 'Available' : 'Not available',
+                    rank: v => v ? 1 : 0,
+                    better: 'higher'
+                },
+                serviceRow('Gas', i => i.gas)
+            ]
+        },
+        {
+            title: 'Climate',
+            rows: [
+                {
+                    label: 'Wind zone',
+                    value: e => e.climate && ((e.climate.wind && e.climate.wind.windZone) || e.climate.windZone),
+                    rank: v => indexOrNull(WIND_ZONES, String(v).trim().toLowerCase()),
+                    better: 'lower'
+                },
+                {
+                    label: 'Ultimate wind speed',
+                    value: e => e.climate && ((e.climate.wind && e.climate.wind.ultimateWindSpeed) || e.climate.basicWindSpeed),
+                    format: v => `${formatNumber(v, 0)} m/s`,
+                    better: 'lower'
+                },
+                { label: 'Annual rainfall', value: e => rainfall(e).annualMean, format: v => `${formatNumber(v, 0)} mm` },
+                { label: '10-year 60-min rainfall', value: e => rainfall(e).i10_60, format: v => `${formatNumber(v, 1)} mm/h`, better: 'lower' },
+                { label: '100-year 60-min rainfall', value: e => rainfall(e).i100_60, format: v => `${formatNumber(v, 1)} mm/h`, better: 'lower' }
+            ]
+        }
+    ];
+
+    let sites = [];
+    let evaluations = [];
+    let maps = [];
+    let linked = true;
+    let syncing = false;
+
+    /**
+     * Load the evaluations and build the comparison
+     * @param {Object} config - { sites: [{ id, reference, url }], map: { linzApiKey, basemap, basemaps } }
+     */
+    function init(config = {}) {
+        const table = document.querySelector('[data-compare-table]');
+        if (!table) return;
+
+        sites = config.sites || [];
+
+        const linkToggle = document.querySelector('[data-compare-link-maps]');
+        if (linkToggle) {
+            linked = linkToggle.checked;
+            linkToggle.addEventListener('change', () => {
+                linked = linkToggle.checked;
+                if (linked) alignMaps(maps.find(Boolean));
+            });
+        }
+
+        const differencesToggle = document.querySelector('[data-compare-differences]');
+        if (differencesToggle) {
+            differencesToggle.addEventListener('change', () => {
+                table.classList.toggle('compare-differences-only', differencesToggle.checked);
+            });
+        }
+
+        const downloadButton = document.querySelector('[data-compare-download]');
+        if (downloadButton) {
+            downloadButton.addEventListener('click', downloadCsv);
+        }
+
+        Promise.all(sites.map(loadEvaluation)).then(results => {
+            evaluations = results;
+            sites.forEach((site, index) => renderHeading(site, index));
+            renderRows();
+            createMaps(config.map || {});
+            if (downloadButton) {
+                downloadButton.disabled = evaluations.every(e => !e);
+            }
+        });
+    }
+
+    function loadEvaluation(site) {
+        const url = site.isJob
+            ? JOBS_API_URL + encodeURIComponent(site.id) + '/evaluation'
+            : API_URL + encodeURIComponent(site.id);
+
+        return fetch(url, { headers: { 'Accept': 'application/json' } })
+            .then(response => response.ok ? response.json() : null)
+            .catch(() => null);
+    }
+
+    // ========================================
+    // Table
+    // ========================================
+
+    function renderHeading(site, index) {
+        const heading = document.querySelector(`[data-compare-heading="${index}"]`);
+        if (!heading) return;
+
+        const evaluation = evaluations[index];
+        const others = sites.filter(s => s !== site).map(s => s.id);
+        const removeUrl = others.length >= 2
+            ? '?' + others.map(id => 'ids=' + encodeURIComponent(id)).join('&')
+            : null;
+
+        heading.innerHTML = `
+            <div class="d-flex justify-content-between align-items-start gap-2">
+                <div>
+                    <a href="${escapeHtml(site.url)}" class="fw-bold text-decoration-none">${escapeHtml(site.reference || 'Quick search')}</a>
+                    <div class="small text-muted fw-normal">${evaluation ? escapeHtml(evaluation.location.address) : 'Evaluation could not be loaded'}</div>
+                </div>
+                ${removeUrl ? `<a href="${removeUrl}" class="btn btn-sm btn-link text-muted p-0" title="Remove from comparison"><i class="fa fa-times"></i></a>` : ''}
+            </div>`;
+    }
+
+    function renderRows() {
+        const body = document.querySelector('[data-compare-rows]');
+        const wins = sites.map(() => 0);
+        let ranked = 0;
+
+        body.innerHTML = sections.map(section => {
+            const rows = section.rows.map(row => {
+                const cells = getCells(row);
+                const known = cells.filter(c => c.score != null);
+                const differs = new Set(cells.map(c => c.text)).size > 1;
+
+                if (row.better && known.length >= 2) {
+                    const best = Math.min(...known.map(c => c.score));
+                    const worst = Math.max(...known.map(c => c.score));
+                    if (best !== worst) {
+                        ranked++;
+                        cells.forEach((cell, index) => {
+                            if (cell.score === best) {
+                                cell.className = 'compare-better';
+                                wins[index]++;
+                            } else if (cell.score === worst) {
+                                cell.className = 'compare-worse';
+                            }
+                        });
+                    }
+                }
+
+                return `
+                    <tr class="${differs ? '' : 'compare-same'}">
+                        <th scope="row" class="compare-label-col">${escapeHtml(row.label)}</th>
+                        ${cells.map(c => `<td class="${c.className || ''}">${c.html}</td>`).join('')}
+                    </tr>`;
+            }).join('');
+
+            return `
+                <tr class="compare-section">
+                    <th colspan="${sites.length + 1}">${escapeHtml(section.title)}</th>
+                </tr>${rows}`;
+        }).join('') + `
+            <tr class="compare-summary">
+                <th scope="row" class="compare-label-col">Better in</th>
+                ${wins.map(w => `<td>${w} of ${ranked} rows</td>`).join('')}
+            </tr>`;
+    }
+
+    /**
+     * Cell text and comparison score for each site
+     */
+    function getCells(row) {
+        return evaluations.map(evaluation => {
+            const value = evaluation ? row.value(evaluation) : null;
+            if (value == null || value === '') {
+                return { text: MISSING, html: `<span class="text-muted">${MISSING}</span>`, score: null };
+            }
+
+            const formatted = row.format ? row.format(value) : String(value);
+            const text = row.text ? row.text(value) : formatted;
+            const rank = row.rank ? row.rank(value) : (typeof value === 'number' ? value : null);
+            const score = rank == null || isNaN(rank) ? null : (row.better === 'higher' ? -rank : rank);
+
+            return { text, html: row.html ? formatted : escapeHtml(formatted), score };
+        });
+    }
+
+    function downloadCsv() {
+        const lines = [[''].concat(sites.map((site, i) => site.reference || (evaluations[i] ? evaluations[i].location.address : site.id)))];
+        sections.forEach(section => {
+            lines.push([section.title]);
+            section.rows.forEach(row => {
+                lines.push([row.label].concat(getCells(row).map(c => c.text === MISSING ? '' : c.text)));
+            });
+        });
+
+        const csv = lines.map(line => line.map(csvValue).join(',')).join('\r\n');
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(new Blob([csv], { type: 'text/csv' }));
+        link.download = 'site-comparison.csv';
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+    }
+
+    // ========================================
+    // Maps
+    // ========================================
+
+    function createMaps(mapConfig) {
+        if (typeof L === 'undefined' || typeof SiteEvaluatorMap === 'undefined') return;
+
+        maps = evaluations.map((evaluation, index) => {
+            const location = evaluation && evaluation.location;
+            if (!location || !location.latitude) return null;
+
+            const instance = SiteEvaluatorMap.create('compareMap' + index, {
+                ...mapConfig,
+                center: [location.latitude, location.longitude],
+                zoom: 17
+            });
+            instance.addPropertyMarker(location.latitude, location.longitude);
+            instance.drawPropertyBoundary(location.boundary);
+
+            const linkedMap = { map: instance.getMap(), site: L.latLng(location.latitude, location.longitude) };
+            linkedMap.map.on('moveend', () => alignMaps(linkedMap));
+            return linkedMap;
+        });
+
+        // Start every map at the same scale - the closest zoom that fits each parcel
+        const shown = maps.filter(Boolean);
+        if (shown.length > 0) {
+            const zoom = Math.min(...shown.map(m => m.map.getZoom()));
+            syncing = true;
+            shown.forEach(m => m.map.setView(m.site, zoom, { animate: false }));
+            syncing = false;
+        }
+    }
+
+    /**
+     * Move the other maps to the same zoom and the same offset from their site
+     * @param {Object} source - { map, site } for the map the user moved
+     */
+    function alignMaps(source) {
+        if (!linked || syncing || !source) return;
+
+        const center = source.map.getCenter();
+        const offset = [center.lat - source.site.lat, center.lng - source.site.lng];
+
+        syncing = true;
+        maps.forEach(target => {
+            if (!target || target === source) return;
+            target.map.setView([target.site.lat + offset[0], target.site.lng + offset[1]], source.map.getZoom(), { animate: false });
+        });
+        syncing = false;
+    }
+
+    // ========================================
+    // Helpers
+    // ========================================
+
+    function hazardFlag(label, key) {
+        return {
+            label,
+            value: e => e.hazards && (e.hazards[key] ? 'Yes' : 'No'),
+            rank: v => v === 'Yes' ? 1 : 0,
+            better: 'lower'
+        };
+    }
+
+    function serviceRow(label, getService) {
+        return {
+            label,
+            value: e => {
+                const service = e.infrastructure && getService(e.infrastructure);
+                return service ? !!service.available : null;
+            },
+            format: v => v ? 'Available' : 'Not available',
+            rank: v => v ? 1 : 0,
+            better: 'higher'
+        };
+    }
+
+    function seismic(evaluation) {
+        return (evaluation.hazards && evaluation.hazards.seismic) || {};
+    }
+
+    function rainfall(evaluation) {
+        return (evaluation.climate && evaluation.climate.rainfall) || {};
+    }
+
+    // None/Low/Medium/High as 0-3, matching the hazard risk register (unknown ratings count as Medium)
+    function getSeverityLevel(value) {
+        const text = String(value).toLowerCase();
+        if (text === 'none' || text === 'nil') return 0;
+        if (/very high|extreme|severe|high/.test(text)) return 3;
+        if (text.includes('low') && !text.includes('moderate') && !text.includes('medium')) return 1;
+        return 2;
+    }
+
+    function getLiquefactionLevel(value) {
+        const category = String(value).toUpperCase().replace(/\s/g, '');
+        const levels = { NONE: 0, NIL: 0, TC1: 1, TC2: 2, TC3: 3 };
+        return category in levels ? levels[category] : getSeverityLevel(value);
+    }
+
+    function indexOrNull(list, value) {
+        const index = list.indexOf(value);
+        return index < 0 ? null : index;
+    }
+
+    function formatNumber(value, decimals) {
+        return Number(value).toLocaleString('en-NZ', { minimumFractionDigits: decimals, maximumFractionDigits: decimals });
+    }
+
+    function csvValue(value) {
+        const text = value == null ? '' : String(value);
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    function escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text == null ? '' : String(text);
+        return div.innerHTML;
+    }
+
+    // Public API
+    return {
+        init
+    };
+})();
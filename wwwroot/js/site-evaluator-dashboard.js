@@ -0,0 +1,490 @@
+/**
+ * Site Evaluator Dashboard
+ * Portfolio map of every job and quick search, linked to the dashboard's job list
+ *
+ * SiteEvaluatorDashboard.init({ sites, area, map }) plots the sites coloured by job status or
+ * worst hazard rating, clustered at national zoom. The filter form above the map reloads the page
+ * so the map and list always show the same jobs; "Filter list to map view" limits the list to the
+ * visible area, and sites and list rows highlight each other. Sites ticked in the list or added from
+ * the map are kept for the side-by-side comparison (see site-evaluator-compare.js).
+ */
+const SiteEvaluatorDashboard = (function () {
+    const COLOUR_STORAGE_KEY = 'siteEvaluatorDashboard.colourBy';
+    const NZ_CENTER = [-41.2, 172.5];
+    const NZ_ZOOM = 5;
+    const CLUSTER_UNTIL_ZOOM = 13;
+    const AREA_PRECISION = 5;
+    const COMPARE_STORAGE_KEY = 'siteEvaluatorDashboard.compare';
+    const COMPARE_MIN = 2;
+    const COMPARE_MAX = 4;
+
+    // Legend order; clusters are split into the same slices
+    const colourModes = {
+        status: {
+            title: 'Job status',
+            key: site => site.status,
+            categories: [
+                { key: 'Created', label: 'Created', colour: '#0dcaf0' },
+                { key: 'InProgress', label: 'In Progress', colour: '#ffc107' },
+                { key: 'DataCollection', label: 'Data Collection', colour: '#fd7e14' },
+                { key: 'Review', label: 'Review', colour: '#6f42c1' },
+                { key: 'Complete', label: 'Complete', colour: '#198754' },
+                { key: 'OnHold', label: 'On Hold', colour: '#adb5bd' },
+                { key: 'Cancelled', label: 'Cancelled', colour: '#6c757d' },
+                { key: 'QuickSearch', label: 'Quick search (no job)', colour: '#0d6efd' }
+            ]
+        },
+        hazard: {
+            title: 'Worst hazard',
+            key: site => site.worstHazard || 'Unknown',
+            categories: [
+                { key: 'Extreme', label: 'Extreme', colour: '#dc3545' },
+                { key: 'High', label: 'High', colour: '#fd7e14' },
+                { key: 'Medium', label: 'Medium', colour: '#ffc107' },
+                { key: 'Low', label: 'Low', colour: '#198754' },
+                { key: 'None', label: 'No hazards identified', colour: '#20c997' },
+                { key: 'Unknown', label: 'Not yet retrieved', colour: '#adb5bd' }
+            ]
+        }
+    };
+
+    let mapInstance = null;
+    let map = null;
+    let clusterLayer = null;
+    let legend = null;
+    let sites = [];
+    let markers = {};
+    let colourBy = 'status';
+    let highlightedId = null;
+    let compareIds = [];
+
+    /**
+     * Initialise the portfolio map
+     * @param {Object} config - { sites: PortfolioSite[], area: "south,west,north,east" or null,
+     *                            map: { linzApiKey, basemap, basemaps } }
+     */
+    function init(config = {}) {
+        bindCompare();
+
+        const container = document.getElementById('portfolioMap');
+        if (!container || typeof L === 'undefined' || typeof SiteEvaluatorMap === 'undefined') return;
+
+        sites = config.sites || [];
+        colourBy = readColourBy();
+
+        mapInstance = SiteEvaluatorMap.create('portfolioMap', {
+            ...(config.map || {}),
+            center: NZ_CENTER,
+            zoom: NZ_ZOOM
+        });
+        map = mapInstance.getMap();
+        if (!map) return;
+
+        clusterLayer = L.markerClusterGroup
+            ? L.markerClusterGroup({
+                maxClusterRadius: 50,
+                disableClusteringAtZoom: CLUSTER_UNTIL_ZOOM,
+                showCoverageOnHover: false,
+                spiderfyOnMaxZoom: true,
+                iconCreateFunction: createClusterIcon
+            })
+            : L.featureGroup();
+        clusterLayer.addTo(map);
+
+        sites.forEach(site => {
+            const marker = L.circleMarker([site.latitude, site.longitude], getMarkerStyle(site, false));
+            marker.options.siteId = site.id;
+            marker.bindPopup(() => createPopup(site));
+            marker.on('click', () => highlightRow(site.id, true));
+            markers[site.id] = marker;
+            clusterLayer.addLayer(marker);
+        });
+
+        const area = parseArea(config.area);
+        if (area) {
+            L.rectangle(area, { color: '#0d6efd', weight: 2, dashArray: '6 4', fill: false, interactive: false }).addTo(map);
+            map.fitBounds(area);
+        } else if (sites.length > 0) {
+            map.fitBounds(L.latLngBounds(sites.map(s => [s.latitude, s.longitude])), { padding: [30, 30], maxZoom: 15 });
+        }
+
+        legend = L.control({ position: 'bottomright' });
+        legend.onAdd = () => L.DomUtil.create('div', 'map-legend portfolio-legend');
+        legend.addTo(map);
+
+        map.on('popupopen', e => {
+            const button = e.popup.getElement().querySelector('[data-compare-toggle]');
+            if (button) {
+                button.addEventListener('click', () => {
+                    toggleCompare(button.dataset.compareToggle);
+                    button.textContent = getCompareLabel(button.dataset.compareToggle);
+                });
+            }
+        });
+
+        bindColourSelect();
+        bindFilters();
+        bindRows();
+        updateCount();
+        applyColours();
+    }
+
+    // ========================================
+    // Colouring
+    // ========================================
+
+    function bindColourSelect() {
+        const select = document.querySelector('[data-portfolio-colour]');
+        if (!select) return;
+
+        select.value = colourBy;
+        select.addEventListener('change', () => {
+            colourBy = colourModes[select.value] ? select.value : 'status';
+            storeColourBy(colourBy);
+            applyColours();
+        });
+    }
+
+    function applyColours() {
+        Object.keys(markers).forEach(id => {
+            markers[id].setStyle(getMarkerStyle(findSite(id), id === highlightedId));
+        });
+        if (clusterLayer.refreshClusters) {
+            clusterLayer.refreshClusters();
+        }
+        renderLegend();
+    }
+
+    function getCategory(site) {
+        const mode = colourModes[colourBy];
+        const key = mode.key(site);
+        return mode.categories.find(c => c.key === key) || mode.categories[mode.categories.length - 1];
+    }
+
+    function getMarkerStyle(site, highlighted) {
+        const quickSearch = !site.isJob;
+        return {
+            radius: highlighted ? 11 : (quickSearch ? 6 : 8),
+            color: highlighted ? '#212529' : 'white',
+            weight: highlighted ? 3 : 2,
+            dashArray: quickSearch && !highlighted ? '3 2' : null,
+            fillColor: getCategory(site).colour,
+            fillOpacity: 0.9
+        };
+    }
+
+    /**
+     * Cluster icon - a ring split by the share of each colour, with the site count
+     */
+    function createClusterIcon(cluster) {
+        const children = cluster.getAllChildMarkers();
+        const counts = {};
+        children.forEach(marker => {
+            const key = getCategory(findSite(marker.options.siteId)).key;
+            counts[key] = (counts[key] || 0) + 1;
+        });
+
+        let start = 0;
+        const stops = colourModes[colourBy].categories
+            .filter(c => counts[c.key])
+            .map(c => {
+                const end = start + counts[c.key] / children.length * 360;
+                const stop = `${c.colour} ${start.toFixed(1)}deg ${end.toFixed(1)}deg`;
+                start = end;
+                return stop;
+            });
+
+        const size = children.length < 10 ? 34 : children.length < 100 ? 40 : 48;
+        return L.divIcon({
+            html: `<div class="portfolio-cluster-ring" style="background: conic-gradient(${stops.join(', ')});">` +
+                `<span>${children.length}</span></div>`,
+            className: 'portfolio-cluster',
+            iconSize: L.point(size, size)
+        });
+    }
+
+    function renderLegend() {
+        const container = legend && legend.getContainer();
+        if (!container) return;
+
+        const mode = colourModes[colourBy];
+        const counts = {};
+        sites.forEach(site => {
+            const key = getCategory(site).key;
+            counts[key] = (counts[key] || 0) + 1;
+        });
+
+        container.innerHTML = `<div class="legend-title">${escapeHtml(mode.title)}</div>` +
+            mode.categories
+                .filter(c => counts[c.key])
+                .map(c => `
+                    <div class="legend-item">
+                        <span class="legend-marker" style="background: ${c.colour};"></span>
+                        ${escapeHtml(c.label)}
+                        <span class="text-muted ms-auto">${counts[c.key]}</span>
+                    </div>`)
+                .join('') +
+            (sites.length === 0 ? '<div class="text-muted">No sites match the filters</div>' : '');
+    }
+
+    // ========================================
+    // Filters
+    // ========================================
+
+    /**
+     * Apply the map filters as soon as they change - the page reloads with the list and map filtered together
+     */
+    function bindFilters() {
+        const form = document.querySelector('[data-portfolio-filters]');
+        if (form) {
+            form.querySelectorAll('select, input[type="date"]').forEach(input => {
+                input.addEventListener('change', () => form.requestSubmit ? form.requestSubmit() : form.submit());
+            });
+        }
+
+        const viewButton = document.querySelector('[data-portfolio-filter-view]');
+        if (viewButton) {
+            viewButton.addEventListener('click', filterToView);
+        }
+    }
+
+    /**
+     * Reload with the job list limited to the visible map area
+     */
+    function filterToView() {
+        const bounds = map.getBounds();
+        const area = [bounds.getSouth(), bounds.getWest(), bounds.getNorth(), bounds.getEast()]
+            .map(v => v.toFixed(AREA_PRECISION))
+            .join(',');
+
+        const url = new URL(window.location.href);
+        url.searchParams.set('Area', area);
+        url.searchParams.delete('PageNumber');
+        window.location.href = url.toString();
+    }
+
+    function parseArea(text) {
+        const values = (text || '').split(',').map(Number);
+        if (values.length !== 4 || values.some(isNaN)) return null;
+        return L.latLngBounds([values[0], values[1]], [values[2], values[3]]);
+    }
+
+    // ========================================
+    // List <-> Map
+    // ========================================
+
+    function bindRows() {
+        document.querySelectorAll('tr[data-site-id]').forEach(row => {
+            const id = row.dataset.siteId;
+            if (!markers[id]) return;
+
+            row.addEventListener('mouseenter', () => highlightMarker(id));
+            row.addEventListener('mouseleave', () => highlightMarker(null));
+        });
+
+        document.querySelectorAll('[data-portfolio-locate]').forEach(button => {
+            const marker = markers[button.dataset.portfolioLocate];
+            if (!marker) {
+                button.disabled = true;
+                button.title = 'No map location';
+                return;
+            }
+            button.addEventListener('click', () => showOnMap(button.dataset.portfolioLocate));
+        });
+    }
+
+    function highlightMarker(id) {
+        if (highlightedId && markers[highlightedId]) {
+            markers[highlightedId].setStyle(getMarkerStyle(findSite(highlightedId), false));
+        }
+        highlightedId = id;
+        if (id && markers[id]) {
+            markers[id].setStyle(getMarkerStyle(findSite(id), true));
+            markers[id].bringToFront();
+        }
+    }
+
+    function showOnMap(id) {
+        const marker = markers[id];
+        if (!marker) return;
+
+        map.getContainer().scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+        const open = () => {
+            highlightMarker(id);
+            marker.openPopup();
+        };
+        if (clusterLayer.zoomToShowLayer) {
+            clusterLayer.zoomToShowLayer(marker, open);
+        } else {
+            map.setView(marker.getLatLng(), Math.max(map.getZoom(), CLUSTER_UNTIL_ZOOM));
+            open();
+        }
+    }
+
+    /**
+     * Highlight a job's row in the list, if it is on the current page
+     */
+    function highlightRow(id, scroll) {
+        document.querySelectorAll('tr[data-site-id].table-active').forEach(row => row.classList.remove('table-active'));
+
+        const row = document.querySelector(`tr[data-site-id="${CSS.escape(id)}"]`);
+        if (!row) return;
+
+        row.classList.add('table-active');
+        if (scroll) {
+            row.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+        }
+    }
+
+    function createPopup(site) {
+        const status = colourModes.status.categories.find(c => c.key === site.status);
+        const hazard = colourModes.hazard.categories.find(c => c.key === (site.worstHazard || 'Unknown'));
+        const rows = [
+            ['Status', status ? status.label : site.status],
+            ['Purpose', site.purpose && formatLabel(site.purpose)],
+            ['Intended use', site.intendedUse && formatLabel(site.intendedUse)],
+            ['Created', formatDate(site.createdDate)],
+            ['Completeness', `${site.completeness}%`],
+            ['Worst hazard', hazard.label]
+        ].filter(r => r[1]);
+        const onPage = site.isJob && document.querySelector(`tr[data-site-id="${CSS.escape(site.id)}"]`);
+
+        return `
+            <div class="map-popup">
+                <strong>${escapeHtml(site.reference || 'Quick search')}</strong><br />
+                <small>${escapeHtml(site.address)}</small>
+                <table class="portfolio-popup-table">
+                    ${rows.map(r => `<tr><th>${r[0]}</th><td>${escapeHtml(r[1])}</td></tr>`).join('')}
+                </table>
+                ${site.isJob && !onPage ? '<small class="d-block">Not on this page of the list</small>' : ''}
+                <div class="map-popup-actions">
+                    <a href="${escapeHtml(site.url)}" class="btn btn-primary">${site.isJob ? 'Open job' : 'Open evaluation'}</a>
+                    <button type="button" data-compare-toggle="${escapeHtml(site.id)}">${getCompareLabel(site.id)}</button>
+                </div>
+            </div>`;
+    }
+
+    function updateCount() {
+        const element = document.querySelector('[data-portfolio-count]');
+        if (!element) return;
+
+        const quickSearches = sites.filter(s => !s.isJob).length;
+        element.textContent = `${sites.length} site${sites.length === 1 ? '' : 's'}` +
+            (quickSearches > 0 ? ` (${quickSearches} quick search${quickSearches === 1 ? '' : 'es'})` : '');
+    }
+
+    // ========================================
+    // Comparison
+    // ========================================
+
+    /**
+     * The comparison selection lasts for the browser session, so it can span pages and filters
+     */
+    function bindCompare() {
+        compareIds = readCompareIds();
+
+        document.querySelectorAll('[data-compare-select]').forEach(checkbox => {
+            checkbox.checked = compareIds.includes(checkbox.dataset.compareSelect);
+            checkbox.addEventListener('change', () => toggleCompare(checkbox.dataset.compareSelect));
+        });
+        updateCompareLink();
+    }
+
+    function toggleCompare(id) {
+        if (compareIds.includes(id)) {
+            compareIds = compareIds.filter(i => i !== id);
+        } else if (compareIds.length < COMPARE_MAX) {
+            compareIds.push(id);
+        }
+        storeCompareIds();
+        updateCompareLink();
+    }
+
+    function updateCompareLink() {
+        const full = compareIds.length >= COMPARE_MAX;
+        document.querySelectorAll('[data-compare-select]').forEach(checkbox => {
+            checkbox.checked = compareIds.includes(checkbox.dataset.compareSelect);
+            checkbox.disabled = full && !checkbox.checked;
+        });
+
+        const link = document.querySelector('[data-compare-link]');
+        if (!link) return;
+
+        link.dataset.baseUrl = link.dataset.baseUrl || link.getAttribute('href');
+        link.href = link.dataset.baseUrl + '?' + compareIds.map(id => 'ids=' + encodeURIComponent(id)).join('&');
+        link.classList.toggle('disabled', compareIds.length < COMPARE_MIN);
+
+        const count = link.querySelector('[data-compare-count]');
+        if (count) {
+            count.textContent = compareIds.length > 0 ? `(${compareIds.length})` : '';
+        }
+    }
+
+    function getCompareLabel(id) {
+        if (compareIds.includes(id)) return 'Remove from comparison';
+        return compareIds.length >= COMPARE_MAX ? `Comparison full (${COMPARE_MAX})` : 'Add to comparison';
+    }
+
+    function readCompareIds() {
+        try {
+            const ids = JSON.parse(sessionStorage.getItem(COMPARE_STORAGE_KEY) || '[]');
+            return Array.isArray(ids) ? ids.slice(0, COMPARE_MAX) : [];
+        } catch (e) {
+            return [];
+        }
+    }
+
+    function storeCompareIds() {
+        try {
+            sessionStorage.setItem(COMPARE_STORAGE_KEY, JSON.stringify(compareIds));
+        } catch (e) {
+            // Storage unavailable - the selection lasts for this page only
+        }
+    }
+
+    // ========================================
+    // Helpers
+    // ========================================
+
+    function findSite(id) {
+        return sites.find(s => s.id === id);
+    }
+
+    function readColourBy() {
+        try {
+            const value = localStorage.getItem(COLOUR_STORAGE_KEY);
+            return colourModes[value] ? value : 'status';
+        } catch (e) {
+            return 'status';
+        }
+    }
+
+    function storeColourBy(value) {
+        try {
+            localStorage.setItem(COLOUR_STORAGE_KEY, value);
+        } catch (e) {
+            // Storage unavailable - the choice lasts for this page only
+        }
+    }
+
+    // "DueDiligence" -> "Due Diligence"
+    function formatLabel(value) {
+        return String(value).replace(/([a-z])([A-Z])/g, '$1 $2');
+    }
+
+    function formatDate(value) {
+        const date = new Date(value);
+        return isNaN(date) ? '' : date.toLocaleDateString('en-NZ', { day: '2-digit', month: 'short', year: 'numeric' });
+    }
+
+    function escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text == null ? '' : String(text);
+        return div.innerHTML;
+    }
+
+    // Public API
+    return {
+        init
+    };
+})();
@@ -0,0 +1,570 @@
+/**
+ * Site Evaluator Help
+ * In-app help panel rendering the Docs/user-guides markdown by section
+ *
+ * SiteEvaluatorHelp.open(guide, section) shows a guide section in a side panel with
+ * full-text search across every user guide. Sections are deep linked as
+ * #help:<guide>/<section>, and "?" buttons next to fields (data-help="<guide>#<section>")
+ * show the section's first paragraph as a tooltip and open it on click.
+ */
+const SiteEvaluatorHelp = (function () {
+    const API_URL = '/api/siteevaluator/help/guides';
+    const DEFAULT_GUIDE = 'Site-Evaluation-Wizard-Guide';
+    const HASH_PREFIX = '#help:';
+    const MAX_RESULTS = 20;
+
+    // Guide name -> Promise of the parsed guide
+    const guides = new Map();
+    let guideNames = null;
+    let panel = null;
+    let current = null;
+
+    // ========================================
+    // Loading & Parsing
+    // ========================================
+
+    function listGuides() {
+        if (!guideNames) {
+            guideNames = fetch(API_URL)
+                .then(response => {
+                    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                    return response.json();
+                })
+                .catch(error => {
+                    console.warn('Failed to list user guides:', error);
+                    guideNames = null;
+                    return [DEFAULT_GUIDE];
+                });
+        }
+        return guideNames;
+    }
+
+    function loadGuide(name) {
+        if (!guides.has(name)) {
+            guides.set(name, fetch(`${API_URL}/${encodeURIComponent(name)}`)
+                .then(response => {
+                    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                    return response.text();
+                })
+                .then(markdown => parseGuide(name, markdown))
+                .catch(error => {
+                    guides.delete(name);
+                    throw error;
+                }));
+        }
+        return guides.get(name);
+    }
+
+    function loadAllGuides() {
+        return listGuides().then(names => Promise.all(names.map(name => loadGuide(name).catch(() => null))))
+            .then(loaded => loaded.filter(Boolean));
+    }
+
+    /**
+     * Split a guide into sections at its ## and ### headings
+     */
+    function parseGuide(name, markdown) {
+        const guide = { name, title: formatGuideName(name), sections: [] };
+        const ids = new Set();
+        let section = { id: 'introduction', title: 'Introduction', level: 1, lines: [] };
+        let inCode = false;
+
+        function flush() {
+            if (section.level > 1 || section.lines.some(line => line.trim())) {
+                section.html = renderMarkdown(section.lines, name);
+                section.text = toText(section.html);
+                guide.sections.push(section);
+            }
+        }
+
+        markdown.split(/\r?\n/).forEach(line => {
+            if (/^\s*```/.test(line)) inCode = !inCode;
+
+            const heading = !inCode && line.match(/^(#{1,3})\s+(.*)$/);
+            if (heading && heading[1].length === 1) {
+                guide.title = heading[2].trim() || guide.title;
+                return;
+            }
+            if (heading) {
+                flush();
+                const title = heading[2].trim();
+                let id = slugify(title);
+                for (let i = 2; ids.has(id); i++) id = `${slugify(title)}-${i}`;
+                ids.add(id);
+                section = { id, title, level: heading[1].length, lines: [] };
+                return;
+            }
+            section.lines.push(line);
+        });
+        flush();
+
+        return guide;
+    }
+
+    /**
+     * Find a section by id, or the first whose id starts with it (e.g. "step-3")
+     */
+    function findSection(guide, id) {
+        if (!id) return null;
+        return guide.sections.find(s => s.id === id) ||
+            guide.sections.find(s => s.id.startsWith(id + '-')) ||
+            null;
+    }
+
+    // ========================================
+    // Markdown Rendering
+    // ========================================
+
+    function renderMarkdown(lines, guideName) {
+        const html = [];
+        let i = 0;
+
+        while (i < lines.length) {
+            const line = lines[i];
+
+            // Fenced code
+            if (/^\s*```/.test(line)) {
+                const code = [];
+                for (i++; i < lines.length && !/^\s*```/.test(lines[i]); i++) code.push(lines[i]);
+                i++;
+                html.push(`<pre><code>${escapeHtml(code.join('\n'))}</code></pre>`);
+                continue;
+            }
+
+            // Raw HTML (layout wrappers) and blank lines
+            if (!line.trim() || /^\s*<\/?[a-z]/i.test(line)) {
+                i++;
+                continue;
+            }
+
+            if (/^\s*(-{3,}|\*{3,})\s*$/.test(line)) {
+                i++;
+                continue;
+            }
+
+            const heading = line.match(/^(#{4,6})\s+(.*)$/);
+            if (heading) {
+                html.push(`<h6>${renderInline(heading[2], guideName)}</h6>`);
+                i++;
+                continue;
+            }
+
+            // Tables
+            if (/^\s*\|/.test(line) && i + 1 < lines.length && /^\s*\|[\s:|-]+\|?\s*$/.test(lines[i + 1])) {
+                const header = splitRow(line);
+                const rows = [];
+                for (i += 2; i < lines.length && /^\s*\|/.test(lines[i]); i++) rows.push(splitRow(lines[i]));
+                html.push('<table class="table table-sm"><thead><tr>' +
+                    header.map(cell => `<th>${renderInline(cell, guideName)}</th>`).join('') +
+                    '</tr></thead><tbody>' +
+                    rows.map(row => '<tr>' + row.map(cell => `<td>${renderInline(cell, guideName)}</td>`).join('') + '</tr>').join('') +
+                    '</tbody></table>');
+                continue;
+            }
+
+            // Lists
+            const listType = /^\s*[-*+]\s+/.test(line) ? 'ul' : /^\s*\d+\.\s+/.test(line) ? 'ol' : null;
+            if (listType) {
+                const pattern = listType === 'ul' ? /^\s*[-*+]\s+/ : /^\s*\d+\.\s+/;
+                const items = [];
+                for (; i < lines.length && pattern.test(lines[i]); i++) {
+                    items.push(`<li>${renderInline(lines[i].replace(pattern, ''), guideName)}</li>`);
+                }
+                html.push(`<${listType}>${items.join('')}</${listType}>`);
+                continue;
+            }
+
+            if (/^\s*>/.test(line)) {
+                const quote = [];
+                for (; i < lines.length && /^\s*>/.test(lines[i]); i++) quote.push(lines[i].replace(/^\s*>\s?/, ''));
+                html.push(`<blockquote>${renderInline(quote.join(' '), guideName)}</blockquote>`);
+                continue;
+            }
+
+            // Paragraph - runs until a blank line or another block
+            const paragraph = [];
+            for (; i < lines.length && lines[i].trim() && !isBlockStart(lines[i]); i++) paragraph.push(lines[i].trim());
+            if (paragraph.length === 0) {
+                paragraph.push(line.trim());
+                i++;
+            }
+            html.push(`<p>${renderInline(paragraph.join(' '), guideName)}</p>`);
+        }
+
+        return html.join('\n');
+    }
+
+    function isBlockStart(line) {
+        return /^\s*(```|#{1,6}\s|[-*+]\s|\d+\.\s|>|\||<\/?[a-z])/i.test(line) || /^\s*(-{3,}|\*{3,})\s*$/.test(line);
+    }
+
+    function splitRow(line) {
+        return line.trim().replace(/^\|/, '').replace(/\|$/, '').split('|').map(cell => cell.trim());
+    }
+
+    function renderInline(text, guideName) {
+        const codes = [];
+
+        // Code spans are kept verbatim
+        let html = escapeHtml(text.replace(/`([^`]+)`/g, (m, code) => {
+            codes.push(code);
+            return `\u0000${codes.length - 1}\u0000`;
+        }));
+
+        html = html
+            .replace(/\*\*(.+?)\*\*/g, '<strong>$1</strong>')
+            .replace(/(^|[^*\w])\*([^*\s][^*]*?)\*(?!\w)/g, '$1<em>$2</em>')
+            .replace(/\[([^\]]+)\]\(([^)\s]+)\)/g, (m, label, href) => renderLink(label, href, guideName));
+
+        return html.replace(/\u0000(\d+)\u0000/g, (m, n) => `<code>${escapeHtml(codes[n])}</code>`);
+    }
+
+    /**
+     * Links to other user guides open in the panel; links outside the user guides aren't served
+     */
+    function renderLink(label, href, guideName) {
+        const decoded = href.replace(/&amp;/g, '&');
+
+        if (/^https?:\/\//i.test(decoded)) {
+            return `<a href="${href}" target="_blank" rel="noopener">${label}</a>`;
+        }
+
+        const match = decoded.match(/^(?:\.\/)?([A-Za-z0-9-]+)\.md(?:#([\w-]+))?$/) || decoded.match(/^()#([\w-]+)$/);
+        if (!match) return label;
+
+        const guide = match[1] || guideName;
+        return `<a href="${HASH_PREFIX}${guide}/${match[2] || ''}" data-help-guide="${escapeHtml(guide)}" data-help-section="${escapeHtml(match[2] || '')}">${label}</a>`;
+    }
+
+    function slugify(text) {
+        return String(text || '')
+            .toLowerCase()
+            .replace(/&/g, ' ')
+            .replace(/[^a-z0-9\s-]/g, '')
+            .trim()
+            .replace(/[\s-]+/g, '-') || 'section';
+    }
+
+    function formatGuideName(name) {
+        return name.replace(/-/g, ' ');
+    }
+
+    function toText(html) {
+        const div = document.createElement('div');
+        div.innerHTML = html.replace(/></g, '> <');
+        return div.textContent.replace(/\s+/g, ' ').trim();
+    }
+
+    // ========================================
+    // Search
+    // ========================================
+
+    /**
+     * Full-text search across every user guide
+     * @returns {Promise<Array<{guide, section, score, snippet}>>}
+     */
+    function search(query) {
+        const terms = String(query || '').toLowerCase().split(/\s+/).filter(term => term.length > 1);
+        if (terms.length === 0) return Promise.resolve([]);
+
+        return loadAllGuides().then(loaded => {
+            const results = [];
+
+            loaded.forEach(guide => guide.sections.forEach(section => {
+                const title = section.title.toLowerCase();
+                const text = section.text.toLowerCase();
+                let score = 0;
+
+                // Every term must appear; title matches count most
+                for (const term of terms) {
+                    const inTitle = countOccurrences(title, term);
+                    const inText = countOccurrences(text, term);
+                    if (inTitle + inText === 0) return;
+                    score += inTitle * 5 + inText;
+                }
+
+                results.push({ guide, section, score, snippet: snippet(section.text, terms) });
+            }));
+
+            return results.sort((a, b) => b.score - a.score).slice(0, MAX_RESULTS);
+        });
+    }
+
+    function countOccurrences(text, term) {
+        let count = 0;
+        for (let i = text.indexOf(term); i !== -1; i = text.indexOf(term, i + term.length)) count++;
+        return count;
+    }
+
+    function snippet(text, terms) {
+        const lower = text.toLowerCase();
+        const first = Math.min(...terms.map(term => lower.indexOf(term)).filter(i => i >= 0), text.length);
+        const start = Math.max(0, first - 60);
+        const excerpt = (start > 0 ? '…' : '') + text.substr(start, 160) + (start + 160 < text.length ? '…' : '');
+
+        const pattern = new RegExp(`(${terms.map(t => t.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('|')})`, 'gi');
+        return excerpt
+            .split(pattern)
+            .map((part, i) => i % 2 === 1 ? `<mark>${escapeHtml(part)}</mark>` : escapeHtml(part))
+            .join('');
+    }
+
+    // ========================================
+    // Panel
+    // ========================================
+
+    function ensurePanel() {
+        if (panel) return panel;
+
+        panel = document.createElement('div');
+        panel.id = 'seHelpPanel';
+        panel.className = 'se-help-panel';
+        panel.setAttribute('role', 'complementary');
+        panel.setAttribute('aria-labelledby', 'seHelpPanelTitle');
+        panel.innerHTML = `
+            <div class="help-panel-header">
+                <span class="help-panel-title" id="seHelpPanelTitle">Help</span>
+                <div>
+                    <button type="button" class="help-panel-action" data-help-action="link" title="Copy link to this section" aria-label="Copy link to this section">
+                        <i class="fa fa-link"></i>
+                    </button>
+                    <button type="button" class="help-panel-close" data-help-action="close" aria-label="Close help">
+                        <i class="fa fa-times"></i>
+                    </button>
+                </div>
+            </div>
+            <div class="help-panel-search">
+                <input type="search" class="form-control form-control-sm" placeholder="Search the user guides..." aria-label="Search the user guides" />
+            </div>
+            <div class="help-panel-nav">
+                <select class="form-select form-select-sm" aria-label="User guide"></select>
+                <button type="button" class="btn btn-sm btn-link" data-help-action="contents">Contents</button>
+            </div>
+            <div class="help-panel-body" aria-live="polite"></div>
+        `;
+        document.body.appendChild(panel);
+
+        const searchInput = panel.querySelector('input[type="search"]');
+        const guideSelect = panel.querySelector('select');
+        let timer = null;
+
+        searchInput.addEventListener('input', function () {
+            clearTimeout(timer);
+            timer = setTimeout(() => {
+                const query = searchInput.value.trim();
+                if (query) {
+                    showResults(query);
+                } else if (current) {
+                    showSection(current.guide, current.section);
+                }
+            }, 250);
+        });
+
+        guideSelect.addEventListener('change', () => showSection(guideSelect.value));
+
+        panel.addEventListener('click', function (e) {
+            const link = e.target.closest('[data-help-guide]');
+            if (link) {
+                e.preventDefault();
+                searchInput.value = '';
+                showSection(link.dataset.helpGuide, link.dataset.helpSection);
+                return;
+            }
+
+            const action = e.target.closest('[data-help-action]');
+            if (!action) return;
+            if (action.dataset.helpAction === 'close') close();
+            if (action.dataset.helpAction === 'contents' && current) showSection(current.guide);
+            if (action.dataset.helpAction === 'link') copyLink(action);
+        });
+
+        panel.addEventListener('keydown', function (e) {
+            if (e.key === 'Escape') close();
+        });
+
+        listGuides().then(names => {
+            guideSelect.innerHTML = names
+                .map(name => `<option value="${escapeHtml(name)}">${escapeHtml(formatGuideName(name))}</option>`)
+                .join('');
+            if (current) guideSelect.value = current.guide;
+        });
+
+        return panel;
+    }
+
+    /**
+     * Open the panel at a guide section (or the guide's contents)
+     * @param {string} guide - Guide name, e.g. "Data-Sources-Reference"
+     * @param {string} section - Section id or id prefix, e.g. "step-3" or "wind-zone"
+     */
+    function open(guide, section) {
+        ensurePanel().classList.add('show');
+        return showSection(guide || DEFAULT_GUIDE, section);
+    }
+
+    function close() {
+        if (panel) panel.classList.remove('show');
+        if (location.hash.startsWith(HASH_PREFIX)) {
+            history.replaceState(null, '', location.pathname + location.search);
+        }
+    }
+
+    function showSection(guideName, sectionId) {
+        const body = panel.querySelector('.help-panel-body');
+        body.innerHTML = '<div class="text-muted"><i class="fa fa-spinner fa-spin me-1"></i> Loading help...</div>';
+
+        return loadGuide(guideName).then(guide => {
+            const section = findSection(guide, sectionId);
+            current = { guide: guide.name, section: section ? section.id : null };
+
+            panel.querySelector('.help-panel-title').textContent = section ? section.title : guide.title;
+            panel.querySelector('select').value = guide.name;
+            body.innerHTML = section ? renderSection(guide, section) : renderContents(guide);
+            body.scrollTop = 0;
+
+            history.replaceState(null, '', HASH_PREFIX + guide.name + '/' + (current.section || ''));
+        }).catch(error => {
+            console.warn('Failed to load help:', error);
+            current = null;
+            panel.querySelector('.help-panel-title').textContent = 'Help';
+            body.innerHTML = '<p class="text-muted">Help for this topic could not be loaded.</p>';
+        });
+    }
+
+    // A section with its subsections
+    function renderSection(guide, section) {
+        const index = guide.sections.indexOf(section);
+        const parts = [section.html];
+
+        for (let i = index + 1; i < guide.sections.length && guide.sections[i].level > section.level; i++) {
+            const sub = guide.sections[i];
+            parts.push(`<h6 id="help-${sub.id}">${escapeHtml(sub.title)}</h6>`, sub.html);
+        }
+
+        return `<div class="help-section">${parts.join('\n')}</div>`;
+    }
+
+    function renderContents(guide) {
+        const items = guide.sections
+            .filter(section => section.level > 1)
+            .map(section => `
+                <li class="help-contents-level-${section.level}">
+                    <a href="${HASH_PREFIX}${guide.name}/${section.id}" data-help-guide="${escapeHtml(guide.name)}" data-help-section="${section.id}">${escapeHtml(section.title)}</a>
+                </li>`)
+            .join('');
+
+        return `<ul class="help-contents">${items}</ul>`;
+    }
+
+    function showResults(query) {
+        const body = panel.querySelector('.help-panel-body');
+
+        return search(query).then(results => {
+            panel.querySelector('.help-panel-title').textContent = 'Search results';
+
+            if (results.length === 0) {
+                body.innerHTML = `<p class="text-muted">No help found for "${escapeHtml(query)}".</p>`;
+                return;
+            }
+
+            body.innerHTML = '<ul class="help-results">' + results.map(result => `
+                <li>
+                    <a href="${HASH_PREFIX}${result.guide.name}/${result.section.id}" data-help-guide="${escapeHtml(result.guide.name)}" data-help-section="${result.section.id}">
+                        ${escapeHtml(result.section.title)}
+                    </a>
+                    <div class="help-result-guide">${escapeHtml(result.guide.title)}</div>
+                    <div class="help-result-snippet">${result.snippet}</div>
+                </li>`).join('') + '</ul>';
+        });
+    }
+
+    function copyLink(button) {
+        if (!navigator.clipboard) return;
+        navigator.clipboard.writeText(location.href).then(() => {
+            button.classList.add('copied');
+            setTimeout(() => button.classList.remove('copied'), 1500);
+        });
+    }
+
+    // ========================================
+    // Field Tips & Deep Links
+    // ========================================
+
+    /**
+     * Wire up "?" buttons: data-help="<guide>#<section>" (guide defaults to the wizard guide)
+     * @param {Element} root - Element to search within (defaults to document)
+     */
+    function attachTips(root) {
+        (root || document).querySelectorAll('[data-help]:not([data-help-bound])').forEach(tip => {
+            tip.setAttribute('data-help-bound', '');
+            const [guide, section] = parseTarget(tip.dataset.help);
+
+            tip.addEventListener('click', function (e) {
+                e.preventDefault();
+                open(guide, section);
+            });
+
+            // The section's first paragraph becomes the tooltip, loaded on first hover
+            const showTip = function () {
+                tip.removeEventListener('mouseenter', showTip);
+                tip.removeEventListener('focus', showTip);
+
+                loadGuide(guide).then(loaded => {
+                    const found = findSection(loaded, section);
+                    if (!found) return;
+
+                    const summary = summarise(found);
+                    if (window.bootstrap && bootstrap.Tooltip) {
+                        const tooltip = bootstrap.Tooltip.getOrCreateInstance(tip, { title: summary, placement: 'top' });
+                        if (tip.matches(':hover') || document.activeElement === tip) tooltip.show();
+                    } else {
+                        tip.title = summary;
+                    }
+                }).catch(() => { });
+            };
+            tip.addEventListener('mouseenter', showTip);
+            tip.addEventListener('focus', showTip);
+        });
+    }
+
+    function parseTarget(target) {
+        const [guide, section] = String(target || '').split('#');
+        return [guide || DEFAULT_GUIDE, section || null];
+    }
+
+    function summarise(section) {
+        const div = document.createElement('div');
+        div.innerHTML = section.html;
+        const first = div.querySelector('p, li');
+        const text = (first ? first.textContent : section.text).trim();
+        return (text.length > 220 ? text.substr(0, 217) + '...' : text) + ' (click for more)';
+    }
+
+    function openFromHash() {
+        if (!location.hash.startsWith(HASH_PREFIX)) return;
+        const [guide, section] = decodeURIComponent(location.hash.substr(HASH_PREFIX.length)).split('/');
+        open(guide, section);
+    }
+
+    function escapeHtml(text) {
+        if (!text) return '';
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+
+    document.addEventListener('DOMContentLoaded', function () {
+        attachTips(document);
+        openFromHash();
+    });
+    window.addEventListener('hashchange', openFromHash);
+
+    // Public API
+    return {
+        open,
+        close,
+        search,
+        attachTips,
+        loadGuide
+    };
+})();
@@ -0,0 +1,394 @@
+/**
+ * Site Evaluator IDF Chart
+ * Rainfall intensity-duration-frequency curves from HIRDS depths, drawn as SVG
+ *
+ * SiteEvaluatorIdfChart.create(container, { depths, factors }) draws one curve per ARI
+ * on log-log axes with a climate change scenario selector, hover readouts and a
+ * design storm picker that reports depth and intensity for any ARI and duration.
+ */
+const SiteEvaluatorIdfChart = (function () {
+    const SVG_NS = 'http://www.w3.org/2000/svg';
+    const WIDTH = 640;
+    const HEIGHT = 340;
+    const MARGIN = { top: 16, right: 16, bottom: 44, left: 56 };
+    const COLOURS = ['#6c757d', '#20c997', '#0d6efd', '#6f42c1', '#fd7e14', '#dc3545', '#198754', '#d63384'];
+    const CURRENT = 'current';
+
+    let instanceCount = 0;
+
+    /**
+     * Create a chart inside a container element
+     * @param {HTMLElement|string} container - Element or its ID
+     * @param {Object} data - { depths: { "10yr": { "60min": 45.2 } }, factors: { "2090_RCP85": 1.24 } }
+     */
+    function create(container, data) {
+        container = typeof container === 'string' ? document.getElementById(container) : container;
+        const series = buildSeries(data && data.depths);
+        if (!container || series.length === 0) return null;
+
+        const id = 'idfChart' + (++instanceCount);
+        const factors = (data && data.factors) || {};
+        const scenarios = [{ key: CURRENT, label: 'Current climate', factor: 1 }].concat(
+            Object.keys(factors).sort().map(key => ({
+                key,
+                label: `${formatScenario(key)} (x${factors[key].toFixed(2)})`,
+                factor: factors[key]
+            })));
+
+        let scenario = scenarios[0];
+        let designStorm = null;
+
+        const durations = [...new Set(series.flatMap(s => s.points.map(p => p.minutes)))].sort((a, b) => a - b);
+        const defaultAri = series.find(s => s.years === 10) || series[0];
+
+        container.classList.add('idf-chart');
+        container.innerHTML = `
+            <div class="row g-2 align-items-end mb-2">
+                <div class="col-md-5">
+                    <label class="form-label small fw-semibold mb-1" for="${id}Scenario">Climate scenario</label>
+                    <select class="form-select form-select-sm" id="${id}Scenario">
+                        ${scenarios.map(s => `<option value="${escapeHtml(s.key)}">${escapeHtml(s.label)}</option>`).join('')}
+                    </select>
+                </div>
+                <div class="col-md-7 idf-legend" aria-hidden="true">
+                    ${series.map((s, i) => `<span class="idf-legend-item"><span class="idf-legend-swatch" style="background:${colour(i)}"></span>${escapeHtml(formatAri(s))}</span>`).join('')}
+                </div>
+            </div>
+            <div class="idf-chart-plot">
+                <svg viewBox="0 0 ${WIDTH} ${HEIGHT}" role="img" aria-label="Rainfall intensity-duration-frequency curves"></svg>
+                <div class="idf-tooltip" role="status"></div>
+            </div>
+            <div class="idf-design-storm mt-3">
+                <div class="fw-semibold small mb-2"><i class="fa fa-cloud-rain me-1"></i>Design storm</div>
+                <div class="row g-2 align-items-end">
+                    <div class="col-sm-3">
+                        <label class="form-label small mb-1" for="${id}Ari">ARI</label>
+                        <select class="form-select form-select-sm" id="${id}Ari">
+                            ${series.map(s => `<option value="${escapeHtml(s.ari)}"${s === defaultAri ? ' selected' : ''}>${escapeHtml(formatAri(s))}</option>`).join('')}
+                        </select>
+                    </div>
+                    <div class="col-sm-3">
+                        <label class="form-label small mb-1" for="${id}Duration">Duration (min)</label>
+                        <input type="number" class="form-control form-control-sm" id="${id}Duration" list="${id}Durations"
+                               min="${durations[0]}" max="${durations[durations.length - 1]}" step="1" value="${durations.includes(60) ? 60 : durations[0]}" />
+                        <datalist id="${id}Durations">
+                            ${durations.map(d => `<option value="${d}">${formatDuration(d)}</option>`).join('')}
+                        </datalist>
+                    </div>
+                    <div class="col-sm-6">
+                        <div class="d-flex align-items-center justify-content-between">
+                            <output class="idf-design-result small" for="${id}Ari ${id}Duration ${id}Scenario" aria-live="polite"></output>
+                            <button type="button" class="btn btn-sm btn-outline-secondary ms-2" data-idf-copy title="Copy design storm values">
+                                <i class="fa fa-copy"></i>
+                            </button>
+                        </div>
+                    </div>
+                </div>
+            </div>
+        `;
+
+        const svg = container.querySelector('svg');
+        const tooltip = container.querySelector('.idf-tooltip');
+        const scenarioSelect = container.querySelector(`#${id}Scenario`);
+        const ariSelect = container.querySelector(`#${id}Ari`);
+        const durationInput = container.querySelector(`#${id}Duration`);
+        const result = container.querySelector('.idf-design-result');
+
+        // Axes stay fixed across scenarios so curves can be compared by eye
+        const maxFactor = Math.max(...scenarios.map(s => s.factor));
+        const intensities = series.flatMap(s => s.points.map(p => p.intensity));
+        const x = logScale(durations[0], durations[durations.length - 1], MARGIN.left, WIDTH - MARGIN.right);
+        const y = logScale(Math.min(...intensities) * 0.8, Math.max(...intensities) * maxFactor * 1.1, HEIGHT - MARGIN.bottom, MARGIN.top);
+
+        function render() {
+            svg.innerHTML = '';
+            drawAxes(svg, x, y, durations);
+
+            series.forEach((s, i) => {
+                // Current climate is shown faintly behind a projection
+                if (scenario.key !== CURRENT) {
+                    drawCurve(svg, s, 1, x, y, colour(i), { dashed: true, faint: true });
+                }
+                drawCurve(svg, s, scenario.factor, x, y, colour(i), {});
+            });
+
+            if (designStorm) {
+                const cx = x(designStorm.minutes);
+                const cy = y(designStorm.intensity);
+                svg.appendChild(element('line', { x1: cx, x2: cx, y1: MARGIN.top, y2: HEIGHT - MARGIN.bottom, class: 'idf-design-guide' }));
+                svg.appendChild(element('circle', { cx, cy, r: 7, class: 'idf-design-marker' }));
+            }
+
+            svg.appendChild(element('circle', { r: 5, class: 'idf-hover-marker', visibility: 'hidden' }));
+        }
+
+        function updateDesignStorm() {
+            const s = series.find(item => item.ari === ariSelect.value) || defaultAri;
+            const minutes = parseFloat(durationInput.value);
+            const point = interpolate(s.points, minutes);
+
+            if (!point) {
+                designStorm = null;
+                result.innerHTML = `<span class="text-danger">Duration must be ${formatDuration(durations[0])} to ${formatDuration(durations[durations.length - 1])}</span>`;
+                render();
+                return;
+            }
+
+            const depth = point.depth * scenario.factor;
+            designStorm = { series: s, minutes, depth, intensity: depth / minutes * 60, interpolated: point.interpolated };
+
+            result.innerHTML = `
+                <strong>${depth.toFixed(1)} mm</strong> depth,
+                <strong>${designStorm.intensity.toFixed(1)} mm/hr</strong> intensity
+                <div class="text-muted">${escapeHtml(formatAri(s))}, ${formatDuration(minutes)}, ${escapeHtml(scenario.label)}${point.interpolated ? ' - interpolated (log-log)' : ''}</div>
+            `;
+            render();
+        }
+
+        function copyDesignStorm(button) {
+            if (!designStorm || !navigator.clipboard) return;
+
+            // Tab separated so it pastes into spreadsheet cells
+            const text = [
+                ['ARI', 'Duration (min)', 'Scenario', 'Depth (mm)', 'Intensity (mm/hr)'],
+                [formatAri(designStorm.series), designStorm.minutes, scenario.label, designStorm.depth.toFixed(1), designStorm.intensity.toFixed(1)]
+            ].map(row => row.join('\t')).join('\n');
+
+            navigator.clipboard.writeText(text).then(() => {
+                button.innerHTML = '<i class="fa fa-check"></i>';
+                setTimeout(() => button.innerHTML = '<i class="fa fa-copy"></i>', 1500);
+            });
+        }
+
+        function showReadout(e) {
+            const point = toViewBox(svg, e);
+            let nearest = null;
+
+            // Nearest plotted point to the pointer
+            series.forEach((s, i) => s.points.forEach(p => {
+                const intensity = p.intensity * scenario.factor;
+                const distance = Math.hypot(x(p.minutes) - point.x, y(intensity) - point.y);
+                if (!nearest || distance < nearest.distance) {
+                    nearest = { s, p, intensity, distance, colour: colour(i) };
+                }
+            }));
+
+            const marker = svg.querySelector('.idf-hover-marker');
+            if (!nearest || nearest.distance > 40) {
+                hideReadout();
+                return;
+            }
+
+            const cx = x(nearest.p.minutes);
+            const cy = y(nearest.intensity);
+            marker.setAttribute('cx', cx);
+            marker.setAttribute('cy', cy);
+            marker.setAttribute('stroke', nearest.colour);
+            marker.setAttribute('visibility', 'visible');
+
+            const depth = nearest.p.depth * scenario.factor;
+            tooltip.innerHTML = `
+                <strong>${escapeHtml(formatAri(nearest.s))}, ${formatDuration(nearest.p.minutes)}</strong><br />
+                ${depth.toFixed(1)} mm, ${nearest.intensity.toFixed(1)} mm/hr
+                ${scenario.key !== CURRENT ? `<br /><span class="text-muted">Current: ${nearest.p.depth.toFixed(1)} mm, ${nearest.p.intensity.toFixed(1)} mm/hr</span>` : ''}
+            `;
+            tooltip.style.left = (cx / WIDTH * 100) + '%';
+            tooltip.style.top = (cy / HEIGHT * 100) + '%';
+            tooltip.classList.toggle('flip', cx > WIDTH * 0.65);
+            tooltip.classList.add('show');
+        }
+
+        function hideReadout() {
+            tooltip.classList.remove('show');
+            const marker = svg.querySelector('.idf-hover-marker');
+            if (marker) marker.setAttribute('visibility', 'hidden');
+        }
+
+        scenarioSelect.addEventListener('change', function () {
+            scenario = scenarios.find(s => s.key === scenarioSelect.value) || scenarios[0];
+            updateDesignStorm();
+        });
+        ariSelect.addEventListener('change', updateDesignStorm);
+        durationInput.addEventListener('input', updateDesignStorm);
+        container.querySelector('[data-idf-copy]').addEventListener('click', e => copyDesignStorm(e.currentTarget));
+        svg.addEventListener('mousemove', showReadout);
+        svg.addEventListener('mouseleave', hideReadout);
+
+        updateDesignStorm();
+
+        return {
+            setScenario(key) {
+                scenarioSelect.value = key;
+                scenarioSelect.dispatchEvent(new Event('change'));
+            },
+            getDesignStorm: () => designStorm && { ...designStorm, ari: designStorm.series.ari, scenario: scenario.key }
+        };
+    }
+
+    // ========================================
+    // Data
+    // ========================================
+
+    /**
+     * HIRDS depths to sorted series: [{ ari: "10yr", years: 10, points: [{ minutes, depth, intensity }] }]
+     */
+    function buildSeries(depths) {
+        return Object.keys(depths || {})
+            .map(ari => ({
+                ari,
+                years: parseFloat(ari),
+                points: Object.keys(depths[ari])
+                    .map(duration => {
+                        const minutes = parseMinutes(duration);
+                        const depth = depths[ari][duration];
+                        return { minutes, depth, intensity: depth / minutes * 60 };
+                    })
+                    .filter(p => p.minutes > 0 && p.depth > 0)
+                    .sort((a, b) => a.minutes - b.minutes)
+            }))
+            .filter(s => !isNaN(s.years) && s.points.length > 0)
+            .sort((a, b) => a.years - b.years);
+    }
+
+    /**
+     * Depth at a duration, interpolating log-log between tabulated durations
+     */
+    function interpolate(points, minutes) {
+        if (!(minutes > 0)) return null;
+
+        const exact = points.find(p => p.minutes === minutes);
+        if (exact) return { depth: exact.depth, interpolated: false };
+
+        for (let i = 1; i < points.length; i++) {
+            const a = points[i - 1];
+            const b = points[i];
+            if (minutes > a.minutes && minutes < b.minutes) {
+                const t = Math.log(minutes / a.minutes) / Math.log(b.minutes / a.minutes);
+                return { depth: Math.exp(Math.log(a.depth) + t * Math.log(b.depth / a.depth)), interpolated: true };
+            }
+        }
+        return null;
+    }
+
+    function parseMinutes(duration) {
+        const match = /^(\d+(?:\.\d+)?)\s*(min|h|hr)$/i.exec(String(duration).trim());
+        if (!match) return NaN;
+        return parseFloat(match[1]) * (match[2].toLowerCase() === 'min' ? 1 : 60);
+    }
+
+    // ========================================
+    // Formatting
+    // ========================================
+
+    function formatAri(series) {
+        return `${series.years} yr ARI`;
+    }
+
+    function formatDuration(minutes) {
+        if (minutes < 60) return `${+minutes.toFixed(1)} min`;
+        const hours = minutes / 60;
+        return `${+hours.toFixed(2)} h`;
+    }
+
+    /**
+     * "2090_RCP85" -> "2090 RCP8.5", "2090_SSP245" -> "2090 SSP2-4.5"
+     */
+    function formatScenario(key) {
+        const [period, pathway = ''] = key.split('_');
+        const name = pathway
+            .replace(/^RCP(\d)(\d)$/i, 'RCP$1.$2')
+            .replace(/^SSP(\d)(\d)(\d)$/i, 'SSP$1-$2.$3');
+        return pathway ? `${period} ${name}` : period;
+    }
+
+    function colour(index) {
+        return COLOURS[index % COLOURS.length];
+    }
+
+    function escapeHtml(text) {
+        if (text === null || text === undefined) return '';
+        const div = document.createElement('div');
+        div.textContent = String(text);
+        return div.innerHTML;
+    }
+
+    // ========================================
+    // Drawing
+    // ========================================
+
+    function logScale(min, max, from, to) {
+        const lmin = Math.log10(min);
+        const lmax = Math.log10(max);
+        const scale = value => from + (Math.log10(value) - lmin) / (lmax - lmin) * (to - from);
+        scale.domain = [min, max];
+        return scale;
+    }
+
+    function element(name, attributes, text) {
+        const el = document.createElementNS(SVG_NS, name);
+        Object.keys(attributes || {}).forEach(key => el.setAttribute(key, attributes[key]));
+        if (text !== undefined) el.textContent = text;
+        return el;
+    }
+
+    function drawAxes(svg, x, y, durations) {
+        const bottom = HEIGHT - MARGIN.bottom;
+        const right = WIDTH - MARGIN.right;
+
+        // Durations along the bottom
+        durations.forEach(minutes => {
+            const px = x(minutes);
+            svg.appendChild(element('line', { x1: px, x2: px, y1: MARGIN.top, y2: bottom, class: 'idf-grid' }));
+            svg.appendChild(element('text', { x: px, y: bottom + 16, 'text-anchor': 'middle', class: 'idf-tick' },
+                minutes < 60 ? `${minutes}m` : `${minutes / 60}h`));
+        });
+
+        // 1-2-5 intensity ticks up the side
+        const [min, max] = y.domain;
+        for (let decade = Math.pow(10, Math.floor(Math.log10(min))); decade <= max; decade *= 10) {
+            [1, 2, 5].forEach(step => {
+                const value = decade * step;
+                if (value < min || value > max) return;
+                const py = y(value);
+                svg.appendChild(element('line', { x1: MARGIN.left, x2: right, y1: py, y2: py, class: 'idf-grid' }));
+                svg.appendChild(element('text', { x: MARGIN.left - 6, y: py + 4, 'text-anchor': 'end', class: 'idf-tick' }, value));
+            });
+        }
+
+        svg.appendChild(element('rect', { x: MARGIN.left, y: MARGIN.top, width: right - MARGIN.left, height: bottom - MARGIN.top, class: 'idf-frame' }));
+        svg.appendChild(element('text', { x: (MARGIN.left + right) / 2, y: HEIGHT - 6, 'text-anchor': 'middle', class: 'idf-axis-label' }, 'Duration'));
+        svg.appendChild(element('text', {
+            x: -(MARGIN.top + bottom) / 2, y: 14, 'text-anchor': 'middle', transform: 'rotate(-90)', class: 'idf-axis-label'
+        }, 'Intensity (mm/hr)'));
+    }
+
+    function drawCurve(svg, series, factor, x, y, stroke, options) {
+        const points = series.points.map(p => `${x(p.minutes).toFixed(1)},${y(p.intensity * factor).toFixed(1)}`);
+
+        svg.appendChild(element('polyline', {
+            points: points.join(' '),
+            stroke,
+            class: 'idf-curve' + (options.dashed ? ' dashed' : '') + (options.faint ? ' faint' : '')
+        }));
+
+        if (options.faint) return;
+        series.points.forEach(p => {
+            svg.appendChild(element('circle', { cx: x(p.minutes), cy: y(p.intensity * factor), r: 2.5, fill: stroke, class: 'idf-point' }));
+        });
+    }
+
+    // Pointer position in viewBox units
+    function toViewBox(svg, e) {
+        const point = svg.createSVGPoint();
+        point.x = e.clientX;
+        point.y = e.clientY;
+        return point.matrixTransform(svg.getScreenCTM().inverse());
+    }
+
+    // Public API
+    return {
+        create,
+        interpolate,
+        formatScenario
+    };
+})();
@@ -1,314 +1,2951 @@
 /**
  * Site Evaluator Map Component
  * Using Leaflet.js with LINZ basemap tiles
+ *
+ * SiteEvaluatorMap.init(), addPropertyMarker() etc. drive the page's default map.
+ * SiteEvaluatorMap.create(containerId, options) returns an independent map with
+ * the same API, for pages that host more than one map.
+ * SiteEvaluatorMap.toNztm()/fromNztm() convert between WGS84 and NZTM2000 (EPSG:2193).
+ * SiteEvaluatorMap.measureSetbacks() measures a point or footprint against a parcel's edges.
+ * SiteEvaluatorMap.writeSiteData() writes site features as GeoJSON, KML or CSV text.
+ * exportSnapshot() renders a map's view to a print-resolution PNG and exportSiteData() writes the
+ * parcel, property and investigations as GeoJSON, KML or CSV (see addExportControl).
  */
 const SiteEvaluatorMap = (function () {
-    let map = null;
-    let markers = [];
-    let propertyBoundary = null;
-    let boreholeMarkers = [];
+    const FALLBACK_BASEMAP = 'osm';
+    const BASEMAP_STORAGE_KEY = 'siteEvaluatorMap.basemap';
+    const TILE_ERROR_LIMIT = 4;
+    const COORDINATE_STORAGE_KEY = 'siteEvaluatorMap.coordinateSystem';
+    const SNAPSHOT_RESOLUTIONS = [96, 150, 300];
+    const SNAPSHOT_TILE_LIMIT = 400;
 
     /**
-     * Initialize the map
-     * @param {string} containerId - ID of the container element
-     * @param {Object} options - Map options
+     * NZTM2000 (EPSG:2193) - transverse Mercator on GRS80, per LINZ's projection formulae
      */
-    function init(containerId, options = {}) {
-        const container = document.getElementById(containerId);
-        if (!container) {
-            console.error('Map container not found:', containerId);
-            return null;
+    const NZTM = {
+        a: 6378137,
+        f: 1 / 298.257222101,
+        centralMeridian: 173,
+        scaleFactor: 0.9996,
+        falseEasting: 1600000,
+        falseNorthing: 10000000
+    };
+
+    /**
+     * Hazard overlay types and their styles.
+     * Liquefaction is styled per feature from its TC category.
+     */
+    const hazardTypes = {
+        flood: {
+            label: 'Flood zone',
+            style: { color: '#1f6fb2', fillColor: '#54a0ff', fillOpacity: 0.35, weight: 1 }
+        },
+        liquefaction: {
+            label: 'Liquefaction (TC)',
+            style: { color: '#7f8c8d', fillOpacity: 0.35, weight: 1 },
+            categories: {
+                TC1: '#27ae60',
+                TC2: '#f1c40f',
+                TC3: '#e74c3c'
+            }
+        },
+        coastal: {
+            label: 'Coastal inundation',
+            style: { color: '#0a7e8c', fillColor: '#48dbfb', fillOpacity: 0.3, weight: 1, dashArray: '4 3' }
+        },
+        slope: {
+            label: 'Slope instability',
+            style: { color: '#8e5a2b', fillColor: '#d35400', fillOpacity: 0.3, weight: 1 }
+        }
+    };
+
+    /**
+     * Major faults listed in NZS 1170.5 Table 3.6 - the only faults the near-fault factor N(T,D) applies to
+     */
+    const NZS1170_MAJOR_FAULTS = [
+        'alpine', 'awatere', 'clarence', 'hope', 'kelly', 'mohaka',
+        'ohariu', 'wairarapa', 'wairau', 'wellington'
+    ];
+
+    /**
+     * Borehole and CPT marker types and their styles
+     */
+    const investigationTypes = {
+        borehole: {
+            label: 'Borehole',
+            style: { fillColor: '#3498db', color: '#2980b9' }
+        },
+        cpt: {
+            label: 'CPT',
+            style: { fillColor: '#9b59b6', color: '#8e44ad' }
+        }
+    };
+
+    /**
+     * Map snapshot paper sizes - the printable area in mm, inside 10 mm margins
+     */
+    const SNAPSHOT_PAPERS = {
+        'a4-landscape': { name: 'A4 landscape', width: 277, height: 190 },
+        'a4-portrait': { name: 'A4 portrait', width: 190, height: 277 },
+        'a3-landscape': { name: 'A3 landscape', width: 400, height: 277 },
+        'a3-portrait': { name: 'A3 portrait', width: 277, height: 400 }
+    };
+
+    /**
+     * Largest map snapshot the upload endpoint accepts
+     */
+    const MAX_SNAPSHOT_UPLOAD_BYTES = 15 * 1024 * 1024;
+
+    /**
+     * Site data export formats
+     */
+    const SITE_DATA_FORMATS = {
+        geojson: { name: 'GeoJSON', title: 'GeoJSON (WGS84)', extension: '.geojson', mimeType: 'application/geo+json', write: writeGeoJson },
+        kml: { name: 'KML', title: 'KML for Google Earth', extension: '.kml', mimeType: 'application/vnd.google-earth.kml+xml', write: writeKml },
+        csv: { name: 'CSV', title: 'CSV with NZTM2000 coordinates', extension: '.csv', mimeType: 'text/csv', write: writeCsv }
+    };
+
+    /**
+     * Create an independent map. Each instance owns its Leaflet map, layers and state.
+     */
+    function createInstance() {
+        let map = null;
+        let markers = [];
+        let propertyBoundary = null;
+        let boreholeMarkers = [];
+        let investigationLayer = null;
+        let investigationKeys = new Set();
+        let viewportLoader = null;
+        let hazardLayers = {};
+        let highlightedHazard = null;
+        let layerControl = null;
+        let basemaps = {};
+        let currentBasemap = null;
+        let switchingBasemap = false;
+        let measureControl = null;
+        let measureLayer = null;
+        let measureResult = null;
+        let measureState = null;
+        let setbacks = {};
+        let setbackLayer = null;
+        let setbackEdgeTypes = null;
+        let footprintLayer = null;
+        let footprint = null;
+        let footprintStoreys = 1;
+        let maxCoverage = null;
+        let faultLayer = null;
+        let ringLayer = null;
+        let identifyLayer = null;
+        let coordinateControl = null;
+        let gotoMarker = null;
+        let exportControl = null;
+
+        /**
+         * Initialize the map
+         * @param {string} containerId - ID of the container element
+         * @param {Object} options - Map options
+         */
+        function init(containerId, options = {}) {
+            const container = document.getElementById(containerId);
+            if (!container) {
+                console.error('Map container not found:', containerId);
+                return null;
+            }
+
+            // Default options
+            const defaults = {
+                center: [-43.5321, 172.6362], // Christchurch
+                zoom: 13,
+                minZoom: 5,
+                maxZoom: 19
+            };
+
+            const config = { ...defaults, ...options };
+
+            // Create map
+            map = L.map(containerId, {
+                center: config.center,
+                zoom: config.zoom,
+                minZoom: config.minZoom,
+                maxZoom: config.maxZoom
+            });
+
+            // Base layers - OpenStreetMap, LINZ Basemaps (requires API key) and custom tile providers
+            basemaps = createBasemaps(config);
+            Object.keys(basemaps).forEach(id => {
+                ensureLayerControl().addBaseLayer(basemaps[id].layer, basemaps[id].name);
+            });
+
+            map.on('baselayerchange', function (e) {
+                const id = Object.keys(basemaps).find(key => basemaps[key].layer === e.layer);
+                if (id && !switchingBasemap) {
+                    currentBasemap = id;
+                    storeBasemapChoice(id);
+                }
+            });
+
+            // The configured default may not be registered, e.g. LINZ aerial without an API key
+            const storedBasemap = readBasemapChoice();
+            const defaultBasemap = basemaps[config.basemap] ? config.basemap : FALLBACK_BASEMAP;
+            setBasemap(basemaps[storedBasemap] ? storedBasemap : defaultBasemap, { remember: false });
+
+            return map;
+        }
+
+        /**
+         * Build the basemap registry
+         * @param {Object} config - Map options (linzApiKey, basemaps)
+         */
+        function createBasemaps(config) {
+            const registry = {
+                osm: {
+                    name: 'OpenStreetMap',
+                    url: 'https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png',
+                    attribution: '&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors',
+                    maxZoom: 19
+                }
+            };
+
+            if (config.linzApiKey) {
+                const key = encodeURIComponent(config.linzApiKey);
+                const linzAttribution = '&copy; <a href="https://www.linz.govt.nz/">LINZ</a> CC BY 4.0';
+
+                registry['linz-aerial'] = {
+                    name: 'LINZ Aerial',
+                    url: 'https://basemaps.linz.govt.nz/v1/tiles/aerial/WebMercatorQuad/{z}/{x}/{y}.webp?api=' + key,
+                    attribution: linzAttribution,
+                    maxZoom: 22
+                };
+                registry['linz-topo'] = {
+                    name: 'LINZ Topographic',
+                    url: 'https://basemaps.linz.govt.nz/v1/tiles/topo-raster/WebMercatorQuad/{z}/{x}/{y}.webp?api=' + key,
+                    attribution: linzAttribution,
+                    maxZoom: 18
+                };
+            }
+
+            // Custom tile providers from configuration
+            (config.basemaps || []).forEach(provider => {
+                if (!provider.id || !provider.url) return;
+                registry[provider.id] = {
+                    name: provider.name || provider.id,
+                    url: provider.url,
+                    attribution: provider.attribution || '',
+                    maxZoom: provider.maxZoom || 19,
+                    subdomains: provider.subdomains
+                };
+            });
+
+            Object.keys(registry).forEach(id => {
+                const entry = registry[id];
+                const tileOptions = {
+                    attribution: entry.attribution,
+                    maxZoom: config.maxZoom,
+                    maxNativeZoom: entry.maxZoom
+                };
+                if (entry.subdomains) {
+                    tileOptions.subdomains = entry.subdomains;
+                }
+
+                entry.layer = L.tileLayer(entry.url, tileOptions);
+                watchTileErrors(id, entry);
+            });
+
+            return registry;
+        }
+
+        /**
+         * Switch the base layer
+         * @param {string} id - Basemap ID (osm, linz-aerial, linz-topo or a custom provider)
+         * @param {Object} options - { remember: store as the user's choice }
+         */
+        function setBasemap(id, options = {}) {
+            if (!map || !basemaps[id]) return false;
+
+            const remember = options.remember !== false;
+
+            switchingBasemap = true;
+            Object.keys(basemaps).forEach(key => {
+                if (key !== id && map.hasLayer(basemaps[key].layer)) {
+                    map.removeLayer(basemaps[key].layer);
+                }
+            });
+            if (!map.hasLayer(basemaps[id].layer)) {
+                basemaps[id].layer.addTo(map);
+            }
+            switchingBasemap = false;
+
+            currentBasemap = id;
+            if (remember) {
+                storeBasemapChoice(id);
+            }
+            return true;
+        }
+
+        /**
+         * Fall back to OpenStreetMap when a provider fails before any tile loads
+         */
+        function watchTileErrors(id, entry) {
+            let loaded = 0;
+            let errors = 0;
+
+            entry.layer.on('add', () => {
+                loaded = 0;
+                errors = 0;
+            });
+            entry.layer.on('tileload', () => loaded++);
+            entry.layer.on('tileerror', () => {
+                errors++;
+                if (loaded > 0 || errors < TILE_ERROR_LIMIT) return;
+                if (id === FALLBACK_BASEMAP || currentBasemap !== id) return;
+
+                console.warn('Basemap unavailable, falling back:', id);
+                setBasemap(FALLBACK_BASEMAP, { remember: false });
+                showMapNotice(`${entry.name} is unavailable - showing ${basemaps[FALLBACK_BASEMAP].name}`);
+            });
+        }
+
+        /**
+         * Show a short-lived notice over the map
+         */
+        function showMapNotice(message) {
+            if (!map) return;
+
+            const container = map.getContainer();
+            let notice = container.querySelector('.map-notice');
+            if (!notice) {
+                notice = L.DomUtil.create('div', 'map-notice', container);
+            }
+
+            notice.textContent = message;
+            clearTimeout(notice.hideTimer);
+            notice.hideTimer = setTimeout(() => notice.remove(), 5000);
+        }
+
+        /**
+         * Set the map center
+         */
+        function setCenter(lat, lng, zoom = null) {
+            if (!map) return;
+        
+            if (zoom) {
+                map.setView([lat, lng], zoom);
+            } else {
+                map.setView([lat, lng]);
+            }
+        }
+
+        /**
+         * Add a property marker
+         */
+        function addPropertyMarker(lat, lng, options = {}) {
+            if (!map) return null;
+
+            const defaults = {
+                icon: createPropertyIcon(),
+                draggable: false
+            };
+
+            const config = { ...defaults, ...options };
+            const marker = L.marker([lat, lng], config).addTo(map);
+
+            if (options.popup) {
+                marker.bindPopup(options.popup);
+            }
+
+            markers.push(marker);
+            return marker;
+        }
+
+        /**
+         * Add borehole markers
+         */
+        function addBoreholeMarkers(boreholes) {
+            if (!map) return;
+
+            clearBoreholeMarkers();
+            addInvestigationMarkers('borehole', boreholes);
+        }
+
+        /**
+         * Add CPT markers
+         */
+        function addCptMarkers(cpts) {
+            if (!map) return;
+
+            addInvestigationMarkers('cpt', cpts);
+        }
+
+        /**
+         * Add borehole/CPT markers to the investigation layer, skipping any already shown
+         * @param {string} kind - 'borehole' or 'cpt'
+         * @param {Array} items - Investigations with id, latitude, longitude, depth, distance
+         */
+        function addInvestigationMarkers(kind, items) {
+            const layer = ensureInvestigationLayer();
+            const style = investigationTypes[kind].style;
+            const newMarkers = [];
+
+            (items || []).forEach(item => {
+                const key = getInvestigationKey(kind, item);
+                if (investigationKeys.has(key)) return;
+                investigationKeys.add(key);
+
+                const marker = L.circleMarker([item.latitude, item.longitude], {
+                    kind,
+                    investigation: item,
+                    radius: 6,
+                    weight: 2,
+                    opacity: 1,
+                    fillOpacity: 0.8,
+                    ...style
+                });
+
+                marker.bindPopup(`
+                    <div class="map-popup">
+                        <strong>${kind === 'cpt' ? 'CPT' : 'Borehole'}</strong><br>
+                        <small>ID: ${escapeHtml(item.nzgdId || item.id) || 'N/A'}</small><br>
+                        <small>Depth: ${item.depth ? item.depth + 'm' : 'N/A'}</small><br>
+                        <small>Distance: ${item.distance ? item.distance.toFixed(0) + 'm' : 'N/A'}</small><br>
+                        <small>NZTM: ${formatCoordinate(item.latitude, item.longitude, 'nztm')}</small>
+                        ${item.sourceUrl ? `<br><a href="${escapeHtml(item.sourceUrl)}" target="_blank" rel="noopener">View on NZGD</a>` : ''}
+                        ${kind === 'borehole' && item.soilLayers && item.soilLayers.length > 0 ? `
+                            <div class="map-popup-actions">
+                                <button type="button" data-action="soil-log">Soil log</button>
+                                <button type="button" data-action="cross-section" title="Add to or remove from the cross-section">Cross-section</button>
+                            </div>` : ''}
+                    </div>
+                `);
+
+                // Popup actions are raised on the map as 'boreholeaction' events
+                marker.on('popupopen', e => {
+                    e.popup.getElement().querySelectorAll('[data-action]').forEach(button => {
+                        button.onclick = () => map.fire('boreholeaction', {
+                            action: button.dataset.action,
+                            borehole: item
+                        });
+                    });
+                });
+
+                newMarkers.push(marker);
+                boreholeMarkers.push(marker);
+            });
+
+            // Marker cluster groups add in bulk far faster than one at a time
+            if (layer.addLayers) {
+                layer.addLayers(newMarkers);
+            } else {
+                newMarkers.forEach(m => layer.addLayer(m));
+            }
+        }
+
+        /**
+         * Get the borehole/CPT layer, clustered when Leaflet.markercluster is loaded
+         */
+        function ensureInvestigationLayer() {
+            if (!investigationLayer) {
+                investigationLayer = L.markerClusterGroup
+                    ? L.markerClusterGroup({
+                        maxClusterRadius: 40,
+                        disableClusteringAtZoom: 18,
+                        showCoverageOnHover: false,
+                        chunkedLoading: true
+                    })
+                    : L.layerGroup();
+                investigationLayer.addTo(map);
+                ensureLayerControl().addOverlay(investigationLayer, 'Boreholes &amp; CPTs');
+            }
+            return investigationLayer;
+        }
+
+        /**
+         * Load NZGD boreholes and CPTs for the visible extent as the map moves
+         * @param {Object} options - { url, minZoom, origin: [lat, lng] for distances }
+         */
+        function enableViewportInvestigations(options = {}) {
+            if (!map) return;
+
+            disableViewportInvestigations();
+
+            const config = {
+                url: '/api/siteevaluator/geotech/investigations',
+                minZoom: 14,
+                origin: null,
+                ...options
+            };
+
+            let controller = null;
+
+            const load = debounce(async function () {
+                if (!map || map.getZoom() < config.minZoom) return;
+
+                if (controller) controller.abort();
+                controller = new AbortController();
+
+                const bounds = map.getBounds();
+                const params = new URLSearchParams({
+                    south: bounds.getSouth(),
+                    west: bounds.getWest(),
+                    north: bounds.getNorth(),
+                    east: bounds.getEast()
+                });
+                if (config.origin) {
+                    const origin = L.latLng(config.origin);
+                    params.set('siteLat', origin.lat);
+                    params.set('siteLng', origin.lng);
+                }
+
+                try {
+                    const response = await fetch(`${config.url}?${params}`, { signal: controller.signal });
+                    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+
+                    const data = await response.json();
+                    if (!map) return;
+
+                    // Distances are measured from the site (origin) by the API
+                    const withDistance = items => (items || []).map(item => ({
+                        ...item,
+                        distance: item.distanceMeters
+                    }));
+
+                    addInvestigationMarkers('borehole', withDistance(data.boreholes));
+                    addInvestigationMarkers('cpt', withDistance(data.cpts));
+                } catch (error) {
+                    if (error.name !== 'AbortError') {
+                        console.warn('Failed to load investigations for viewport:', error);
+                    }
+                }
+            }, 400);
+
+            viewportLoader = {
+                load,
+                abort: () => controller && controller.abort()
+            };
+
+            map.on('moveend', load);
+            load();
+        }
+
+        /**
+         * Stop loading investigations on map movement
+         */
+        function disableViewportInvestigations() {
+            if (!viewportLoader) return;
+
+            viewportLoader.abort();
+            if (map) map.off('moveend', viewportLoader.load);
+            viewportLoader = null;
+        }
+
+        /**
+         * Draw property boundary
+         */
+        function drawPropertyBoundary(coordinates) {
+            if (!map) return;
+
+            clearPropertyBoundary();
+
+            if (!coordinates || coordinates.length < 3) return;
+
+            const latLngs = coordinates.map(c => [c.latitude, c.longitude]);
+
+            propertyBoundary = L.polygon(latLngs, {
+                color: '#e74c3c',
+                fillColor: '#e74c3c',
+                fillOpacity: 0.2,
+                weight: 2
+            }).addTo(map);
+
+            // Fit map to boundary
+            map.fitBounds(propertyBoundary.getBounds(), { padding: [50, 50] });
+        }
+
+        /**
+         * Clear property boundary
+         */
+        function clearPropertyBoundary() {
+            setbackEdgeTypes = null;
+            if (propertyBoundary) {
+                map.removeLayer(propertyBoundary);
+                propertyBoundary = null;
+            }
+        }
+
+        /**
+         * Clear borehole markers
+         */
+        function clearBoreholeMarkers() {
+            if (investigationLayer) investigationLayer.clearLayers();
+            boreholeMarkers = [];
+            investigationKeys.clear();
+        }
+
+        /**
+         * Clear all markers
+         */
+        function clearMarkers() {
+            markers.forEach(m => map.removeLayer(m));
+            markers = [];
+            clearBoreholeMarkers();
+        }
+
+        /**
+         * Enable click-to-search
+         */
+        function enableClickSearch(callback) {
+            if (!map) return;
+
+            map.on('click', function (e) {
+                if (measureState) return;
+                if (typeof callback === 'function') {
+                    callback(e.latlng.lat, e.latlng.lng);
+                }
+            });
+        }
+
+        /**
+         * Click-to-identify: look up the parcel under a click and show a preview popup
+         * with its address, title and outline, and an action to start an evaluation there.
+         * Identifying is a read-only parcel lookup - the evaluation is only created when the user starts it.
+         * @param {Object} options - { url, wizardUrl, antiforgeryToken: defaults to the page's __RequestVerificationToken }
+         */
+        function enableIdentify(options = {}) {
+            if (!map) return;
+
+            const config = {
+                url: '/api/siteevaluator/parcels/at',
+                wizardUrl: '/SiteEvaluator/EvaluationWizard',
+                antiforgeryToken: null,
+                ...options
+            };
+
+            let controller = null;
+
+            if (!identifyLayer) {
+                identifyLayer = L.layerGroup().addTo(map);
+            }
+
+            map.on('click', async function (e) {
+                if (measureState) return;
+
+                const lat = e.latlng.lat;
+                const lng = e.latlng.lng;
+
+                if (controller) controller.abort();
+                controller = new AbortController();
+                identifyLayer.clearLayers();
+
+                const popup = L.popup()
+                    .setLatLng(e.latlng)
+                    .setContent('<div class="map-popup"><i class="fas fa-spinner fa-spin me-1"></i>Identifying property...</div>')
+                    .openOn(map);
+
+                try {
+                    const params = new URLSearchParams({ lat: lat.toFixed(6), lng: lng.toFixed(6) });
+                    const response = await fetch(`${config.url}?${params}`, { signal: controller.signal });
+
+                    if (response.status === 400) {
+                        popup.setContent('<div class="map-popup"><div class="map-popup-warning">Pick a point within New Zealand</div></div>');
+                        return;
+                    }
+                    if (!response.ok && response.status !== 404) throw new Error(`HTTP ${response.status}`);
+
+                    // No parcel (404) - rural and greenfield sites can still be evaluated from the point
+                    const location = response.ok ? await response.json() : {};
+                    if (!map) return;
+
+                    const boundary = (location.boundary || []).map(c => [c.latitude, c.longitude]);
+                    if (boundary.length >= 3) {
+                        L.polygon(boundary, {
+                            color: '#e67e22',
+                            weight: 2,
+                            fillColor: '#e67e22',
+                            fillOpacity: 0.15,
+                            interactive: false
+                        }).addTo(identifyLayer);
+                    }
+
+                    const token = config.antiforgeryToken ||
+                        document.querySelector('input[name="__RequestVerificationToken"]')?.value || '';
+
+                    popup.setContent(`
+                        <div class="map-popup">
+                            <strong>${escapeHtml(location.address || (response.ok ? 'Unaddressed parcel' : 'No parcel found here'))}</strong><br>
+                            ${location.titleReference ? `<small>Title: ${escapeHtml(location.titleReference)}</small><br>` : ''}
+                            ${location.legalDescription ? `<small>${escapeHtml(location.legalDescription)}</small><br>` : ''}
+                            <small>${formatCoordinate(lat, lng, 'wgs84')}</small><br>
+                            <small>NZTM: ${formatCoordinate(lat, lng, 'nztm')}</small>
+                            ${boundary.length < 3 ? '<div class="map-popup-warning">Parcel outline not available</div>' : ''}
+                            <form class="map-popup-actions" method="post" action="${config.wizardUrl}?handler=StartAtLocation">
+                                <input type="hidden" name="lat" value="${lat.toFixed(6)}" />
+                                <input type="hidden" name="lng" value="${lng.toFixed(6)}" />
+                                <input type="hidden" name="__RequestVerificationToken" value="${escapeXml(token)}" />
+                                <button type="submit" class="btn btn-sm btn-primary">
+                                    <i class="fas fa-play me-1"></i>Start evaluation here
+                                </button>
+                            </form>
+                        </div>
+                    `);
+                } catch (error) {
+                    if (error.name === 'AbortError') return;
+                    console.warn('Failed to identify property:', error);
+                    popup.setContent('<div class="map-popup"><div class="map-popup-warning">Could not identify a property at this point</div></div>');
+                }
+            });
+        }
+
+        /**
+         * Add a live cursor coordinate readout (WGS84 or NZTM2000) with a go-to-coordinate input
+         * @param {Object} options - { position, zoom: zoom level to go to }
+         */
+        function addCoordinateControl(options = {}) {
+            if (!map || coordinateControl) return;
+
+            const config = {
+                position: 'bottomleft',
+                zoom: 17,
+                ...options
+            };
+
+            let system = readCoordinateSystem();
+            let lastLatLng = null;
+
+            coordinateControl = L.control({ position: config.position });
+            coordinateControl.onAdd = function () {
+                const div = L.DomUtil.create('div', 'map-coordinate-control');
+                div.innerHTML = `
+                    <button type="button" class="map-coordinate-system" title="Switch between WGS84 and NZTM2000"></button>
+                    <span class="map-coordinate-readout">&ndash;</span>
+                    <form class="map-coordinate-goto">
+                        <input type="text" placeholder="Go to lat, lng or E N" aria-label="Go to coordinate" />
+                        <button type="submit" title="Go to coordinate"><i class="fas fa-search-location"></i></button>
+                    </form>
+                `;
+                L.DomEvent.disableClickPropagation(div);
+                L.DomEvent.disableScrollPropagation(div);
+
+                const systemButton = div.querySelector('.map-coordinate-system');
+                const readout = div.querySelector('.map-coordinate-readout');
+                const form = div.querySelector('form');
+                const input = form.querySelector('input');
+
+                const update = () => {
+                    systemButton.textContent = system === 'nztm' ? 'NZTM' : 'WGS84';
+                    readout.innerHTML = lastLatLng ? formatCoordinate(lastLatLng.lat, lastLatLng.lng, system) : '&ndash;';
+                };
+
+                systemButton.onclick = () => {
+                    system = system === 'nztm' ? 'wgs84' : 'nztm';
+                    storeCoordinateSystem(system);
+                    update();
+                };
+
+                map.on('mousemove', e => {
+                    lastLatLng = e.latlng;
+                    update();
+                });
+                map.on('mouseout', () => {
+                    lastLatLng = null;
+                    update();
+                });
+
+                form.onsubmit = e => {
+                    e.preventDefault();
+                    const target = parseCoordinate(input.value);
+                    input.classList.toggle('is-invalid', !target);
+                    if (target) goToCoordinate(target.lat, target.lng, config.zoom);
+                };
+                input.oninput = () => input.classList.remove('is-invalid');
+
+                update();
+                return div;
+            };
+            coordinateControl.addTo(map);
+        }
+
+        /**
+         * Pan to a coordinate and mark it with both WGS84 and NZTM values
+         */
+        function goToCoordinate(lat, lng, zoom = 17) {
+            if (!map) return;
+
+            if (!gotoMarker) {
+                gotoMarker = L.circleMarker([lat, lng], {
+                    radius: 7,
+                    color: '#2c3e50',
+                    weight: 2,
+                    fillColor: '#f1c40f',
+                    fillOpacity: 0.9
+                }).addTo(map);
+            }
+
+            gotoMarker.setLatLng([lat, lng]);
+            gotoMarker.bindPopup(`
+                <div class="map-popup">
+                    <small>WGS84: ${formatCoordinate(lat, lng, 'wgs84')}</small><br>
+                    <small>NZTM: ${formatCoordinate(lat, lng, 'nztm')}</small>
+                </div>
+            `);
+            map.setView([lat, lng], Math.max(map.getZoom(), zoom));
+            gotoMarker.openPopup();
+        }
+
+        /**
+         * Add legend
+         */
+        function addLegend() {
+            if (!map) return;
+
+            const legend = L.control({ position: 'bottomright' });
+
+            legend.onAdd = function () {
+                const div = L.DomUtil.create('div', 'map-legend');
+                div.innerHTML = `
+                    <div class="legend-title">Legend</div>
+                    <div class="legend-item">
+                        <span class="legend-marker" style="background: #e74c3c;"></span>
+                        Property
+                    </div>
+                    <div class="legend-item">
+                        <span class="legend-marker" style="background: #3498db;"></span>
+                        Borehole
+                    </div>
+                    <div class="legend-item">
+                        <span class="legend-marker" style="background: #9b59b6;"></span>
+                        CPT
+                    </div>
+                `;
+                return div;
+            };
+
+            legend.addTo(map);
+        }
+
+        /**
+         * Add the export button - renders the view to a print-ready PNG to download or to use in reports,
+         * and downloads the site geometry and investigations as GeoJSON, KML or CSV
+         * @param {Object} options - { uploadUrl: where to POST the PNG for reports (omit for download only),
+         *                             fileName: for the PNG, dataFileName: for the site data (no extension), name: site name }
+         */
+        function addExportControl(options = {}) {
+            if (!map || exportControl) return;
+
+            const config = {
+                position: 'topleft',
+                fileName: 'site-map.png',
+                dataFileName: 'site-data',
+                name: null,
+                uploadUrl: null,
+                ...options
+            };
+
+            exportControl = L.control({ position: config.position });
+            exportControl.onAdd = function () {
+                const div = L.DomUtil.create('div', 'map-export-control');
+                div.innerHTML = `
+                    <div class="leaflet-bar">
+                        <a href="#" role="button" title="Export map image or site data" aria-label="Export map image or site data" aria-expanded="false"><i class="fa fa-camera"></i></a>
+                    </div>
+                    <form class="map-export-panel" hidden>
+                        <div class="map-export-heading">Map image</div>
+                        <label>Paper
+                            <select name="paper">
+                                ${Object.keys(SNAPSHOT_PAPERS).map(key => `<option value="${key}">${SNAPSHOT_PAPERS[key].name}</option>`).join('')}
+                            </select>
+                        </label>
+                        <label>Resolution
+                            <select name="dpi">
+                                ${SNAPSHOT_RESOLUTIONS.map(dpi => `<option value="${dpi}"${dpi === 150 ? ' selected' : ''}>${dpi} dpi</option>`).join('')}
+                            </select>
+                        </label>
+                        <div class="map-export-actions">
+                            <button type="submit" value="download"><i class="fa fa-download"></i> Download PNG</button>
+                            ${config.uploadUrl ? '<button type="submit" value="upload"><i class="fa fa-file-upload"></i> Use in reports</button>' : ''}
+                        </div>
+                        <div class="map-export-heading">Site data</div>
+                        <div class="map-export-actions">
+                            ${Object.keys(SITE_DATA_FORMATS).map(format => `<button type="button" data-format="${format}" title="${SITE_DATA_FORMATS[format].title}">${SITE_DATA_FORMATS[format].name}</button>`).join('')}
+                        </div>
+                        <div class="map-export-status" role="status"></div>
+                    </form>
+                `;
+                L.DomEvent.disableClickPropagation(div);
+                L.DomEvent.disableScrollPropagation(div);
+
+                const toggle = div.querySelector('a');
+                const form = div.querySelector('form');
+                const status = div.querySelector('.map-export-status');
+
+                toggle.onclick = e => {
+                    e.preventDefault();
+                    form.hidden = !form.hidden;
+                    toggle.setAttribute('aria-expanded', String(!form.hidden));
+                };
+
+                form.querySelectorAll('[data-format]').forEach(button => {
+                    button.onclick = () => {
+                        const format = button.dataset.format;
+                        const data = exportSiteData(format, { name: config.name });
+                        if (!data) {
+                            status.textContent = 'Nothing to export';
+                            return;
+                        }
+
+                        downloadBlob(data.blob, config.dataFileName + SITE_DATA_FORMATS[format].extension);
+                        status.textContent = `Saved ${data.count} ${data.count === 1 ? 'feature' : 'features'} as ${SITE_DATA_FORMATS[format].name}`;
+                    };
+                });
+
+                form.onsubmit = async e => {
+                    e.preventDefault();
+                    const upload = e.submitter?.value === 'upload';
+                    const buttons = form.querySelectorAll('button');
+
+                    buttons.forEach(b => b.disabled = true);
+                    status.textContent = 'Rendering...';
+
+                    try {
+                        const snapshot = await exportSnapshot({
+                            paper: form.elements.paper.value,
+                            dpi: parseInt(form.elements.dpi.value, 10)
+                        });
+
+                        if (upload && snapshot.blob.size > MAX_SNAPSHOT_UPLOAD_BYTES) {
+                            status.textContent = `Too large to upload (${(snapshot.blob.size / 1024 / 1024).toFixed(1)} MB, limit ${MAX_SNAPSHOT_UPLOAD_BYTES / 1024 / 1024} MB) - choose a smaller paper size or resolution`;
+                            return;
+                        }
+
+                        if (upload) {
+                            status.textContent = 'Uploading...';
+                            const response = await fetch(config.uploadUrl, {
+                                method: 'POST',
+                                headers: { 'Content-Type': 'image/png' },
+                                body: snapshot.blob
+                            });
+                            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+
+                            map.fire('snapshotupload', snapshot);
+                            status.textContent = 'Saved as the report site plan';
+                        } else {
+                            downloadBlob(snapshot.blob, config.fileName);
+                            status.textContent = `Saved ${snapshot.width} x ${snapshot.height} px`;
+                        }
+
+                        if (snapshot.missingTiles > 0) {
+                            status.textContent += ` (${snapshot.missingTiles} basemap tiles could not be included)`;
+                        }
+                    } catch (error) {
+                        console.warn('Map export failed:', error);
+                        status.textContent = upload ? 'Upload failed - please try again' : 'Export failed - please try again';
+                    } finally {
+                        buttons.forEach(b => b.disabled = false);
+                    }
+                };
+
+                return div;
+            };
+            exportControl.addTo(map);
+        }
+
+        /**
+         * The parcel boundary, property point and every borehole/CPT marker as GeoJSON features (WGS84).
+         * Properties carry NZTM2000 coordinates alongside the investigation IDs, depths and distances.
+         * @param {Object} options - { name: site name for the parcel and property }
+         */
+        function getSiteFeatures(options = {}) {
+            const features = [];
+
+            if (propertyBoundary) {
+                const ring = propertyBoundary.getLatLngs()[0].map(ll => [ll.lng, ll.lat]);
+                features.push({
+                    type: 'Feature',
+                    geometry: { type: 'Polygon', coordinates: [[...ring, ring[0]]] },
+                    properties: { type: 'parcel', name: options.name || 'Parcel boundary' }
+                });
+            }
+
+            markers.forEach(marker => {
+                features.push(createPointFeature(marker.getLatLng(), {
+                    type: 'property',
+                    name: options.name || 'Property'
+                }));
+            });
+
+            // Distances are from the property, whichever view the investigations were loaded for
+            const origin = markers.length > 0 ? markers[0].getLatLng() : null;
+
+            boreholeMarkers.forEach(marker => {
+                const kind = marker.options.kind;
+                const item = marker.options.investigation;
+                features.push(createPointFeature(marker.getLatLng(), {
+                    type: kind,
+                    name: `${investigationTypes[kind].label} ${item.nzgdId || item.id || ''}`.trim(),
+                    id: item.id || null,
+                    nzgdId: item.nzgdId || null,
+                    depth: item.depth || null,
+                    distance: origin ? Math.round(map.distance(origin, marker.getLatLng()) * 10) / 10 : null
+                }));
+            });
+
+            return features;
+        }
+
+        /**
+         * Export the site features for download
+         * @param {string} format - geojson, kml or csv (points and parcel vertices in NZTM2000)
+         * @param {Object} options - { name: site name }
+         * @returns {Object|null} { blob, count } or null when there is nothing to export
+         */
+        function exportSiteData(format, options = {}) {
+            const type = SITE_DATA_FORMATS[format];
+            if (!map || !type) return null;
+
+            const features = getSiteFeatures(options);
+            if (features.length === 0) return null;
+
+            return {
+                blob: new Blob([writeSiteData(format, features, options.name)], { type: type.mimeType }),
+                count: features.length
+            };
+        }
+
+        /**
+         * Render the current view to a PNG for printing: basemap, property boundary and marker,
+         * boreholes/CPTs, legend, scale bar and north arrow.
+         * The visible extent is kept (widened to the paper's aspect) and basemap tiles are
+         * fetched at the zoom that matches the print resolution.
+         * @param {Object} options - { paper: key of SNAPSHOT_PAPERS, dpi: 96, 150 or 300 }
+         * @returns {Promise<Object>} { blob, width, height, missingTiles }
+         */
+        async function exportSnapshot(options = {}) {
+            if (!map) throw new Error('Map is not initialised');
+
+            const paper = SNAPSHOT_PAPERS[options.paper] || SNAPSHOT_PAPERS['a4-landscape'];
+            const dpi = options.dpi || 150;
+            const width = Math.round(paper.width / 25.4 * dpi);
+            const height = Math.round(paper.height / 25.4 * dpi);
+
+            // Symbols and text print at their on-screen size (CSS pixels are 1/96 inch)
+            const scale = dpi / 96;
+
+            const size = map.getSize();
+            const viewWidth = Math.max(size.x, size.y * width / height);
+            const zoom = map.getZoom() + Math.log2(width / viewWidth);
+            const center = map.getCenter();
+            const origin = map.project(center, zoom).subtract([width / 2, height / 2]);
+            const toPixel = latlng => map.project(latlng, zoom).subtract(origin);
+
+            const canvas = document.createElement('canvas');
+            canvas.width = width;
+            canvas.height = height;
+            const ctx = canvas.getContext('2d');
+            ctx.fillStyle = '#fff';
+            ctx.fillRect(0, 0, width, height);
+
+            const missingTiles = await drawSnapshotBasemap(ctx, zoom, origin, width, height);
+            const legend = drawSnapshotOverlays(ctx, toPixel, width, height, scale);
+
+            drawSnapshotLegend(ctx, legend, width, height, scale);
+            drawSnapshotScaleBar(ctx, center.lat, zoom, height, scale);
+            drawSnapshotNorthArrow(ctx, width, scale);
+            drawSnapshotAttribution(ctx, basemaps[currentBasemap]?.attribution, height, scale);
+
+            const blob = await new Promise((resolve, reject) => {
+                canvas.toBlob(png => png ? resolve(png) : reject(new Error('PNG encoding failed')), 'image/png');
+            });
+
+            return { blob, width, height, missingTiles };
+        }
+
+        /**
+         * Draw the current basemap's tiles, stepping out a zoom level while the print would need too many
+         * @returns {Promise<number>} Tiles that could not be loaded
+         */
+        async function drawSnapshotBasemap(ctx, zoom, origin, width, height) {
+            const basemap = basemaps[currentBasemap];
+            if (!basemap) return 0;
+
+            let tileZoom = Math.max(0, Math.min(Math.round(zoom), basemap.maxZoom));
+            let range = getTileRange(zoom, tileZoom, origin, width, height);
+            while (range.count > SNAPSHOT_TILE_LIMIT && tileZoom > 0) {
+                tileZoom--;
+                range = getTileRange(zoom, tileZoom, origin, width, height);
+            }
+
+            const tileSize = 256 * Math.pow(2, zoom - tileZoom);
+            const tilesAcross = Math.pow(2, tileZoom);
+            const subdomains = basemap.layer.options.subdomains;
+            const tiles = [];
+
+            for (let y = range.minY; y <= range.maxY; y++) {
+                if (y < 0 || y >= tilesAcross) continue;
+
+                for (let x = range.minX; x <= range.maxX; x++) {
+                    const wrappedX = ((x % tilesAcross) + tilesAcross) % tilesAcross;
+                    const url = L.Util.template(basemap.url, {
+                        ...basemap.layer.options,
+                        s: subdomains[Math.abs(wrappedX + y) % subdomains.length],
+                        x: wrappedX,
+                        y,
+                        z: tileZoom,
+                        r: ''
+                    });
+
+                    tiles.push(loadTileImage(url).then(image => {
+                        if (!image) return false;
+
+                        // Overlap by a pixel so scaled tiles leave no seams
+                        ctx.drawImage(image,
+                            Math.floor(x * tileSize - origin.x), Math.floor(y * tileSize - origin.y),
+                            Math.ceil(tileSize) + 1, Math.ceil(tileSize) + 1);
+                        return true;
+                    }));
+                }
+            }
+
+            const loaded = await Promise.all(tiles);
+            return loaded.filter(ok => !ok).length;
+        }
+
+        /**
+         * Draw the property boundary, boreholes/CPTs and property markers
+         * @returns {Array} Legend entries for what was drawn
+         */
+        function drawSnapshotOverlays(ctx, toPixel, width, height, scale) {
+            const legend = [];
+            const margin = 20 * scale;
+            const inView = p => p.x >= -margin && p.y >= -margin && p.x <= width + margin && p.y <= height + margin;
+
+            if (propertyBoundary && map.hasLayer(propertyBoundary)) {
+                const style = propertyBoundary.options;
+                const ring = propertyBoundary.getLatLngs()[0].map(toPixel);
+
+                ctx.beginPath();
+                ring.forEach((p, i) => i === 0 ? ctx.moveTo(p.x, p.y) : ctx.lineTo(p.x, p.y));
+                ctx.closePath();
+                ctx.globalAlpha = style.fillOpacity;
+                ctx.fillStyle = style.fillColor;
+                ctx.fill();
+                ctx.globalAlpha = 1;
+                ctx.lineWidth = style.weight * scale;
+                ctx.strokeStyle = style.color;
+                ctx.stroke();
+
+                legend.push({ label: 'Property boundary', shape: 'area', style });
+            }
+
+            if (investigationLayer && map.hasLayer(investigationLayer)) {
+                Object.keys(investigationTypes).forEach(kind => {
+                    const shown = boreholeMarkers.filter(m => m.options.kind === kind);
+                    let drawn = 0;
+
+                    shown.forEach(marker => {
+                        const p = toPixel(marker.getLatLng());
+                        if (!inView(p)) return;
+
+                        const style = marker.options;
+                        ctx.beginPath();
+                        ctx.arc(p.x, p.y, style.radius * scale, 0, Math.PI * 2);
+                        ctx.globalAlpha = style.fillOpacity;
+                        ctx.fillStyle = style.fillColor;
+                        ctx.fill();
+                        ctx.globalAlpha = style.opacity;
+                        ctx.lineWidth = style.weight * scale;
+                        ctx.strokeStyle = style.color;
+                        ctx.stroke();
+                        ctx.globalAlpha = 1;
+                        drawn++;
+                    });
+
+                    if (drawn > 0) {
+                        legend.push({ label: investigationTypes[kind].label, shape: 'point', style: investigationTypes[kind].style });
+                    }
+                });
+            }
+
+            const pins = markers
+                .filter(m => map.hasLayer(m))
+                .map(m => toPixel(m.getLatLng()))
+                .filter(inView);
+            pins.forEach(p => drawPropertyPin(ctx, p.x, p.y, scale));
+            if (pins.length > 0) {
+                legend.unshift({ label: 'Property', shape: 'pin' });
+            }
+
+            return legend;
+        }
+
+        /**
+         * Add the measurement toolbar (distance, area, bearing and setback check)
+         * @param {Object} options - { setbacks: { front, side, rear } minimum setbacks (m), maxCoverage (%) }
+         */
+        function addMeasureControl(options = {}) {
+            if (!map || measureControl) return;
+
+            setbacks = { front: null, side: null, rear: null, ...(options.setbacks || {}) };
+            maxCoverage = options.maxCoverage ?? null;
+            measureLayer = L.layerGroup().addTo(map);
+
+            const tools = [
+                { mode: 'distance', icon: 'fa-ruler', title: 'Measure distance' },
+                { mode: 'area', icon: 'fa-draw-polygon', title: 'Measure area' },
+                { mode: 'bearing', icon: 'fa-compass', title: 'Measure bearing' },
+                { mode: 'setback', icon: 'fa-ruler-combined', title: 'Check setbacks from the property boundary' },
+                { mode: 'footprint', icon: 'fa-home', title: 'Draw proposed building footprint' },
+                { mode: 'import', icon: 'fa-file-import', title: 'Import footprint (GeoJSON or KML)' },
+                { mode: null, icon: 'fa-times', title: 'Clear measurements' }
+            ];
+
+            const fileInput = L.DomUtil.create('input', 'd-none', map.getContainer());
+            fileInput.type = 'file';
+            fileInput.accept = '.geojson,.json,.kml';
+            fileInput.addEventListener('change', () => {
+                importFootprint(fileInput.files[0]);
+                fileInput.value = '';
+            });
+
+            measureControl = L.control({ position: 'topleft' });
+            measureControl.onAdd = function () {
+                const div = L.DomUtil.create('div', 'leaflet-bar map-measure-control');
+                tools.forEach(tool => {
+                    const button = L.DomUtil.create('a', '', div);
+                    button.href = '#';
+                    button.title = tool.title;
+                    button.setAttribute('role', 'button');
+                    button.setAttribute('aria-label', tool.title);
+                    button.dataset.mode = tool.mode || '';
+                    button.innerHTML = `<i class="fa ${tool.icon}"></i>`;
+
+                    L.DomEvent.on(button, 'click', e => {
+                        L.DomEvent.preventDefault(e);
+                        if (tool.mode === 'import') {
+                            fileInput.click();
+                        } else if (!tool.mode) {
+                            stopMeasuring(true);
+                            clearFootprint();
+                        } else if (measureState?.mode === tool.mode) {
+                            stopMeasuring(true);
+                        } else {
+                            startMeasuring(tool.mode);
+                        }
+                    });
+                });
+                L.DomEvent.disableClickPropagation(div);
+                return div;
+            };
+            measureControl.addTo(map);
+
+            measureResult = L.DomUtil.create('div', 'map-measure-result', map.getContainer());
+            L.DomEvent.disableClickPropagation(measureResult);
+        }
+
+        /**
+         * Set the minimum setbacks used by the setback check
+         * @param {Object} values - { front, side, rear } in metres
+         */
+        function setSetbacks(values) {
+            setbacks = { ...setbacks, ...values };
+        }
+
+        /**
+         * Begin a measurement. Click to add points; double-click or Enter finishes, Escape cancels.
+         * @param {string} mode - distance, area, bearing or setback
+         */
+        function startMeasuring(mode) {
+            if (!map || !measureLayer) return;
+
+            stopMeasuring(true);
+
+            if (mode === 'setback' && !propertyBoundary) {
+                showMeasureResult('<em>No property boundary to measure setbacks from.</em>');
+                return;
+            }
+
+            measureState = { mode, points: [], shape: null };
+            map.doubleClickZoom.disable();
+            map.getContainer().classList.add('map-measuring');
+            updateMeasureButtons();
+
+            map.on('click', onMeasureClick);
+            map.on('dblclick', onMeasureFinish);
+            document.addEventListener('keydown', onMeasureKey);
+
+            const hints = {
+                distance: 'Click to add points. Double-click to finish.',
+                area: 'Click to outline an area. Double-click to finish.',
+                bearing: 'Click a start point, then an end point.',
+                setback: 'Click a point, or outline a footprint and double-click to finish.',
+                footprint: 'Click to outline the building footprint. Double-click to finish.'
+            };
+            showMeasureResult(`<em>${hints[mode]}</em>`);
+        }
+
+        /**
+         * End the current measurement
+         * @param {boolean} clearShapes - Also remove drawn measurements and results
+         */
+        function stopMeasuring(clearShapes = false) {
+            if (map) {
+                map.off('click', onMeasureClick);
+                map.off('dblclick', onMeasureFinish);
+                map.doubleClickZoom.enable();
+                map.getContainer().classList.remove('map-measuring');
+            }
+            document.removeEventListener('keydown', onMeasureKey);
+            measureState = null;
+            updateMeasureButtons();
+
+            if (clearShapes) {
+                if (measureLayer) measureLayer.clearLayers();
+                showMeasureResult(null);
+            }
+        }
+
+        function onMeasureClick(e) {
+            const state = measureState;
+            if (!state) return;
+
+            state.points.push(e.latlng);
+            L.circleMarker(e.latlng, { radius: 3, color: '#2c3e50', fillOpacity: 1 }).addTo(measureLayer);
+
+            if (state.shape) measureLayer.removeLayer(state.shape);
+            state.shape = state.mode === 'area' || state.mode === 'footprint' || (state.mode === 'setback' && state.points.length > 2)
+                ? L.polygon(state.points, { color: '#2c3e50', weight: 2, dashArray: '5 4', fillOpacity: 0.1 })
+                : L.polyline(state.points, { color: '#2c3e50', weight: 2, dashArray: '5 4' });
+            state.shape.addTo(measureLayer);
+
+            if (state.mode === 'bearing' && state.points.length === 2) {
+                finishMeasuring();
+                return;
+            }
+            updateMeasureReadout();
+        }
+
+        function onMeasureFinish(e) {
+            if (e) L.DomEvent.stop(e);
+            finishMeasuring();
+        }
+
+        function onMeasureKey(e) {
+            if (e.key === 'Escape') {
+                stopMeasuring(true);
+            } else if (e.key === 'Enter') {
+                finishMeasuring();
+            }
+        }
+
+        function finishMeasuring() {
+            const state = measureState;
+            if (!state) return;
+
+            // A double-click also fires two clicks - drop the duplicate vertex
+            const points = state.points.filter((p, i) => i === 0 || !p.equals(state.points[i - 1]));
+            state.points = points;
+
+            if (state.mode === 'setback' && points.length > 0) {
+                stopMeasuring(false);
+                checkSetbacks(points.length > 2 ? points : points[0]);
+                return;
+            }
+
+            if (state.mode === 'footprint' && points.length > 2) {
+                stopMeasuring(true);
+                setFootprint(points);
+                return;
+            }
+
+            updateMeasureReadout();
+            stopMeasuring(false);
+        }
+
+        function updateMeasureReadout() {
+            const state = measureState;
+            if (!state || state.points.length === 0) return;
+
+            const points = state.points;
+            let html = '';
+
+            if (state.mode === 'distance') {
+                html = `<strong>Distance:</strong> ${formatLength(getPathLength(points))}`;
+            } else if (state.mode === 'area') {
+                html = points.length > 2
+                    ? `<strong>Area:</strong> ${formatArea(getPolygonArea(points))}<br>
+                       <strong>Perimeter:</strong> ${formatLength(getPathLength([...points, points[0]]))}`
+                    : '<em>Add at least three points.</em>';
+            } else if (state.mode === 'bearing') {
+                html = points.length === 2
+                    ? `<strong>Bearing:</strong> ${getBearing(points[0], points[1]).toFixed(1)}&deg; (true)<br>
+                       <strong>Distance:</strong> ${formatLength(map.distance(points[0], points[1]))}`
+                    : '<em>Click the end point.</em>';
+            } else if (state.mode === 'setback') {
+                html = `<em>${points.length} point(s) - double-click to check setbacks.</em>`;
+            } else if (state.mode === 'footprint') {
+                html = points.length > 2
+                    ? `<strong>Footprint:</strong> ${formatArea(getPolygonArea(points))}`
+                    : '<em>Add at least three points.</em>';
+            }
+
+            showMeasureResult(html);
+        }
+
+        /**
+         * Measure the perpendicular distance from a point or footprint to each boundary edge
+         * and compare it with the front/side/rear setbacks. Click an edge to change its type.
+         * @param {L.LatLng|Array} target - A point or footprint vertices
+         * @returns {Array} Edge results { edge, type, distance, required, compliant, overrun }
+         */
+        function checkSetbacks(target) {
+            if (!map || !propertyBoundary || !measureLayer) return [];
+
+            const boundary = propertyBoundary.getLatLngs()[0];
+            const footprint = (Array.isArray(target) ? target : [target]).map(p => L.latLng(p));
+
+            if (!setbackEdgeTypes || setbackEdgeTypes.length !== boundary.length) {
+                setbackEdgeTypes = classifyBoundaryEdges(boundary);
+            }
+
+            const check = measureSetbacks(boundary, footprint, setbacks, setbackEdgeTypes);
+
+            if (setbackLayer) measureLayer.removeLayer(setbackLayer);
+            setbackLayer = L.layerGroup().addTo(measureLayer);
+
+            if (footprint.length > 2) {
+                L.polygon(footprint, { color: '#2c3e50', weight: 2, fillOpacity: 0.15 }).addTo(setbackLayer);
+            } else {
+                L.circleMarker(footprint[0], { radius: 4, color: '#2c3e50', fillOpacity: 1 }).addTo(setbackLayer);
+            }
+
+            const results = check.edges;
+            results.forEach((r, i) => {
+                const edge = L.polyline([boundary[i], boundary[(i + 1) % boundary.length]], {
+                    color: r.compliant === false ? '#e74c3c' : r.compliant ? '#27ae60' : '#7f8c8d',
+                    weight: 5,
+                    opacity: 0.85
+                }).addTo(setbackLayer);
+
+                edge.bindTooltip(`${capitalise(r.type)}: ${r.overrun ? 'crossed' : formatLength(r.distance)}` +
+                    (r.required != null ? ` (min ${r.required} m)` : ''), { sticky: true });
+
+                // Click an edge to cycle front/side/rear and re-check
+                edge.on('click', e => {
+                    L.DomEvent.stop(e);
+                    const order = ['front', 'side', 'rear'];
+                    setbackEdgeTypes[i] = order[(order.indexOf(r.type) + 1) % order.length];
+                    checkSetbacks(target);
+                });
+            });
+
+            const breaches = results.filter(r => r.compliant === false).length;
+            const summary = check.outside
+                ? `${footprint.length > 2 ? 'The footprint extends' : 'The point is'} outside the parcel`
+                : breaches ? `${breaches} edge(s) breach the setback` : 'All measured setbacks comply';
+            showMeasureResult(`
+                <strong>Setback check</strong>
+                <table class="map-measure-table">
+                    ${results.map(r => `
+                        <tr class="${r.compliant === false ? 'breach' : r.compliant ? 'ok' : ''}">
+                            <td>Edge ${r.edge}</td>
+                            <td>${capitalise(r.type)}</td>
+                            <td>${r.overrun ? 'Crossed' : formatLength(r.distance)}</td>
+                            <td>${r.required != null ? `min ${r.required} m` : 'no standard'}</td>
+                            <td>${r.compliant === false ? '&#10007;' : r.compliant ? '&#10003;' : '-'}</td>
+                        </tr>
+                    `).join('')}
+                </table>
+                <div class="${breaches ? 'text-danger' : 'text-success'}">${summary}</div>
+                <small class="text-muted">Click a boundary edge to change it between front, side and rear.</small>
+            `);
+
+            return results;
+        }
+
+        /**
+         * Set the proposed building footprint and report its area and site coverage.
+         * Fires 'footprintchange' on the map with { area, coverage, maxCoverage, exceedsCoverage, storeys, gfa, latlngs }.
+         * @param {Array} latlngs - Footprint vertices
+         */
+        function setFootprint(latlngs) {
+            if (!map || !latlngs || latlngs.length < 3) return;
+
+            if (!footprintLayer) {
+                footprintLayer = L.layerGroup().addTo(map);
+            }
+            footprintLayer.clearLayers();
+
+            footprint = latlngs.map(p => L.latLng(p));
+            L.polygon(footprint, {
+                color: '#d35400',
+                fillColor: '#e67e22',
+                fillOpacity: 0.35,
+                weight: 2
+            }).addTo(footprintLayer);
+
+            updateFootprintSummary();
+        }
+
+        /**
+         * Remove the proposed building footprint
+         */
+        function clearFootprint() {
+            if (footprintLayer) footprintLayer.clearLayers();
+            footprint = null;
+            if (map) map.fire('footprintchange', { footprint: null });
+        }
+
+        /**
+         * Import a footprint from a GeoJSON or KML file - the first polygon found is used
+         * @param {File} file - File selected by the user
+         */
+        async function importFootprint(file) {
+            if (!file) return;
+
+            try {
+                const text = await file.text();
+                const latlngs = /\.kml$/i.test(file.name) || text.trim().startsWith('<')
+                    ? parseKmlPolygon(text)
+                    : parseGeoJsonPolygon(JSON.parse(text));
+
+                if (!latlngs || latlngs.length < 3) {
+                    throw new Error('No polygon found');
+                }
+
+                stopMeasuring(true);
+                setFootprint(latlngs);
+                map.fitBounds(L.latLngBounds(latlngs), { padding: [50, 50], maxZoom: 19 });
+            } catch (error) {
+                console.warn('Footprint import failed:', error);
+                showMapNotice(`Could not import ${file.name} - expected a GeoJSON or KML polygon`);
+            }
+        }
+
+        function updateFootprintSummary() {
+            if (!footprint) return;
+
+            const area = getPolygonArea(footprint);
+            const siteArea = propertyBoundary ? getPolygonArea(propertyBoundary.getLatLngs()[0]) : null;
+            const coverage = siteArea ? area / siteArea * 100 : null;
+            const exceedsCoverage = coverage != null && maxCoverage != null ? coverage > maxCoverage : null;
+            const gfa = area * footprintStoreys;
+
+            showMeasureResult(`
+                <strong>Building footprint</strong><br>
+                Footprint: ${formatArea(area)}<br>
+                ${coverage != null ? `
+                    Site coverage: <span class="${exceedsCoverage ? 'text-danger' : exceedsCoverage === false ? 'text-success' : ''}">
+                        ${coverage.toFixed(1)}%${maxCoverage != null ? ` (max ${maxCoverage}%)` : ''}
+                        ${exceedsCoverage ? '&#10007; exceeds' : exceedsCoverage === false ? '&#10003;' : ''}
+                    </span><br>` : '<em>No property boundary - coverage unavailable</em><br>'}
+                <label>Storeys <input type="number" min="1" max="50" value="${footprintStoreys}" class="map-footprint-storeys"></label>
+                GFA: ${formatArea(gfa)}
+                <div class="map-popup-actions">
+                    ${propertyBoundary ? '<button type="button" data-action="setbacks">Check setbacks</button>' : ''}
+                    <button type="button" data-action="remove">Remove</button>
+                </div>
+            `);
+
+            const storeysInput = measureResult.querySelector('.map-footprint-storeys');
+            storeysInput.addEventListener('change', () => {
+                footprintStoreys = Math.max(1, parseInt(storeysInput.value, 10) || 1);
+                updateFootprintSummary();
+            });
+
+            const setbackButton = measureResult.querySelector('[data-action="setbacks"]');
+            if (setbackButton) {
+                setbackButton.addEventListener('click', () => checkSetbacks(footprint));
+            }
+            measureResult.querySelector('[data-action="remove"]').addEventListener('click', () => {
+                clearFootprint();
+                showMeasureResult(null);
+            });
+
+            map.fire('footprintchange', {
+                footprint: {
+                    area,
+                    siteArea,
+                    coverage,
+                    maxCoverage,
+                    exceedsCoverage,
+                    storeys: footprintStoreys,
+                    gfa,
+                    latlngs: footprint.map(p => [p.lat, p.lng])
+                }
+            });
+        }
+
+        /**
+         * Guess edge types: the edge nearest the property marker is the front,
+         * the edge furthest from it is the rear, and the rest are sides.
+         */
+        function classifyBoundaryEdges(boundary) {
+            const reference = markers.length > 0
+                ? markers[0].getLatLng()
+                : propertyBoundary.getBounds().getCenter();
+            const origin = boundary[0];
+            const ref = projectLocal(reference, origin);
+
+            const distances = boundary.map((start, i) => distanceToSegment(
+                ref,
+                projectLocal(start, origin),
+                projectLocal(boundary[(i + 1) % boundary.length], origin)
+            ));
+
+            const front = distances.indexOf(Math.min(...distances));
+            const frontMid = projectLocal(L.latLngBounds([boundary[front], boundary[(front + 1) % boundary.length]]).getCenter(), origin);
+            const fromFront = boundary.map((start, i) => {
+                const mid = projectLocal(L.latLngBounds([start, boundary[(i + 1) % boundary.length]]).getCenter(), origin);
+                return Math.hypot(mid.x - frontMid.x, mid.y - frontMid.y);
+            });
+            const rear = fromFront.indexOf(Math.max(...fromFront));
+
+            return boundary.map((_, i) => i === front ? 'front' : i === rear ? 'rear' : 'side');
+        }
+
+        function showMeasureResult(html) {
+            if (!measureResult) return;
+
+            measureResult.innerHTML = html || '';
+            measureResult.style.display = html ? 'block' : 'none';
+        }
+
+        function updateMeasureButtons() {
+            if (!measureControl) return;
+
+            measureControl.getContainer().querySelectorAll('a[data-mode]').forEach(button => {
+                button.classList.toggle('active', !!measureState && button.dataset.mode === measureState.mode);
+            });
+        }
+
+        function getPathLength(points) {
+            let length = 0;
+            for (let i = 1; i < points.length; i++) {
+                length += map.distance(points[i - 1], points[i]);
+            }
+            return length;
+        }
+
+        /**
+         * Draw active fault traces from GeoJSON data or an endpoint URL.
+         * Traces are matched by name to the evaluation's nearby faults for popup details, and
+         * NZS 1170.5 major faults within the near-fault distance are highlighted.
+         * Without a source (or if it fails to load), each nearby fault is drawn as a ring at its distance.
+         * @param {Object|string|null} source - GeoJSON object or URL ({bbox} is replaced with a 25 km extent)
+         * @param {Object} options - { origin: [lat, lng], faults: NearbyFaults, nearFaultDistanceKm }
+         */
+        async function addFaultLayer(source, options = {}) {
+            if (!map) return;
+
+            const config = {
+                origin: map.getCenter(),
+                faults: [],
+                nearFaultDistanceKm: 20,
+                ...options
+            };
+            const origin = L.latLng(config.origin);
+
+            removeFaultLayer();
+
+            if (!source) {
+                addNearbyFaultRings(origin, config);
+                return;
+            }
+
+            let data = source;
+            if (typeof source === 'string') {
+                const extent = origin.toBounds(50000).toBBoxString();
+                try {
+                    const response = await fetch(source.replace('{bbox}', encodeURIComponent(extent)));
+                    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                    data = await response.json();
+                } catch (error) {
+                    console.warn('Failed to load fault traces - showing nearby fault distances:', error);
+                    if (map) addNearbyFaultRings(origin, config);
+                    return;
+                }
+            }
+            if (!map) return;
+
+            faultLayer = L.geoJSON(data, {
+                style: feature => getFaultStyle(describeFaultTrace(feature, origin, config), config),
+                onEachFeature: (feature, layer) => {
+                    layer.bindPopup(createFaultPopup(describeFaultTrace(feature, origin, config), config));
+                }
+            }).addTo(map);
+
+            ensureLayerControl().addOverlay(faultLayer, '<span class="layer-swatch" style="background: #c0392b;"></span>Active faults');
+        }
+
+        /**
+         * Draw the evaluation's nearby faults, which have no geometry, as rings at their distance
+         */
+        function addNearbyFaultRings(origin, config) {
+            const faults = (config.faults || []).filter(f => f.distanceKm != null);
+            if (!faults.length) return;
+
+            faultLayer = L.featureGroup(faults.map(fault => {
+                const info = describeNearbyFault(fault);
+                return L.circle(origin, {
+                    radius: info.distanceKm * 1000,
+                    fill: false,
+                    ...getFaultStyle(info, config)
+                }).bindPopup(createFaultPopup(info, config));
+            })).addTo(map);
+
+            ensureLayerControl().addOverlay(faultLayer, '<span class="layer-swatch" style="background: #c0392b;"></span>Active faults (distance)');
+        }
+
+        /**
+         * Remove fault traces
+         */
+        function removeFaultLayer() {
+            if (!faultLayer) return;
+
+            if (layerControl) layerControl.removeLayer(faultLayer);
+            if (map) map.removeLayer(faultLayer);
+            faultLayer = null;
+        }
+
+        /**
+         * Draw concentric distance rings around a point
+         * @param {Array} center - [lat, lng]
+         * @param {Array} radiiKm - Ring radii in kilometres
+         */
+        function addDistanceRings(center, radiiKm = [2, 5, 10, 20]) {
+            if (!map) return;
+
+            if (ringLayer) {
+                if (layerControl) layerControl.removeLayer(ringLayer);
+                map.removeLayer(ringLayer);
+            }
+
+            const origin = L.latLng(center);
+            ringLayer = L.layerGroup();
+
+            radiiKm.forEach(km => {
+                L.circle(origin, {
+                    radius: km * 1000,
+                    color: '#34495e',
+                    weight: 1,
+                    opacity: 0.7,
+                    fill: false,
+                    dashArray: '3 5',
+                    interactive: false
+                }).addTo(ringLayer);
+
+                // Label on the northern edge of the ring
+                const labelPoint = L.latLng(origin.lat + km / 111.32, origin.lng);
+                L.marker(labelPoint, {
+                    interactive: false,
+                    keyboard: false,
+                    icon: L.divIcon({
+                        className: 'map-ring-label',
+                        html: `${km} km`,
+                        iconSize: [40, 14],
+                        iconAnchor: [20, 7]
+                    })
+                }).addTo(ringLayer);
+            });
+
+            ringLayer.addTo(map);
+            ensureLayerControl().addOverlay(ringLayer, 'Distance rings');
+        }
+
+        /**
+         * Add a hazard overlay from GeoJSON data or an endpoint URL.
+         * URLs containing {bbox} are re-requested for the visible extent as the map moves.
+         * @param {string} type - Hazard type (flood, liquefaction, coastal, slope)
+         * @param {Object|string} source - GeoJSON object or URL
+         * @param {Object} options - { visible: show on load, label: overlay name }
+         */
+        async function addHazardLayer(type, source, options = {}) {
+            if (!map || !source) return null;
+
+            if (!hazardTypes[type]) {
+                console.error('Unknown hazard type:', type);
+                return null;
+            }
+
+            removeHazardLayer(type);
+
+            const layer = L.geoJSON(null, {
+                style: feature => getHazardStyle(type, feature, highlightedHazard),
+                onEachFeature: (feature, featureLayer) => {
+                    featureLayer.bindPopup(createHazardPopup(type, feature));
+                }
+            });
+
+            const entry = { type, layer, source, requestId: 0, moveHandler: null };
+            hazardLayers[type] = entry;
+            ensureLayerControl().addOverlay(layer, createOverlayLabel(type, options.label));
+
+            if (options.visible) {
+                layer.addTo(map);
+            }
+
+            if (typeof source !== 'string') {
+                layer.addData(source);
+                return layer;
+            }
+
+            if (source.includes('{bbox}')) {
+                entry.moveHandler = debounce(() => loadHazardData(entry), 300);
+                map.on('moveend', entry.moveHandler);
+            }
+
+            await loadHazardData(entry);
+            return layer;
+        }
+
+        /**
+         * Add several hazard overlays at once. Hazard types without a source are listed in the
+         * layer control as not configured, and a notice is shown if one of them should be visible.
+         * @param {Object} sources - Map of hazard type to GeoJSON object or URL
+         * @param {string[]} visibleTypes - Hazard types to show on load
+         */
+        function addHazardLayers(sources, visibleTypes = []) {
+            if (!map) return Promise.resolve([]);
+
+            const configured = sources || {};
+            const missing = Object.keys(hazardTypes).filter(type => !configured[type]);
+            showUnconfiguredHazards(missing);
+
+            const missingVisible = missing.filter(type => visibleTypes.includes(type));
+            if (missingVisible.length) {
+                const names = missingVisible.map(type => hazardTypes[type].label).join(', ');
+                showMapNotice(`No map overlay is configured for: ${names}`);
+            }
+
+            return Promise.all(Object.keys(configured)
+                .filter(type => configured[type])
+                .map(type => addHazardLayer(type, configured[type], { visible: visibleTypes.includes(type) })));
+        }
+
+        /**
+         * List the hazard overlays that have no source at the foot of the layer control
+         * @param {string[]} types - Hazard types without a source
+         */
+        function showUnconfiguredHazards(types) {
+            const container = ensureLayerControl().getContainer();
+            let list = container.querySelector('.layer-unconfigured');
+
+            if (!types.length) {
+                if (list) list.remove();
+                return;
+            }
+
+            if (!list) {
+                list = L.DomUtil.create('div', 'layer-unconfigured', container.querySelector('.leaflet-control-layers-list'));
+            }
+
+            list.innerHTML = types.map(type => `
+                <div title="No source is set for this overlay in SiteEvaluator:Map:HazardLayers">
+                    <span class="layer-swatch layer-swatch-unconfigured"></span>${escapeHtml(hazardTypes[type].label)}
+                    <small>(not configured)</small>
+                </div>
+            `).join('');
+        }
+
+        /**
+         * Remove a hazard overlay
+         */
+        function removeHazardLayer(type) {
+            const entry = hazardLayers[type];
+            if (!entry) return;
+
+            if (entry.moveHandler) {
+                map.off('moveend', entry.moveHandler);
+            }
+            if (layerControl) {
+                layerControl.removeLayer(entry.layer);
+            }
+            map.removeLayer(entry.layer);
+            delete hazardLayers[type];
+        }
+
+        /**
+         * Remove all hazard overlays
+         */
+        function clearHazardLayers() {
+            Object.keys(hazardLayers).forEach(removeHazardLayer);
+        }
+
+        /**
+         * Emphasise one overlay and fade the other hazard overlays, showing it if hidden.
+         * 'faults' brings the active fault traces to the front. Pass null to clear.
+         * @param {string|null} type - Hazard type, 'faults' or null
+         * @returns {boolean} Whether the map has an overlay for the type
+         */
+        function highlightHazard(type) {
+            if (!map) return false;
+
+            highlightedHazard = type || null;
+
+            Object.keys(hazardLayers).forEach(key => {
+                const layer = hazardLayers[key].layer;
+                layer.setStyle(feature => getHazardStyle(key, feature, highlightedHazard));
+                if (key === highlightedHazard) {
+                    if (!map.hasLayer(layer)) layer.addTo(map);
+                    layer.bringToFront();
+                }
+            });
+
+            if (highlightedHazard === 'faults' && faultLayer) {
+                if (!map.hasLayer(faultLayer)) faultLayer.addTo(map);
+                faultLayer.bringToFront();
+                return true;
+            }
+
+            return !!hazardLayers[highlightedHazard];
+        }
+
+        /**
+         * Fetch GeoJSON for a URL-backed hazard overlay
+         */
+        async function loadHazardData(entry) {
+            const requestId = ++entry.requestId;
+            const url = entry.source.replace('{bbox}', map.getBounds().toBBoxString());
+
+            try {
+                const response = await fetch(url);
+                if (!response.ok) throw new Error('HTTP ' + response.status);
+
+                const data = await response.json();
+
+                // Ignore responses superseded by a later pan or by removal of the layer
+                if (requestId !== entry.requestId || hazardLayers[entry.type] !== entry) return;
+
+                entry.layer.clearLayers();
+                entry.layer.addData(data);
+            } catch (error) {
+                console.error('Hazard layer load error:', entry.source, error);
+            }
+        }
+
+        /**
+         * Get the layer control, creating it on first use
+         */
+        function ensureLayerControl() {
+            if (!layerControl) {
+                layerControl = L.control.layers(null, null, { collapsed: true }).addTo(map);
+            }
+            return layerControl;
+        }
+
+        /**
+         * Resize map (call when container changes size)
+         */
+        function invalidateSize() {
+            if (map) {
+                map.invalidateSize();
+            }
         }
 
-        // Default options
-        const defaults = {
-            center: [-43.5321, 172.6362], // Christchurch
-            zoom: 13,
-            minZoom: 5,
-            maxZoom: 19
+        /**
+         * Destroy map
+         */
+        function destroy() {
+            disableViewportInvestigations();
+            stopMeasuring();
+            if (map) {
+                map.remove();
+                map = null;
+            }
+            markers = [];
+            boreholeMarkers = [];
+            propertyBoundary = null;
+            hazardLayers = {};
+            highlightedHazard = null;
+            layerControl = null;
+            basemaps = {};
+            currentBasemap = null;
+            investigationLayer = null;
+            investigationKeys = new Set();
+            measureControl = null;
+            measureLayer = null;
+            measureResult = null;
+            setbackLayer = null;
+            setbackEdgeTypes = null;
+            footprintLayer = null;
+            footprint = null;
+            faultLayer = null;
+            ringLayer = null;
+            identifyLayer = null;
+            coordinateControl = null;
+            gotoMarker = null;
+            exportControl = null;
+        }
+
+        // Instance API
+        return {
+            init,
+            setCenter,
+            addPropertyMarker,
+            addBoreholeMarkers,
+            addCptMarkers,
+            drawPropertyBoundary,
+            clearPropertyBoundary,
+            clearBoreholeMarkers,
+            clearMarkers,
+            enableClickSearch,
+            enableIdentify,
+            addLegend,
+            addCoordinateControl,
+            goToCoordinate,
+            addExportControl,
+            exportSnapshot,
+            exportSiteData,
+            setBasemap,
+            getBasemap: () => currentBasemap,
+            addMeasureControl,
+            startMeasuring,
+            stopMeasuring,
+            setSetbacks,
+            checkSetbacks,
+            setFootprint,
+            clearFootprint,
+            importFootprint,
+            addFaultLayer,
+            removeFaultLayer,
+            addDistanceRings,
+            enableViewportInvestigations,
+            disableViewportInvestigations,
+            addHazardLayer,
+            addHazardLayers,
+            removeHazardLayer,
+            highlightHazard,
+            clearHazardLayers,
+            invalidateSize,
+            destroy,
+            getMap: () => map
         };
+    }
+
+    function readBasemapChoice() {
+        try {
+            return localStorage.getItem(BASEMAP_STORAGE_KEY);
+        } catch (e) {
+            return null;
+        }
+    }
+
+    function storeBasemapChoice(id) {
+        try {
+            localStorage.setItem(BASEMAP_STORAGE_KEY, id);
+        } catch (e) {
+            // Storage unavailable (private browsing) - choice is not remembered
+        }
+    }
+
+    /**
+     * Identify an investigation by NZGD ID, falling back to its position
+     */
+    function getInvestigationKey(kind, item) {
+        const id = item.nzgdId || item.id;
+        return id
+            ? `${kind}:${id}`
+            : `${kind}:${item.latitude.toFixed(6)},${item.longitude.toFixed(6)}`;
+    }
 
-        const config = { ...defaults, ...options };
+    /**
+     * Create property icon
+     */
+    function createPropertyIcon() {
+        return L.divIcon({
+            className: 'property-marker',
+            html: '<i class="fa fa-map-marker-alt" style="color: #e74c3c; font-size: 24px;"></i>',
+            iconSize: [24, 24],
+            iconAnchor: [12, 24],
+            popupAnchor: [0, -24]
+        });
+    }
 
-        // Create map
-        map = L.map(containerId, {
-            center: config.center,
-            zoom: config.zoom,
-            minZoom: config.minZoom,
-            maxZoom: config.maxZoom
+    /**
+     * Create borehole icon
+     */
+    function createBoreholeIcon() {
+        return L.divIcon({
+            className: 'borehole-marker',
+            html: '<i class="fa fa-circle" style="color: #3498db; font-size: 10px;"></i>',
+            iconSize: [10, 10],
+            iconAnchor: [5, 5]
         });
+    }
 
-        // Add LINZ basemap (requires API key for production)
-        // Using OpenStreetMap as fallback
-        L.tileLayer('https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png', {
-            attribution: '&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors',
-            maxZoom: 19
-        }).addTo(map);
-
-        // Optional: Add LINZ aerial imagery layer
-        // Requires LINZ Data Service API key
-        if (config.linzApiKey) {
-            L.tileLayer('https://tiles-{s}.data-cdn.linz.govt.nz/services;key=' + config.linzApiKey + '/tiles/v4/layer=set=4702/EPSG:3857/{z}/{x}/{y}.png', {
-                attribution: '&copy; <a href="https://www.linz.govt.nz/">LINZ</a>',
-                subdomains: ['a', 'b', 'c', 'd'],
-                maxZoom: 19
-            });
+    function parseGeoJsonPolygon(geojson) {
+        const geometries = geojson.type === 'FeatureCollection'
+            ? geojson.features.map(f => f.geometry)
+            : [geojson.type === 'Feature' ? geojson.geometry : geojson];
+
+        for (const geometry of geometries) {
+            if (!geometry) continue;
+            const ring = geometry.type === 'Polygon' ? geometry.coordinates[0]
+                : geometry.type === 'MultiPolygon' ? geometry.coordinates[0][0]
+                : null;
+            if (ring) return closeRing(ring.map(c => [c[1], c[0]]));
         }
+        return null;
+    }
 
-        return map;
+    function parseKmlPolygon(text) {
+        const doc = new DOMParser().parseFromString(text, 'application/xml');
+        const coordinates = doc.querySelector('Polygon outerBoundaryIs coordinates, Polygon coordinates');
+        if (!coordinates) return null;
+
+        return closeRing(coordinates.textContent.trim().split(/\s+/).map(tuple => {
+            const [lng, lat] = tuple.split(',').map(Number);
+            return [lat, lng];
+        }));
     }
 
     /**
-     * Set the map center
+     * Drop the closing vertex repeated at the end of GeoJSON/KML rings
      */
-    function setCenter(lat, lng, zoom = null) {
-        if (!map) return;
-        
-        if (zoom) {
-            map.setView([lat, lng], zoom);
-        } else {
-            map.setView([lat, lng]);
+    function closeRing(points) {
+        const first = points[0];
+        const last = points[points.length - 1];
+        return first && last && first[0] === last[0] && first[1] === last[1]
+            ? points.slice(0, -1)
+            : points;
+    }
+
+    /**
+     * Measure a point or footprint against each edge of a parcel boundary.
+     * An edge is breached when it is closer than its setback, when the footprint crosses it, or
+     * when it is the edge nearest a vertex that lies outside the parcel - whatever its setback.
+     * @param {Array} boundary - Parcel vertices ({ lat, lng })
+     * @param {Array} target - A point or footprint vertices ({ lat, lng })
+     * @param {Object} required - Setbacks in metres by edge type (front, side, rear)
+     * @param {string[]} edgeTypes - Type of each boundary edge
+     * @returns {Object} { outside: any vertex outside the parcel,
+     *                     edges: [{ edge, type, distance, required, compliant, overrun }] }
+     */
+    function measureSetbacks(boundary, target, required, edgeTypes) {
+        const origin = boundary[0];
+        const boundaryXY = boundary.map(p => projectLocal(p, origin));
+        const footprintXY = target.map(p => projectLocal(p, origin));
+        const footprintSegments = footprintXY.length > 2
+            ? footprintXY.map((p, i) => [p, footprintXY[(i + 1) % footprintXY.length]])
+            : [];
+        const edges = boundaryXY.map((a, i) => [a, boundaryXY[(i + 1) % boundaryXY.length]]);
+
+        // Each vertex outside the parcel overruns the edge it is nearest to
+        const overrunEdges = new Set();
+        const outside = footprintXY.filter(p => !pointInPolygon(p, boundaryXY));
+        outside.forEach(p => {
+            const distances = edges.map(([a, b]) => distanceToSegment(p, a, b));
+            overrunEdges.add(distances.indexOf(Math.min(...distances)));
+        });
+
+        return {
+            outside: outside.length > 0,
+            edges: edges.map(([a, b], i) => {
+                let distance = Math.min(...footprintXY.map(p => distanceToSegment(p, a, b)));
+                footprintSegments.forEach(([p, q]) => {
+                    distance = Math.min(distance, distanceToSegment(a, p, q), distanceToSegment(b, p, q));
+                });
+
+                const crossed = footprintSegments.some(([p, q]) => segmentsIntersect(p, q, a, b));
+                const overrun = crossed || overrunEdges.has(i);
+                if (overrun || (footprintXY.length > 2 && pointInPolygon(a, footprintXY))) {
+                    distance = 0;
+                }
+
+                const type = edgeTypes[i];
+                const minimum = required[type] ?? null;
+                const compliant = overrun ? false : minimum == null ? null : distance >= minimum;
+
+                return { edge: i + 1, type, distance, required: minimum, compliant, overrun };
+            })
+        };
+    }
+
+    /**
+     * Project to local metres (x east, y north) about an origin - accurate at site scale
+     */
+    function projectLocal(latlng, origin) {
+        const R = 6371000;
+        const toRad = Math.PI / 180;
+        return {
+            x: (latlng.lng - origin.lng) * toRad * R * Math.cos(origin.lat * toRad),
+            y: (latlng.lat - origin.lat) * toRad * R
+        };
+    }
+
+    function distanceToSegment(p, a, b) {
+        const dx = b.x - a.x;
+        const dy = b.y - a.y;
+        const lengthSq = dx * dx + dy * dy;
+        const t = lengthSq === 0 ? 0 : Math.max(0, Math.min(1, ((p.x - a.x) * dx + (p.y - a.y) * dy) / lengthSq));
+        return Math.hypot(p.x - (a.x + t * dx), p.y - (a.y + t * dy));
+    }
+
+    /**
+     * Whether segments pq and ab cross or touch
+     */
+    function segmentsIntersect(p, q, a, b) {
+        const cross = (o, s, t) => (s.x - o.x) * (t.y - o.y) - (s.y - o.y) * (t.x - o.x);
+        const onSegment = (o, s, t) => Math.min(o.x, s.x) <= t.x && t.x <= Math.max(o.x, s.x) &&
+            Math.min(o.y, s.y) <= t.y && t.y <= Math.max(o.y, s.y);
+
+        const d1 = cross(a, b, p);
+        const d2 = cross(a, b, q);
+        const d3 = cross(p, q, a);
+        const d4 = cross(p, q, b);
+
+        if (((d1 > 0 && d2 < 0) || (d1 < 0 && d2 > 0)) && ((d3 > 0 && d4 < 0) || (d3 < 0 && d4 > 0))) {
+            return true;
+        }
+        return (d1 === 0 && onSegment(a, b, p)) || (d2 === 0 && onSegment(a, b, q)) ||
+            (d3 === 0 && onSegment(p, q, a)) || (d4 === 0 && onSegment(p, q, b));
+    }
+
+    function pointInPolygon(p, polygon) {
+        let inside = false;
+        for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+            const a = polygon[i];
+            const b = polygon[j];
+            if ((a.y > p.y) !== (b.y > p.y) && p.x < (b.x - a.x) * (p.y - a.y) / (b.y - a.y) + a.x) {
+                inside = !inside;
+            }
         }
+        return inside;
+    }
+
+    function getPolygonArea(points) {
+        const xy = points.map(p => projectLocal(p, points[0]));
+        let area = 0;
+        for (let i = 0, j = xy.length - 1; i < xy.length; j = i++) {
+            area += (xy[j].x + xy[i].x) * (xy[j].y - xy[i].y);
+        }
+        return Math.abs(area / 2);
+    }
+
+    /**
+     * Initial bearing from true north (degrees)
+     */
+    function getBearing(from, to) {
+        const toRad = Math.PI / 180;
+        const dLon = (to.lng - from.lng) * toRad;
+        const y = Math.sin(dLon) * Math.cos(to.lat * toRad);
+        const x = Math.cos(from.lat * toRad) * Math.sin(to.lat * toRad) -
+            Math.sin(from.lat * toRad) * Math.cos(to.lat * toRad) * Math.cos(dLon);
+        return (Math.atan2(y, x) / toRad + 360) % 360;
+    }
+
+    function formatLength(metres) {
+        return metres >= 1000 ? `${(metres / 1000).toFixed(2)} km` : `${metres.toFixed(1)} m`;
+    }
+
+    function formatArea(sqMetres) {
+        return sqMetres >= 10000
+            ? `${(sqMetres / 10000).toFixed(3)} ha`
+            : `${sqMetres.toFixed(0)} m&sup2;`;
+    }
+
+    function meridianArc(lat) {
+        const e2 = NZTM.f * (2 - NZTM.f);
+        const e4 = e2 * e2;
+        const e6 = e4 * e2;
+
+        const a0 = 1 - e2 / 4 - 3 * e4 / 64 - 5 * e6 / 256;
+        const a2 = 3 / 8 * (e2 + e4 / 4 + 15 * e6 / 128);
+        const a4 = 15 / 256 * (e4 + 3 * e6 / 4);
+        const a6 = 35 * e6 / 3072;
+
+        return NZTM.a * (a0 * lat - a2 * Math.sin(2 * lat) + a4 * Math.sin(4 * lat) - a6 * Math.sin(6 * lat));
+    }
+
+    function footPointLatitude(m) {
+        const n = NZTM.f / (2 - NZTM.f);
+        const n2 = n * n;
+        const n3 = n2 * n;
+        const n4 = n2 * n2;
+
+        const g = NZTM.a * (1 - n) * (1 - n2) * (1 + 9 * n2 / 4 + 225 * n4 / 64);
+        const sig = m / g;
+
+        return sig + (3 * n / 2 - 27 * n3 / 32) * Math.sin(2 * sig)
+            + (21 * n2 / 16 - 55 * n4 / 32) * Math.sin(4 * sig)
+            + (151 * n3 / 96) * Math.sin(6 * sig)
+            + (1097 * n4 / 512) * Math.sin(8 * sig);
+    }
+
+    /**
+     * Convert WGS84 latitude/longitude to NZTM2000 easting/northing (metres)
+     */
+    function toNztm(lat, lng) {
+        const e2 = NZTM.f * (2 - NZTM.f);
+        const phi = lat * Math.PI / 180;
+        const dlon = (lng - NZTM.centralMeridian) * Math.PI / 180;
+
+        const m = meridianArc(phi);
+        const slt = Math.sin(phi);
+        const clt = Math.cos(phi);
+        const eslt = 1 - e2 * slt * slt;
+        const eta = NZTM.a / Math.sqrt(eslt);
+        const rho = eta * (1 - e2) / eslt;
+        const psi = eta / rho;
+
+        const wc = clt * dlon;
+        const wc2 = wc * wc;
+        const t = slt / clt;
+        const t2 = t * t;
+        const t4 = t2 * t2;
+        const t6 = t4 * t2;
+
+        let trm1 = (psi - t2) / 6;
+        let trm2 = (((4 * (1 - 6 * t2) * psi + (1 + 8 * t2)) * psi - 2 * t2) * psi + t4) / 120;
+        let trm3 = (61 - 479 * t2 + 179 * t4 - t6) / 5040;
+        const easting = NZTM.scaleFactor * eta * dlon * clt * (((trm3 * wc2 + trm2) * wc2 + trm1) * wc2 + 1);
+
+        trm1 = 1 / 2;
+        trm2 = ((4 * psi + 1) * psi - t2) / 24;
+        trm3 = ((((8 * (11 - 24 * t2) * psi - 28 * (1 - 6 * t2)) * psi + (1 - 32 * t2)) * psi - 2 * t2) * psi + t4) / 720;
+        const trm4 = (1385 - 3111 * t2 + 543 * t4 - t6) / 40320;
+        const northing = (eta * t) * ((((trm4 * wc2 + trm3) * wc2 + trm2) * wc2 + trm1) * wc2);
+
+        return {
+            easting: easting + NZTM.falseEasting,
+            northing: (northing + m) * NZTM.scaleFactor + NZTM.falseNorthing
+        };
     }
 
     /**
-     * Add a property marker
+     * Convert NZTM2000 easting/northing (metres) to WGS84 latitude/longitude
      */
-    function addPropertyMarker(lat, lng, options = {}) {
-        if (!map) return null;
+    function fromNztm(easting, northing) {
+        const e2 = NZTM.f * (2 - NZTM.f);
+        const phd = footPointLatitude((northing - NZTM.falseNorthing) / NZTM.scaleFactor);
+
+        const slt = Math.sin(phd);
+        const clt = Math.cos(phd);
+        const eslt = 1 - e2 * slt * slt;
+        const eta = NZTM.a / Math.sqrt(eslt);
+        const rho = eta * (1 - e2) / eslt;
+        const psi = eta / rho;
+
+        const e = easting - NZTM.falseEasting;
+        const x = e / (eta * NZTM.scaleFactor);
+        const x2 = x * x;
+        const t = slt / clt;
+        const t2 = t * t;
+        const t4 = t2 * t2;
+
+        let trm1 = 1 / 2;
+        let trm2 = ((-4 * psi + 9 * (1 - t2)) * psi + 12 * t2) / 24;
+        let trm3 = ((((8 * (11 - 24 * t2) * psi - 12 * (21 - 71 * t2)) * psi + 15 * ((15 * t2 - 98) * t2 + 15)) * psi + 180 * ((-3 * t2 + 5) * t2)) * psi + 360 * t4) / 720;
+        let trm4 = (((1575 * t2 + 4095) * t2 + 3633) * t2 + 1385) / 40320;
+        const lat = phd + (t * x * e / (NZTM.scaleFactor * rho)) * (((trm4 * x2 - trm3) * x2 + trm2) * x2 - trm1);
 
-        const defaults = {
-            icon: createPropertyIcon(),
-            draggable: false
+        trm1 = 1;
+        trm2 = (psi + 2 * t2) / 6;
+        trm3 = (((-4 * (1 - 6 * t2) * psi + (9 - 68 * t2)) * psi + 72 * t2) * psi + 24 * t4) / 120;
+        trm4 = (((720 * t2 + 1320) * t2 + 662) * t2 + 61) / 5040;
+        const dlon = -(x / clt) * (((trm4 * x2 - trm3) * x2 + trm2) * x2 - trm1);
+
+        return {
+            lat: lat * 180 / Math.PI,
+            lng: NZTM.centralMeridian + dlon * 180 / Math.PI
         };
+    }
+
+    /**
+     * Format a point as WGS84 decimal degrees or NZTM2000 easting/northing
+     */
+    function formatCoordinate(lat, lng, system) {
+        if (system === 'nztm') {
+            const p = toNztm(lat, lng);
+            return `${p.easting.toFixed(1)} mE, ${p.northing.toFixed(1)} mN`;
+        }
+        return `${lat.toFixed(6)}, ${lng.toFixed(6)}`;
+    }
+
+    /**
+     * Parse "lat, lng" (WGS84) or "easting northing" (NZTM2000, either order)
+     * @returns {{lat: number, lng: number}|null}
+     */
+    function parseCoordinate(text) {
+        const values = String(text || '').trim().split(/[\s,;]+/).filter(Boolean).map(Number);
+        if (values.length !== 2 || values.some(isNaN)) return null;
+
+        // NZTM - northings (4.7M-6.3M) are always larger than eastings (1.0M-2.2M)
+        if (Math.abs(values[0]) > 1000 && Math.abs(values[1]) > 1000) {
+            const easting = Math.min(values[0], values[1]);
+            const northing = Math.max(values[0], values[1]);
+            if (easting < 1000000 || easting > 2200000 || northing < 4700000 || northing > 6300000) return null;
+            return fromNztm(easting, northing);
+        }
 
-        const config = { ...defaults, ...options };
-        const marker = L.marker([lat, lng], config).addTo(map);
+        // WGS84 - accept "lng, lat" too, since New Zealand longitudes are never valid latitudes
+        let [lat, lng] = values;
+        if (Math.abs(lat) > 90) [lat, lng] = [lng, lat];
+        if (Math.abs(lat) > 90 || Math.abs(lng) > 180) return null;
+        return { lat, lng };
+    }
+
+    function readCoordinateSystem() {
+        try {
+            return localStorage.getItem(COORDINATE_STORAGE_KEY) === 'nztm' ? 'nztm' : 'wgs84';
+        } catch (e) {
+            return 'wgs84';
+        }
+    }
 
-        if (options.popup) {
-            marker.bindPopup(options.popup);
+    function storeCoordinateSystem(system) {
+        try {
+            localStorage.setItem(COORDINATE_STORAGE_KEY, system);
+        } catch (e) {
+            // Storage unavailable (private browsing) - choice is not remembered
         }
+    }
 
-        markers.push(marker);
-        return marker;
+    function capitalise(text) {
+        return text.charAt(0).toUpperCase() + text.slice(1);
     }
 
     /**
-     * Add borehole markers
+     * A fault trace's name, matching nearby fault and distance. The evaluation's distance is used
+     * when the trace matches one of its faults, so the style and popup agree with the report.
      */
-    function addBoreholeMarkers(boreholes) {
-        if (!map) return;
+    function describeFaultTrace(feature, origin, config) {
+        const props = feature.properties || {};
+        const name = props.name || props.NAME || props.FAULT_NAME || props.fault_name || 'Unnamed fault';
+        const match = findNearbyFault(name, config.faults);
+        return {
+            name,
+            match,
+            props,
+            distanceKm: match ? match.distanceKm : getFaultDistanceKm(feature, origin)
+        };
+    }
 
-        clearBoreholeMarkers();
+    function describeNearbyFault(fault) {
+        return {
+            name: fault.name || 'Unnamed fault',
+            match: fault,
+            props: {},
+            distanceKm: fault.distanceKm,
+            note: 'Trace not mapped - the fault lies somewhere on this ring.'
+        };
+    }
 
-        boreholes.forEach(bh => {
-            const marker = L.circleMarker([bh.latitude, bh.longitude], {
-                radius: 6,
-                fillColor: '#3498db',
-                color: '#2980b9',
-                weight: 2,
-                opacity: 1,
-                fillOpacity: 0.8
-            }).addTo(map);
+    /**
+     * Whether the NZS 1170.5 near-fault factor N(T,D) applies - only the major faults the
+     * standard lists, within the near-fault distance
+     */
+    function isNearMajorFault(info, config) {
+        return info.distanceKm < config.nearFaultDistanceKm && isMajorFault(info.name);
+    }
 
-            marker.bindPopup(`
-                <div class="map-popup">
-                    <strong>Borehole</strong><br>
-                    <small>ID: ${bh.id || 'N/A'}</small><br>
-                    <small>Depth: ${bh.depth ? bh.depth + 'm' : 'N/A'}</small><br>
-                    <small>Distance: ${bh.distance ? bh.distance.toFixed(0) + 'm' : 'N/A'}</small>
-                </div>
-            `);
+    function isMajorFault(name) {
+        const key = String(name || '').toLowerCase().replace(/\s*fault\s*$/, '');
+        return NZS1170_MAJOR_FAULTS.some(major => key === major || key.startsWith(major + ' ') || key.startsWith(major + '-'));
+    }
+
+    function getFaultStyle(info, config) {
+        return isNearMajorFault(info, config)
+            ? { color: '#c0392b', weight: 4, opacity: 0.9 }
+            : { color: '#8e44ad', weight: 2, opacity: 0.8, dashArray: '6 4' };
+    }
+
+    function createFaultPopup(info, config) {
+        const { name, match, props, distanceKm } = info;
 
-            boreholeMarkers.push(marker);
+        const rows = [
+            ['Type', match?.faultType || props.fault_type || props.TYPE],
+            ['Distance', `${distanceKm.toFixed(1)} km`],
+            ['Recurrence interval', match?.recurrenceInterval || props.recurrence_interval || props.RI],
+            ['Last rupture', match?.lastRupture || props.last_rupture || props.LAST_EVENT],
+            ['Slip rate', match?.slipRate || props.slip_rate || props.SLIP_RATE],
+            ['Max magnitude', match?.maxMagnitude != null ? `M${match.maxMagnitude.toFixed(1)}` : null]
+        ].filter(([, value]) => value);
+
+        return `
+            <div class="map-popup">
+                <strong>${escapeHtml(name)}</strong><br>
+                ${rows.map(([label, value]) => `<small>${label}: ${escapeHtml(String(value))}</small>`).join('<br>')}
+                ${info.note ? `<br><small class="text-muted">${escapeHtml(info.note)}</small>` : ''}
+                ${isNearMajorFault(info, config) ? `<div class="map-popup-warning">Major fault within ${config.nearFaultDistanceKm} km - NZS 1170.5 near-fault factor applies</div>` : ''}
+            </div>
+        `;
+    }
+
+    /**
+     * Match a trace to the evaluation's nearby faults by name
+     */
+    function findNearbyFault(name, faults) {
+        const key = name.toLowerCase().replace(/\s*fault\s*$/, '');
+        return (faults || []).find(f => {
+            const faultKey = (f.name || '').toLowerCase().replace(/\s*fault\s*$/, '');
+            return faultKey && (faultKey.includes(key) || key.includes(faultKey));
         });
     }
 
     /**
-     * Add CPT markers
+     * Shortest distance from a point to a fault trace (km)
      */
-    function addCptMarkers(cpts) {
-        if (!map) return;
+    function getFaultDistanceKm(feature, origin) {
+        const geometry = feature.geometry;
+        if (!geometry) return Infinity;
 
-        cpts.forEach(cpt => {
-            const marker = L.circleMarker([cpt.latitude, cpt.longitude], {
-                radius: 6,
-                fillColor: '#9b59b6',
-                color: '#8e44ad',
-                weight: 2,
-                opacity: 1,
-                fillOpacity: 0.8
-            }).addTo(map);
+        const lines = geometry.type === 'LineString' ? [geometry.coordinates]
+            : geometry.type === 'MultiLineString' ? geometry.coordinates
+            : [];
+        const o = { x: 0, y: 0 };
+        let min = Infinity;
 
-            marker.bindPopup(`
-                <div class="map-popup">
-                    <strong>CPT</strong><br>
-                    <small>ID: ${cpt.id || 'N/A'}</small><br>
-                    <small>Depth: ${cpt.depth ? cpt.depth + 'm' : 'N/A'}</small><br>
-                    <small>Distance: ${cpt.distance ? cpt.distance.toFixed(0) + 'm' : 'N/A'}</small>
-                </div>
-            `);
+        lines.forEach(line => {
+            const points = line.map(c => projectLocal(L.latLng(c[1], c[0]), origin));
+            for (let i = 1; i < points.length; i++) {
+                min = Math.min(min, distanceToSegment(o, points[i - 1], points[i]));
+            }
+        });
+
+        return min / 1000;
+    }
+
+    /**
+     * Get the style for a hazard feature
+     */
+    function getHazardStyle(type, feature, highlighted = null) {
+        const hazard = hazardTypes[type];
+        const style = { ...hazard.style };
 
-            boreholeMarkers.push(marker);
+        if (hazard.categories) {
+            style.fillColor = hazard.categories[getHazardCategory(feature)] || style.color;
+        }
+
+        // Emphasise the highlighted overlay and fade the rest
+        if (highlighted === type) {
+            style.weight = 3;
+            style.opacity = 1;
+            style.fillOpacity = Math.min(0.6, style.fillOpacity + 0.2);
+        } else if (highlighted) {
+            style.opacity = 0.3;
+            style.fillOpacity = 0.08;
+        }
+
+        return style;
+    }
+
+    /**
+     * Read the hazard category (e.g. TC3) from feature properties
+     */
+    function getHazardCategory(feature) {
+        const props = feature.properties || {};
+        const category = props.category || props.Category || props.tc || props.TC || '';
+        return String(category).toUpperCase().replace(/\s+/g, '');
+    }
+
+    /**
+     * Create hazard feature popup
+     */
+    function createHazardPopup(type, feature) {
+        const props = feature.properties || {};
+        const name = props.name || props.Name || hazardTypes[type].label;
+        const category = getHazardCategory(feature);
+        const description = props.description || props.Description;
+
+        return `
+            <div class="map-popup">
+                <strong>${escapeHtml(name)}</strong><br>
+                ${category ? `<small>Category: ${escapeHtml(category)}</small><br>` : ''}
+                ${description ? `<small>${escapeHtml(description)}</small>` : ''}
+            </div>
+        `;
+    }
+
+    /**
+     * Create layer control label with a colour swatch
+     */
+    function createOverlayLabel(type, label) {
+        const hazard = hazardTypes[type];
+        const swatch = hazard.categories
+            ? `linear-gradient(90deg, ${Object.values(hazard.categories).join(', ')})`
+            : hazard.style.fillColor;
+
+        return `<span class="layer-swatch" style="background: ${swatch};"></span>${escapeHtml(label || hazard.label)}`;
+    }
+
+    /**
+     * Tiles at tileZoom covering a snapshot drawn at zoom
+     */
+    function getTileRange(zoom, tileZoom, origin, width, height) {
+        const tileSize = 256 * Math.pow(2, zoom - tileZoom);
+        const range = {
+            minX: Math.floor(origin.x / tileSize),
+            minY: Math.floor(origin.y / tileSize),
+            maxX: Math.floor((origin.x + width) / tileSize),
+            maxY: Math.floor((origin.y + height) / tileSize)
+        };
+        range.count = (range.maxX - range.minX + 1) * (range.maxY - range.minY + 1);
+        return range;
+    }
+
+    /**
+     * Load a tile for drawing on a canvas. Providers must allow CORS, or the tile is skipped
+     * (a tainted canvas cannot be exported).
+     */
+    function loadTileImage(url) {
+        return new Promise(resolve => {
+            const image = new Image();
+            image.crossOrigin = 'anonymous';
+            image.onload = () => resolve(image);
+            image.onerror = () => resolve(null);
+            image.src = url;
         });
     }
 
     /**
-     * Draw property boundary
+     * Draw the property marker as a pin with its tip at x, y
+     */
+    function drawPropertyPin(ctx, x, y, scale) {
+        const radius = 8 * scale;
+        const headY = y - 16 * scale;
+
+        ctx.beginPath();
+        ctx.moveTo(x, y);
+        ctx.arc(x, headY, radius, Math.PI / 6, Math.PI * 5 / 6, true);
+        ctx.closePath();
+        ctx.fillStyle = '#e74c3c';
+        ctx.fill();
+        ctx.lineWidth = 1.5 * scale;
+        ctx.strokeStyle = '#fff';
+        ctx.stroke();
+
+        ctx.beginPath();
+        ctx.arc(x, headY, 3 * scale, 0, Math.PI * 2);
+        ctx.fillStyle = '#fff';
+        ctx.fill();
+    }
+
+    /**
+     * White backing box for the legend, scale bar and north arrow
      */
-    function drawPropertyBoundary(coordinates) {
-        if (!map) return;
+    function drawSnapshotPanel(ctx, left, top, width, height, scale) {
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.9)';
+        ctx.fillRect(left, top, width, height);
+        ctx.lineWidth = scale;
+        ctx.strokeStyle = 'rgba(0, 0, 0, 0.2)';
+        ctx.strokeRect(left, top, width, height);
+    }
+
+    function drawSnapshotLegend(ctx, entries, width, height, scale) {
+        if (entries.length === 0) return;
+
+        const padding = 8 * scale;
+        const row = 18 * scale;
+        const symbol = 12 * scale;
+        const gap = 6 * scale;
 
-        clearPropertyBoundary();
+        ctx.font = `${12 * scale}px sans-serif`;
+        const textWidth = Math.max(...entries.map(e => ctx.measureText(e.label).width), ctx.measureText('Legend').width);
+        const boxWidth = padding * 2 + symbol + gap + textWidth;
+        const boxHeight = padding * 2 + row * (entries.length + 1);
+        const left = width - boxWidth - 10 * scale;
+        const top = height - boxHeight - 10 * scale;
 
-        if (!coordinates || coordinates.length < 3) return;
+        drawSnapshotPanel(ctx, left, top, boxWidth, boxHeight, scale);
 
-        const latLngs = coordinates.map(c => [c.latitude, c.longitude]);
+        ctx.textBaseline = 'middle';
+        ctx.fillStyle = '#333';
+        ctx.font = `600 ${12 * scale}px sans-serif`;
+        ctx.fillText('Legend', left + padding, top + padding + row / 2);
+        ctx.font = `${12 * scale}px sans-serif`;
 
-        propertyBoundary = L.polygon(latLngs, {
-            color: '#e74c3c',
-            fillColor: '#e74c3c',
-            fillOpacity: 0.2,
-            weight: 2
-        }).addTo(map);
+        entries.forEach((entry, i) => {
+            const cx = left + padding + symbol / 2;
+            const cy = top + padding + row * (i + 1.5);
 
-        // Fit map to boundary
-        map.fitBounds(propertyBoundary.getBounds(), { padding: [50, 50] });
+            if (entry.shape === 'pin') {
+                drawPropertyPin(ctx, cx, cy + symbol / 2, scale * 0.6);
+            } else if (entry.shape === 'area') {
+                ctx.globalAlpha = entry.style.fillOpacity;
+                ctx.fillStyle = entry.style.fillColor;
+                ctx.fillRect(cx - symbol / 2, cy - symbol / 3, symbol, symbol * 2 / 3);
+                ctx.globalAlpha = 1;
+                ctx.lineWidth = 2 * scale;
+                ctx.strokeStyle = entry.style.color;
+                ctx.strokeRect(cx - symbol / 2, cy - symbol / 3, symbol, symbol * 2 / 3);
+            } else {
+                ctx.beginPath();
+                ctx.arc(cx, cy, symbol / 2 - scale, 0, Math.PI * 2);
+                ctx.fillStyle = entry.style.fillColor;
+                ctx.fill();
+                ctx.lineWidth = 2 * scale;
+                ctx.strokeStyle = entry.style.color;
+                ctx.stroke();
+            }
+
+            ctx.fillStyle = '#333';
+            ctx.fillText(entry.label, left + padding + symbol + gap, cy);
+        });
     }
 
     /**
-     * Clear property boundary
+     * Scale bar in the bottom-left corner, above the attribution
      */
-    function clearPropertyBoundary() {
-        if (propertyBoundary) {
-            map.removeLayer(propertyBoundary);
-            propertyBoundary = null;
+    function drawSnapshotScaleBar(ctx, lat, zoom, height, scale) {
+        const metresPerPixel = 40075016.686 * Math.cos(lat * Math.PI / 180) / (256 * Math.pow(2, zoom));
+        const length = getRoundLength(metresPerPixel * 150 * scale);
+        const barWidth = length / metresPerPixel;
+        const barHeight = 6 * scale;
+        const padding = 8 * scale;
+        const label = length >= 1000 ? `${length / 1000} km` : `${length} m`;
+
+        const boxWidth = barWidth + padding * 2;
+        const boxHeight = padding * 2 + 14 * scale + barHeight;
+        const left = 10 * scale;
+        const top = height - boxHeight - 24 * scale;
+
+        drawSnapshotPanel(ctx, left, top, boxWidth, boxHeight, scale);
+
+        ctx.fillStyle = '#333';
+        ctx.font = `${11 * scale}px sans-serif`;
+        ctx.textBaseline = 'top';
+        ctx.fillText(label, left + padding, top + padding);
+
+        // Alternating quarters
+        const barTop = top + padding + 14 * scale;
+        for (let i = 0; i < 4; i++) {
+            ctx.fillStyle = i % 2 === 0 ? '#333' : '#fff';
+            ctx.fillRect(left + padding + barWidth * i / 4, barTop, barWidth / 4, barHeight);
         }
+        ctx.lineWidth = scale;
+        ctx.strokeStyle = '#333';
+        ctx.strokeRect(left + padding, barTop, barWidth, barHeight);
     }
 
     /**
-     * Clear borehole markers
+     * North arrow in the top-right corner (the map is always north-up)
      */
-    function clearBoreholeMarkers() {
-        boreholeMarkers.forEach(m => map.removeLayer(m));
-        boreholeMarkers = [];
+    function drawSnapshotNorthArrow(ctx, width, scale) {
+        const boxWidth = 32 * scale;
+        const boxHeight = 48 * scale;
+        const left = width - boxWidth - 10 * scale;
+        const top = 10 * scale;
+        const cx = left + boxWidth / 2;
+
+        drawSnapshotPanel(ctx, left, top, boxWidth, boxHeight, scale);
+
+        ctx.fillStyle = '#333';
+        ctx.font = `600 ${12 * scale}px sans-serif`;
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'top';
+        ctx.fillText('N', cx, top + 4 * scale);
+        ctx.textAlign = 'start';
+
+        const tip = top + 20 * scale;
+        const base = top + boxHeight - 6 * scale;
+        const notch = base - 6 * scale;
+
+        ctx.lineWidth = scale;
+        ctx.strokeStyle = '#333';
+        [[-1, '#333'], [1, '#fff']].forEach(([side, fill]) => {
+            ctx.beginPath();
+            ctx.moveTo(cx, tip);
+            ctx.lineTo(cx + side * 8 * scale, base);
+            ctx.lineTo(cx, notch);
+            ctx.closePath();
+            ctx.fillStyle = fill;
+            ctx.fill();
+            ctx.stroke();
+        });
     }
 
     /**
-     * Clear all markers
+     * Basemap attribution along the bottom-left edge
      */
-    function clearMarkers() {
-        markers.forEach(m => map.removeLayer(m));
-        markers = [];
-        clearBoreholeMarkers();
+    function drawSnapshotAttribution(ctx, attribution, height, scale) {
+        const div = document.createElement('div');
+        div.innerHTML = attribution || '';
+        const text = div.textContent.trim();
+        if (!text) return;
+
+        const lineHeight = 14 * scale;
+        ctx.font = `${9 * scale}px sans-serif`;
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.8)';
+        ctx.fillRect(0, height - lineHeight, ctx.measureText(text).width + 8 * scale, lineHeight);
+        ctx.fillStyle = '#333';
+        ctx.textBaseline = 'middle';
+        ctx.fillText(text, 4 * scale, height - lineHeight / 2);
     }
 
     /**
-     * Create property icon
+     * Round down to 1, 2 or 5 times a power of ten
      */
-    function createPropertyIcon() {
-        return L.divIcon({
-            className: 'property-marker',
-            html: '<i class="fa fa-map-marker-alt" style="color: #e74c3c; font-size: 24px;"></i>',
-            iconSize: [24, 24],
-            iconAnchor: [12, 24],
-            popupAnchor: [0, -24]
-        });
+    function getRoundLength(metres) {
+        const power = Math.pow(10, Math.floor(Math.log10(metres)));
+        const digit = metres / power;
+        return (digit >= 5 ? 5 : digit >= 2 ? 2 : 1) * power;
+    }
+
+    function createPointFeature(latlng, properties) {
+        const nztm = toNztm(latlng.lat, latlng.lng);
+        return {
+            type: 'Feature',
+            geometry: { type: 'Point', coordinates: [latlng.lng, latlng.lat] },
+            properties: {
+                ...properties,
+                easting: Math.round(nztm.easting * 100) / 100,
+                northing: Math.round(nztm.northing * 100) / 100
+            }
+        };
     }
 
     /**
-     * Create borehole icon
+     * Site features as the text of an export format, or null for an unknown format
+     * @param {string} format - key of SITE_DATA_FORMATS
+     * @param {Array} features - GeoJSON features as built by getSiteFeatures
+     * @param {string} name - site name
      */
-    function createBoreholeIcon() {
-        return L.divIcon({
-            className: 'borehole-marker',
-            html: '<i class="fa fa-circle" style="color: #3498db; font-size: 10px;"></i>',
-            iconSize: [10, 10],
-            iconAnchor: [5, 5]
+    function writeSiteData(format, features, name) {
+        const type = SITE_DATA_FORMATS[format];
+        return type ? type.write(features, name) : null;
+    }
+
+    function writeGeoJson(features, name) {
+        return JSON.stringify({
+            type: 'FeatureCollection',
+            name: name || 'Site data',
+            features
+        }, null, 2);
+    }
+
+    /**
+     * KML for Google Earth, styled to match the map; attributes go in ExtendedData
+     */
+    function writeKml(features, name) {
+        const styles = {
+            parcel: '<LineStyle><color>ff3c4ce7</color><width>2</width></LineStyle><PolyStyle><color>333c4ce7</color></PolyStyle>',
+            property: '<IconStyle><Icon><href>https://maps.google.com/mapfiles/kml/paddle/red-circle.png</href></Icon></IconStyle>'
+        };
+        Object.keys(investigationTypes).forEach(kind => {
+            styles[kind] = `<IconStyle><color>${kmlColor(investigationTypes[kind].style.fillColor)}</color><scale>0.8</scale>` +
+                '<Icon><href>https://maps.google.com/mapfiles/kml/shapes/placemark_circle.png</href></Icon></IconStyle>';
+        });
+
+        const placemarks = features.map(feature => {
+            const { type, name: label, ...attributes } = feature.properties;
+            const data = Object.keys(attributes)
+                .filter(key => attributes[key] !== null && attributes[key] !== undefined)
+                .map(key => `<Data name="${key}"><value>${escapeXml(attributes[key])}</value></Data>`)
+                .join('');
+            const geometry = feature.geometry.type === 'Polygon'
+                ? `<Polygon><outerBoundaryIs><LinearRing><coordinates>${feature.geometry.coordinates[0].map(c => `${c[0]},${c[1]},0`).join(' ')}</coordinates></LinearRing></outerBoundaryIs></Polygon>`
+                : `<Point><coordinates>${feature.geometry.coordinates[0]},${feature.geometry.coordinates[1]},0</coordinates></Point>`;
+
+            return `    <Placemark><name>${escapeXml(label)}</name><styleUrl>#${type}</styleUrl>` +
+                (data ? `<ExtendedData>${data}</ExtendedData>` : '') + `${geometry}</Placemark>`;
         });
+
+        return [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            '<kml xmlns="http://www.opengis.net/kml/2.2">',
+            '  <Document>',
+            `    <name>${escapeXml(name || 'Site data')}</name>`,
+            ...Object.keys(styles).map(id => `    <Style id="${id}">${styles[id]}</Style>`),
+            ...placemarks,
+            '  </Document>',
+            '</kml>'
+        ].join('\n');
     }
 
     /**
-     * Enable click-to-search
+     * CSV of the points and parcel boundary vertices with NZTM2000 and WGS84 coordinates
      */
-    function enableClickSearch(callback) {
-        if (!map) return;
+    function writeCsv(features) {
+        const rows = [['Type', 'Name', 'ID', 'NZGD ID', 'Easting (NZTM)', 'Northing (NZTM)', 'Latitude', 'Longitude', 'Depth (m)', 'Distance (m)']];
 
-        map.on('click', function (e) {
-            if (typeof callback === 'function') {
-                callback(e.latlng.lat, e.latlng.lng);
+        features.forEach(feature => {
+            const p = feature.properties;
+            if (feature.geometry.type === 'Polygon') {
+                // Every vertex but the closing one
+                feature.geometry.coordinates[0].slice(0, -1).forEach(([lng, lat], i) => {
+                    const nztm = toNztm(lat, lng);
+                    rows.push(['parcel vertex', p.name, i + 1, '', nztm.easting.toFixed(2), nztm.northing.toFixed(2),
+                        lat.toFixed(7), lng.toFixed(7), '', '']);
+                });
+            } else {
+                const [lng, lat] = feature.geometry.coordinates;
+                rows.push([p.type, p.name, p.id, p.nzgdId, p.easting.toFixed(2), p.northing.toFixed(2),
+                    lat.toFixed(7), lng.toFixed(7), p.depth, p.distance]);
             }
         });
+
+        return rows.map(row => row.map(csvValue).join(',')).join('\r\n') + '\r\n';
     }
 
     /**
-     * Add legend
+     * #rrggbb as a KML aabbggrr colour
      */
-    function addLegend() {
-        if (!map) return;
+    function kmlColor(hex, alpha = 'ff') {
+        return alpha + hex.slice(5, 7) + hex.slice(3, 5) + hex.slice(1, 3);
+    }
 
-        const legend = L.control({ position: 'bottomright' });
+    function escapeXml(value) {
+        return String(value ?? '').replace(/[<>&"']/g, c => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', '"': '&quot;', "'": '&apos;' })[c]);
+    }
 
-        legend.onAdd = function () {
-            const div = L.DomUtil.create('div', 'map-legend');
-            div.innerHTML = `
-                <div class="legend-title">Legend</div>
-                <div class="legend-item">
-                    <span class="legend-marker" style="background: #e74c3c;"></span>
-                    Property
-                </div>
-                <div class="legend-item">
-                    <span class="legend-marker" style="background: #3498db;"></span>
-                    Borehole
-                </div>
-                <div class="legend-item">
-                    <span class="legend-marker" style="background: #9b59b6;"></span>
-                    CPT
-                </div>
-            `;
-            return div;
-        };
+    function csvValue(value) {
+        const text = value === null || value === undefined ? '' : String(value);
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
 
-        legend.addTo(map);
+    function downloadBlob(blob, fileName) {
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = fileName;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(link.href), 1000);
     }
 
     /**
-     * Resize map (call when container changes size)
+     * Escape text for use in popup HTML
      */
-    function invalidateSize() {
-        if (map) {
-            map.invalidateSize();
-        }
+    function escapeHtml(text) {
+        if (text === null || text === undefined) return '';
+        const div = document.createElement('div');
+        div.textContent = String(text);
+        return div.innerHTML;
+    }
+
+    /**
+     * Delay a function until calls stop for the given time
+     */
+    function debounce(fn, wait) {
+        let timer;
+        return function (...args) {
+            clearTimeout(timer);
+            timer = setTimeout(() => fn.apply(this, args), wait);
+        };
     }
 
+    // Default instance - backs the SiteEvaluatorMap.* calls used by existing pages
+    const defaultInstance = createInstance();
+
     /**
-     * Destroy map
+     * Create an additional map on the page
+     * @param {string} containerId - ID of the container element (optional - call init later)
+     * @param {Object} options - Map options passed to init
      */
-    function destroy() {
-        if (map) {
-            map.remove();
-            map = null;
+    function create(containerId, options = {}) {
+        const instance = createInstance();
+        if (containerId) {
+            instance.init(containerId, options);
         }
-        markers = [];
-        boreholeMarkers = [];
-        propertyBoundary = null;
+        return instance;
     }
 
     // Public API
     return {
-        init,
-        setCenter,
-        addPropertyMarker,
-        addBoreholeMarkers,
-        addCptMarkers,
-        drawPropertyBoundary,
-        clearPropertyBoundary,
-        clearBoreholeMarkers,
-        clearMarkers,
-        enableClickSearch,
-        addLegend,
-        invalidateSize,
-        destroy,
-        getMap: () => map
+        ...defaultInstance,
+        create,
+        toNztm,
+        fromNztm,
+        parseCoordinate,
+        measureSetbacks,
+        writeSiteData
     };
 })();
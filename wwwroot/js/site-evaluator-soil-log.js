@@ -0,0 +1,338 @@
+/**
+ * Site Evaluator Soil Log Viewer
+ * Draws stratigraphic columns from NZGD borehole soil layers as SVG
+ */
+const SiteEvaluatorSoilLog = (function () {
+    let container = null;
+    let selected = [];
+    let settings = {};
+
+    const SVG_NS = 'http://www.w3.org/2000/svg';
+    const COLUMN_HEIGHT = 360;
+    const COLUMN_WIDTH = 56;
+    const AXIS_WIDTH = 40;
+    const HEADER_HEIGHT = 34;
+
+    /**
+     * Soil type fills and hatch patterns
+     */
+    const soilTypes = {
+        topsoil: { label: 'Topsoil', color: '#6d4c2f', pattern: 'dots-fine' },
+        fill: { label: 'Fill', color: '#b0a89a', pattern: 'cross' },
+        clay: { label: 'Clay', color: '#c0873f', pattern: 'diagonal' },
+        silt: { label: 'Silt', color: '#d9c48c', pattern: 'dashes' },
+        sand: { label: 'Sand', color: '#f2dc8d', pattern: 'dots' },
+        gravel: { label: 'Gravel', color: '#c9b79c', pattern: 'circles' },
+        peat: { label: 'Peat', color: '#4e3b2a', pattern: 'horizontal' },
+        rock: { label: 'Rock', color: '#8d8d8d', pattern: 'brick' },
+        unknown: { label: 'Unclassified', color: '#e9ecef', pattern: null }
+    };
+
+    /**
+     * Initialize the viewer
+     * @param {string} containerId - ID of the container element
+     * @param {Object} options - { groundwaterLevel: site groundwater depth (m) }
+     */
+    function init(containerId, options = {}) {
+        container = document.getElementById(containerId);
+        if (!container) {
+            console.error('Soil log container not found:', containerId);
+            return;
+        }
+
+        settings = { groundwaterLevel: null, ...options };
+        selected = [];
+        container.innerHTML = '';
+    }
+
+    /**
+     * Show the soil log for a single borehole
+     */
+    function show(borehole) {
+        if (!container) return;
+
+        render([borehole], { detailed: true });
+    }
+
+    /**
+     * Add or remove a borehole from the cross-section selection
+     * @returns {boolean} Whether the borehole is now selected
+     */
+    function toggleSelection(borehole) {
+        if (!container) return false;
+
+        const index = selected.findIndex(b => getKey(b) === getKey(borehole));
+        if (index >= 0) {
+            selected.splice(index, 1);
+        } else {
+            selected.push(borehole);
+        }
+
+        if (selected.length >= 2) {
+            showCrossSection();
+        } else if (selected.length === 1) {
+            render(selected, { detailed: true });
+        } else {
+            clear();
+        }
+
+        return index < 0;
+    }
+
+    /**
+     * Show selected boreholes side by side on a shared depth scale
+     */
+    function showCrossSection() {
+        if (!container || selected.length === 0) return;
+
+        render(selected, { detailed: selected.length === 1 });
+    }
+
+    /**
+     * Clear the selection and the viewer
+     */
+    function clear() {
+        selected = [];
+        if (container) container.innerHTML = '';
+    }
+
+    function render(boreholes, { detailed }) {
+        const logged = boreholes.filter(b => b.soilLayers && b.soilLayers.length > 0);
+        const maxDepth = Math.max(
+            ...logged.map(b => Math.max(b.depth || 0, ...b.soilLayers.map(l => l.bottomDepth))),
+            settings.groundwaterLevel || 0,
+            1
+        );
+        const scale = COLUMN_HEIGHT / niceDepth(maxDepth);
+        const labelWidth = detailed ? 260 : 0;
+        const gap = detailed ? 0 : 48;
+        const width = AXIS_WIDTH + logged.length * COLUMN_WIDTH + (logged.length - 1) * gap + labelWidth + 10;
+        const height = HEADER_HEIGHT + COLUMN_HEIGHT + 10;
+
+        const title = logged.length > 1
+            ? `Indicative cross-section (${logged.length} boreholes)`
+            : `Soil log - ${escapeHtml(getLabel(logged[0] || boreholes[0]))}`;
+
+        let svg = `<svg xmlns="${SVG_NS}" class="soil-log-svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" role="img" aria-label="${title}">`;
+        svg += createPatternDefs();
+        svg += createDepthAxis(niceDepth(maxDepth), scale);
+
+        logged.forEach((borehole, i) => {
+            const x = AXIS_WIDTH + i * (COLUMN_WIDTH + gap);
+            svg += createColumn(borehole, x, scale, detailed);
+
+            if (i > 0) {
+                const spacing = distanceBetween(logged[i - 1], borehole);
+                if (spacing !== null) {
+                    svg += `<text class="soil-log-spacing" x="${x - gap / 2}" y="${HEADER_HEIGHT - 4}" text-anchor="middle">${spacing.toFixed(0)} m</text>`;
+                }
+            }
+        });
+
+        if (settings.groundwaterLevel != null && logged.length > 0) {
+            const y = HEADER_HEIGHT + settings.groundwaterLevel * scale;
+            const x2 = AXIS_WIDTH + logged.length * COLUMN_WIDTH + (logged.length - 1) * gap;
+            svg += `
+                <g class="soil-log-groundwater">
+                    <line x1="${AXIS_WIDTH}" y1="${y}" x2="${x2}" y2="${y}" />
+                    <path d="M${x2 + 2},${y - 7} l8,0 l-4,7 z" />
+                    <title>Estimated groundwater ${settings.groundwaterLevel.toFixed(1)} m below ground</title>
+                </g>`;
+        }
+
+        svg += '</svg>';
+
+        container.innerHTML = `
+            <div class="soil-log">
+                <div class="soil-log-header">
+                    <strong>${title}</strong>
+                    <button type="button" class="btn btn-sm btn-outline-secondary" data-action="close">
+                        <i class="fa fa-times"></i>
+                    </button>
+                </div>
+                ${logged.length > 0
+                    ? `<div class="soil-log-body">${svg}</div>${createLegend(logged)}`
+                    : '<p class="text-muted small mb-0">No soil layers recorded for this borehole.</p>'}
+                ${boreholes.length > logged.length && logged.length > 0
+                    ? `<p class="text-muted small mb-0">${boreholes.length - logged.length} selected borehole(s) have no soil layers and are not shown.</p>`
+                    : ''}
+                ${selected.length === 1
+                    ? '<p class="text-muted small mb-0">Add another borehole to build a cross-section.</p>'
+                    : ''}
+            </div>
+        `;
+
+        container.querySelector('[data-action="close"]').addEventListener('click', clear);
+    }
+
+    /**
+     * Draw one stratigraphic column
+     */
+    function createColumn(borehole, x, scale, detailed) {
+        let svg = `<text class="soil-log-title" x="${x + COLUMN_WIDTH / 2}" y="${HEADER_HEIGHT - 18}" text-anchor="middle">${escapeHtml(truncate(getLabel(borehole), 12))}</text>`;
+
+        borehole.soilLayers.forEach(layer => {
+            const type = getSoilType(layer);
+            const style = soilTypes[type];
+            const y = HEADER_HEIGHT + layer.topDepth * scale;
+            const h = Math.max((layer.bottomDepth - layer.topDepth) * scale, 1);
+            const tooltip = `${layer.topDepth.toFixed(1)}-${layer.bottomDepth.toFixed(1)} m: ${layer.description || style.label}`;
+
+            svg += `<g class="soil-log-layer"><title>${escapeHtml(tooltip)}</title>`;
+            svg += `<rect x="${x}" y="${y}" width="${COLUMN_WIDTH}" height="${h}" fill="${style.color}" />`;
+            if (style.pattern) {
+                svg += `<rect x="${x}" y="${y}" width="${COLUMN_WIDTH}" height="${h}" fill="url(#soil-${style.pattern})" />`;
+            }
+            svg += `<rect x="${x}" y="${y}" width="${COLUMN_WIDTH}" height="${h}" class="soil-log-outline" />`;
+            svg += '</g>';
+
+            if (detailed && h >= 12) {
+                svg += `<text class="soil-log-description" x="${x + COLUMN_WIDTH + 8}" y="${y + Math.min(h / 2, 14) + 4}">${escapeHtml(truncate(layer.description || style.label, 42))}</text>`;
+            }
+        });
+
+        // End of hole below the last logged layer
+        const endDepth = Math.max(borehole.depth || 0, ...borehole.soilLayers.map(l => l.bottomDepth));
+        const endY = HEADER_HEIGHT + endDepth * scale;
+        svg += `<line class="soil-log-eoh" x1="${x - 4}" y1="${endY}" x2="${x + COLUMN_WIDTH + 4}" y2="${endY}" />`;
+        svg += `<text class="soil-log-axis" x="${x + COLUMN_WIDTH / 2}" y="${endY + 12}" text-anchor="middle">EOH ${endDepth.toFixed(1)} m</text>`;
+
+        return svg;
+    }
+
+    /**
+     * Draw the depth scale
+     */
+    function createDepthAxis(depth, scale) {
+        const step = depth <= 10 ? 1 : depth <= 25 ? 2.5 : 5;
+        let svg = `<line class="soil-log-outline" x1="${AXIS_WIDTH - 6}" y1="${HEADER_HEIGHT}" x2="${AXIS_WIDTH - 6}" y2="${HEADER_HEIGHT + depth * scale}" />`;
+
+        for (let d = 0; d <= depth + 0.001; d += step) {
+            const y = HEADER_HEIGHT + d * scale;
+            svg += `<line class="soil-log-outline" x1="${AXIS_WIDTH - 10}" y1="${y}" x2="${AXIS_WIDTH - 6}" y2="${y}" />`;
+            svg += `<text class="soil-log-axis" x="${AXIS_WIDTH - 12}" y="${y + 3}" text-anchor="end">${d}</text>`;
+        }
+        svg += `<text class="soil-log-axis" x="2" y="${HEADER_HEIGHT - 4}">m bgl</text>`;
+
+        return svg;
+    }
+
+    /**
+     * Hatch pattern definitions
+     */
+    function createPatternDefs() {
+        return `
+            <defs>
+                <pattern id="soil-dots" width="6" height="6" patternUnits="userSpaceOnUse">
+                    <circle cx="3" cy="3" r="0.9" fill="#5c4a1e" />
+                </pattern>
+                <pattern id="soil-dots-fine" width="4" height="4" patternUnits="userSpaceOnUse">
+                    <circle cx="2" cy="2" r="0.6" fill="#f5e6d3" />
+                </pattern>
+                <pattern id="soil-circles" width="10" height="10" patternUnits="userSpaceOnUse">
+                    <circle cx="5" cy="5" r="3" fill="none" stroke="#5d4e37" stroke-width="0.8" />
+                </pattern>
+                <pattern id="soil-diagonal" width="6" height="6" patternUnits="userSpaceOnUse" patternTransform="rotate(45)">
+                    <line x1="0" y1="0" x2="0" y2="6" stroke="#6b4423" stroke-width="1" />
+                </pattern>
+                <pattern id="soil-dashes" width="10" height="5" patternUnits="userSpaceOnUse">
+                    <line x1="1" y1="2.5" x2="6" y2="2.5" stroke="#7a6a3a" stroke-width="1" />
+                </pattern>
+                <pattern id="soil-horizontal" width="6" height="4" patternUnits="userSpaceOnUse">
+                    <line x1="0" y1="2" x2="6" y2="2" stroke="#a68b6d" stroke-width="0.8" />
+                </pattern>
+                <pattern id="soil-cross" width="8" height="8" patternUnits="userSpaceOnUse">
+                    <path d="M0,0 L8,8 M8,0 L0,8" stroke="#6c6458" stroke-width="0.7" />
+                </pattern>
+                <pattern id="soil-brick" width="12" height="8" patternUnits="userSpaceOnUse">
+                    <path d="M0,0 H12 M0,4 H12 M6,0 V4 M0,4 V8" stroke="#555" stroke-width="0.7" fill="none" />
+                </pattern>
+            </defs>`;
+    }
+
+    /**
+     * Legend for the soil types shown
+     */
+    function createLegend(boreholes) {
+        const types = [...new Set(boreholes.flatMap(b => b.soilLayers.map(getSoilType)))];
+
+        return `
+            <div class="soil-log-legend">
+                ${types.map(type => `
+                    <span class="soil-log-legend-item">
+                        <svg width="14" height="10"><rect width="14" height="10" fill="${soilTypes[type].color}" stroke="#333" stroke-width="0.5" /></svg>
+                        ${soilTypes[type].label}
+                    </span>
+                `).join('')}
+                ${settings.groundwaterLevel != null ? `
+                    <span class="soil-log-legend-item">
+                        <svg width="14" height="10"><line x1="0" y1="5" x2="14" y2="5" stroke="#1f6fb2" stroke-width="1.5" stroke-dasharray="3 2" /></svg>
+                        Groundwater (est.)
+                    </span>` : ''}
+            </div>`;
+    }
+
+    /**
+     * Resolve a soil type key from the layer's SoilType or its description
+     */
+    function getSoilType(layer) {
+        const match = text => Object.keys(soilTypes).find(type => type !== 'unknown' && text.includes(type))
+            || (/greywacke|basalt|ecbf|sandstone|mudstone/.test(text) ? 'rock' : null);
+
+        return match((layer.soilType || '').toLowerCase())
+            || match((layer.description || '').toLowerCase())
+            || 'unknown';
+    }
+
+    function getKey(borehole) {
+        return borehole.nzgdId || borehole.id || `${borehole.latitude},${borehole.longitude}`;
+    }
+
+    function getLabel(borehole) {
+        return (borehole && (borehole.nzgdId || borehole.id)) || 'Borehole';
+    }
+
+    /**
+     * Round the deepest depth up to a whole scale interval
+     */
+    function niceDepth(depth) {
+        const step = depth <= 10 ? 1 : depth <= 25 ? 2.5 : 5;
+        return Math.ceil(depth / step) * step;
+    }
+
+    /**
+     * Horizontal distance between two boreholes (m)
+     */
+    function distanceBetween(a, b) {
+        if (a.latitude == null || b.latitude == null) return null;
+
+        const toRad = deg => deg * Math.PI / 180;
+        const dLat = toRad(b.latitude - a.latitude);
+        const dLon = toRad(b.longitude - a.longitude);
+        const h = Math.sin(dLat / 2) ** 2 +
+            Math.cos(toRad(a.latitude)) * Math.cos(toRad(b.latitude)) * Math.sin(dLon / 2) ** 2;
+
+        return 6371000 * 2 * Math.atan2(Math.sqrt(h), Math.sqrt(1 - h));
+    }
+
+    function truncate(text, length) {
+        return text.length > length ? text.substring(0, length - 1) + '…' : text;
+    }
+
+    function escapeHtml(text) {
+        if (!text) return '';
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+
+    // Public API
+    return {
+        init,
+        show,
+        toggleSelection,
+        showCrossSection,
+        clear,
+        isSelected: borehole => selected.some(b => getKey(b) === getKey(borehole))
+    };
+})();
@@ -20,6 +20,7 @@
         init: function(config) {
             this.currentStep = config.currentStep || 1;
             this.totalSteps = config.totalSteps || 8;
+            this.mapOptions = config.map || {};
             
             // Initialize FlowStepper if available
             if (window.FlowStepper) {
@@ -32,8 +33,19 @@
             
             this.initAddressAutocomplete();
             this.initPropertyMatchCards();
+            this.initCandidateMap();
             this.initSearchTypeTabs();
+            this.initCoordinateSystemToggle();
+            this.initIdentifierValidation();
+            this.initCoordinatePick();
             this.initIntendedUseForm();
+            this.initComplianceCheck(config.zoning);
+            this.initHazardRegister(config.hazardSite);
+            this.initIdfChart(config.rainfall);
+            this.initWindCalculator(config.wind);
+            this.initDraftAutosave(config.draft);
+            this.initSourceStatus();
+            this.initReportBuilder();
         },
         
         // ========================================
@@ -41,218 +53,1915 @@
         // ========================================
         
         initAddressAutocomplete: function() {
+            if (typeof SiteEvaluatorAddressAutocomplete === 'undefined' || !document.getElementById('address')) return;
+            
+            this.addressAutocomplete = SiteEvaluatorAddressAutocomplete.attach('address', {
+                listbox: 'addressSuggestions'
+            });
+        },
+        
+        escapeHtml: function(text) {
+            if (!text) return '';
+            const div = document.createElement('div');
+            div.textContent = text;
+            return div.innerHTML;
+        },
+        
+        // ========================================
+        // Property Match Cards
+        // ========================================
+        
+        initPropertyMatchCards: function() {
+            document.querySelectorAll('.property-match-card').forEach(function(card) {
+                card.addEventListener('click', function() {
+                    document.querySelectorAll('.property-match-card').forEach(function(c) {
+                        c.classList.remove('selected');
+                    });
+                    this.classList.add('selected');
+                    const radio = this.querySelector('input[type="radio"]');
+                    if (radio) radio.checked = true;
+                });
+            });
+        },
+        
+        // ========================================
+        // Candidate Parcels Map (Step 2)
+        // ========================================
+        
+        candidateColours: ['#e74c3c', '#3498db', '#27ae60', '#f39c12', '#8e44ad', '#16a085', '#d35400', '#2c3e50'],
+        
+        initCandidateMap: function() {
+            const container = document.getElementById('candidateMap');
+            const cards = Array.from(document.querySelectorAll('.property-match-card[data-candidate-lat][data-candidate-lng]'));
+            if (!container || cards.length === 0) return;
+            if (typeof SiteEvaluatorMap === 'undefined' || typeof L === 'undefined') {
+                container.parentElement.classList.add('d-none');
+                return;
+            }
+            
+            const self = this;
+            this.candidateMap = SiteEvaluatorMap.create('candidateMap', Object.assign({}, this.mapOptions, { zoom: 17 }));
+            const map = this.candidateMap.getMap();
+            const bounds = L.latLngBounds([]);
+            
+            this.candidates = cards.map(function(card, i) {
+                const colour = self.candidateColours[i % self.candidateColours.length];
+                const lat = parseFloat(card.dataset.candidateLat);
+                const lng = parseFloat(card.dataset.candidateLng);
+                const candidate = {
+                    card: card,
+                    colour: colour,
+                    layer: L.layerGroup().addTo(map),
+                    shapes: []
+                };
+                
+                card.style.setProperty('--candidate-colour', colour);
+                card.classList.add('has-candidate-colour');
+                
+                // A point until the parcel outline arrives
+                self.addCandidateShape(candidate, L.circleMarker([lat, lng], { radius: 7 }));
+                bounds.extend([lat, lng]);
+                
+                card.addEventListener('mouseenter', function() { self.highlightCandidate(candidate, true); });
+                card.addEventListener('mouseleave', function() { self.highlightCandidate(candidate, false); });
+                card.addEventListener('click', function() { self.styleCandidates(); });
+                
+                return candidate;
+            });
+            
+            if (bounds.isValid()) map.fitBounds(bounds, { padding: [40, 40], maxZoom: 18 });
+            this.styleCandidates();
+            
+            // Candidates at the same point share one lookup
+            const lookups = {};
+            this.candidates.forEach(function(candidate) {
+                const key = candidate.card.dataset.candidateLat + ',' + candidate.card.dataset.candidateLng;
+                lookups[key] = lookups[key] || self.fetchCandidateParcel(candidate.card.dataset.candidateLat, candidate.card.dataset.candidateLng);
+                lookups[key].then(function(parcel) {
+                    if (parcel) self.showCandidateParcel(candidate, parcel, bounds);
+                });
+            });
+        },
+        
+        fetchCandidateParcel: function(lat, lng) {
+            return fetch('/api/siteevaluator/parcels/at?lat=' + encodeURIComponent(lat) + '&lng=' + encodeURIComponent(lng))
+                .then(function(response) { return response.ok ? response.json() : null; })
+                .catch(function(error) {
+                    console.warn('Failed to load candidate parcel:', error);
+                    return null;
+                });
+        },
+        
+        showCandidateParcel: function(candidate, parcel, bounds) {
+            const boundary = (parcel.boundary || []).map(function(c) { return [c.latitude, c.longitude]; });
+            
+            if (boundary.length >= 3) {
+                candidate.layer.clearLayers();
+                candidate.shapes = [];
+                this.addCandidateShape(candidate, L.polygon(boundary));
+                boundary.forEach(function(point) { bounds.extend(point); });
+                this.candidateMap.getMap().fitBounds(bounds, { padding: [20, 20], maxZoom: 18 });
+                this.styleCandidates();
+            }
+            
+            // The legal description is what tells cross-leases and rear lots apart
+            const legal = candidate.card.querySelector('[data-candidate-legal]');
+            if (legal && !legal.textContent.trim() && parcel.legalDescription) {
+                legal.innerHTML = '<i class="fa fa-vector-square me-1"></i> ' + this.escapeHtml(parcel.legalDescription);
+            }
+        },
+        
+        addCandidateShape: function(candidate, shape) {
+            const self = this;
+            
+            shape.bindTooltip(this.escapeHtml(candidate.card.dataset.candidateLabel), { sticky: true });
+            shape.on('click', function() { self.selectCandidate(candidate); });
+            shape.on('mouseover', function() { self.highlightCandidate(candidate, true); });
+            shape.on('mouseout', function() { self.highlightCandidate(candidate, false); });
+            
+            candidate.shapes.push(shape);
+            candidate.layer.addLayer(shape);
+        },
+        
+        highlightCandidate: function(candidate, on) {
+            candidate.highlighted = on;
+            candidate.card.classList.toggle('candidate-highlight', on);
+            this.styleCandidates();
+            if (on) candidate.shapes.forEach(function(shape) { shape.bringToFront(); });
+        },
+        
+        styleCandidates: function() {
+            (this.candidates || []).forEach(function(candidate) {
+                const strong = candidate.highlighted || candidate.card.classList.contains('selected');
+                candidate.shapes.forEach(function(shape) {
+                    shape.setStyle({
+                        color: candidate.colour,
+                        fillColor: candidate.colour,
+                        weight: strong ? 4 : 2,
+                        opacity: 1,
+                        fillOpacity: strong ? 0.4 : 0.15
+                    });
+                });
+            });
+        },
+        
+        // Clicking a parcel behaves like clicking its card, including its inline selectJob/selectExisting handler
+        selectCandidate: function(candidate) {
+            const linzSection = document.getElementById('linzMatchesSection');
+            if (linzSection && linzSection.contains(candidate.card) && linzSection.style.display === 'none') {
+                const createNew = document.getElementById('createNewJobCheck') || document.getElementById('createNewCheck');
+                if (createNew && !createNew.checked) createNew.click();
+            }
+            
+            candidate.card.click();
+            candidate.card.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+        },
+        
+        // ========================================
+        // Search Type Tabs
+        // ========================================
+        
+        initSearchTypeTabs: function() {
+            const searchTypeInput = document.getElementById('searchType');
+            if (!searchTypeInput) return;
+            
+            const self = this;
+            document.querySelectorAll('[data-search-type]').forEach(function(tab) {
+                tab.addEventListener('shown.bs.tab', function(e) {
+                    self.activateSearchType(e.target);
+                });
+            });
+            
+            const active = document.querySelector('[data-search-type].active');
+            if (active) this.activateSearchType(active);
+        },
+        
+        // Only the visible tab's input is required, so the other search types can be submitted
+        activateSearchType: function(tab) {
+            document.getElementById('searchType').value = tab.dataset.searchType;
+            
+            document.querySelectorAll('.tab-pane [data-search-input]').forEach(function(input) {
+                input.required = false;
+            });
+            const pane = document.querySelector(tab.dataset.bsTarget);
+            if (pane) {
+                pane.querySelectorAll('[data-search-input]').forEach(function(input) {
+                    input.required = true;
+                });
+            }
+            
+            // The pick map can only be sized once its tab is visible
+            if (tab.dataset.searchType === 'coordinates') this.initPickMap();
+        },
+        
+        // ========================================
+        // Title Reference & Legal Description
+        // ========================================
+        
+        identifierRules: {
+            title: {
+                // Land district register (CB45A/123) or computer register number (123456)
+                pattern: /^([A-Z]{2,3}\d{1,4}[A-Z]?\/\d{1,4}|\d{5,7})$/,
+                example: 'CB45A/123',
+                normalise: function(value) {
+                    return value.replace(/\s+/g, '').toUpperCase();
+                },
+                suggest: function(value) {
+                    const text = value.trim().toUpperCase();
+                    
+                    // Wrong separator: "CB45A-123", "CB45A 123", "CB45A\123"
+                    let match = text.match(/^([A-Z]{2,3})\s*(\d{1,4}[A-Z]?)\s*[\s\-\\.|]\s*(\d{1,4})$/);
+                    if (match) return match[1] + match[2] + '/' + match[3];
+                    
+                    // Missing separator where the volume ends in a letter: "CB45A123"
+                    match = text.replace(/\s+/g, '').match(/^([A-Z]{2,3}\d{1,4}[A-Z])(\d{1,4})$/);
+                    if (match) return match[1] + '/' + match[2];
+                    
+                    return null;
+                },
+                hint: function(value) {
+                    if (/^[A-Z]{2,3}\d+$/i.test(value.replace(/\s+/g, ''))) {
+                        return 'Add a / between the volume and folio, e.g. CB45A/123';
+                    }
+                    return 'Title references look like CB45A/123 (land district, volume/folio) or 123456';
+                }
+            },
+            legal: {
+                // Parcel on a survey plan, or a section in a town or survey district
+                pattern: /^((Pt|Part) )?(Lot|Sec|Section|Allot|Allotment|Flat|Unit) [A-Z0-9]+(( .+)? (DPS|DP|LT|SO|FP|ML|UP|SP) \d+| .+ (Town|Settlement|SD|Survey District)( of .+)?)$/i,
+                example: 'Lot 2 DP 12345',
+                normalise: function(value) {
+                    return value.trim()
+                        .replace(/\s+/g, ' ')
+                        .replace(/\b(pt|part|lot|sec|section|allot|allotment|flat|unit)(?=\s|\d|$)\s*/gi, function(word) {
+                            word = word.trim();
+                            return word.charAt(0).toUpperCase() + word.slice(1).toLowerCase() + ' ';
+                        })
+                        .replace(/\b(DPS|DP|LT|SO|FP|ML|UP|SP)\s*(\d+)\b/gi, function(m, plan, number) {
+                            return plan.toUpperCase() + ' ' + number;
+                        })
+                        .trim();
+                },
+                suggest: function() {
+                    return null;
+                },
+                hint: function(value) {
+                    if (/^((pt|part)\s+)?(lot|sec|section|allot|allotment|flat|unit)\s*[a-z0-9]+$/i.test(value.trim())) {
+                        return 'Add the survey plan, e.g. Lot 2 DP 12345';
+                    }
+                    if (/\b(DPS|DP|LT|SO|FP|ML|UP|SP)\s*\d+/i.test(value)) {
+                        return 'Start with the parcel, e.g. Lot 2 DP 12345 or Pt Sec 4 SO 1234';
+                    }
+                    return 'Legal descriptions look like Lot 2 DP 12345 or Pt Sec 509 Christchurch Town';
+                }
+            }
+        },
+        
+        initIdentifierValidation: function() {
+            const self = this;
+            const inputs = document.querySelectorAll('input[data-identifier]');
+            if (inputs.length === 0) return;
+            
+            inputs.forEach(function(input) {
+                const rule = self.identifierRules[input.dataset.identifier];
+                const feedback = input.parentElement.querySelector('[data-identifier-feedback]');
+                if (!rule) return;
+                
+                // Re-check as the user corrects an invalid entry, but don't nag while first typing
+                input.addEventListener('input', function() {
+                    if (input.classList.contains('is-invalid')) self.validateIdentifier(input, rule, feedback);
+                });
+                input.addEventListener('blur', function() {
+                    if (input.value.trim()) self.validateIdentifier(input, rule, feedback);
+                });
+                
+                if (feedback) {
+                    feedback.addEventListener('click', function(e) {
+                        const button = e.target.closest('[data-suggestion]');
+                        if (!button) return;
+                        input.value = button.dataset.suggestion;
+                        self.validateIdentifier(input, rule, feedback);
+                        input.focus();
+                    });
+                }
+            });
+            
+            const form = document.getElementById('addressForm');
+            if (form) {
+                form.addEventListener('submit', function(e) {
+                    const input = form.querySelector('.tab-pane.active input[data-identifier]');
+                    if (!input) return;
+                    
+                    const rule = self.identifierRules[input.dataset.identifier];
+                    const feedback = input.parentElement.querySelector('[data-identifier-feedback]');
+                    if (!self.validateIdentifier(input, rule, feedback)) {
+                        e.preventDefault();
+                        e.stopImmediatePropagation();
+                        input.focus();
+                    }
+                });
+            }
+        },
+        
+        /**
+         * Normalise a title reference or legal description in place, flagging it with a hint if invalid
+         * @returns {boolean} Whether the value is valid
+         */
+        validateIdentifier: function(input, rule, feedback) {
+            const normalised = rule.normalise(input.value);
+            const valid = rule.pattern.test(normalised);
+            
+            if (valid) {
+                input.value = normalised;
+            } else if (feedback) {
+                const suggestion = normalised ? rule.suggest(input.value) : null;
+                feedback.innerHTML = !normalised
+                    ? 'Required - e.g. ' + this.escapeHtml(rule.example)
+                    : suggestion && rule.pattern.test(suggestion)
+                        ? 'Did you mean <button type="button" class="btn btn-link p-0 align-baseline" data-suggestion="' +
+                            this.escapeHtml(suggestion) + '">' + this.escapeHtml(suggestion) + '</button>?'
+                        : this.escapeHtml(rule.hint(input.value));
+            }
+            
+            input.classList.toggle('is-invalid', !valid);
+            input.setAttribute('aria-invalid', valid ? 'false' : 'true');
+            return valid;
+        },
+        
+        // ========================================
+        // Coordinate Paste & Map Pick
+        // ========================================
+        
+        initCoordinatePick: function() {
+            const pasteInput = document.getElementById('coordsPaste');
+            if (!pasteInput) return;
+            
+            const self = this;
+            
+            pasteInput.addEventListener('input', function() {
+                const text = pasteInput.value.trim();
+                const point = text && typeof SiteEvaluatorMap !== 'undefined'
+                    ? SiteEvaluatorMap.parseCoordinate(text)
+                    : null;
+                
+                pasteInput.classList.toggle('is-invalid', !!text && !point);
+                if (point) self.setPickedCoordinate(point.lat, point.lng, { pan: true });
+            });
+            
+            // Typed coordinates move the pick marker too
+            ['latitude', 'longitude'].forEach(function(id) {
+                const input = document.getElementById(id);
+                if (input) input.addEventListener('change', function() { self.syncPickMarker('wgs84'); });
+            });
+            ['easting', 'northing'].forEach(function(id) {
+                const input = document.getElementById(id);
+                if (input) input.addEventListener('change', function() { self.syncPickMarker('nztm'); });
+            });
+        },
+        
+        initPickMap: function() {
+            if (this.pickMap) {
+                this.pickMap.invalidateSize();
+                return;
+            }
+            if (typeof SiteEvaluatorMap === 'undefined' || typeof L === 'undefined' || !document.getElementById('coordsPickMap')) return;
+            
+            const self = this;
+            const lat = parseFloat(document.getElementById('latitude').value);
+            const lng = parseFloat(document.getElementById('longitude').value);
+            const hasPoint = !isNaN(lat) && !isNaN(lng);
+            
+            // Whole country until a point is chosen
+            this.pickMap = SiteEvaluatorMap.create('coordsPickMap', Object.assign({}, this.mapOptions, {
+                center: hasPoint ? [lat, lng] : [-41.0, 173.0],
+                zoom: hasPoint ? 16 : 5
+            }));
+            this.pickMap.addCoordinateControl();
+            this.pickMap.enableClickSearch(function(clickLat, clickLng) {
+                self.setPickedCoordinate(clickLat, clickLng);
+            });
+            
+            if (hasPoint) this.placePickMarker(lat, lng);
+        },
+        
+        /**
+         * Fill both the WGS84 and NZTM2000 inputs, so either coordinate system submits the same point
+         */
+        setPickedCoordinate: function(lat, lng, options) {
+            const values = {
+                latitude: lat.toFixed(6),
+                longitude: lng.toFixed(6)
+            };
+            if (typeof SiteEvaluatorMap !== 'undefined') {
+                const nztm = SiteEvaluatorMap.toNztm(lat, lng);
+                values.easting = nztm.easting.toFixed(1);
+                values.northing = nztm.northing.toFixed(1);
+            }
+            
+            Object.keys(values).forEach(function(id) {
+                const input = document.getElementById(id);
+                if (input) {
+                    input.value = values[id];
+                    input.dispatchEvent(new Event('input', { bubbles: true }));
+                }
+            });
+            
+            this.placePickMarker(lat, lng, options && options.pan);
+        },
+        
+        syncPickMarker: function(system) {
+            let point = null;
+            
+            if (system === 'nztm') {
+                const easting = parseFloat(document.getElementById('easting').value);
+                const northing = parseFloat(document.getElementById('northing').value);
+                if (!isNaN(easting) && !isNaN(northing) && typeof SiteEvaluatorMap !== 'undefined') {
+                    point = SiteEvaluatorMap.parseCoordinate(easting + ' ' + northing);
+                }
+            } else {
+                const lat = parseFloat(document.getElementById('latitude').value);
+                const lng = parseFloat(document.getElementById('longitude').value);
+                if (!isNaN(lat) && !isNaN(lng)) point = { lat: lat, lng: lng };
+            }
+            
+            if (point) this.setPickedCoordinate(point.lat, point.lng, { pan: true });
+        },
+        
+        placePickMarker: function(lat, lng, pan) {
+            if (!this.pickMap) return;
+            
+            const self = this;
+            this.pickMap.clearMarkers();
+            const marker = this.pickMap.addPropertyMarker(lat, lng, { draggable: true });
+            if (marker) {
+                marker.on('dragend', function() {
+                    const position = marker.getLatLng();
+                    self.setPickedCoordinate(position.lat, position.lng);
+                });
+            }
+            
+            if (pan) this.pickMap.setCenter(lat, lng, Math.max(this.pickMap.getMap().getZoom(), 16));
+        },
+        
+        // ========================================
+        // Coordinate System (WGS84 / NZTM2000)
+        // ========================================
+        
+        initCoordinateSystemToggle: function() {
+            const wgs84Inputs = document.getElementById('wgs84Inputs');
+            const nztmInputs = document.getElementById('nztmInputs');
+            if (!wgs84Inputs || !nztmInputs) return;
+            
+            const help = document.getElementById('coordsHelp');
+            
+            const update = function() {
+                const checked = document.querySelector('input[name="CoordinateSystem"]:checked');
+                const system = checked ? checked.value : 'wgs84';
+                
+                wgs84Inputs.classList.toggle('d-none', system === 'nztm');
+                nztmInputs.classList.toggle('d-none', system !== 'nztm');
+                if (help) {
+                    help.querySelectorAll('[data-system]').forEach(function(el) {
+                        el.classList.toggle('d-none', el.dataset.system !== system);
+                    });
+                }
+            };
+            
+            document.querySelectorAll('input[name="CoordinateSystem"]').forEach(function(radio) {
+                radio.addEventListener('change', update);
+            });
+            update();
+        },
+        
+        // ========================================
+        // Intended Use Form
+        // ========================================
+        
+        initIntendedUseForm: function() {
+            const useCategorySelect = document.getElementById('intendedUseCategory');
+            const residentialParams = document.getElementById('residentialParams');
+            const commercialParams = document.getElementById('commercialParams');
+            const specificUseInput = document.getElementById('specificUse');
+            
+            if (!useCategorySelect) return;
+            
+            const specificUsePlaceholders = {
+                'Residential': 'e.g., Single dwelling, Townhouses, Apartments...',
+                'Commercial': 'e.g., Retail shop, Office, Restaurant, Hotel...',
+                'Industrial': 'e.g., Warehouse, Manufacturing, Logistics...',
+                'MixedUse': 'e.g., Retail with apartments above...',
+                'Rural': 'e.g., Dairy farm, Vineyard, Lifestyle block...',
+                'Community': 'e.g., School, Church, Community centre...',
+                'OpenSpace': 'e.g., Park, Sports field, Reserve...',
+                'Other': 'Describe the intended use...'
+            };
+            
+            useCategorySelect.addEventListener('change', function() {
+                const category = this.value;
+                
+                // Update placeholder
+                if (specificUseInput) {
+                    specificUseInput.placeholder = specificUsePlaceholders[category] || 
+                        'Describe the intended use...';
+                }
+                
+                // Show/hide relevant parameter sections
+                if (residentialParams && commercialParams) {
+                    if (category === 'Residential' || category === 'MixedUse') {
+                        residentialParams.style.display = '';
+                        commercialParams.style.display = 'none';
+                    } else if (category === 'Commercial' || category === 'Industrial') {
+                        residentialParams.style.display = 'none';
+                        commercialParams.style.display = '';
+                    } else {
+                        residentialParams.style.display = 'none';
+                        commercialParams.style.display = 'none';
+                    }
+                }
+            });
+            
+            this.applyProposedDevelopment();
+        },
+        
+        // Coverage and GFA from a footprint drawn on the site map (Search page)
+        applyProposedDevelopment: function() {
+            const stored = sessionStorage.getItem('siteEvaluator.proposedDevelopment');
+            if (!stored) return;
+            sessionStorage.removeItem('siteEvaluator.proposedDevelopment');
+            
+            let proposed;
+            try {
+                proposed = JSON.parse(stored);
+            } catch (e) {
+                return;
+            }
+            
             const addressInput = document.getElementById('address');
-            const suggestionsContainer = document.getElementById('addressSuggestions');
+            if (addressInput && !addressInput.value && proposed.address) {
+                addressInput.value = proposed.address;
+            }
+            
+            const coverageInput = document.querySelector('input[name="ProposedCoverage"]');
+            const gfaInput = document.querySelector('input[name="ProposedGfa"]');
+            if (coverageInput && proposed.coverage != null) coverageInput.value = proposed.coverage;
+            if (gfaInput && proposed.gfa != null) gfaInput.value = proposed.gfa;
+            
+            const newDevelopment = document.getElementById('isNewDevelopment');
+            if (newDevelopment) newDevelopment.checked = true;
+            
+            const details = document.getElementById('developmentDetails');
+            if (details) details.classList.add('show');
+        },
+        
+        // ========================================
+        // Planning Compliance
+        // ========================================
+        
+        // Within this fraction of a limit counts as marginal
+        complianceMargin: 0.1,
+        
+        // Storey height assumed when estimating the GFA envelope from the height limit
+        storeyHeight: 3,
+        
+        /**
+         * Check proposed height, coverage, units and GFA live against the site's zoning rules.
+         * Inputs opt in with data-compliance-field; the breach count goes to [data-compliance-summary].
+         * @param {Object} rules - { zone, maxHeight, maxCoverage, maxUnitsPerSite, minSiteArea, siteArea }
+         */
+        initComplianceCheck: function(rules) {
+            const inputs = document.querySelectorAll('[data-compliance-field]');
+            if (!rules || inputs.length === 0) return;
+            
+            const self = this;
+            const summary = document.querySelector('[data-compliance-summary]');
+            
+            inputs.forEach(function(input) {
+                const badge = document.createElement('div');
+                badge.className = 'compliance-badge';
+                input.insertAdjacentElement('afterend', badge);
+                input.addEventListener('input', update);
+            });
+            
+            function update() {
+                const values = {};
+                inputs.forEach(function(input) {
+                    values[input.dataset.complianceField] = input.value === '' ? null : parseFloat(input.value);
+                });
+                
+                const counts = { pass: 0, marginal: 0, breach: 0 };
+                
+                inputs.forEach(function(input) {
+                    const result = self.checkCompliance(input.dataset.complianceField, values, rules);
+                    const badge = input.nextElementSibling;
+                    
+                    if (!result) {
+                        badge.className = 'compliance-badge';
+                        badge.innerHTML = '';
+                        return;
+                    }
+                    
+                    counts[result.status]++;
+                    badge.className = 'compliance-badge ' + result.status;
+                    badge.innerHTML = '<span class="compliance-status">' + self.complianceLabels[result.status] + '</span> ' +
+                        self.escapeHtml(result.rule);
+                });
+                
+                if (summary) {
+                    self.renderComplianceSummary(summary, counts, rules);
+                }
+            }
+            
+            update();
+        },
+        
+        complianceLabels: {
+            pass: '<i class="fa fa-check-circle"></i> Complies',
+            marginal: '<i class="fa fa-exclamation-circle"></i> Marginal',
+            breach: '<i class="fa fa-times-circle"></i> Breach'
+        },
+        
+        /**
+         * Check one proposed value against the applicable rule
+         * @returns {{status: string, rule: string}|null} null when there is no value or no rule
+         */
+        checkCompliance: function(field, values, rules) {
+            const value = values[field];
+            if (value == null || isNaN(value)) return null;
+            
+            const self = this;
+            const against = function(limit, rule) {
+                if (value > limit) return { status: 'breach', rule: rule };
+                if (value > limit * (1 - self.complianceMargin)) return { status: 'marginal', rule: rule };
+                return { status: 'pass', rule: rule };
+            };
+            
+            switch (field) {
+                case 'height':
+                    if (rules.maxHeight == null) return null;
+                    return against(rules.maxHeight, 'Max height ' + rules.maxHeight + ' m');
+                    
+                case 'coverage':
+                    if (rules.maxCoverage == null) return null;
+                    return against(rules.maxCoverage, 'Max site coverage ' + rules.maxCoverage + '%');
+                    
+                case 'units': {
+                    const checks = [];
+                    if (rules.maxUnitsPerSite != null) {
+                        checks.push(against(rules.maxUnitsPerSite, 'Max ' + rules.maxUnitsPerSite + ' units per site'));
+                    }
+                    // Density - each unit needs at least the minimum site area
+                    if (rules.minSiteArea != null && rules.siteArea && value > 0) {
+                        const allowed = Math.floor(rules.siteArea / rules.minSiteArea);
+                        checks.push(against(allowed, 'Min ' + rules.minSiteArea + ' m\u00b2 site area per unit (' +
+                            allowed + ' on ' + Math.round(rules.siteArea) + ' m\u00b2)'));
+                    }
+                    return this.worstCompliance(checks);
+                }
+                    
+                case 'gfa': {
+                    if (rules.maxCoverage == null || rules.maxHeight == null || !rules.siteArea) return null;
+                    // No GFA rule in the zoning data - compare with the envelope coverage and height allow
+                    const storeys = Math.max(1, Math.floor(rules.maxHeight / this.storeyHeight));
+                    const envelope = Math.round(rules.siteArea * rules.maxCoverage / 100 * storeys);
+                    return against(envelope, 'Indicative envelope ' + envelope + ' m\u00b2 (' +
+                        rules.maxCoverage + '% coverage \u00d7 ' + storeys + ' storeys)');
+                }
+            }
+            
+            return null;
+        },
+        
+        worstCompliance: function(checks) {
+            const order = ['pass', 'marginal', 'breach'];
+            return checks.reduce(function(worst, check) {
+                return !worst || order.indexOf(check.status) > order.indexOf(worst.status) ? check : worst;
+            }, null);
+        },
+        
+        renderComplianceSummary: function(summary, counts, rules) {
+            const checked = counts.pass + counts.marginal + counts.breach;
+            const zone = rules.zone ? ' ' + this.escapeHtml(rules.zone) : '';
+            
+            if (checked === 0) {
+                summary.className = 'compliance-summary';
+                summary.innerHTML = '<i class="fa fa-info-circle me-1"></i>Enter proposed parameters to check them against the' + zone + ' zone rules.';
+            } else if (counts.breach > 0) {
+                summary.className = 'compliance-summary breach';
+                summary.innerHTML = '<i class="fa fa-times-circle me-1"></i><strong>' + counts.breach + ' breach' +
+                    (counts.breach === 1 ? '' : 'es') + '</strong> of the' + zone + ' zone rules - resource consent is likely to be required.' +
+                    (counts.marginal > 0 ? ' ' + counts.marginal + ' marginal.' : '');
+            } else if (counts.marginal > 0) {
+                summary.className = 'compliance-summary marginal';
+                summary.innerHTML = '<i class="fa fa-exclamation-circle me-1"></i>No breaches, but <strong>' + counts.marginal +
+                    '</strong> within ' + Math.round(this.complianceMargin * 100) + '% of a limit - confirm against the district plan.';
+            } else {
+                summary.className = 'compliance-summary pass';
+                summary.innerHTML = '<i class="fa fa-check-circle me-1"></i>All ' + checked + ' checked parameters comply with the' + zone + ' zone rules.';
+            }
+        },
+        
+        // ========================================
+        // Hazard Risk Register (Step 4)
+        // ========================================
+        
+        /**
+         * Link the risk matrix, hazard list and site map: selecting a hazard in either
+         * expands its actions and highlights its overlay. Reviews are saved as they are made.
+         * @param {Object} site - { latitude, longitude, boundary, faults } for the map, or null
+         */
+        initHazardRegister: function(site) {
+            const container = document.getElementById('hazardRegister');
+            if (!container) return;
+            
+            const self = this;
+            this.hazardRegister = {
+                container: container,
+                site: site,
+                filters: { rating: '', status: '', search: '', cell: null }
+            };
+            container.classList.add('interactive');
+            
+            container.addEventListener('click', function(e) {
+                const select = e.target.closest('[data-hazard-select]');
+                if (select) {
+                    const fromList = select.classList.contains('hazard-item-header');
+                    self.selectHazard(select.dataset.hazardSelect, { toggle: fromList, scroll: !fromList });
+                    return;
+                }
+                
+                const rating = e.target.closest('[data-hazard-rating]');
+                if (rating) {
+                    self.hazardRegister.filters.rating = rating.dataset.hazardRating;
+                    container.querySelectorAll('[data-hazard-rating]').forEach(function(b) { b.classList.toggle('active', b === rating); });
+                    self.applyHazardFilters();
+                    return;
+                }
+                
+                if (e.target.closest('[data-hazard-cell-clear]')) {
+                    self.hazardRegister.filters.cell = null;
+                    self.applyHazardFilters();
+                    return;
+                }
+                
+                const cell = e.target.closest('.hazard-matrix-cell');
+                if (cell) {
+                    const current = self.hazardRegister.filters.cell;
+                    self.hazardRegister.filters.cell = current === cell ? null : cell;
+                    self.applyHazardFilters();
+                }
+            });
+            
+            const status = container.querySelector('[data-hazard-status]');
+            if (status) {
+                status.addEventListener('change', function() {
+                    self.hazardRegister.filters.status = status.value;
+                    self.applyHazardFilters();
+                });
+            }
+            
+            const search = container.querySelector('[data-hazard-search]');
+            if (search) {
+                search.addEventListener('input', function() {
+                    self.hazardRegister.filters.search = search.value.trim().toLowerCase();
+                    self.applyHazardFilters();
+                });
+            }
+            
+            this.hazardReviewQueue = Promise.resolve();
+            container.querySelectorAll('form[data-hazard-review]').forEach(function(form) {
+                form.addEventListener('submit', function(e) {
+                    e.preventDefault();
+                    self.reviewHazard(form);
+                });
+            });
+            
+            this.initHazardMap(site);
+            this.applyHazardFilters();
+        },
+        
+        initHazardMap: function(site) {
+            const container = document.getElementById('hazardMap');
+            if (!container) return;
+            if (!site || typeof SiteEvaluatorMap === 'undefined' || typeof L === 'undefined') {
+                container.parentElement.classList.add('d-none');
+                return;
+            }
+            
+            this.hazardMap = SiteEvaluatorMap.create('hazardMap', Object.assign({}, this.mapOptions, {
+                center: [site.latitude, site.longitude],
+                zoom: 16
+            }));
+            this.hazardMap.addPropertyMarker(site.latitude, site.longitude);
+            this.hazardMap.drawPropertyBoundary(site.boundary);
+            
+            // Overlays for the hazards flagged at this site are shown on load
+            const flagged = [];
+            this.hazardRegister.container.querySelectorAll('.hazard-item[data-layer]').forEach(function(item) {
+                if (item.dataset.layer !== 'faults' && flagged.indexOf(item.dataset.layer) === -1) flagged.push(item.dataset.layer);
+            });
+            this.hazardMap.addHazardLayers(this.mapOptions.hazardLayers, flagged);
+            
+            // Without configured traces the nearby faults are drawn as rings at their distance
+            if (site.faults && site.faults.length) {
+                this.hazardMap.addFaultLayer(this.mapOptions.faultTraces, {
+                    origin: [site.latitude, site.longitude],
+                    faults: site.faults
+                });
+            }
             
-            if (!addressInput || !suggestionsContainer) return;
+            // The site plan for the reports can be exported from here
+            this.hazardMap.addExportControl({
+                uploadUrl: '/api/siteevaluator/reports/' + encodeURIComponent(site.evaluationId) + '/map-snapshot'
+            });
+        },
+        
+        /**
+         * Select a hazard: expand its actions, mark it in the matrix and highlight it on the map.
+         * @param {string} key - Hazard key
+         * @param {Object} options - { toggle: collapse if already selected, scroll: bring the list item into view }
+         */
+        selectHazard: function(key, options) {
+            const register = this.hazardRegister;
+            const item = register.container.querySelector('.hazard-item[data-hazard="' + key + '"]');
+            if (!item) return;
+            
+            const deselect = options.toggle && register.selected === key;
+            register.selected = deselect ? null : key;
+            
+            register.container.querySelectorAll('.hazard-item').forEach(function(other) {
+                const expanded = other === item && !deselect;
+                other.classList.toggle('expanded', expanded);
+                other.querySelector('.hazard-item-header').setAttribute('aria-expanded', expanded ? 'true' : 'false');
+            });
+            register.container.querySelectorAll('.hazard-chip').forEach(function(chip) {
+                chip.classList.toggle('selected', chip.dataset.hazardSelect === register.selected);
+            });
+            
+            // A hazard picked in the matrix may be hidden by the list filters
+            if (!deselect && item.classList.contains('d-none')) {
+                this.resetHazardFilters();
+            }
+            if (!deselect && options.scroll) {
+                item.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+            }
+            
+            this.highlightHazardOnMap(deselect ? null : item);
+        },
+        
+        highlightHazardOnMap: function(item) {
+            const note = this.hazardRegister.container.querySelector('[data-hazard-map-note]');
+            const site = this.hazardRegister.site;
+            if (!this.hazardMap || !site) return;
+            
+            const map = this.hazardMap.getMap();
+            const layer = item ? item.dataset.layer : null;
+            const shown = this.hazardMap.highlightHazard(layer || null);
+            
+            map.closePopup();
+            if (note) note.textContent = '';
+            if (!item) return;
+            
+            // Faults are kilometres away - zoom out far enough to see them
+            if (layer === 'faults') {
+                map.setView([site.latitude, site.longitude], 11);
+            } else {
+                map.setView([site.latitude, site.longitude], Math.max(map.getZoom(), 15));
+            }
+            
+            const name = item.querySelector('.hazard-item-header strong').textContent;
+            L.popup({ autoPan: false })
+                .setLatLng([site.latitude, site.longitude])
+                .setContent('<strong>' + this.escapeHtml(name) + '</strong><br>' + this.escapeHtml(item.dataset.rating) + ' risk')
+                .openOn(map);
+            
+            if (note) {
+                note.textContent = shown ? '' : layer
+                    ? 'No map overlay is available for this hazard - the site is shown.'
+                    : 'This hazard applies to the site as a whole.';
+            }
+        },
+        
+        applyHazardFilters: function() {
+            const register = this.hazardRegister;
+            const filters = register.filters;
+            let visible = 0;
+            
+            register.container.querySelectorAll('.hazard-item').forEach(function(item) {
+                const reviewed = item.classList.contains('reviewed');
+                const show = (!filters.rating || item.dataset.rating === filters.rating) &&
+                    (!filters.status || (filters.status === 'reviewed') === reviewed) &&
+                    (!filters.search || item.textContent.toLowerCase().indexOf(filters.search) !== -1) &&
+                    (!filters.cell || (item.dataset.likelihood === filters.cell.dataset.likelihood &&
+                        item.dataset.consequence === filters.cell.dataset.consequence));
+                
+                item.classList.toggle('d-none', !show);
+                if (show) visible++;
+            });
+            
+            register.container.querySelectorAll('.hazard-matrix-cell').forEach(function(cell) {
+                cell.classList.toggle('active', cell === filters.cell);
+            });
+            
+            const cellLabel = register.container.querySelector('[data-hazard-cell-filter]');
+            if (cellLabel) {
+                cellLabel.innerHTML = filters.cell
+                    ? 'Showing ' + this.escapeHtml(filters.cell.title) + ' <button type="button" class="btn btn-link btn-sm p-0 align-baseline" data-hazard-cell-clear>Clear</button>'
+                    : '';
+            }
+            
+            const empty = register.container.querySelector('[data-hazard-empty]');
+            if (empty) empty.classList.toggle('d-none', visible > 0);
+        },
+        
+        resetHazardFilters: function() {
+            const container = this.hazardRegister.container;
+            this.hazardRegister.filters = { rating: '', status: '', search: '', cell: null };
+            
+            container.querySelectorAll('[data-hazard-rating]').forEach(function(b) { b.classList.toggle('active', !b.dataset.hazardRating); });
+            const status = container.querySelector('[data-hazard-status]');
+            if (status) status.value = '';
+            const search = container.querySelector('[data-hazard-search]');
+            if (search) search.value = '';
+            
+            this.applyHazardFilters();
+        },
+        
+        /**
+         * Save a hazard's review state, falling back to a normal post if the request fails.
+         */
+        reviewHazard: function(form) {
+            const self = this;
+            const button = form.querySelector('button[type="submit"]');
+            const body = new FormData(form);
+            button.disabled = true;
+            
+            // One review at a time - each saves the wizard state and job, so parallel requests would overwrite each other
+            this.hazardReviewQueue = this.hazardReviewQueue.then(function() {
+                return fetch(form.action, {
+                    method: 'POST',
+                    body: body,
+                    headers: { 'Accept': 'application/json' }
+                })
+                    .then(function(response) {
+                        if (!response.ok) throw new Error('HTTP ' + response.status);
+                        return response.json();
+                    })
+                    .then(function(result) {
+                        self.setHazardReviewed(form.closest('.hazard-item'), result.reviewed, result.outstanding);
+                        button.disabled = false;
+                    })
+                    .catch(function() {
+                        form.submit();
+                    });
+            });
+        },
+        
+        setHazardReviewed: function(item, reviewed, outstanding) {
+            const container = this.hazardRegister.container;
+            const form = item.querySelector('form[data-hazard-review]');
+            const button = form.querySelector('button[type="submit"]');
+            
+            item.classList.toggle('reviewed', reviewed);
+            form.querySelector('input[name="reviewed"]').value = reviewed ? 'false' : 'true';
+            button.className = 'btn btn-sm ' + (reviewed ? 'btn-outline-secondary' : 'btn-outline-success');
+            button.innerHTML = reviewed
+                ? '<i class="fa fa-undo me-1"></i> Mark as to review'
+                : '<i class="fa fa-check me-1"></i> Mark as reviewed';
+            
+            container.querySelectorAll('.hazard-chip[data-hazard-select="' + item.dataset.hazard + '"]').forEach(function(chip) {
+                chip.classList.toggle('reviewed', reviewed);
+            });
+            
+            const badge = container.querySelector('[data-hazard-outstanding]');
+            if (badge) {
+                const total = container.querySelectorAll('.hazard-item').length;
+                badge.className = 'badge ' + (outstanding > 0 ? 'bg-warning text-dark' : 'bg-success');
+                badge.textContent = outstanding > 0 ? outstanding + ' of ' + total + ' to review' : 'All reviewed';
+            }
+            
+            this.applyHazardFilters();
+        },
+        
+        // ========================================
+        // Rainfall IDF Chart (Step 7)
+        // ========================================
+        
+        initIdfChart: function(rainfall) {
+            if (!rainfall || typeof SiteEvaluatorIdfChart === 'undefined' || !document.getElementById('idfChart')) return;
+            
+            this.idfChart = SiteEvaluatorIdfChart.create('idfChart', rainfall);
+        },
+        
+        // ========================================
+        // Wind Speed Calculator (Step 7)
+        // ========================================
+        
+        // NZS 3604 wind zone site speeds (m/s) - the upper limit of each zone
+        windZoneSpeeds: { 'Low': 32, 'Medium': 37, 'High': 44, 'Very High': 50, 'Extra High': 55 },
+        
+        // AS/NZS 1170.2 regional wind speeds V_R (m/s) for regions A6 and A7 - used when the site has no wind data
+        windRegionalSpeeds: { ultimate: 45, serviceability: 37 },
+        
+        // AS/NZS 1170.2 Table 4.1(B) terrain/height multipliers M_z,cat
+        windHeights: [3, 5, 10, 15, 20, 30, 40, 50],
+        windTerrainMultipliers: {
+            'TC1': [0.99, 1.05, 1.12, 1.16, 1.19, 1.22, 1.24, 1.25],
+            'TC2': [0.91, 0.91, 1.00, 1.05, 1.08, 1.12, 1.16, 1.18],
+            'TC2.5': [0.87, 0.87, 0.92, 0.97, 1.01, 1.06, 1.10, 1.13],
+            'TC3': [0.83, 0.83, 0.83, 0.89, 0.94, 1.00, 1.04, 1.07],
+            'TC4': [0.75, 0.75, 0.75, 0.75, 0.75, 0.80, 0.85, 0.90]
+        },
+        
+        /**
+         * Recalculate the site design wind speed as the height and multipliers change.
+         * @param {Object} wind - { zone, region, regionalSpeed, serviceabilityRatio, directionalMultiplier }
+         */
+        initWindCalculator: function(wind) {
+            const container = document.getElementById('windCalculator');
+            if (!wind || !container) return;
+            
+            const self = this;
+            const fields = container.querySelectorAll('[data-wind-field]');
+            const update = function() { self.updateWindCalculator(container, wind); };
+            
+            fields.forEach(function(field) {
+                field.addEventListener('input', update);
+                field.addEventListener('change', update);
+            });
+            
+            const reset = container.querySelector('[data-wind-reset]');
+            if (reset) {
+                reset.addEventListener('click', function() {
+                    fields.forEach(function(field) { field.value = field.dataset.default; });
+                    update();
+                });
+            }
+            
+            update();
+        },
+        
+        /**
+         * M_z,cat for a terrain category, interpolated by height and clamped to the table.
+         */
+        getTerrainHeightMultiplier: function(terrain, height) {
+            const heights = this.windHeights;
+            const values = this.windTerrainMultipliers[terrain] || this.windTerrainMultipliers['TC2.5'];
+            
+            if (height <= heights[0]) return values[0];
+            for (let i = 1; i < heights.length; i++) {
+                if (height <= heights[i]) {
+                    const t = (height - heights[i - 1]) / (heights[i] - heights[i - 1]);
+                    return values[i - 1] + t * (values[i] - values[i - 1]);
+                }
+            }
+            return values[values.length - 1];
+        },
+        
+        /**
+         * NZS 3604 wind zone for a site wind speed; above Extra High needs specific design.
+         */
+        getWindZoneForSpeed: function(speed) {
+            const zones = this.windZoneSpeeds;
+            const names = Object.keys(zones);
+            for (let i = 0; i < names.length; i++) {
+                if (speed <= zones[names[i]] + 0.05) return names[i];
+            }
+            return 'SED';
+        },
+        
+        updateWindCalculator: function(container, wind) {
+            const value = function(name) {
+                const field = container.querySelector('[data-wind-field="' + name + '"]');
+                return field ? field.value : '';
+            };
+            const output = function(name, html) {
+                const el = container.querySelector('[data-wind-output="' + name + '"]');
+                if (el) el.innerHTML = html;
+            };
+            
+            // Mark each field as the default or adjusted
+            container.querySelectorAll('[data-wind-field]').forEach(function(field) {
+                const marker = container.querySelector('[data-wind-marker="' + field.dataset.windField + '"]');
+                if (!marker) return;
+                const isDefault = parseFloat(field.value) === parseFloat(field.dataset.default) || field.value === field.dataset.default;
+                marker.className = 'wind-default-marker ' + (isDefault ? 'default' : 'adjusted');
+                marker.textContent = isDefault ? 'default' : 'adjusted';
+                field.classList.toggle('wind-adjusted', !isDefault);
+            });
+            
+            const height = parseFloat(value('height'));
+            const terrain = value('terrain');
+            const shielding = parseFloat(value('shielding')) || 1;
+            const topography = parseFloat(value('topography')) || 1;
+            const regional = wind.regionalSpeed || this.windRegionalSpeeds.ultimate;
+            const directional = wind.directionalMultiplier || 1;
+            
+            if (!(height > 0)) {
+                ['terrain', 'ultimate', 'serviceability', 'zone', 'note'].forEach(function(name) { output(name, '-'); });
+                return;
+            }
+            
+            // As WindData.CalculateSiteWindSpeed: V_sit = V_R x M_d x (M_z,cat x M_s x M_t)
+            const terrainMultiplier = this.getTerrainHeightMultiplier(terrain, height);
+            const ultimate = regional * directional * terrainMultiplier * shielding * topography;
+            
+            // Serviceability scales with the region's 25-year/500-year V_R ratio
+            const slsRatio = wind.serviceabilityRatio || this.windRegionalSpeeds.serviceability / this.windRegionalSpeeds.ultimate;
+            const zone = this.getWindZoneForSpeed(ultimate);
+            const mapped = wind.zone || '';
+            
+            output('regional', regional.toFixed(1) + ' m/s' + (wind.region ? ' <span class="text-muted">(region ' + this.escapeHtml(wind.region) + ')</span>' : ''));
+            output('directional', directional.toFixed(2));
+            output('terrain', terrainMultiplier.toFixed(2) + ' <span class="text-muted">(' + this.escapeHtml(terrain) + ' at ' + height + ' m)</span>');
+            output('site', shielding.toFixed(2) + ' &times; ' + topography.toFixed(2));
+            output('ultimate', ultimate.toFixed(1) + ' m/s');
+            output('serviceability', (ultimate * slsRatio).toFixed(1) + ' m/s');
+            
+            const zoneClass = zone === 'SED' ? 'sed' : zone.toLowerCase().replace(/\s+/g, '-');
+            output('zone', '<span class="wind-zone-badge wind-zone-' + zoneClass + '">' +
+                (zone === 'SED' ? 'Specific Design' : this.escapeHtml(zone)) + '</span>');
+            
+            const notes = [];
+            if (zone === 'SED') {
+                notes.push('<span class="text-danger">Exceeds Extra High (55 m/s) - specific engineering design required.</span>');
+            } else if (mapped && zone !== mapped) {
+                const higher = ultimate > (this.windZoneSpeeds[mapped] || 0);
+                notes.push('<span class="' + (higher ? 'text-warning' : 'text-success') + '">' +
+                    (higher ? 'Higher' : 'Lower') + ' than the mapped ' + this.escapeHtml(mapped) + ' zone.</span>');
+            } else if (mapped) {
+                notes.push('<span class="text-muted">Same as the mapped zone.</span>');
+            }
+            if (height > 10) {
+                notes.push('<span class="text-muted">Over 10 m - outside NZS 3604 scope, use AS/NZS 1170.2.</span>');
+            }
+            output('note', notes.join('<br />'));
+        },
+        
+        // ========================================
+        // Draft Autosave & Resume
+        // ========================================
+        
+        draftStoragePrefix: 'siteEvaluatorWizard.drafts.',
+        maxDrafts: 10,
+        
+        /**
+         * Keep a per-user, per-address draft of the wizard in localStorage.
+         * Step 1 saves the form as it is typed; later steps record the job and step reached.
+         * @param {Object} draft - { user, address, jobId, jobLastUpdated } for the current page
+         */
+        initDraftAutosave: function(draft) {
+            this.draftContext = draft || {};
+            
+            const form = document.getElementById('addressForm');
+            const self = this;
+            
+            if (this.currentStep === 1 && form) {
+                this.offerDraftResume(form);
+                
+                let saveTimer;
+                const save = function() {
+                    clearTimeout(saveTimer);
+                    saveTimer = setTimeout(function() { self.saveAddressFormDraft(form); }, 500);
+                };
+                form.addEventListener('input', save);
+                form.addEventListener('change', save);
+                form.addEventListener('submit', function() {
+                    self.saveAddressFormDraft(form);
+                    sessionStorage.setItem('siteEvaluatorWizard.pendingDraft', self.draftContext.address || '');
+                });
+            } else if (this.currentStep >= 3 && this.draftContext.jobId) {
+                this.warnIfJobChanged();
+                this.adoptPendingDraft();
+                this.saveDraft(this.draftContext.address, {
+                    step: this.currentStep,
+                    jobId: this.draftContext.jobId,
+                    jobLastUpdated: this.draftContext.jobLastUpdated
+                });
+            }
+            
+            // Completing or restarting the evaluation discards the draft
+            document.querySelectorAll('form[action*="handler=CompleteWizard"], form[action*="handler=StartFresh"]').forEach(function(f) {
+                f.addEventListener('submit', function() {
+                    self.removeDraft(self.draftContext.address);
+                });
+            });
+        },
+        
+        getDraftKey: function(address) {
+            return (address || '').trim().toLowerCase().replace(/\s+/g, ' ');
+        },
+        
+        readDrafts: function() {
+            try {
+                return JSON.parse(localStorage.getItem(this.draftStoragePrefix + (this.draftContext.user || 'anonymous'))) || {};
+            } catch (e) {
+                return {};
+            }
+        },
+        
+        writeDrafts: function(drafts) {
+            try {
+                localStorage.setItem(this.draftStoragePrefix + (this.draftContext.user || 'anonymous'), JSON.stringify(drafts));
+            } catch (e) {
+                // Storage unavailable or full - drafts are a convenience only
+            }
+        },
+        
+        saveDraft: function(address, values) {
+            const key = this.getDraftKey(address);
+            if (!key) return;
+            
+            const drafts = this.readDrafts();
+            drafts[key] = Object.assign({}, drafts[key], values, {
+                address: address.trim(),
+                savedAt: new Date().toISOString()
+            });
+            
+            // Keep only the most recent drafts
+            Object.keys(drafts)
+                .sort(function(a, b) { return drafts[b].savedAt.localeCompare(drafts[a].savedAt); })
+                .slice(this.maxDrafts)
+                .forEach(function(k) { delete drafts[k]; });
+            
+            this.writeDrafts(drafts);
+        },
+        
+        removeDraft: function(address) {
+            const drafts = this.readDrafts();
+            delete drafts[this.getDraftKey(address)];
+            this.writeDrafts(drafts);
+        },
+        
+        saveAddressFormDraft: function(form) {
+            const fields = {};
+            form.querySelectorAll('input[name], select[name], textarea[name]').forEach(function(el) {
+                if (el.name === '__RequestVerificationToken') return;
+                if (el.type === 'radio' || el.type === 'checkbox') {
+                    if (el.checked) fields[el.name] = el.value;
+                } else {
+                    fields[el.name] = el.value;
+                }
+            });
+            
+            // Keyed by what identifies the site in the active search tab
+            const address = {
+                title: fields.TitleReference,
+                legaldescription: fields.LegalDescription,
+                coordinates: fields.CoordinateSystem === 'nztm'
+                    ? (fields.Easting && fields.Northing ? fields.Easting + ', ' + fields.Northing : '')
+                    : (fields.Latitude && fields.Longitude ? fields.Latitude + ', ' + fields.Longitude : '')
+            }[fields.SearchType] || fields.Address || '';
+            
+            // Re-keyed as the address is typed - drop the previous partial entry
+            if (this.draftContext.address && this.getDraftKey(this.draftContext.address) !== this.getDraftKey(address)) {
+                const previous = this.readDrafts()[this.getDraftKey(this.draftContext.address)];
+                if (previous && !previous.jobId) this.removeDraft(this.draftContext.address);
+            }
+            
+            this.draftContext.address = address;
+            this.saveDraft(address, { step: 1, fields: fields });
+        },
+        
+        offerDraftResume: function(form) {
+            const addressInput = document.getElementById('address');
+            const notice = document.getElementById('wizardDraftNotice');
+            if (!notice || (addressInput && addressInput.value)) return;
             
-            let debounceTimer;
-            let suggestions = [];
-            let currentIndex = -1;
+            const drafts = this.readDrafts();
+            const latest = Object.keys(drafts)
+                .map(function(k) { return drafts[k]; })
+                .sort(function(a, b) { return b.savedAt.localeCompare(a.savedAt); })[0];
+            if (!latest) return;
             
             const self = this;
+            const saved = new Date(latest.savedAt);
             
-            addressInput.addEventListener('input', function() {
-                clearTimeout(debounceTimer);
-                debounceTimer = setTimeout(function() {
-                    self.fetchAddressSuggestions(
-                        addressInput.value.trim(), 
-                        suggestionsContainer
-                    );
-                }, 300);
-            });
+            notice.innerHTML =
+                '<div class="alert alert-info d-flex justify-content-between align-items-center flex-wrap gap-2" role="alert">' +
+                    '<div><i class="fa fa-history me-2"></i>Resume where you left off: <strong>' + this.escapeHtml(latest.address) + '</strong>' +
+                    ' <span class="text-muted small">(step ' + (latest.step || 1) + ', saved ' + this.escapeHtml(saved.toLocaleString()) + ')</span></div>' +
+                    '<div>' +
+                        '<button type="button" class="btn btn-sm btn-primary me-2" data-draft-action="resume">Resume</button>' +
+                        '<button type="button" class="btn btn-sm btn-outline-secondary" data-draft-action="discard">Discard</button>' +
+                    '</div>' +
+                '</div>';
             
-            addressInput.addEventListener('keydown', function(e) {
-                if (!suggestionsContainer.classList.contains('show')) return;
-                
-                const items = suggestionsContainer.querySelectorAll('.address-suggestion');
-                
-                switch(e.key) {
-                    case 'ArrowDown':
-                        e.preventDefault();
-                        currentIndex = Math.min(currentIndex + 1, items.length - 1);
-                        self.updateActiveItem(items, currentIndex);
-                        break;
-                    case 'ArrowUp':
-                        e.preventDefault();
-                        currentIndex = Math.max(currentIndex - 1, -1);
-                        self.updateActiveItem(items, currentIndex);
-                        break;
-                    case 'Enter':
-                        if (currentIndex >= 0 && suggestions[currentIndex]) {
-                            e.preventDefault();
-                            addressInput.value = suggestions[currentIndex].fullAddress;
-                            suggestionsContainer.classList.remove('show');
-                        }
-                        break;
-                    case 'Escape':
-                        suggestionsContainer.classList.remove('show');
-                        break;
+            notice.querySelector('[data-draft-action="resume"]').addEventListener('click', function() {
+                if (latest.jobId) {
+                    // Remember what the job looked like when the draft was saved
+                    sessionStorage.setItem('siteEvaluatorWizard.resumedDraft', JSON.stringify(latest));
+                    window.location.href = '/SiteEvaluator/EvaluationWizard?jobId=' + encodeURIComponent(latest.jobId) +
+                        '&step=' + (latest.step || 3);
+                    return;
                 }
+                self.draftContext.address = latest.address;
+                self.restoreAddressForm(form, latest.fields || {});
+                notice.innerHTML = '';
             });
             
-            // Store suggestions for access in event handlers
-            this.addressSuggestions = suggestions;
-            this.currentSuggestionIndex = currentIndex;
-            
-            // Close suggestions when clicking outside
-            document.addEventListener('click', function(e) {
-                if (!addressInput.contains(e.target) && 
-                    !suggestionsContainer.contains(e.target)) {
-                    suggestionsContainer.classList.remove('show');
+            notice.querySelector('[data-draft-action="discard"]').addEventListener('click', function() {
+                self.removeDraft(latest.address);
+                notice.innerHTML = '';
+            });
+        },
+        
+        restoreAddressForm: function(form, fields) {
+            form.querySelectorAll('input[name], select[name], textarea[name]').forEach(function(el) {
+                if (el.name === '__RequestVerificationToken' || !(el.name in fields)) return;
+                if (el.type === 'radio' || el.type === 'checkbox') {
+                    el.checked = fields[el.name] === el.value;
+                } else {
+                    el.value = fields[el.name];
                 }
+                el.dispatchEvent(new Event('change', { bubbles: true }));
             });
+            
+            // Re-open the search tab the draft was typed in
+            const tab = document.querySelector('[data-search-type="' + (fields.SearchType || 'address') + '"]');
+            if (tab && window.bootstrap) {
+                bootstrap.Tab.getOrCreateInstance(tab).show();
+            }
+            
+            const details = document.getElementById('developmentDetails');
+            if (details && fields.IsNewDevelopment) details.classList.add('show');
+        },
+        
+        // The step 1 draft is keyed by what was typed - move it under the job's address
+        adoptPendingDraft: function() {
+            const pending = sessionStorage.getItem('siteEvaluatorWizard.pendingDraft');
+            if (pending === null) return;
+            sessionStorage.removeItem('siteEvaluatorWizard.pendingDraft');
+            
+            if (this.getDraftKey(pending) === this.getDraftKey(this.draftContext.address)) return;
+            
+            const draft = this.readDrafts()[this.getDraftKey(pending)];
+            if (!draft) return;
+            
+            this.removeDraft(pending);
+            this.saveDraft(this.draftContext.address, { fields: draft.fields });
         },
         
-        fetchAddressSuggestions: async function(query, container) {
-            if (!query || query.length < 3) {
-                container.classList.remove('show');
+        warnIfJobChanged: function() {
+            const stored = sessionStorage.getItem('siteEvaluatorWizard.resumedDraft');
+            if (!stored) return;
+            sessionStorage.removeItem('siteEvaluatorWizard.resumedDraft');
+            
+            let resumed;
+            try {
+                resumed = JSON.parse(stored);
+            } catch (e) {
                 return;
             }
             
-            container.innerHTML = '<div class="p-3 text-muted"><i class="fa fa-spinner fa-spin"></i> Searching...</div>';
-            container.classList.add('show');
+            const notice = document.getElementById('wizardDraftNotice');
+            const savedUpdate = Date.parse(resumed.jobLastUpdated || '') || 0;
+            const currentUpdate = Date.parse(this.draftContext.jobLastUpdated || '') || 0;
+            if (!notice || resumed.jobId !== this.draftContext.jobId || currentUpdate <= savedUpdate) return;
             
-            try {
-                const response = await fetch('/api/siteevaluator/address/autocomplete?q=' + 
-                    encodeURIComponent(query));
+            notice.innerHTML =
+                '<div class="alert alert-warning alert-dismissible fade show" role="alert">' +
+                    '<i class="fa fa-exclamation-triangle me-2"></i>' +
+                    'This job was updated on ' + this.escapeHtml(new Date(currentUpdate).toLocaleString()) +
+                    ', after your draft was saved. Review the data on each step before continuing.' +
+                    '<button type="button" class="btn-close" data-bs-dismiss="alert"></button>' +
+                '</div>';
+        },
+        
+        // ========================================
+        // Data Source Status (Steps 3-7)
+        // ========================================
+        
+        // Status -> [label, icon, colour]
+        sourceLabels: {
+            Pending: ['Not retrieved', 'fa-clock', 'text-muted'],
+            Queued: ['Waiting...', 'fa-hourglass-half', 'text-muted'],
+            InProgress: ['Retrieving...', 'fa-spinner fa-spin', 'text-primary'],
+            Complete: ['Retrieved', 'fa-check-circle', 'text-success'],
+            Partial: ['Partly retrieved', 'fa-exclamation-circle', 'text-warning'],
+            Failed: ['Failed', 'fa-times-circle', 'text-danger'],
+            NotAvailable: ['No data for this site', 'fa-minus-circle', 'text-muted']
+        },
+        
+        // DataSectionStatus names, in enum order - the API returns the number
+        sourceStatuses: ['Pending', 'InProgress', 'Complete', 'Partial', 'Failed', 'NotAvailable'],
+        
+        // The sources behind each step's Refresh button
+        sectionSources: {
+            zoning: ['council'],
+            hazards: ['council', 'gns'],
+            geotech: ['nzgd'],
+            infrastructure: ['council'],
+            climate: ['niwa']
+        },
+        
+        initSourceStatus: function() {
+            const panel = document.getElementById('sourceStatusPanel');
+            if (!panel) return;
+            
+            this.sourcePanel = panel;
+            this.sourceQueue = Promise.resolve();
+            
+            panel.querySelectorAll('[data-source]').forEach(row => {
+                const updated = row.dataset.updated;
+                this.renderSourceStatus(row, row.dataset.status, updated ? 'Last retrieved ' + this.formatSourceTime(updated) : '');
+            });
+            this.updateSourceSummary();
+            
+            panel.querySelector('[data-source-refresh-all]').addEventListener('click', () => {
+                this.refreshSources(Array.from(panel.querySelectorAll('[data-source]')).map(row => row.dataset.source));
+            });
+            
+            panel.addEventListener('click', e => {
+                const retry = e.target.closest('[data-source-retry]');
+                if (retry) this.refreshSources([retry.closest('[data-source]').dataset.source]);
+            });
+            
+            // Step Refresh buttons retrieve their sources here instead of posting the page
+            document.querySelectorAll('form[action*="handler=RefreshSection"]').forEach(form => {
+                form.addEventListener('submit', e => {
+                    const section = form.querySelector('[name="section"]');
+                    const sources = section && this.sectionSources[section.value];
+                    if (!sources) return;
                     
-                if (!response.ok) throw new Error('API error');
+                    e.preventDefault();
+                    this.refreshSources(sources);
+                    panel.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+                });
+            });
+        },
+        
+        refreshSources: function(keys) {
+            // One source at a time - each retrieval saves the job, so parallel requests would overwrite each other
+            keys.forEach(key => {
+                const row = this.sourcePanel.querySelector('[data-source="' + key + '"]');
+                if (!row || row.dataset.status === 'Queued' || row.dataset.status === 'InProgress') return;
                 
-                const suggestions = await response.json();
-                this.addressSuggestions = suggestions;
-                this.renderAddressSuggestions(suggestions, container);
-            } catch (error) {
-                console.error('Autocomplete error:', error);
-                container.innerHTML = '<div class="p-3 text-muted">Unable to load suggestions</div>';
-            }
+                this.renderSourceStatus(row, 'Queued', '');
+                this.sourceQueue = this.sourceQueue.then(() => this.refreshSource(row));
+            });
         },
         
-        renderAddressSuggestions: function(suggestions, container) {
-            if (suggestions.length === 0) {
-                container.innerHTML = '<div class="p-3 text-muted">No addresses found</div>';
-                return;
-            }
+        refreshSource: function(row) {
+            const started = Date.now();
+            const elapsed = () => ((Date.now() - started) / 1000).toFixed(1) + ' s';
             
-            const self = this;
+            // Tick the elapsed time so a slow source is obvious
+            this.renderSourceStatus(row, 'InProgress', '0.0 s');
+            const timer = setInterval(() => {
+                row.querySelector('.source-status-detail').textContent = elapsed();
+            }, 100);
+            
+            const url = '/api/siteevaluator/jobs/' + encodeURIComponent(this.sourcePanel.dataset.jobId) +
+                '/sources/' + encodeURIComponent(row.dataset.source) + '/refresh';
             
-            container.innerHTML = suggestions.map(function(s, i) {
-                return '<div class="address-suggestion" data-index="' + i + '">' +
-                    '<div class="address-main">' + self.escapeHtml(s.fullAddress) + '</div>' +
-                    '<div class="address-secondary">' + 
-                    [s.suburb, s.city].filter(Boolean).join(', ') + 
-                    '</div></div>';
-            }).join('');
-            
-            container.querySelectorAll('.address-suggestion').forEach(function(el) {
-                el.addEventListener('click', function() {
-                    const index = parseInt(el.dataset.index);
-                    if (suggestions[index]) {
-                        document.getElementById('address').value = suggestions[index].fullAddress;
-                        container.classList.remove('show');
+            return fetch(url, { method: 'POST' })
+                .then(response => {
+                    if (!response.ok) throw new Error('HTTP ' + response.status);
+                    return response.json();
+                })
+                .then(result => {
+                    const status = this.sourceStatuses[result.status] || 'Failed';
+                    const seconds = (result.durationMs / 1000).toFixed(1) + ' s';
+                    this.renderSourceStatus(row, status, status === 'Failed'
+                        ? 'Source did not respond (' + seconds + ')'
+                        : 'Took ' + seconds + ', ' + this.formatSourceTime(result.updated));
+                    this.sourcePanel.dataset.completeness = result.completenessPercent;
+                    
+                    if (status === 'Complete' || status === 'Partial') {
+                        this.sourcePanel.querySelector('[data-source-reload]').classList.remove('d-none');
                     }
+                })
+                .catch(error => {
+                    console.error('Data source refresh error:', error);
+                    this.renderSourceStatus(row, 'Failed', 'Request failed after ' + elapsed());
+                })
+                .finally(() => {
+                    clearInterval(timer);
+                    this.updateSourceSummary();
                 });
-            });
+        },
+        
+        renderSourceStatus: function(row, status, detail) {
+            const label = this.sourceLabels[status] || this.sourceLabels.Pending;
+            const labelEl = row.querySelector('.source-status-label');
             
-            this.currentSuggestionIndex = -1;
+            row.dataset.status = status;
+            labelEl.className = 'source-status-label ' + label[2];
+            labelEl.innerHTML = '<i class="fa ' + label[1] + ' me-1"></i>' + label[0];
+            row.querySelector('.source-status-detail').textContent = detail || '';
         },
         
-        updateActiveItem: function(items, currentIndex) {
-            items.forEach(function(item, i) {
-                item.classList.toggle('active', i === currentIndex);
-                if (i === currentIndex) {
-                    item.scrollIntoView({ block: 'nearest' });
-                }
-            });
+        updateSourceSummary: function() {
+            const rows = Array.from(this.sourcePanel.querySelectorAll('[data-source]'));
+            const retrieved = rows.filter(row => row.dataset.status === 'Complete' || row.dataset.status === 'Partial').length;
+            const failed = rows.filter(row => row.dataset.status === 'Failed').length;
+            
+            this.sourcePanel.querySelector('[data-source-summary]').textContent =
+                retrieved + ' of ' + rows.length + ' retrieved' +
+                (failed ? ', ' + failed + ' failed' : '') +
+                ' \u00b7 ' + this.sourcePanel.dataset.completeness + '% complete';
         },
         
-        escapeHtml: function(text) {
-            if (!text) return '';
-            const div = document.createElement('div');
-            div.textContent = text;
-            return div.innerHTML;
+        formatSourceTime: function(value) {
+            return new Date(value).toLocaleString([], { day: 'numeric', month: 'short', hour: '2-digit', minute: '2-digit' });
         },
         
         // ========================================
-        // Property Match Cards
+        // Report Builder (Step 8)
         // ========================================
         
-        initPropertyMatchCards: function() {
-            document.querySelectorAll('.property-match-card').forEach(function(card) {
-                card.addEventListener('click', function() {
-                    document.querySelectorAll('.property-match-card').forEach(function(c) {
-                        c.classList.remove('selected');
-                    });
-                    this.classList.add('selected');
-                    const radio = this.querySelector('input[type="radio"]');
-                    if (radio) radio.checked = true;
-                });
+        reportLayoutKey: 'siteEvaluatorWizard.reportLayout',
+        
+        // ReportType names, in enum order - the API takes the number
+        reportTypes: ['FullReport', 'SummaryReport', 'GeotechBrief', 'DueDiligencePack', 'Custom'],
+        
+        // Sections and options for each preset (see ReportSections and ReportService)
+        reportPresets: {
+            FullReport: {
+                sections: ['location', 'zoning', 'hazards', 'geotech', 'infrastructure', 'climate'],
+                includeMaps: true,
+                includeBoreholeLogs: false
+            },
+            DueDiligencePack: {
+                sections: ['location', 'zoning', 'hazards', 'geotech', 'infrastructure', 'climate', 'land'],
+                includeMaps: true,
+                includeBoreholeLogs: true
+            }
+        },
+        
+        /**
+         * Choose, order and annotate the report sections with a live preview.
+         * The layout (not the notes) is remembered for the next report.
+         */
+        initReportBuilder: function() {
+            var builder = document.getElementById('reportBuilder');
+            if (!builder) return;
+            
+            var self = this;
+            this.reportBuilder = builder;
+            this.reportList = builder.querySelector('[data-report-sections]');
+            this.reportPreset = builder.querySelector('[data-report-preset]');
+            
+            this.restoreReportLayout();
+            
+            builder.addEventListener('change', function(e) {
+                if (e.target === self.reportPreset) {
+                    if (self.reportPresets[self.reportPreset.value]) {
+                        self.applyReportPreset(self.reportPresets[self.reportPreset.value]);
+                    }
+                } else if (e.target.matches('[data-report-include], [data-report-option="includeMaps"], [data-report-option="includeBoreholeLogs"]')) {
+                    self.reportPreset.value = 'Custom';
+                }
+                self.saveReportLayout();
+                self.renderReportPreview();
+            });
+            
+            builder.addEventListener('input', function(e) {
+                if (e.target.matches('[data-report-notes], [data-report-option]')) {
+                    self.renderReportPreview();
+                }
+            });
+            
+            builder.addEventListener('click', function(e) {
+                var item = e.target.closest('[data-report-section]');
+                var move = e.target.closest('[data-report-move]');
+                
+                if (move && item) {
+                    self.moveReportSection(item, parseInt(move.dataset.reportMove, 10));
+                } else if (e.target.closest('[data-report-notes-toggle]') && item) {
+                    var notes = item.querySelector('[data-report-notes]');
+                    notes.classList.toggle('d-none');
+                    if (!notes.classList.contains('d-none')) notes.focus();
+                } else if (e.target.closest('[data-report-generate]')) {
+                    self.generateReport(e.target.closest('[data-report-generate]'));
+                }
             });
+            
+            this.initReportDragging();
+            this.renderReportPreview();
         },
         
-        // ========================================
-        // Search Type Tabs
-        // ========================================
+        initReportDragging: function() {
+            var self = this;
+            var list = this.reportList;
+            var dragged = null;
+            
+            list.addEventListener('dragstart', function(e) {
+                // Let text be selected in the notes rather than dragging the section
+                if (e.target.matches('textarea')) {
+                    e.preventDefault();
+                    return;
+                }
+                dragged = e.target.closest('[data-report-section]');
+                if (!dragged) return;
+                dragged.classList.add('dragging');
+                e.dataTransfer.effectAllowed = 'move';
+                e.dataTransfer.setData('text/plain', dragged.dataset.reportSection);
+            });
+            
+            list.addEventListener('dragover', function(e) {
+                if (!dragged) return;
+                e.preventDefault();
+                
+                var over = e.target.closest('[data-report-section]');
+                if (!over || over === dragged) return;
+                
+                var rect = over.getBoundingClientRect();
+                list.insertBefore(dragged, e.clientY > rect.top + rect.height / 2 ? over.nextSibling : over);
+            });
+            
+            list.addEventListener('drop', function(e) {
+                e.preventDefault();
+            });
+            
+            list.addEventListener('dragend', function() {
+                if (!dragged) return;
+                dragged.classList.remove('dragging');
+                dragged = null;
+                self.reportPreset.value = 'Custom';
+                self.saveReportLayout();
+                self.renderReportPreview();
+            });
+        },
         
-        initSearchTypeTabs: function() {
-            const searchTypeInput = document.getElementById('searchType');
-            if (!searchTypeInput) return;
+        moveReportSection: function(item, direction) {
+            var sibling = direction < 0 ? item.previousElementSibling : item.nextElementSibling;
+            if (!sibling) return;
             
-            const tabElements = document.querySelectorAll('[data-bs-toggle="tab"]');
-            tabElements.forEach(function(tab) {
-                tab.addEventListener('shown.bs.tab', function(e) {
-                    const searchType = e.target.id.replace('-tab', '');
-                    searchTypeInput.value = searchType;
-                });
+            this.reportList.insertBefore(item, direction < 0 ? sibling : sibling.nextSibling);
+            item.querySelector('[data-report-move="' + direction + '"]').focus();
+            
+            this.reportPreset.value = 'Custom';
+            this.saveReportLayout();
+            this.renderReportPreview();
+        },
+        
+        getReportItems: function() {
+            return Array.from(this.reportList.querySelectorAll('[data-report-section]'));
+        },
+        
+        getReportOption: function(name) {
+            var input = this.reportBuilder.querySelector('[data-report-option="' + name + '"]');
+            if (!input) return null;
+            return input.type === 'checkbox' ? input.checked : input.value.trim();
+        },
+        
+        setReportOption: function(name, value) {
+            var input = this.reportBuilder.querySelector('[data-report-option="' + name + '"]');
+            if (input) input.checked = !!value;
+        },
+        
+        /**
+         * Tick and order the sections of a preset; sections it leaves out keep their place at the end.
+         */
+        applyReportPreset: function(preset) {
+            var self = this;
+            var items = this.getReportItems();
+            
+            preset.sections.forEach(function(key) {
+                var item = items.find(function(i) { return i.dataset.reportSection === key; });
+                if (item) self.reportList.appendChild(item);
             });
+            items.forEach(function(item) {
+                var included = preset.sections.indexOf(item.dataset.reportSection) >= 0;
+                if (!included) self.reportList.appendChild(item);
+                item.querySelector('[data-report-include]').checked = included;
+            });
+            
+            this.setReportOption('includeMaps', preset.includeMaps);
+            this.setReportOption('includeBoreholeLogs', preset.includeBoreholeLogs);
         },
         
-        // ========================================
-        // Intended Use Form
-        // ========================================
+        saveReportLayout: function() {
+            var layout = {
+                preset: this.reportPreset.value,
+                sections: this.getReportItems().map(function(item) {
+                    return { key: item.dataset.reportSection, include: item.querySelector('[data-report-include]').checked };
+                }),
+                includeMaps: this.getReportOption('includeMaps'),
+                includeBoreholeLogs: this.getReportOption('includeBoreholeLogs')
+            };
+            
+            try {
+                localStorage.setItem(this.reportLayoutKey, JSON.stringify(layout));
+            } catch (e) {
+                // Storage unavailable - the layout resets to the full report next time
+            }
+        },
         
-        initIntendedUseForm: function() {
-            const useCategorySelect = document.getElementById('intendedUseCategory');
-            const residentialParams = document.getElementById('residentialParams');
-            const commercialParams = document.getElementById('commercialParams');
-            const specificUseInput = document.getElementById('specificUse');
+        restoreReportLayout: function() {
+            var layout;
+            try {
+                layout = JSON.parse(localStorage.getItem(this.reportLayoutKey));
+            } catch (e) {
+                layout = null;
+            }
+            if (!layout || !Array.isArray(layout.sections)) return;
             
-            if (!useCategorySelect) return;
+            var self = this;
+            var items = this.getReportItems();
             
-            const specificUsePlaceholders = {
-                'Residential': 'e.g., Single dwelling, Townhouses, Apartments...',
-                'Commercial': 'e.g., Retail shop, Office, Restaurant, Hotel...',
-                'Industrial': 'e.g., Warehouse, Manufacturing, Logistics...',
-                'MixedUse': 'e.g., Retail with apartments above...',
-                'Rural': 'e.g., Dairy farm, Vineyard, Lifestyle block...',
-                'Community': 'e.g., School, Church, Community centre...',
-                'OpenSpace': 'e.g., Park, Sports field, Reserve...',
-                'Other': 'Describe the intended use...'
+            layout.sections.forEach(function(section) {
+                var item = items.find(function(i) { return i.dataset.reportSection === section.key; });
+                if (!item) return;
+                self.reportList.appendChild(item);
+                item.querySelector('[data-report-include]').checked = !!section.include;
+            });
+            // Sections added since the layout was saved go last, unticked
+            items.forEach(function(item) {
+                if (!layout.sections.some(function(s) { return s.key === item.dataset.reportSection; })) {
+                    self.reportList.appendChild(item);
+                    item.querySelector('[data-report-include]').checked = false;
+                }
+            });
+            
+            if (this.reportPreset.querySelector('option[value="' + layout.preset + '"]')) {
+                this.reportPreset.value = layout.preset;
+            }
+            this.setReportOption('includeMaps', layout.includeMaps);
+            this.setReportOption('includeBoreholeLogs', layout.includeBoreholeLogs);
+        },
+        
+        /**
+         * The ReportOptions for the current builder settings.
+         */
+        getReportOptions: function() {
+            var options = {
+                preparedFor: this.getReportOption('preparedFor') || null,
+                preparedBy: this.getReportOption('preparedBy') || null,
+                includeSections: [],
+                includeAppendices: true,
+                includeMaps: this.getReportOption('includeMaps'),
+                includeBoreholeLogs: this.getReportOption('includeBoreholeLogs'),
+                sectionNotes: {}
             };
             
-            useCategorySelect.addEventListener('change', function() {
-                const category = this.value;
+            this.getReportItems().forEach(function(item) {
+                if (!item.querySelector('[data-report-include]').checked) return;
                 
-                // Update placeholder
-                if (specificUseInput) {
-                    specificUseInput.placeholder = specificUsePlaceholders[category] || 
-                        'Describe the intended use...';
+                var key = item.dataset.reportSection;
+                var notes = item.querySelector('[data-report-notes]').value.trim();
+                options.includeSections.push(key);
+                if (notes) options.sectionNotes[key] = notes;
+            });
+            
+            return options;
+        },
+        
+        getReportTemplate: function(key) {
+            var template = this.reportBuilder.querySelector('template[data-report-template="' + key + '"]');
+            return template ? template.content.cloneNode(true) : null;
+        },
+        
+        renderReportPreview: function() {
+            var preview = this.reportBuilder.querySelector('[data-report-preview]');
+            var options = this.getReportOptions();
+            var self = this;
+            
+            preview.innerHTML = '';
+            
+            var header = this.getReportTemplate('header');
+            [['preparedFor', 'Prepared for: '], ['preparedBy', 'Prepared by: ']].forEach(function(field) {
+                var line = header.querySelector('[data-report-field="' + field[0] + '"]');
+                if (options[field[0]]) {
+                    line.textContent = field[1] + options[field[0]];
+                } else {
+                    line.remove();
                 }
+            });
+            preview.appendChild(header);
+            
+            options.includeSections.forEach(function(key) {
+                // Sections without data are left out of the report
+                var content = self.getReportTemplate(key);
+                if (!content) return;
                 
-                // Show/hide relevant parameter sections
-                if (residentialParams && commercialParams) {
-                    if (category === 'Residential' || category === 'MixedUse') {
-                        residentialParams.style.display = '';
-                        commercialParams.style.display = 'none';
-                    } else if (category === 'Commercial' || category === 'Industrial') {
-                        residentialParams.style.display = 'none';
-                        commercialParams.style.display = '';
-                    } else {
-                        residentialParams.style.display = 'none';
-                        commercialParams.style.display = 'none';
-                    }
+                var section = document.createElement('div');
+                section.className = 'report-preview-section';
+                section.appendChild(content);
+                
+                if (key === 'location' && options.includeMaps) {
+                    section.appendChild(self.createReportMapPreview());
+                }
+                if (key === 'geotech' && options.includeBoreholeLogs) {
+                    var logs = self.getReportTemplate('borehole-logs');
+                    if (logs) section.appendChild(logs);
                 }
+                if (options.sectionNotes[key]) {
+                    var notes = document.createElement('div');
+                    notes.className = 'report-preview-notes';
+                    notes.innerHTML = '<div class="fw-semibold">Consultant Notes</div>';
+                    notes.appendChild(document.createTextNode(options.sectionNotes[key]));
+                    section.appendChild(notes);
+                }
+                
+                preview.appendChild(section);
             });
+            
+            var gaps = this.getReportTemplate('data-gaps');
+            if (gaps && options.includeAppendices) {
+                var appendix = document.createElement('div');
+                appendix.className = 'report-preview-section';
+                appendix.appendChild(gaps);
+                preview.appendChild(appendix);
+            }
+            
+            var generate = this.reportBuilder.querySelector('[data-report-generate]');
+            generate.disabled = options.includeSections.length === 0;
+            this.setReportStatus(options.includeSections.length === 0 ? 'Tick at least one section.' : '', 'text-muted');
+        },
+        
+        /**
+         * The uploaded map snapshot, or a note on how to add one
+         */
+        createReportMapPreview: function() {
+            var figure = document.createElement('div');
+            figure.className = 'report-preview-map';
+            
+            var showPlaceholder = function() {
+                figure.classList.add('empty');
+                figure.innerHTML = '<i class="fa fa-map me-1"></i>No site plan yet - export one from the hazard map in Step 4 with <strong>Use in reports</strong>.';
+            };
+            
+            if (this.reportMapSnapshot === false) {
+                showPlaceholder();
+                return figure;
+            }
+            
+            var self = this;
+            var image = document.createElement('img');
+            image.alt = 'Site plan';
+            image.src = this.reportBuilder.dataset.mapSnapshotUrl;
+            image.onerror = function() {
+                self.reportMapSnapshot = false;
+                showPlaceholder();
+            };
+            figure.appendChild(image);
+            return figure;
+        },
+        
+        setReportStatus: function(message, colour) {
+            var status = this.reportBuilder.querySelector('[data-report-status]');
+            status.className = 'small ms-3 ' + (colour || '');
+            status.textContent = message;
+        },
+        
+        /**
+         * Generate the PDF. Job reports are saved with the job; otherwise the PDF is downloaded directly.
+         */
+        generateReport: function(button) {
+            var self = this;
+            var options = this.getReportOptions();
+            var preset = this.reportPreset.value;
+            var hasNotes = Object.keys(options.sectionNotes).length > 0;
+            
+            // The fixed due diligence pack has no prepared for/by lines or notes
+            var type = preset === 'DueDiligencePack' && !hasNotes && !options.preparedFor && !options.preparedBy
+                ? 'DueDiligencePack'
+                : preset === 'FullReport' ? 'FullReport' : 'Custom';
+            
+            var jobId = this.reportBuilder.dataset.jobId;
+            var request = jobId
+                ? fetch('/api/siteevaluator/jobs/' + encodeURIComponent(jobId) + '/reports', {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json', 'Accept': 'application/json' },
+                    body: JSON.stringify({ type: this.reportTypes.indexOf(type), options: options })
+                })
+                : fetch('/api/siteevaluator/reports/' + encodeURIComponent(this.reportBuilder.dataset.evaluationId) + '/custom', {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify(options)
+                });
+            
+            button.disabled = true;
+            this.setReportStatus('Generating report...', 'text-primary');
+            
+            request
+                .then(function(response) {
+                    if (!response.ok) throw new Error('HTTP ' + response.status);
+                    return jobId ? response.json() : response.blob();
+                })
+                .then(function(result) {
+                    if (jobId) {
+                        window.location.href = '/api/siteevaluator/jobs/' + encodeURIComponent(jobId) + '/reports/' + encodeURIComponent(result.id);
+                    } else {
+                        var link = document.createElement('a');
+                        link.href = URL.createObjectURL(result);
+                        link.download = 'SiteReport.pdf';
+                        document.body.appendChild(link);
+                        link.click();
+                        link.remove();
+                        setTimeout(function() { URL.revokeObjectURL(link.href); }, 1000);
+                    }
+                    self.setReportStatus('Report generated.', 'text-success');
+                })
+                .catch(function(error) {
+                    console.warn('Failed to generate report:', error);
+                    self.setReportStatus('The report could not be generated. Please try again.', 'text-danger');
+                })
+                .then(function() {
+                    button.disabled = false;
+                });
         },
         
         // ========================================
@@ -302,134 +2011,6 @@
         // Help Panel
         // ========================================
         
-        helpContent: {
-            'step-1': {
-                title: '?? Step 1: Enter Address',
-                content: `
-                    <h6>What to do:</h6>
-                    <p>Enter the property address you want to evaluate. The system will search LINZ for matching properties.</p>
-                    
-                    <h6>Tips:</h6>
-                    <ul>
-                        <li>Type at least 3 characters to see suggestions</li>
-                        <li>Use the full address including suburb and city</li>
-                        <li>You can also search by title reference (e.g., CB45A/123)</li>
-                    </ul>
-                    
-                    <h6>Alternative Search:</h6>
-                    <p>Use the <strong>Title Reference</strong> tab to search by property title number if you have it.</p>
-                `
-            },
-            'step-2': {
-                title: '?? Step 2: Property Match',
-                content: `
-                    <h6>What to do:</h6>
-                    <p>Select the correct property from the matches found. Review the legal description and area to confirm.</p>
-                    
-                    <h6>If no match found:</h6>
-                    <ul>
-                        <li>Check the address spelling</li>
-                        <li>Try a broader search (street name only)</li>
-                        <li>Use title reference search instead</li>
-                    </ul>
-                `
-            },
-            'step-3': {
-                title: '??? Step 3: Zoning',
-                content: `
-                    <h6>What you'll see:</h6>
-                    <p>Zoning information from the local council, including:</p>
-                    <ul>
-                        <li>Zone classification (Residential, Commercial, etc.)</li>
-                        <li>Maximum building height</li>
-                        <li>Site coverage limits</li>
-                        <li>Setback requirements</li>
-                    </ul>
-                    
-                    <h6>Data Source:</h6>
-                    <p>Zoning data comes from council GIS systems. Always verify with the District Plan.</p>
-                `
-            },
-            'step-4': {
-                title: '?? Step 4: Natural Hazards',
-                content: `
-                    <h6>Hazards Assessed:</h6>
-                    <ul>
-                        <li><strong>Flooding</strong> - Flood zones and depths</li>
-                        <li><strong>Liquefaction</strong> - TC1, TC2, TC3 categories</li>
-                        <li><strong>Seismic</strong> - Fault proximity, ground shaking</li>
-                        <li><strong>Landslide</strong> - Slope stability risks</li>
-                    </ul>
-                    
-                    <h6>Important:</h6>
-                    <p>Hazard data is indicative only. Site-specific assessments may be required.</p>
-                `
-            },
-            'step-5': {
-                title: '?? Step 5: Geotechnical',
-                content: `
-                    <h6>Data Retrieved:</h6>
-                    <ul>
-                        <li><strong>Nearby Boreholes</strong> - Historical drilling data</li>
-                        <li><strong>CPT Results</strong> - Cone penetration tests</li>
-                        <li><strong>Site Class</strong> - NZS 1170.5 classification</li>
-                        <li><strong>Existing Reports</strong> - Previous geotech reports</li>
-                    </ul>
-                    
-                    <h6>Source:</h6>
-                    <p>Data from the New Zealand Geotechnical Database (NZGD).</p>
-                `
-            },
-            'step-6': {
-                title: '?? Step 6: Infrastructure',
-                content: `
-                    <h6>Services Checked:</h6>
-                    <ul>
-                        <li>Water supply availability</li>
-                        <li>Wastewater/sewer connection</li>
-                        <li>Stormwater drainage</li>
-                        <li>Power supply</li>
-                        <li>Fibre/broadband availability</li>
-                    </ul>
-                    
-                    <h6>Note:</h6>
-                    <p>Infrastructure availability doesn't guarantee connection. Contact utilities for confirmation.</p>
-                `
-            },
-            'step-7': {
-                title: '??? Step 7: Climate',
-                content: `
-                    <h6>Climate Data:</h6>
-                    <ul>
-                        <li><strong>Rainfall</strong> - Average and extreme rainfall</li>
-                        <li><strong>Wind</strong> - Predominant direction and speed</li>
-                        <li><strong>Temperature</strong> - Heating/cooling requirements</li>
-                        <li><strong>Coastal</strong> - Sea level rise projections</li>
-                    </ul>
-                    
-                    <h6>Source:</h6>
-                    <p>Climate data from NIWA and council climate assessments.</p>
-                `
-            },
-            'step-8': {
-                title: '?? Step 8: Summary',
-                content: `
-                    <h6>Your Evaluation:</h6>
-                    <p>Review all collected data and generate your report.</p>
-                    
-                    <h6>Available Reports:</h6>
-                    <ul>
-                        <li><strong>Summary Report</strong> - 1-page overview</li>
-                        <li><strong>Full Report</strong> - Detailed assessment</li>
-                        <li><strong>Geotech Brief</strong> - For engineers</li>
-                    </ul>
-                    
-                    <h6>Data Gaps:</h6>
-                    <p>Red items indicate missing data that may require further investigation.</p>
-                `
-            }
-        },
-        
         openHelp: function(section) {
             // Try the main website's help panel first
             if (window.openHelpPanel) {
@@ -442,119 +2023,14 @@
         },
         
         showHelpPanel: function(section) {
-            var content = this.helpContent[section];
-            if (!content) {
-                content = {
-                    title: 'Help',
-                    content: '<p>Help content for this step is not available.</p>'
-                };
-            }
-            
-            // Check if panel already exists
-            var panel = document.getElementById('seHelpPanel');
-            if (!panel) {
-                panel = this.createHelpPanel();
-            }
-            
-            // Update content
-            panel.querySelector('.help-panel-title').textContent = content.title;
-            panel.querySelector('.help-panel-body').innerHTML = content.content;
-            
-            // Show panel
-            panel.classList.add('show');
-        },
-        
-        createHelpPanel: function() {
-            var panel = document.createElement('div');
-            panel.id = 'seHelpPanel';
-            panel.className = 'se-help-panel';
-            panel.innerHTML = `
-                <div class="help-panel-header">
-                    <span class="help-panel-title">Help</span>
-                    <button type="button" class="help-panel-close" onclick="SiteEvaluatorWizard.closeHelpPanel()">
-                        <i class="fa fa-times"></i>
-                    </button>
-                </div>
-                <div class="help-panel-body"></div>
-            `;
-            document.body.appendChild(panel);
-            
-            // Add styles if not already present
-            if (!document.getElementById('seHelpPanelStyles')) {
-                var styles = document.createElement('style');
-                styles.id = 'seHelpPanelStyles';
-                styles.textContent = `
-                    .se-help-panel {
-                        position: fixed;
-                        top: 0;
-                        right: -400px;
-                        width: 380px;
-                        max-width: 90vw;
-                        height: 100vh;
-                        background: white;
-                        box-shadow: -4px 0 20px rgba(0,0,0,0.15);
-                        z-index: 9999;
-                        transition: right 0.3s ease;
-                        display: flex;
-                        flex-direction: column;
-                    }
-                    .se-help-panel.show {
-                        right: 0;
-                    }
-                    .help-panel-header {
-                        display: flex;
-                        justify-content: space-between;
-                        align-items: center;
-                        padding: 1rem 1.5rem;
-                        background: #f8f9fa;
-                        border-bottom: 1px solid #dee2e6;
-                    }
-                    .help-panel-title {
-                        font-weight: 600;
-                        font-size: 1.1rem;
-                    }
-                    .help-panel-close {
-                        background: none;
-                        border: none;
-                        font-size: 1.2rem;
-                        color: #6c757d;
-                        cursor: pointer;
-                        padding: 0.25rem 0.5rem;
-                    }
-                    .help-panel-close:hover {
-                        color: #333;
-                    }
-                    .help-panel-body {
-                        flex: 1;
-                        overflow-y: auto;
-                        padding: 1.5rem;
-                    }
-                    .help-panel-body h6 {
-                        color: #0d6efd;
-                        margin-top: 1rem;
-                        margin-bottom: 0.5rem;
-                    }
-                    .help-panel-body h6:first-child {
-                        margin-top: 0;
-                    }
-                    .help-panel-body ul {
-                        padding-left: 1.25rem;
-                    }
-                    .help-panel-body li {
-                        margin-bottom: 0.25rem;
-                    }
-                `;
-                document.head.appendChild(styles);
-            }
-            
-            return panel;
+            // Renders the matching section of the user guide (e.g. 'step-3' opens "Step 3: ...")
+            if (typeof SiteEvaluatorHelp === 'undefined') return;
+            SiteEvaluatorHelp.open('Site-Evaluation-Wizard-Guide', section);
         },
         
         closeHelpPanel: function() {
-            var panel = document.getElementById('seHelpPanel');
-            if (panel) {
-                panel.classList.remove('show');
-            }
+            if (typeof SiteEvaluatorHelp === 'undefined') return;
+            SiteEvaluatorHelp.close();
         }
     };
     